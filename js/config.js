@@ -15,6 +15,11 @@ const CONFIG = {
     BIRD_START_Y: 300,
     BIRD_FLAP_VELOCITY: -350,
     BIRD_COLLIDER_REDUCTION: 0.8, // Smaller hitbox than visual
+    BIRD_MAX_FALL_SPEED: 500,
+    
+    // Lives settings
+    STARTING_LIVES: 3,
+    HIT_RECOVERY_DURATION: 2000, // Blinking hit immunity after losing a life or the mushroom
     
     // Level settings
     LEVEL_DURATION: 30000, // 30 seconds per level
@@ -29,6 +34,7 @@ const CONFIG = {
     // Enemy settings
     ENEMY_SPAWN_RATE: 3000, // 3 seconds
     ENEMY_SPEED_OFFSET: 50, // Slower than obstacles
+    ENEMY_SHOOT_CHANCE: 0.001, // Per-frame chance at level 1, grows with level^1.5
     
     // Power-up settings
     POWERUP_SPAWN_RATE: 5000, // 5 seconds
@@ -37,11 +43,49 @@ const CONFIG = {
     FLOWER_DURATION: 10000, // 10 seconds
     FIREBALL_SPEED: 400,
     FIREBALL_RATE: 1000, // 1 shot per second
+    MAGNET_DURATION: 8000,
+    MAGNET_RADIUS: 200, // Coins closer than this fly to the bird
+    SLOW_MOTION_DURATION: 5000,
+    SLOW_MOTION_SCALE: 0.5, // The whole run runs at half speed
+    MINI_MUSHROOM_DURATION: 8000,
+    MINI_MUSHROOM_SCALE: 0.6, // Bird and hitbox size
+    POWERUP_WARNING_TIME: 2000, // The HUD blinks a power-up for its final seconds
+    
+    // What collecting a power-up that is still running does:
+    //   'refresh' - start its full duration again (unless more than that is left)
+    //   'extend'  - add its duration to the time left (up to POWERUP_MAX_STACKS durations)
+    //   'stack'   - refresh and raise its intensity up to POWERUP_MAX_STACKS
+    //               (flowers fire faster, magnets pull from further, others just refresh)
+    POWERUP_STACKING: {
+        mushroom: 'extend',
+        flower: 'stack',
+        star: 'refresh',
+        magnet: 'stack',
+        slowmo: 'extend',
+        mini: 'refresh'
+    },
+    POWERUP_MAX_STACKS: 3,
     
     // Scoring
     BASE_OBSTACLE_POINTS: 1,
     BASE_ENEMY_POINTS: 5,
     BIG_OBSTACLE_POINTS: 3,
+    BOSS_DEFEAT_POINTS: 100,
+    COIN_POINTS: 10, // Coins also go into the wallet for the shop
+    
+    // Combos: obstacle passes, near misses and enemy kills in a row raise a score multiplier
+    COMBO_STEP: 5, // Combo count per multiplier step
+    COMBO_MAX_MULTIPLIER: 5,
+    COMBO_DECAY_TIME: 3000, // Without a combo event for this long the multiplier drops a step
+    NEAR_MISS_DISTANCE: 12, // Pixels between the bird's body and an obstacle's that count as a near miss
+    NEAR_MISS_POINTS: 2, // Bonus on top of the pass
+    NEAR_MISS_SLOW_TIME: 250, // Brief slow motion after a near miss (ms of real time)
+    NEAR_MISS_TIME_SCALE: 0.4,
+    STOMP_CHAIN_MAX: 8, // Stomps in a row without touching ground multiply their points, up to this
+    
+    // Boss settings
+    BOSS_LEVEL_INTERVAL: 3, // A boss ends every third level
+    BOSS_FLOWER_INTERVAL: 6000, // A bird that can't shoot gets a fire flower this often during a fight
     
     // Firebase config - Replace with your Firebase project details
     FIREBASE: {
@@ -55,42 +99,90 @@ const CONFIG = {
     },
     
     // Character options
+    // Stats: flightPower and gravityScale multiply the flap and gravity, maxFallSpeed
+    // is in px/s, hitboxScale replaces BIRD_COLLIDER_REDUCTION, powerUpDuration
+    // multiplies the mushroom and flower durations and fireballRate is ms per shot.
+    // Price is the number of coins it takes to unlock the bird in the shop.
+    // Each ability has an id handled by Bird.useAbility, a cooldown and (for
+    // lasting abilities) a duration in ms, plus the ability's own tuning values
     CHARACTERS: [
         { 
             id: 'bluebird', 
             name: 'Blue Bird', 
             texture: 'bird-blue',
-            flightPower: 1.0
+            price: 0, // Free starter bird
+            flightPower: 1.0,
+            gravityScale: 1.0,
+            maxFallSpeed: 500,
+            hitboxScale: 0.8,
+            powerUpDuration: 1.0,
+            fireballRate: 1000,
+            ability: { id: 'double-flap', name: 'Double Flap', description: 'An extra strong flap, even mid-fall', cooldown: 4000, power: 1.6 }
         },
         { 
             id: 'redbird', 
             name: 'Red Bird', 
             texture: 'bird-red',
-            flightPower: 1.2 // Flies stronger
+            price: 25,
+            flightPower: 1.2, // Flies stronger
+            gravityScale: 1.15, // Heavier, drops fast
+            maxFallSpeed: 560,
+            hitboxScale: 0.85,
+            powerUpDuration: 0.9,
+            fireballRate: 900,
+            ability: { id: 'dash', name: 'Dash', description: 'Charge forward and smash the next obstacle', cooldown: 8000, duration: 600, speed: 400 }
         },
         { 
             id: 'yellowbird', 
             name: 'Yellow Bird', 
             texture: 'bird-yellow',
-            flightPower: 0.9 // More agile but weaker
+            price: 25,
+            flightPower: 0.9, // More agile but weaker
+            gravityScale: 0.85, // Light and small
+            maxFallSpeed: 420,
+            hitboxScale: 0.7,
+            powerUpDuration: 1.1,
+            fireballRate: 1100,
+            ability: { id: 'glide', name: 'Glide', description: 'Spread your wings and float down gently', cooldown: 7000, duration: 1500, maxFallSpeed: 60 }
         },
         { 
             id: 'purplebird', 
             name: 'Purple Bird', 
             texture: 'bird-purple',
-            flightPower: 1.1 // Balanced
+            price: 50,
+            flightPower: 1.1, // Balanced
+            gravityScale: 1.0,
+            maxFallSpeed: 500,
+            hitboxScale: 0.8,
+            powerUpDuration: 1.25, // Power-ups last longer
+            fireballRate: 1000,
+            ability: { id: 'phase', name: 'Phase', description: 'Fly straight through anything for a moment', cooldown: 10000, duration: 1000 }
         },
         { 
             id: 'greenbird', 
             name: 'Green Bird', 
             texture: 'bird-green',
-            flightPower: 1.0 // Standard
+            price: 50,
+            flightPower: 1.0, // Standard
+            gravityScale: 1.0,
+            maxFallSpeed: 480,
+            hitboxScale: 0.75,
+            powerUpDuration: 1.0,
+            fireballRate: 800, // Quick shooter
+            ability: { id: 'shield', name: 'Shield', description: 'A bubble that absorbs one hit', cooldown: 12000, duration: 6000 }
         },
         { 
             id: 'rainbowbird', 
             name: 'Rainbow Bird', 
             texture: 'bird-rainbow',
-            flightPower: 1.3 // Special character
+            price: 150,
+            flightPower: 1.3, // Special character
+            gravityScale: 1.1,
+            maxFallSpeed: 520,
+            hitboxScale: 0.8,
+            powerUpDuration: 1.3,
+            fireballRate: 700,
+            ability: { id: 'mini-star', name: 'Mini Star', description: 'A short burst of star power', cooldown: 20000, duration: 3000 }
         }
     ],
     
@@ -107,6 +199,55 @@ const CONFIG = {
     // Difficulty scaling
     MAX_LEVEL: 10, // After this level, difficulty stops increasing
     
+    // Difficulty presets, each overrides the tuning constants above for a run
+    DEFAULT_DIFFICULTY: 'normal',
+    DIFFICULTIES: [
+        {
+            id: 'easy',
+            name: 'Easy',
+            overrides: {
+                GRAVITY: 500,
+                BIRD_FLAP_VELOCITY: -320,
+                MIN_OBSTACLE_GAP: 190,
+                OBSTACLE_SPAWN_RATE: 2400,
+                LEVEL_SPEED_INCREASE: 15,
+                ENEMY_SHOOT_CHANCE: 0.0005,
+                STARTING_LIVES: 5
+            }
+        },
+        {
+            id: 'normal',
+            name: 'Normal',
+            overrides: {} // The constants above as-is
+        },
+        {
+            id: 'hard',
+            name: 'Hard',
+            overrides: {
+                GRAVITY: 700,
+                BIRD_FLAP_VELOCITY: -380,
+                MIN_OBSTACLE_GAP: 130,
+                OBSTACLE_SPAWN_RATE: 1700,
+                LEVEL_SPEED_INCREASE: 35,
+                ENEMY_SHOOT_CHANCE: 0.0015,
+                STARTING_LIVES: 2
+            }
+        },
+        {
+            id: 'insane',
+            name: 'Insane',
+            overrides: {
+                GRAVITY: 800,
+                BIRD_FLAP_VELOCITY: -410,
+                MIN_OBSTACLE_GAP: 115,
+                OBSTACLE_SPAWN_RATE: 1400,
+                LEVEL_SPEED_INCREASE: 45,
+                ENEMY_SHOOT_CHANCE: 0.0025,
+                STARTING_LIVES: 1
+            }
+        }
+    ],
+    
     // Multiplayer
     MAX_PLAYERS: 4,
     ROOM_TIMEOUT: 120000, // 2 minutes
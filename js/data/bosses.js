@@ -0,0 +1,50 @@
+/**
+ * Bosses.js
+ * Bosses fought at the end of every CONFIG.BOSS_LEVEL_INTERVAL levels
+ *
+ * The boss is picked by the background theme of the level it ends (bosses
+ * without a theme are the fallback). Boss fields:
+ *   texture - Enemy spritesheet to use
+ *   tint    - Tint applied to the texture
+ *   scale   - Sprite scale
+ *   health  - Hits needed to defeat it (grows by 2 for every boss already beaten)
+ *   phases  - Attack phases, each active once health drops to `below` (a fraction)
+ *
+ * Phase fields:
+ *   below      - Health fraction at which the phase starts
+ *   movement   - 'hover', 'sweep' (up and down the screen) or 'chase' (follows the bird)
+ *   speed      - Movement speed in px/s (sweep and chase)
+ *   projectile - Projectile type it shoots (see projectileTypes.js)
+ *   volley     - Times it shoots in a row per attack (1 by default)
+ *   cooldown   - Time between attacks in ms
+ */
+
+const BOSSES = [
+    {
+        id: 'turtle-king',
+        name: 'Turtle King',
+        theme: 'theme-castle',
+        texture: 'turtle',
+        tint: 0xffcc33,
+        scale: 4,
+        health: 12,
+        phases: [
+            { below: 1, movement: 'hover', projectile: 'shot', cooldown: 1200 },
+            { below: 0.66, movement: 'sweep', speed: 120, projectile: 'spread', cooldown: 1600 },
+            { below: 0.33, movement: 'chase', speed: 90, projectile: 'homing', volley: 2, cooldown: 1800 }
+        ]
+    },
+    {
+        id: 'goomba-giant',
+        name: 'Giant Goomba',
+        texture: 'goomba',
+        tint: 0xff8866,
+        scale: 3.5,
+        health: 8,
+        phases: [
+            { below: 1, movement: 'hover', projectile: 'bomb', cooldown: 1500 },
+            { below: 0.5, movement: 'sweep', speed: 100, projectile: 'ring', cooldown: 1800 },
+            { below: 0.25, movement: 'hover', projectile: 'laser', cooldown: 1600 }
+        ]
+    }
+];
@@ -0,0 +1,198 @@
+/**
+ * CampaignLevels.js
+ * Hand-authored levels of the campaign, grouped into worlds played in order
+ *
+ * Levels are plain JSON (no functions) so they can be written by hand or
+ * exported from a level editor. Level fields:
+ *   id         - Unique ID, also shown as the level's number ('1-2')
+ *   name       - Display name
+ *   theme      - Background theme from CONFIG.BACKGROUNDS
+ *   level      - Endless level whose speed, gap size and enemy strength it uses
+ *   length     - Distance to the finish line in px
+ *   coinTarget - Coins needed for the coin star (defaults to the timeline's coins)
+ *   timeline   - Events spawned at the right edge once the run has scrolled `at` px
+ *
+ * Timeline event types:
+ *   pattern   - { pattern, y } a pattern from OBSTACLE_PATTERNS, y is its gap center (random if left out)
+ *   column    - { column, y } a single column in pattern column syntax around the gap center y
+ *   obstacle  - { obstacle, y, width, height } one 'pipe', 'brick', 'rock' or 'spikes' block, y is its top
+ *   enemy     - { enemy, y, movementPattern } one enemy (movementPattern from ENEMY_MOVEMENT_PATTERNS, random if left out,
+ *               ignored by types with their own behaviour; a 'piranha' brings its pipe on the floor or ceiling half y is in)
+ *   formation - { formation, enemy } a formation from ENEMY_FORMATIONS ('single', 'pair', 'triangle', 'line',
+ *               'wave', 's-curve', 'loop'...) of one enemy type, random if left out
+ *               ('bat', 'piranha' and 'launcher' come as a flock, a piped plant and an edge launcher instead)
+ *   powerup   - { powerUp, y } a power-up of the given type
+ *
+ * Stars: one for reaching the finish line, one for the coins and one for not losing a life.
+ */
+
+const CAMPAIGN_WORLDS = [
+    {
+        id: 'world-1',
+        name: 'Green Woods',
+        levels: [
+            {
+                id: '1-1',
+                name: 'First Flight',
+                theme: 'theme-forest',
+                level: 1,
+                length: 3600,
+                timeline: [
+                    { at: 300, type: 'pattern', pattern: 'pipe-pair', y: 300 },
+                    { at: 500, type: 'powerup', powerUp: 'coin', y: 300 },
+                    { at: 750, type: 'pattern', pattern: 'pipe-pair', y: 250 },
+                    { at: 950, type: 'powerup', powerUp: 'coin', y: 250 },
+                    { at: 1150, type: 'enemy', enemy: 'turtle', y: 200, movementPattern: 'sine' },
+                    { at: 1450, type: 'pattern', pattern: 'pipe-pair', y: 350 },
+                    { at: 1650, type: 'powerup', powerUp: 'mushroom', y: 330 },
+                    { at: 1900, type: 'pattern', pattern: 'pipe-pair', y: 280 },
+                    { at: 2100, type: 'powerup', powerUp: 'coin', y: 280 },
+                    { at: 2300, type: 'enemy', enemy: 'turtle', y: 400, movementPattern: 'sine' },
+                    { at: 2600, type: 'pattern', pattern: 'pipe-pair', y: 320 },
+                    { at: 2800, type: 'powerup', powerUp: 'coin', y: 320 },
+                    { at: 2950, type: 'formation', formation: 'pair', enemy: 'turtle' },
+                    { at: 3250, type: 'pattern', pattern: 'pipe-pair', y: 300 },
+                    { at: 3450, type: 'powerup', powerUp: 'coin', y: 300 }
+                ]
+            },
+            {
+                id: '1-2',
+                name: 'Brick Road',
+                theme: 'theme-forest',
+                level: 1,
+                length: 4200,
+                timeline: [
+                    { at: 300, type: 'pattern', pattern: 'pipe-pair', y: 280 },
+                    { at: 500, type: 'powerup', powerUp: 'coin', y: 280 },
+                    { at: 700, type: 'pattern', pattern: 'brick-wall', y: 320 },
+                    { at: 1000, type: 'powerup', powerUp: 'flower', y: 300 },
+                    { at: 1200, type: 'formation', formation: 'line', enemy: 'turtle' },
+                    { at: 1600, type: 'pattern', pattern: 'staircase-up', y: 300 },
+                    { at: 1960, type: 'powerup', powerUp: 'coin', y: 210 },
+                    { at: 2200, type: 'pattern', pattern: 'crumbling-wall', y: 300 },
+                    { at: 2450, type: 'powerup', powerUp: 'coin', y: 300 },
+                    { at: 2650, type: 'enemy', enemy: 'turtle', y: 180, movementPattern: 'chase' },
+                    { at: 2900, type: 'pattern', pattern: 'staircase-down', y: 300 },
+                    { at: 3260, type: 'powerup', powerUp: 'coin', y: 390 },
+                    { at: 3450, type: 'formation', formation: 'triangle', enemy: 'turtle' },
+                    { at: 3800, type: 'pattern', pattern: 'brick-wall', y: 280 },
+                    { at: 4000, type: 'powerup', powerUp: 'coin', y: 280 }
+                ]
+            },
+            {
+                id: '1-3',
+                name: 'Falling Rocks',
+                theme: 'theme-mountain',
+                level: 2,
+                length: 4800,
+                timeline: [
+                    { at: 300, type: 'pattern', pattern: 'pipe-pair', y: 300 },
+                    { at: 500, type: 'powerup', powerUp: 'coin', y: 300 },
+                    { at: 700, type: 'pattern', pattern: 'rockfall' },
+                    { at: 1150, type: 'powerup', powerUp: 'coin', y: 200 },
+                    { at: 1300, type: 'enemy', enemy: 'goomba', y: 350, movementPattern: 'hover' },
+                    { at: 1600, type: 'pattern', pattern: 'moving-pipes', y: 300 },
+                    { at: 2000, type: 'powerup', powerUp: 'shield', y: 300 },
+                    { at: 2200, type: 'column', column: { type: 'rock', width: 50, ceiling: 50, behaviors: [{ type: 'fall', triggerDistance: 200, gravity: 900 }] } },
+                    { at: 2350, type: 'column', column: { type: 'rock', width: 50, floor: 80 } },
+                    { at: 2550, type: 'powerup', powerUp: 'coin', y: 300 },
+                    { at: 2750, type: 'formation', formation: 'wave', enemy: 'turtle' },
+                    { at: 3200, type: 'pattern', pattern: 'zigzag-tunnel', y: 300 },
+                    { at: 3650, type: 'powerup', powerUp: 'coin', y: 300 },
+                    { at: 3850, type: 'pattern', pattern: 'rockfall' },
+                    { at: 4300, type: 'pattern', pattern: 'pipe-pair', y: 260 },
+                    { at: 4500, type: 'powerup', powerUp: 'coin', y: 260 }
+                ]
+            }
+        ]
+    },
+    {
+        id: 'world-2',
+        name: 'Deep Caves',
+        levels: [
+            {
+                id: '2-1',
+                name: 'Into the Dark',
+                theme: 'theme-cave',
+                level: 3,
+                length: 5000,
+                timeline: [
+                    { at: 300, type: 'pattern', pattern: 'narrowing-corridor', y: 300 },
+                    { at: 650, type: 'powerup', powerUp: 'coin', y: 300 },
+                    { at: 850, type: 'enemy', enemy: 'goomba', y: 200, movementPattern: 'bounce' },
+                    { at: 1100, type: 'pattern', pattern: 'sliding-gate', y: 320 },
+                    { at: 1350, type: 'powerup', powerUp: 'magnet', y: 320 },
+                    { at: 1550, type: 'formation', formation: 'line', enemy: 'turtle' },
+                    { at: 1900, type: 'pattern', pattern: 'pipe-pair', y: 250 },
+                    { at: 2050, type: 'powerup', powerUp: 'coin', y: 250 },
+                    { at: 2150, type: 'powerup', powerUp: 'coin', y: 300 },
+                    { at: 2250, type: 'powerup', powerUp: 'coin', y: 350 },
+                    { at: 2450, type: 'pattern', pattern: 'zigzag-tunnel', y: 300 },
+                    { at: 2900, type: 'formation', formation: 'triangle', enemy: 'goomba' },
+                    { at: 3300, type: 'pattern', pattern: 'spike-floor', y: 280 },
+                    { at: 3700, type: 'powerup', powerUp: 'mushroom', y: 250 },
+                    { at: 3900, type: 'pattern', pattern: 'moving-pipes', y: 300 },
+                    { at: 4300, type: 'powerup', powerUp: 'coin', y: 300 },
+                    { at: 4500, type: 'pattern', pattern: 'sliding-gate', y: 280 },
+                    { at: 4750, type: 'powerup', powerUp: 'coin', y: 280 }
+                ]
+            },
+            {
+                id: '2-2',
+                name: 'Spike Pit',
+                theme: 'theme-cave',
+                level: 4,
+                length: 5400,
+                timeline: [
+                    { at: 300, type: 'pattern', pattern: 'spike-floor', y: 260 },
+                    { at: 700, type: 'powerup', powerUp: 'coin', y: 220 },
+                    { at: 900, type: 'pattern', pattern: 'spike-bar', y: 300 },
+                    { at: 1150, type: 'powerup', powerUp: 'star', y: 300 },
+                    { at: 1300, type: 'formation', formation: 'wave', enemy: 'goomba' },
+                    { at: 1700, type: 'pattern', pattern: 'staircase-down', y: 300 },
+                    { at: 2060, type: 'powerup', powerUp: 'coin', y: 390 },
+                    { at: 2300, type: 'column', column: { type: 'spikes', width: 300, floor: 60 } },
+                    { at: 2350, type: 'column', column: { type: 'spikes', width: 200, ceiling: 60 } },
+                    { at: 2500, type: 'powerup', powerUp: 'coin', y: 300 },
+                    { at: 2700, type: 'enemy', enemy: 'goomba', y: 300, movementPattern: 'hover' },
+                    { at: 3000, type: 'pattern', pattern: 'spike-bar', y: 280 },
+                    { at: 3400, type: 'pattern', pattern: 'crumbling-wall', y: 320 },
+                    { at: 3650, type: 'powerup', powerUp: 'coin', y: 320 },
+                    { at: 3850, type: 'formation', formation: 'pair', enemy: 'goomba' },
+                    { at: 4200, type: 'pattern', pattern: 'narrowing-corridor', y: 300 },
+                    { at: 4550, type: 'powerup', powerUp: 'coin', y: 300 },
+                    { at: 4800, type: 'pattern', pattern: 'spike-floor', y: 280 },
+                    { at: 5200, type: 'powerup', powerUp: 'coin', y: 240 }
+                ]
+            },
+            {
+                id: '2-3',
+                name: 'Crystal Gauntlet',
+                theme: 'theme-castle',
+                level: 5,
+                length: 6000,
+                timeline: [
+                    { at: 300, type: 'pattern', pattern: 'moving-pipes', y: 300 },
+                    { at: 700, type: 'powerup', powerUp: 'coin', y: 300 },
+                    { at: 850, type: 'formation', formation: 'triangle', enemy: 'goomba' },
+                    { at: 1200, type: 'pattern', pattern: 'spike-bar', y: 300 },
+                    { at: 1450, type: 'powerup', powerUp: 'flower', y: 300 },
+                    { at: 1650, type: 'pattern', pattern: 'rockfall' },
+                    { at: 2100, type: 'powerup', powerUp: 'coin', y: 250 },
+                    { at: 2300, type: 'formation', formation: 'wave', enemy: 'turtle' },
+                    { at: 2700, type: 'pattern', pattern: 'zigzag-tunnel', y: 300 },
+                    { at: 3150, type: 'powerup', powerUp: 'coin', y: 300 },
+                    { at: 3350, type: 'pattern', pattern: 'sliding-gate', y: 300 },
+                    { at: 3600, type: 'powerup', powerUp: 'slowmo', y: 300 },
+                    { at: 3800, type: 'pattern', pattern: 'spike-floor', y: 250 },
+                    { at: 4200, type: 'formation', formation: 'line', enemy: 'goomba' },
+                    { at: 4600, type: 'pattern', pattern: 'narrowing-corridor', y: 320 },
+                    { at: 4950, type: 'powerup', powerUp: 'coin', y: 320 },
+                    { at: 5150, type: 'pattern', pattern: 'spike-bar', y: 300 },
+                    { at: 5500, type: 'pattern', pattern: 'moving-pipes', y: 300 },
+                    { at: 5900, type: 'powerup', powerUp: 'coin', y: 300 }
+                ]
+            }
+        ]
+    }
+];
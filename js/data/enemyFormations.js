@@ -0,0 +1,169 @@
+/**
+ * EnemyFormations.js
+ * Groups of enemies EnemyManager spawns together just off the right edge
+ *
+ * Formations unlock as levels rise and are picked by weight among the unlocked
+ * ones, like obstacle patterns. Formation fields:
+ *   id       - Unique ID, also used in campaign levels
+ *   minLevel - First level it spawns at
+ *   weight   - Chance of being picked relative to the other unlocked formations
+ *   y        - [min, max] range the formation's height is picked from
+ *   count    - [min, max] number of members to spawn (the first ones), all of them by default
+ *   members  - { x, y, type } offsets in px from the spawn point, with an optional enemy
+ *              type of their own (used once unlocked at the level, the formation's otherwise)
+ *   path     - { points, duration } spline the whole group follows on top of the scrolling
+ *              before every member goes back to its own AI. Points are [x, y] offsets in px,
+ *              the first one being where the members start
+ */
+
+const ENEMY_FORMATIONS = [
+    {
+        id: 'single',
+        minLevel: 1,
+        weight: 4,
+        y: [100, CONFIG.GAME_HEIGHT - 150],
+        members: [
+            { x: 0, y: 0 }
+        ]
+    },
+    {
+        id: 'pair',
+        minLevel: 2,
+        weight: 3,
+        y: [190, CONFIG.GAME_HEIGHT - 240],
+        members: [
+            { x: 0, y: -90 },
+            { x: 50, y: 90 }
+        ]
+    },
+    {
+        id: 'triangle',
+        minLevel: 3,
+        weight: 3,
+        y: [150, CONFIG.GAME_HEIGHT - 200],
+        members: [
+            { x: 0, y: 0 },
+            { x: 80, y: -70 },
+            { x: 80, y: 70 }
+        ]
+    },
+    // Follows an S-curve up and down across the screen
+    {
+        id: 's-curve',
+        minLevel: 3,
+        weight: 2,
+        y: [200, CONFIG.GAME_HEIGHT - 250],
+        members: [
+            { x: 0, y: 0 },
+            { x: 50, y: 0 },
+            { x: 100, y: 0 }
+        ],
+        path: {
+            points: [[0, 0], [-80, -80], [-160, 0], [-240, 80], [-320, 0]],
+            duration: 2600
+        }
+    },
+    {
+        id: 'line',
+        minLevel: 4,
+        weight: 2,
+        y: [150, CONFIG.GAME_HEIGHT - 180],
+        count: [3, 5],
+        members: [
+            { x: 0, y: 0 },
+            { x: 80, y: 0 },
+            { x: 160, y: 0 },
+            { x: 240, y: 0 },
+            { x: 320, y: 0 }
+        ]
+    },
+    {
+        id: 'column',
+        minLevel: 4,
+        weight: 2,
+        y: [CONFIG.GAME_HEIGHT / 2 - 30, CONFIG.GAME_HEIGHT / 2 + 10],
+        count: [3, 4],
+        members: [
+            { x: 0, y: -105 },
+            { x: 0, y: -35 },
+            { x: 0, y: 35 },
+            { x: 0, y: 105 }
+        ]
+    },
+    // Flies a loop-the-loop in single file
+    {
+        id: 'loop',
+        minLevel: 4,
+        weight: 2,
+        y: [220, CONFIG.GAME_HEIGHT - 200],
+        members: [
+            { x: 0, y: 0 },
+            { x: 45, y: 0 },
+            { x: 90, y: 0 },
+            { x: 135, y: 0 }
+        ],
+        path: {
+            points: [[0, 0], [-120, 0], [-190, -70], [-120, -140], [-50, -70], [-120, 0], [-240, 0]],
+            duration: 3200
+        }
+    },
+    {
+        id: 'wave',
+        minLevel: 5,
+        weight: 2,
+        y: [180, CONFIG.GAME_HEIGHT - 200],
+        count: [4, 6],
+        members: [
+            { x: 0, y: 0 },
+            { x: 50, y: 57 },
+            { x: 100, y: 35 },
+            { x: 150, y: -35 },
+            { x: 200, y: -57 },
+            { x: 250, y: 0 }
+        ]
+    },
+    // Swoops in from above the screen
+    {
+        id: 'drop-in',
+        minLevel: 5,
+        weight: 1,
+        y: [-40, -40],
+        members: [
+            { x: 0, y: 0 },
+            { x: 70, y: -20 },
+            { x: 140, y: 0 }
+        ],
+        path: {
+            points: [[0, 0], [-50, 130], [-90, 240], [-110, 300]],
+            duration: 2000
+        }
+    },
+    // Climbs up from below the screen
+    {
+        id: 'rise-up',
+        minLevel: 5,
+        weight: 1,
+        y: [CONFIG.GAME_HEIGHT + 40, CONFIG.GAME_HEIGHT + 40],
+        members: [
+            { x: 0, y: 0 },
+            { x: 70, y: 20 },
+            { x: 140, y: 0 }
+        ],
+        path: {
+            points: [[0, 0], [-50, -130], [-90, -240], [-110, -300]],
+            duration: 2000
+        }
+    },
+    // A hawk leading a pair of goombas
+    {
+        id: 'escort',
+        minLevel: 3,
+        weight: 1,
+        y: [170, CONFIG.GAME_HEIGHT - 220],
+        members: [
+            { x: 0, y: 0, type: 'hawk' },
+            { x: 60, y: -60 },
+            { x: 60, y: 60 }
+        ]
+    }
+];
@@ -0,0 +1,223 @@
+/**
+ * EnemyTypes.js
+ * Regular enemies spawned during runs and placed in campaign levels
+ *
+ * Types unlock as levels rise. Enemy type fields:
+ *   type             - Unique ID, also used in campaign levels
+ *   texture          - Enemy spritesheet to use
+ *   tint             - Tint applied to the texture (types sharing a spritesheet)
+ *   scale            - Sprite scale
+ *   minLevel         - First level the type spawns at
+ *   health           - Hits needed to defeat it (grows by 1 every 3 levels)
+ *   points           - Points for defeating it
+ *   stompable        - Whether landing on it stomps it (true by default, spiky enemies hurt)
+ *   canShoot         - Whether it can take random shots (from level 3)
+ *   projectile       - Projectile type it shoots (see projectileTypes.js), 'shot' by default
+ *   movementPatterns - Movement patterns picked from at random (ENEMY_MOVEMENT_PATTERNS)
+ *   spawner          - EnemyManager method that spawns the type instead of a formation
+ *   pipe             - Comes with a pipe of its own (placed one at a time too)
+ *   deathEffect      - { style, color, sound } style is 'burst', 'feathers', 'puff',
+ *                      'wilt', 'explosion' or 'tumble'
+ *   ai               - State machine the enemy runs (see enemyAI.js), by default it
+ *                      follows its movement pattern and takes random shots
+ */
+
+const ENEMY_TYPES = [
+    {
+        type: 'turtle',
+        texture: 'turtle',
+        movementPatterns: ['sine', 'chase', 'bounce'],
+        minLevel: 1,
+        health: 1,
+        points: CONFIG.BASE_ENEMY_POINTS,
+        canShoot: false,
+        deathEffect: { style: 'burst', color: 0x22AA22, sound: 'sfx-stomp' }
+    },
+    {
+        type: 'goomba',
+        texture: 'goomba',
+        movementPatterns: ['hover', 'bounce'],
+        minLevel: 2,
+        health: 1,
+        points: CONFIG.BASE_ENEMY_POINTS,
+        canShoot: true,
+        projectile: 'shot',
+        deathEffect: { style: 'burst', color: 0xA52A2A },
+        ai: {
+            initial: 'patrol',
+            states: {
+                patrol: {
+                    actions: [{ type: 'movementPattern' }, { type: 'randomShot' }],
+                    transitions: [{ to: 'flee', when: 'healthBelow', fraction: 0.5 }]
+                },
+                // Backs off once it's been hurt
+                flee: {
+                    actions: [{ type: 'flee', speed: 120, retreat: 60 }]
+                }
+            }
+        }
+    },
+    {
+        type: 'bat',
+        texture: 'goomba',
+        tint: 0x553377,
+        scale: 0.7,
+        spawner: 'spawnFlock',
+        minLevel: 2,
+        health: 1,
+        points: 3,
+        canShoot: false,
+        deathEffect: { style: 'puff', color: 0x332244 },
+        ai: {
+            initial: 'flock',
+            states: {
+                flock: {
+                    actions: [{ type: 'flock', radius: 120, separation: 40, maxSpeed: 140 }]
+                }
+            }
+        }
+    },
+    {
+        type: 'hawk',
+        texture: 'goomba',
+        tint: 0xC89050,
+        scale: 1.1,
+        minLevel: 3,
+        health: 2,
+        points: 15,
+        canShoot: false,
+        deathEffect: { style: 'feathers', color: 0xDDBB88 },
+        ai: {
+            initial: 'glide',
+            states: {
+                glide: {
+                    actions: [{ type: 'hover', amplitude: 12, period: 400 }],
+                    transitions: [{ to: 'dive', when: 'birdAhead', min: 60, max: 320 }]
+                },
+                // Dives at where the bird will be when the hawk reaches it
+                dive: {
+                    actions: [{ type: 'dive', speed: 150 }],
+                    transitions: [{ to: 'climb', when: 'done' }]
+                },
+                climb: {
+                    actions: [{ type: 'climb', speed: 220, drift: 150 }],
+                    transitions: [{ to: 'cruise', when: 'done' }]
+                },
+                // One dive per pass
+                cruise: {
+                    actions: [{ type: 'hover', amplitude: 12, period: 400 }]
+                }
+            }
+        }
+    },
+    {
+        type: 'koopa',
+        texture: 'turtle',
+        tint: 0xFF7744,
+        movementPatterns: ['sine', 'hover'],
+        minLevel: 3,
+        health: 1,
+        points: 10,
+        canShoot: false,
+        deathEffect: { style: 'tumble', sound: 'sfx-stomp' },
+        ai: {
+            initial: 'walk',
+            states: {
+                walk: {
+                    actions: [{ type: 'movementPattern' }],
+                    transitions: [{ to: 'shell', on: 'stomp' }]
+                },
+                // Lies still in its shell, scrolling along with the world
+                shell: {
+                    animation: 'hit',
+                    sound: 'sfx-stomp',
+                    transitions: [{ to: 'kicked', on: 'kick' }, { to: 'kicked', on: 'stomp' }]
+                },
+                kicked: {
+                    animation: 'hit',
+                    sound: 'sfx-hit',
+                    rams: true,
+                    actions: [{ type: 'slide', speed: 500, spin: 720 }]
+                }
+            }
+        }
+    },
+    {
+        type: 'piranha',
+        texture: 'turtle',
+        tint: 0xFF4466,
+        spawner: 'spawnPiranha',
+        pipe: true,
+        minLevel: 4,
+        health: 2,
+        points: 20,
+        stompable: false,
+        canShoot: false,
+        deathEffect: { style: 'wilt', color: 0x33AA33 },
+        ai: {
+            initial: 'hidden',
+            states: {
+                // Tucked away in its pipe it can't hurt the bird or be hit
+                hidden: {
+                    intangible: true,
+                    actions: [{ type: 'pipe', position: 'hidden' }],
+                    transitions: [{ to: 'rising', when: 'timer', time: 1500 }]
+                },
+                rising: {
+                    actions: [{ type: 'pipe', position: 'out', time: 400 }],
+                    transitions: [{ to: 'out', when: 'done' }]
+                },
+                out: {
+                    actions: [{ type: 'pipe', position: 'out' }],
+                    transitions: [{ to: 'sinking', when: 'timer', time: 1200 }]
+                },
+                sinking: {
+                    intangible: true,
+                    actions: [{ type: 'pipe', position: 'hidden', time: 400 }],
+                    transitions: [{ to: 'hidden', when: 'done' }]
+                }
+            }
+        }
+    },
+    {
+        type: 'launcher',
+        texture: 'goomba',
+        tint: 0x555555,
+        scale: 1.4,
+        spawner: 'spawnLauncher',
+        minLevel: 5,
+        health: 3,
+        points: 25,
+        canShoot: false,
+        projectile: 'bullet',
+        deathEffect: { style: 'explosion', color: 0xFF8800, sound: 'sfx-break' },
+        ai: {
+            initial: 'enter',
+            states: {
+                // Scrolls in with the world until it reaches the right edge
+                enter: {
+                    actions: [{ type: 'holdEdge', offset: 30 }],
+                    transitions: [{ to: 'aim', when: 'done' }]
+                },
+                aim: {
+                    actions: [{ type: 'holdEdge', offset: 30 }, { type: 'trackBird', speed: 60 }],
+                    transitions: [{ to: 'warn', when: 'timer', time: 1600 }]
+                },
+                warn: {
+                    actions: [{ type: 'holdEdge', offset: 30 }, { type: 'trackBird', speed: 60 }, { type: 'flash', color: 0xff4444 }],
+                    transitions: [{ to: 'fire', when: 'timer', time: 400 }]
+                },
+                fire: {
+                    actions: [{ type: 'holdEdge', offset: 30 }, { type: 'shoot' }],
+                    transitions: [
+                        { to: 'leave', when: 'shotsFired', count: 3 },
+                        { to: 'aim', when: 'always' }
+                    ]
+                },
+                leave: {
+                    actions: [{ type: 'leaveEdge', offset: 30, speed: 150 }]
+                }
+            }
+        }
+    }
+];
@@ -0,0 +1,151 @@
+/**
+ * ObstaclePatterns.js
+ * Library of obstacle patterns spawned by ObstacleManager
+ *
+ * A pattern is a list of columns placed from the right edge of the screen around
+ * a shared gap center. Column fields (all optional except x):
+ *   x        - Offset from the spawn point in px
+ *   width    - Column width in px (defaults to OBSTACLE_COLUMN_WIDTH)
+ *   type     - Obstacle type from ObstacleManager.obstacleTypes (defaults to 'pipe')
+ *   offset   - Shift of this column's gap from the pattern's gap center in px
+ *   gapScale - Multiplier for the level's gap size
+ *   top      - False to leave out the piece above the gap
+ *   bottom   - False to leave out the piece below the gap
+ *   floor    - Height of a strip along the bottom of the screen (replaces the gap)
+ *   ceiling  - Height of a strip along the top of the screen (replaces the gap)
+ *   weakSpot - Fill the gap with a brick that breaks when the bird flies into it
+ *   center   - { type, width, height, behaviors } piece floating in the middle of the gap
+ *   behaviors - Obstacle behaviors given to every piece (see OBSTACLE_BEHAVIORS).
+ *              A slide with opensGap moves the top and bottom pieces apart and together
+ *
+ * A pattern's optional powerUp slot ({ column, chance }) emits 'spawn_powerup'
+ * in the gap of that column.
+ */
+
+// Default width of a column in px
+const OBSTACLE_COLUMN_WIDTH = 60;
+
+const OBSTACLE_PATTERNS = [
+    {
+        id: 'pipe-pair',
+        minLevel: 1,
+        weight: 10,
+        columns: [
+            { x: 0 }
+        ]
+    },
+    {
+        id: 'staircase-up',
+        minLevel: 2,
+        weight: 2,
+        columns: [
+            { x: 0, offset: 90 },
+            { x: 110, offset: 30 },
+            { x: 220, offset: -30 },
+            { x: 330, offset: -90 }
+        ],
+        powerUp: { column: 3, chance: 0.3 }
+    },
+    {
+        id: 'staircase-down',
+        minLevel: 2,
+        weight: 2,
+        columns: [
+            { x: 0, offset: -90 },
+            { x: 110, offset: -30 },
+            { x: 220, offset: 30 },
+            { x: 330, offset: 90 }
+        ],
+        powerUp: { column: 3, chance: 0.3 }
+    },
+    {
+        id: 'brick-wall',
+        minLevel: 2,
+        weight: 2,
+        columns: [
+            { x: 0, type: 'brick', weakSpot: true }
+        ],
+        powerUp: { column: 0, chance: 0.4 }
+    },
+    {
+        id: 'crumbling-wall',
+        minLevel: 2,
+        weight: 2,
+        columns: [
+            { x: 0, type: 'brick', gapScale: 0.6, behaviors: [{ type: 'crumble', delay: 400 }] }
+        ]
+    },
+    {
+        id: 'zigzag-tunnel',
+        minLevel: 3,
+        weight: 2,
+        columns: [
+            { x: 0, offset: -60, gapScale: 1.2 },
+            { x: 100, offset: 60, gapScale: 1.2 },
+            { x: 200, offset: -60, gapScale: 1.2 },
+            { x: 300, offset: 60, gapScale: 1.2 }
+        ]
+    },
+    {
+        id: 'moving-pipes',
+        minLevel: 3,
+        weight: 3,
+        columns: [
+            { x: 0, behaviors: [{ type: 'slide', amplitude: 60, period: 2000 }] },
+            { x: 220, behaviors: [{ type: 'slide', amplitude: 60, period: 2000, phase: 0.5 }] }
+        ],
+        powerUp: { column: 0, chance: 0.3 }
+    },
+    {
+        id: 'sliding-gate',
+        minLevel: 3,
+        weight: 2,
+        columns: [
+            { x: 0, gapScale: 1.6, behaviors: [{ type: 'slide', amplitude: 35, period: 1600, opensGap: true }] }
+        ],
+        powerUp: { column: 0, chance: 0.3 }
+    },
+    {
+        id: 'rockfall',
+        minLevel: 3,
+        weight: 2,
+        columns: [
+            { x: 0, width: 50, type: 'rock', ceiling: 50, behaviors: [{ type: 'fall', triggerDistance: 220, gravity: 900 }] },
+            { x: 150, width: 50, type: 'rock', ceiling: 50, behaviors: [{ type: 'fall', triggerDistance: 220, gravity: 900 }] },
+            { x: 300, width: 50, type: 'rock', ceiling: 50, behaviors: [{ type: 'fall', triggerDistance: 220, gravity: 900 }] }
+        ]
+    },
+    {
+        id: 'narrowing-corridor',
+        minLevel: 4,
+        weight: 2,
+        columns: [
+            { x: 0, gapScale: 1.6 },
+            { x: 70, gapScale: 1.35 },
+            { x: 140, gapScale: 1.15 },
+            { x: 210, gapScale: 1 }
+        ],
+        powerUp: { column: 0, chance: 0.5 }
+    },
+    {
+        id: 'spike-floor',
+        minLevel: 4,
+        weight: 2,
+        columns: [
+            { x: 0, width: 340, type: 'spikes', floor: 50 },
+            { x: 140, bottom: false, offset: -40 }
+        ]
+    },
+    {
+        id: 'spike-bar',
+        minLevel: 5,
+        weight: 2,
+        columns: [
+            {
+                x: 0,
+                gapScale: 2.6,
+                center: { type: 'spikes', width: 140, height: 18, behaviors: [{ type: 'rotate', speed: 120 }] }
+            }
+        ]
+    }
+];
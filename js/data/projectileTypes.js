@@ -0,0 +1,96 @@
+/**
+ * ProjectileTypes.js
+ * Projectiles fired by enemies and bosses, picked by ID (an enemy type's
+ * `projectile`, a boss phase's `projectile` or a `shoot` AI action's option)
+ *
+ * Projectile type fields:
+ *   tint         - Tint applied to the fireball texture
+ *   scale        - Sprite scale
+ *   speed        - Launch speed in px/s
+ *   damage       - Hits the bird takes (a shield or mushroom takes one each)
+ *   destructible - Whether the bird's fireballs can shoot it down
+ *   aimed        - Fired at the bird (otherwise straight ahead, to the left)
+ *   count        - Projectiles fired at once
+ *   spread       - Angle between them in radians (a fan around the aim)
+ *   ring         - Spread them evenly all the way around instead
+ *   turnRate     - Homing: degrees per second it turns toward the bird
+ *   homingTime   - Homing: ms it keeps steering before flying straight
+ *   gravity      - Arcing: downward pull in px/s², launched to land on the bird
+ *   telegraph    - Ms a warning line shows the aim before it fires
+ *   lifetime     - Ms before it disappears (4000 by default)
+ *   sound        - Sound played when fired (sfx-fireball by default)
+ */
+
+const PROJECTILE_TYPES = {
+    // Single aimed shot
+    shot: {
+        tint: 0xff0000,
+        speed: 180,
+        damage: 1,
+        destructible: true,
+        aimed: true
+    },
+    
+    // Launcher bullet flying straight ahead
+    bullet: {
+        tint: 0x333333,
+        scale: 1.6,
+        speed: 260,
+        damage: 1,
+        destructible: false,
+        aimed: false
+    },
+    
+    spread: {
+        tint: 0xff6600,
+        speed: 180,
+        damage: 1,
+        destructible: true,
+        aimed: true,
+        count: 3,
+        spread: 0.3
+    },
+    
+    homing: {
+        tint: 0xff33aa,
+        scale: 1.2,
+        speed: 150,
+        damage: 1,
+        destructible: true,
+        aimed: true,
+        turnRate: 90,
+        homingTime: 2500,
+        lifetime: 5000
+    },
+    
+    // Lobbed bomb that falls onto the bird
+    bomb: {
+        tint: 0x222222,
+        scale: 1.5,
+        speed: 220,
+        damage: 2,
+        destructible: true,
+        aimed: true,
+        gravity: 400
+    },
+    
+    laser: {
+        tint: 0x66ffff,
+        scale: 0.8,
+        speed: 700,
+        damage: 2,
+        destructible: false,
+        aimed: true,
+        telegraph: 700
+    },
+    
+    ring: {
+        tint: 0xffff33,
+        speed: 140,
+        damage: 1,
+        destructible: true,
+        aimed: true,
+        count: 8,
+        ring: true
+    }
+};
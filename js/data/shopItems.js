@@ -0,0 +1,21 @@
+/**
+ * ShopItems.js
+ * Cosmetics sold in the shop next to the characters (priced in CONFIG.CHARACTERS)
+ *
+ * Item fields:
+ *   id    - Unique ID, stored in the wallet once bought
+ *   type  - 'trail' (particles behind the bird) or 'skin' (tint over the bird)
+ *   name  - Display name
+ *   price - Cost in coins
+ *   color - Particle color (trails)
+ *   tint  - Bird tint (skins)
+ */
+
+const SHOP_ITEMS = [
+    { id: 'trail-sparkle', type: 'trail', name: 'Sparkle Trail', price: 30, color: 0xffff66 },
+    { id: 'trail-fire', type: 'trail', name: 'Fire Trail', price: 45, color: 0xff6622 },
+    { id: 'trail-ice', type: 'trail', name: 'Ice Trail', price: 45, color: 0x66ddff },
+    { id: 'skin-rose', type: 'skin', name: 'Rose Skin', price: 40, tint: 0xff88cc },
+    { id: 'skin-shadow', type: 'skin', name: 'Shadow Skin', price: 60, tint: 0x666688 },
+    { id: 'skin-gold', type: 'skin', name: 'Gold Skin', price: 80, tint: 0xffd700 }
+];
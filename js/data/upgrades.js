@@ -0,0 +1,52 @@
+/**
+ * Upgrades.js
+ * Permanent power-up upgrades bought with banked coins in the shop
+ *
+ * Upgrade fields:
+ *   id          - Unique ID, the wallet stores the bought level under it
+ *   name        - Display name
+ *   description - What one level does
+ *   step        - Bonus per level (see getUpgradeBonus)
+ *   costs       - Coin cost of each level, so also the number of levels
+ *   requires    - { id, level } of the upgrade that has to be bought first
+ */
+
+const UPGRADES = [
+    {
+        id: 'mushroom-time',
+        name: 'Long Mushroom',
+        description: '+20% mushroom time per level',
+        step: 0.2,
+        costs: [20, 40, 70, 110, 160]
+    },
+    {
+        id: 'star-magnet',
+        name: 'Star Magnet',
+        description: 'Star power pulls in power-ups from 60px further per level',
+        step: 60,
+        costs: [50, 90, 140],
+        requires: { id: 'mushroom-time', level: 2 }
+    },
+    {
+        id: 'fireball-rate',
+        name: 'Rapid Fire',
+        description: '10% less time between fireballs per level',
+        step: 0.1,
+        costs: [25, 50, 80, 120]
+    },
+    {
+        id: 'piercing-fireballs',
+        name: 'Piercing Fire',
+        description: 'Fireballs fly through one more enemy per level',
+        step: 1,
+        costs: [80, 150],
+        requires: { id: 'fireball-rate', level: 2 }
+    },
+    {
+        id: 'coin-value',
+        name: 'Golden Touch',
+        description: 'Every coin is worth one more per level',
+        step: 1,
+        costs: [60, 120, 200]
+    }
+];
@@ -7,6 +7,9 @@
 let gameInstance = null;
 let gameInitialized = false;
 
+// Data to start a race against the personal best from the game over screen
+let raceBestData = null;
+
 // Wait for DOM to be ready
 document.addEventListener('DOMContentLoaded', function() {
     // Initialize Firebase
@@ -60,8 +63,13 @@ function initGame() {
             MainMenuScene,
             CharacterSelectScene,
             GameScene,
+            ReplayScene,
+            PauseScene,
             LeaderboardScene,
-            MultiplayerScene
+            MultiplayerScene,
+            ShopScene,
+            WorldMapScene,
+            LevelEditorScene
         ],
         // Scaling options
         scale: {
@@ -161,33 +169,23 @@ function showGameError(message) {
  * Handle when the browser tab visibility changes
  */
 function handleVisibilityChange() {
+    if (!gameInstance || !gameInstance.scene) return;
+    
     if (document.hidden) {
         // Tab is hidden, pause the game if it's running
-        if (gameInstance && gameInstance.scene) {
-            const activeScenes = gameInstance.scene.getScenes(true);
-            activeScenes.forEach(scene => {
-                // Only pause gameplay scene, not menus
-                if (scene.scene.key === 'GameScene' && !scene.scene.isPaused()) {
-                    scene.scene.pause();
-                    // Mute audio
-                    scene.sound.mute = true;
-                }
-            });
-        }
+        const activeScenes = gameInstance.scene.getScenes(true);
+        activeScenes.forEach(scene => {
+            // Only gameplay scenes can pause, not menus
+            if (typeof scene.pauseGame === 'function') {
+                scene.pauseGame(false);
+            }
+        });
     } else {
-        // Tab is visible again, resume the game if it was paused
-        if (gameInstance && gameInstance.scene) {
-            const pausedScenes = gameInstance.scene.getScenes(false);
-            pausedScenes.forEach(scene => {
-                if (scene.scene.key === 'GameScene' && scene.scene.isPaused()) {
-                    // Show a 3-2-1 countdown before resuming
-                    showCountdown(scene, () => {
-                        scene.scene.resume();
-                        // Unmute audio
-                        scene.sound.mute = false;
-                    });
-                }
-            });
+        // Tab is visible again, resume automatic pauses with a 3-2-1 countdown
+        // (pauses opened by the player wait for them to press Resume)
+        const pauseScene = gameInstance.scene.getScene('PauseScene');
+        if (pauseScene && pauseScene.scene.isActive() && !pauseScene.showMenu) {
+            pauseScene.resumeGame();
         }
     }
 }
@@ -244,7 +242,7 @@ function showCountdown(scene, callback) {
                 });
             }
         },
-        repeat: 3
+        repeat: 2
     });
 }
 
@@ -314,6 +312,32 @@ function setupModalButtons() {
             });
         }
         
+        const watchReplayBtn = document.getElementById('watch-replay');
+        if (watchReplayBtn) {
+            watchReplayBtn.addEventListener('click', function() {
+                watchReplay();
+                document.getElementById('gameover-modal').style.display = 'none';
+            });
+        }
+        
+        const raceBestBtn = document.getElementById('race-best');
+        if (raceBestBtn) {
+            raceBestBtn.addEventListener('click', function() {
+                raceBest();
+                document.getElementById('gameover-modal').style.display = 'none';
+            });
+        }
+        
+        const downloadReplayBtn = document.getElementById('download-replay');
+        if (downloadReplayBtn) {
+            downloadReplayBtn.addEventListener('click', function() {
+                const replay = getLastReplay();
+                if (replay) {
+                    exportReplay(replay);
+                }
+            });
+        }
+        
         // Close buttons
         document.querySelectorAll('.close').forEach(function(closeBtn) {
             closeBtn.addEventListener('click', function() {
@@ -350,11 +374,20 @@ function populateCharacterSelection() {
             name.className = 'character-name';
             name.textContent = character.name;
             
+            // Locked birds show their price until bought in the shop
+            const locked = !isItemUnlocked(character.id);
+            if (locked) {
+                charDiv.classList.add('locked');
+                name.textContent = `${character.name} (${character.price} coins)`;
+            }
+            
             charDiv.appendChild(img);
             charDiv.appendChild(name);
             
             // Add selection functionality
             charDiv.addEventListener('click', function() {
+                if (locked) return;
+                
                 // Remove selected class from all options
                 document.querySelectorAll('.character-option').forEach(element => {
                     element.classList.remove('selected');
@@ -417,18 +450,35 @@ function showCharacterModal() {
  * Shows the game over modal with final score
  * @param {number} score - The player's final score
  * @param {number} highScore - The player's high score
+ * @param {string} difficulty - Difficulty the run was played on (selects the leaderboard preview)
+ * @param {Object} stats - Run stats from GameScene.getRunStats (longest combo, near misses)
+ * @param {Object|null} raceData - Data to race the personal best from GameScene.getRaceBestData
  */
-function showGameOverModal(score, highScore) {
+function showGameOverModal(score, highScore, difficulty = CONFIG.DEFAULT_DIFFICULTY, stats = {}, raceData = null) {
     try {
         // Update score displays
         const finalScoreEl = document.getElementById('final-score');
         const highScoreEl = document.getElementById('high-score');
+        const runStatsEl = document.getElementById('run-stats');
         
         if (finalScoreEl) finalScoreEl.textContent = `Your Score: ${score}`;
         if (highScoreEl) highScoreEl.textContent = `Your High Score: ${highScore}`;
+        if (runStatsEl) runStatsEl.textContent = `Longest Combo: ${stats.longestCombo || 0} | Near Misses: ${stats.nearMisses || 0}`;
+        
+        // Only offer replay buttons when the run was recorded
+        const hasReplay = getLastReplay() !== null;
+        ['watch-replay', 'download-replay'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) button.style.display = hasReplay ? '' : 'none';
+        });
+        
+        // Only offer a race when there's a personal best ghost to race
+        raceBestData = raceData;
+        const raceBestBtn = document.getElementById('race-best');
+        if (raceBestBtn) raceBestBtn.style.display = raceData ? '' : 'none';
         
         // Update leaderboard preview
-        getTopScores(5).then(scores => {
+        getTopScores(5, 'all', difficulty).then(scores => {
             const leaderboardList = document.getElementById('leaderboard-list');
             if (!leaderboardList) return;
             
@@ -597,6 +647,47 @@ function viewLeaderboard() {
     }
 }
 
+/**
+ * Plays back the most recent run
+ */
+function watchReplay() {
+    try {
+        const replay = getLastReplay();
+        if (!replay) {
+            console.warn('No replay available to watch');
+            return;
+        }
+        
+        // Get the current scene
+        const currentScene = gameInstance.scene.getScenes(true)[0];
+        
+        // Go to replay scene
+        currentScene.scene.start('ReplayScene', { replay: replay });
+    } catch (error) {
+        console.error('Error starting replay:', error);
+    }
+}
+
+/**
+ * Starts a run against the personal best ghost on the course it was recorded on
+ */
+function raceBest() {
+    try {
+        if (!raceBestData) {
+            console.warn('No personal best ghost available to race');
+            return;
+        }
+        
+        // Get the current scene
+        const currentScene = gameInstance.scene.getScenes(true)[0];
+        
+        // Seeding the run with the ghost's course is what brings the ghost along
+        currentScene.scene.start('GameScene', raceBestData);
+    } catch (error) {
+        console.error('Error starting personal best race:', error);
+    }
+}
+
 /**
  * Enhanced game scene transition with proper cleanup
  * @param {string} fromScene - Current scene key
@@ -744,6 +835,22 @@ function cleanupGameScenes() {
 
 // Call this function when switching major scenes
 window.addEventListener('click', function() {
+    // Leave runs alone, clicks there are gameplay input or pause menu buttons
+    if (isRunInProgress()) return;
+    
     // This helps clear any stuck input blockers
     setTimeout(cleanupGameScenes, 100);
-});
\ No newline at end of file
+});
+
+/**
+ * Check whether a run (live, replay or paused) is in progress
+ * @returns {boolean} True if a gameplay scene is running or paused
+ */
+function isRunInProgress() {
+    if (!gameInstance || !gameInstance.scene) return false;
+    
+    return ['GameScene', 'ReplayScene', 'PauseScene'].some(key => {
+        const scene = gameInstance.scene.getScene(key);
+        return scene && (scene.scene.isActive() || scene.scene.isPaused());
+    });
+}
\ No newline at end of file
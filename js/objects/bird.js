@@ -24,6 +24,18 @@ class Bird extends Phaser.Physics.Arcade.Sprite {
         
         // Set properties from config
         this.flightPower = config.flightPower || 1.0;
+        this.flapVelocity = config.flapVelocity || CONFIG.BIRD_FLAP_VELOCITY;
+        this.gravityScale = config.gravityScale || 1.0;
+        this.maxFallSpeed = config.maxFallSpeed || CONFIG.BIRD_MAX_FALL_SPEED;
+        this.hitboxScale = config.hitboxScale || CONFIG.BIRD_COLLIDER_REDUCTION;
+        this.powerUpDuration = config.powerUpDuration || 1.0;
+        this.fireballRate = config.fireballRate || CONFIG.FIREBALL_RATE;
+        
+        // Permanent upgrades bought in the shop (see UPGRADES)
+        const upgrades = config.upgrades || {};
+        this.fireballRate *= 1 - getUpgradeBonus('fireball-rate', upgrades);
+        this.fireballPierce = getUpgradeBonus('piercing-fireballs', upgrades);
+        this.magnetRadius = getUpgradeBonus('star-magnet', upgrades);
         this.isInvulnerable = false;
         this.isBig = false;
         this.isShooting = false;
@@ -31,13 +43,39 @@ class Bird extends Phaser.Physics.Arcade.Sprite {
         // Bird state
         this.isDead = false;
         
+        // Brief hit immunity after losing a life or the mushroom
+        this.isRecovering = false;
+        this.recoveryTimer = null;
+        this.recoveryBlinkTween = null;
+        
+        // Character ability (see CONFIG.CHARACTERS), timed by the run clock in update()
+        this.ability = config.ability || null;
+        this.abilityCooldown = 0;
+        this.abilityTimeLeft = 0;
+        this.isDashing = false;
+        this.isGliding = false;
+        this.isPhasing = false;
+        this.hasShield = false;
+        this.shieldBubble = null;
+        
+        // Power-ups that don't need their own tweens keep their timers in here (see startPowerUpTimer)
+        this.powerUpTimers = {};
+        this.isShieldPowerUp = false;
+        this.isMagnetized = false;
+        this.magnetField = null;
+        this.isSlowMotion = false;
+        this.isMini = false;
+        
+        // Intensity of power-ups collected again under the 'stack' rule (see CONFIG.POWERUP_STACKING)
+        this.powerUpStacks = {};
+        
         // Configure physics body
         this.setCollideWorldBounds(true);
-        this.body.setGravityY(CONFIG.GRAVITY);
+        this.body.setGravityY((config.gravity || CONFIG.GRAVITY) * this.gravityScale);
         
         // Set smaller collision body for better gameplay
-        const bodyWidth = this.width * CONFIG.BIRD_COLLIDER_REDUCTION;
-        const bodyHeight = this.height * CONFIG.BIRD_COLLIDER_REDUCTION;
+        const bodyWidth = this.width * this.hitboxScale;
+        const bodyHeight = this.height * this.hitboxScale;
         this.body.setSize(bodyWidth, bodyHeight);
         this.body.setOffset(
             (this.width - bodyWidth) / 2, 
@@ -61,6 +99,18 @@ class Bird extends Phaser.Physics.Arcade.Sprite {
         this.trail = scene.add.particles('particle');
         this.trailEmitter = null;
         
+        // Cosmetics bought in the shop
+        this.skinTint = config.skinTint || null;
+        this.cosmeticTrail = null;
+        
+        if (this.skinTint) {
+            this.setTint(this.skinTint);
+        }
+        
+        if (config.trailColor) {
+            this.addCosmeticTrail(config.trailColor);
+        }
+        
         // Fireball cooldown
         this.lastFireballTime = 0;
         
@@ -111,6 +161,11 @@ class Bird extends Phaser.Physics.Arcade.Sprite {
         this.scene.events.on('powerup_mushroom', this.activateMushroom, this);
         this.scene.events.on('powerup_flower', this.activateFlower, this);
         this.scene.events.on('powerup_star', this.activateInvulnerability, this);
+        this.scene.events.on('powerup_shield', this.activateShield, this);
+        this.scene.events.on('powerup_magnet', this.activateMagnet, this);
+        this.scene.events.on('powerup_slowmo', this.activateSlowMotion, this);
+        this.scene.events.on('powerup_extra_life', this.activateExtraLife, this);
+        this.scene.events.on('powerup_mini_mushroom', this.activateMiniMushroom, this);
     }
     
     /**
@@ -125,10 +180,29 @@ class Bird extends Phaser.Physics.Arcade.Sprite {
         const targetRotation = Phaser.Math.Clamp(this.body.velocity.y / 600, -0.3, 0.3);
         this.rotation = Phaser.Math.Linear(this.rotation, targetRotation, 0.1);
         
+        // Drift back to the start column after being pushed by an obstacle (e.g. a crumbling brick)
+        // or after a dash
+        if (this.isDashing) {
+            this.body.setVelocityX(this.ability.speed);
+        } else {
+            this.body.setVelocityX((CONFIG.BIRD_START_X - this.x) * 2);
+        }
+        
+        this.updateAbility(delta);
+        
+        // Heavier birds are allowed to fall faster
+        if (this.body.velocity.y > this.maxFallSpeed) {
+            this.body.setVelocityY(this.maxFallSpeed);
+        }
+        
         // Update trail effect if active
         if (this.trailEmitter && this.active) {
             this.trailEmitter.setPosition(this.x - this.width / 2, this.y);
         }
+        
+        if (this.magnetField) {
+            this.magnetField.setPosition(this.x, this.y);
+        }
     }
     
     /**
@@ -138,7 +212,7 @@ class Bird extends Phaser.Physics.Arcade.Sprite {
         if (this.isDead || !this.active) return;
         
         // Apply upward velocity
-        const flapPower = CONFIG.BIRD_FLAP_VELOCITY * this.flightPower;
+        const flapPower = this.flapVelocity * this.flightPower;
         this.setVelocityY(flapPower);
         
         // Play flap animation
@@ -148,16 +222,206 @@ class Bird extends Phaser.Physics.Arcade.Sprite {
         this.scene.sound.play('sfx-flap', { volume: 0.5 });
     }
     
+    /**
+     * Use the character's ability if it has recharged
+     * @returns {boolean} True if the ability was used
+     */
+    useAbility() {
+        if (this.isDead || !this.active || !this.ability || this.abilityCooldown > 0) return false;
+        
+        try {
+            // End a lasting ability that is still running before starting over
+            this.endAbility();
+            
+            switch (this.ability.id) {
+                case 'double-flap':
+                    this.setVelocityY(this.flapVelocity * this.flightPower * this.ability.power);
+                    this.play(this.flyAnim, true);
+                    this.scene.sound.play('sfx-flap', { volume: 0.8 });
+                    break;
+                
+                case 'dash':
+                    this.isDashing = true;
+                    this.setVelocityY(0);
+                    this.setTint(0xff6644);
+                    this.scene.sound.play('sfx-flap', { volume: 0.8 });
+                    break;
+                
+                case 'glide':
+                    this.isGliding = true;
+                    this.body.setAllowGravity(false);
+                    break;
+                
+                case 'phase':
+                    this.isPhasing = true;
+                    this.alpha = 0.4;
+                    break;
+                
+                case 'shield':
+                    this.addShield();
+                    this.scene.sound.play('sfx-powerup', { volume: 0.5 });
+                    break;
+                
+                case 'mini-star':
+                    this.activateInvulnerability(this.ability.duration);
+                    break;
+                
+                default:
+                    console.warn('Unknown ability:', this.ability.id);
+                    return false;
+            }
+            
+            this.abilityCooldown = this.ability.cooldown;
+            this.abilityTimeLeft = this.ability.duration || 0;
+            
+            return true;
+        } catch (error) {
+            console.error('Error in useAbility:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Count down the ability's cooldown and duration
+     * @param {number} delta - Time since last update
+     */
+    updateAbility(delta) {
+        if (!this.ability) return;
+        
+        this.abilityCooldown = Math.max(0, this.abilityCooldown - delta);
+        
+        if (this.abilityTimeLeft > 0) {
+            this.abilityTimeLeft -= delta;
+            
+            if (this.abilityTimeLeft <= 0) {
+                this.endAbility();
+            }
+        }
+        
+        // Gliding falls at half gravity and never faster than the ability's maxFallSpeed
+        if (this.isGliding) {
+            this.body.setVelocityY(Math.min(this.body.velocity.y + this.body.gravity.y * delta / 2000, this.ability.maxFallSpeed));
+        }
+        
+        if (this.shieldBubble) {
+            this.shieldBubble.setPosition(this.x, this.y);
+        }
+    }
+    
+    /**
+     * End whatever the ability is still doing (the star keeps its own timers)
+     */
+    endAbility() {
+        try {
+            this.abilityTimeLeft = 0;
+            
+            if (this.isDashing) {
+                this.isDashing = false;
+                if (this.active && !this.isDead) this.clearTint();
+            }
+            
+            if (this.isGliding) {
+                this.isGliding = false;
+                if (this.body) this.body.setAllowGravity(true);
+            }
+            
+            if (this.isPhasing) {
+                this.isPhasing = false;
+                if (this.active) this.alpha = 1;
+            }
+            
+            // A shield from the power-up outlasts the ability
+            if (this.hasShield && !this.isShieldPowerUp) {
+                this.removeShield();
+            }
+        } catch (error) {
+            console.error('Error in endAbility:', error);
+        }
+    }
+    
+    /**
+     * Put a shield bubble around the bird (the green bird's ability or the shield power-up)
+     */
+    addShield() {
+        this.hasShield = true;
+        
+        if (!this.shieldBubble) {
+            this.shieldBubble = this.scene.add.circle(this.x, this.y, this.displayWidth, 0x66ccff, 0.25)
+                .setStrokeStyle(2, 0x99ddff)
+                .setDepth(this.depth + 1);
+            
+            // Emit event so game scene knows state changed
+            this.emit('powerup-state-changed', { type: 'shield', active: true });
+        }
+    }
+    
+    /**
+     * Remove the shield bubble, whichever gave it
+     */
+    removeShield() {
+        this.hasShield = false;
+        this.isShieldPowerUp = false;
+        
+        if (this.shieldBubble) {
+            this.shieldBubble.destroy();
+            this.shieldBubble = null;
+            
+            this.emit('powerup-state-changed', { type: 'shield', active: false });
+        }
+    }
+    
+    /**
+     * Pop the shield bubble after it absorbed a hit
+     */
+    breakShield() {
+        if (!this.hasShield) return;
+        
+        try {
+            if (this.scene.addDestructionEffect) {
+                this.scene.addDestructionEffect(this.x, this.y);
+            }
+            
+            this.removeShield();
+            
+            // Same grace period as losing the mushroom
+            this.activateRecovery();
+        } catch (error) {
+            console.error('Error in breakShield:', error);
+        }
+    }
+    
+    /**
+     * Get how far the ability has recharged, for the HUD meter
+     * @returns {number} 0 right after use, 1 when ready
+     */
+    getAbilityCharge() {
+        if (!this.ability) return 0;
+        
+        return 1 - this.abilityCooldown / this.ability.cooldown;
+    }
+    
     /**
      * Activate mushroom power-up (size increase)
      * FIX: Added active checks and improved cleanup
+     * @param {number} durationScale - Duration multiplier from the mushroom's value
      */
-    activateMushroom() {
+    activateMushroom(durationScale = 1) {
         if (!this.active) return;
         
         try {
-            // Already big, just reset the timer
+            // A real mushroom undoes the mini mushroom (the grow effect below restores the size)
+            if (this.isMini) {
+                this.resetPowerUpTimers('mini');
+                this.isMini = false;
+                this.emit('powerup-state-changed', { type: 'mini', active: false });
+            }
+            
+            // Timer for power-up duration (scaled by the character's stats and upgrades)
+            let duration = CONFIG.MUSHROOM_DURATION * this.powerUpDuration * durationScale;
+            
+            // Already big, apply the stacking rule to the running timer
             if (this.isBig) {
+                duration = this.getStackedDuration('mushroom', duration, this.mushroomTimer);
                 this.resetMushroomTimers();
             } else {
                 // Become big
@@ -174,8 +438,7 @@ class Bird extends Phaser.Physics.Arcade.Sprite {
                 this.emit('powerup-state-changed', { type: 'mushroom', active: true });
             }
             
-            // Set timer for power-up duration
-            this.mushroomTimer = this.scene.time.delayedCall(CONFIG.MUSHROOM_DURATION, () => {
+            this.mushroomTimer = this.scene.time.delayedCall(duration, () => {
                 if (!this.active) return;
                 
                 // Return to normal size
@@ -200,7 +463,7 @@ class Bird extends Phaser.Physics.Arcade.Sprite {
             }, [], this);
             
             // Set timer for blinking warning (1 second before expiration)
-            this.mushroomBlinkTimer = this.scene.time.delayedCall(CONFIG.MUSHROOM_DURATION - 1000, () => {
+            this.mushroomBlinkTimer = this.scene.time.delayedCall(duration - 1000, () => {
                 if (!this.active) return;
                 
                 // Start blinking effect
@@ -249,8 +512,12 @@ class Bird extends Phaser.Physics.Arcade.Sprite {
         if (!this.active) return;
         
         try {
-            // Already shooting, just reset the timer
+            // Timer for power-up duration (scaled by the character's stats)
+            let duration = CONFIG.FLOWER_DURATION * this.powerUpDuration;
+            
+            // Already shooting, apply the stacking rule to the running timer
             if (this.isShooting) {
+                duration = this.getStackedDuration('flower', duration, this.flowerTimer);
                 this.resetFlowerTimers();
             } else {
                 // Enable shooting
@@ -266,12 +533,12 @@ class Bird extends Phaser.Physics.Arcade.Sprite {
                 this.emit('powerup-state-changed', { type: 'flower', active: true });
             }
             
-            // Set timer for power-up duration
-            this.flowerTimer = this.scene.time.delayedCall(CONFIG.FLOWER_DURATION, () => {
+            this.flowerTimer = this.scene.time.delayedCall(duration, () => {
                 if (!this.active) return;
                 
                 // Disable shooting
                 this.isShooting = false;
+                delete this.powerUpStacks.flower;
                 
                 // Remove glow effect
                 this.removeGlowEffect();
@@ -291,7 +558,7 @@ class Bird extends Phaser.Physics.Arcade.Sprite {
             }, [], this);
             
             // Set timer for blinking warning (1 second before expiration)
-            this.flowerBlinkTimer = this.scene.time.delayedCall(CONFIG.FLOWER_DURATION - 1000, () => {
+            this.flowerBlinkTimer = this.scene.time.delayedCall(duration - 1000, () => {
                 if (!this.active) return;
                 
                 // Start blinking effect
@@ -335,13 +602,15 @@ class Bird extends Phaser.Physics.Arcade.Sprite {
     /**
      * Activate star power-up (invulnerability)
      * FIX: Added active checks and improved cleanup
+     * @param {number} duration - Time in ms (the rainbow bird's mini star is shorter)
      */
-    activateInvulnerability() {
+    activateInvulnerability(duration = 10000) {
         if (!this.active) return;
         
         try {
-            // Already invulnerable, just reset the timer
+            // Already invulnerable, apply the stacking rule to the running timer
             if (this.isInvulnerable) {
+                duration = this.getStackedDuration('star', duration, this.invulnerabilityTimer);
                 this.resetInvulnerabilityTimers();
             } else {
                 // Become invulnerable
@@ -358,7 +627,7 @@ class Bird extends Phaser.Physics.Arcade.Sprite {
             }
             
             // Set timer for power-up duration
-            this.invulnerabilityTimer = this.scene.time.delayedCall(10000, () => {
+            this.invulnerabilityTimer = this.scene.time.delayedCall(duration, () => {
                 if (!this.active) return;
                 
                 // Disable invulnerability
@@ -381,20 +650,11 @@ class Bird extends Phaser.Physics.Arcade.Sprite {
             }, [], this);
             
             // Set timer for blinking warning (1 second before expiration)
-            this.invulnerabilityBlinkTimer = this.scene.time.delayedCall(9000, () => { // 10000 - 1000 = 9000
+            this.invulnerabilityBlinkTimer = this.scene.time.delayedCall(duration - 1000, () => {
                 if (!this.active) return;
                 
                 // Start more intense blinking effect
-                this.invulnerabilityBlinkTween = this.scene.tweens.add({
-                    targets: this,
-                    alpha: 0.3,
-                    duration: 100,
-                    yoyo: true,
-                    repeat: 9, // 10 blinks in 1 second
-                    onComplete: () => {
-                        if (this.active) this.alpha = 1; // Reset alpha when done
-                    }
-                });
+                this.invulnerabilityBlinkTween = this.startBlink(9); // 10 blinks
             }, [], this);
         } catch (error) {
             console.error('Error in activateInvulnerability:', error);
@@ -427,6 +687,432 @@ class Bird extends Phaser.Physics.Arcade.Sprite {
         }
     }
     
+    /**
+     * Apply a power-up's stacking rule when it is collected while still running
+     * @param {string} type - Power-up type (key in CONFIG.POWERUP_STACKING)
+     * @param {number} duration - Full duration in ms
+     * @param {Phaser.Time.TimerEvent} timer - The power-up's running timer
+     * @returns {number} Duration for the new timer
+     */
+    getStackedDuration(type, duration, timer) {
+        const rule = CONFIG.POWERUP_STACKING[type] || 'refresh';
+        const maxStacks = CONFIG.POWERUP_MAX_STACKS;
+        const remaining = timer ? timer.getRemaining() : 0;
+        
+        switch (rule) {
+            case 'extend':
+                return Math.min(remaining + duration, duration * maxStacks);
+            
+            case 'stack':
+                this.powerUpStacks[type] = Math.min((this.powerUpStacks[type] || 1) + 1, maxStacks);
+                return Math.max(remaining, duration);
+            
+            default:
+                // A shorter one (the rainbow bird's mini star) never cuts a longer one short
+                return Math.max(remaining, duration);
+        }
+    }
+    
+    /**
+     * Get the time between fireballs, shorter for stacked flowers
+     * @returns {number} Time in ms
+     */
+    getFireballRate() {
+        return this.fireballRate / (this.powerUpStacks.flower || 1);
+    }
+    
+    /**
+     * Get how far the magnet power-up pulls coins from, further for stacked magnets
+     * @returns {number} Radius in pixels
+     */
+    getCoinMagnetRadius() {
+        return CONFIG.MAGNET_RADIUS * (this.powerUpStacks.magnet || 1);
+    }
+    
+    /**
+     * Get the active power-ups for the HUD, read from their running timers
+     * @returns {Array<Object>} { type, remaining, duration, stacks } with times in ms (0 for the
+     *     shield, which lasts until it's hit)
+     */
+    getActivePowerUps() {
+        const timers = [
+            { type: 'mushroom', active: this.isBig, timer: this.mushroomTimer },
+            { type: 'flower', active: this.isShooting, timer: this.flowerTimer },
+            { type: 'star', active: this.isInvulnerable, timer: this.invulnerabilityTimer },
+            { type: 'shield', active: this.hasShield, timer: null },
+            { type: 'magnet', active: this.isMagnetized, timer: this.getPowerUpTimer('magnet') },
+            { type: 'slowmo', active: this.isSlowMotion, timer: this.getPowerUpTimer('slowmo') },
+            { type: 'mini', active: this.isMini, timer: this.getPowerUpTimer('mini') }
+        ];
+        
+        return timers
+            .filter(powerUp => powerUp.active)
+            .map(powerUp => ({
+                type: powerUp.type,
+                remaining: powerUp.timer ? powerUp.timer.getRemaining() : 0,
+                duration: powerUp.timer ? powerUp.timer.delay : 0,
+                stacks: this.powerUpStacks[powerUp.type] || 1
+            }));
+    }
+    
+    /**
+     * Get the running timer of a power-up started with startPowerUpTimer
+     * @param {string} key - Power-up key in this.powerUpTimers
+     * @returns {Phaser.Time.TimerEvent|null} The timer, or null if the power-up isn't running
+     */
+    getPowerUpTimer(key) {
+        return this.powerUpTimers[key] ? this.powerUpTimers[key].timer : null;
+    }
+    
+    /**
+     * Time a power-up that has no tweens of its own, blinking the bird for its last second
+     * @param {string} key - Power-up key in this.powerUpTimers
+     * @param {number} duration - Time in ms
+     * @param {Function} onExpire - Called when the time is up
+     */
+    startPowerUpTimer(key, duration, onExpire) {
+        this.resetPowerUpTimers(key);
+        
+        const timers = {
+            timer: this.scene.time.delayedCall(duration, () => {
+                if (!this.active) return;
+                
+                this.resetPowerUpTimers(key);
+                this.alpha = 1;
+                onExpire.call(this);
+            }, [], this),
+            blinkTimer: this.scene.time.delayedCall(Math.max(0, duration - 1000), () => {
+                if (!this.active) return;
+                
+                timers.blinkTween = this.startBlink(4); // 5 slow-ish blinks
+            }, [], this),
+            blinkTween: null
+        };
+        
+        this.powerUpTimers[key] = timers;
+    }
+    
+    /**
+     * Stop the timers of a power-up started with startPowerUpTimer
+     * @param {string} key - Power-up key in this.powerUpTimers
+     */
+    resetPowerUpTimers(key) {
+        const timers = this.powerUpTimers[key];
+        if (!timers) return;
+        
+        timers.timer.remove();
+        timers.blinkTimer.remove();
+        
+        if (timers.blinkTween) {
+            timers.blinkTween.stop();
+        }
+        
+        delete this.powerUpTimers[key];
+    }
+    
+    /**
+     * Activate shield power-up (a bubble that absorbs one hit, however long that takes)
+     */
+    activateShield() {
+        if (!this.active) return;
+        
+        try {
+            this.isShieldPowerUp = true;
+            this.addShield();
+            
+            this.scene.sound.play('sfx-powerup', { volume: 0.7 });
+        } catch (error) {
+            console.error('Error in activateShield:', error);
+        }
+    }
+    
+    /**
+     * Activate magnet power-up (coins nearby fly to the bird, see GameScene.updatePowerUps)
+     */
+    activateMagnet() {
+        if (!this.active) return;
+        
+        try {
+            let duration = CONFIG.MAGNET_DURATION * this.powerUpDuration;
+            
+            if (this.isMagnetized) {
+                duration = this.getStackedDuration('magnet', duration, this.getPowerUpTimer('magnet'));
+                
+                if (this.magnetField) {
+                    this.magnetField.setRadius(this.getCoinMagnetRadius());
+                }
+            } else {
+                this.isMagnetized = true;
+                
+                // Faint ring showing the pull radius
+                this.magnetField = this.scene.add.circle(this.x, this.y, CONFIG.MAGNET_RADIUS)
+                    .setStrokeStyle(2, 0xff4444, 0.3)
+                    .setDepth(this.depth - 1);
+                
+                this.scene.sound.play('sfx-powerup', { volume: 0.7 });
+                
+                // Emit event so game scene knows state changed
+                this.emit('powerup-state-changed', { type: 'magnet', active: true });
+            }
+            
+            this.startPowerUpTimer('magnet', duration, this.endMagnet);
+        } catch (error) {
+            console.error('Error in activateMagnet:', error);
+        }
+    }
+    
+    /**
+     * Stop pulling in coins
+     */
+    endMagnet() {
+        this.resetPowerUpTimers('magnet');
+        
+        if (this.magnetField) {
+            this.magnetField.destroy();
+            this.magnetField = null;
+        }
+        
+        delete this.powerUpStacks.magnet;
+        
+        if (this.isMagnetized) {
+            this.isMagnetized = false;
+            this.emit('powerup-state-changed', { type: 'magnet', active: false });
+        }
+    }
+    
+    /**
+     * Activate slow-motion power-up (the scene's run clock slows down, see GameScene.installRunClock)
+     */
+    activateSlowMotion() {
+        if (!this.active) return;
+        
+        try {
+            // The timer runs on the slowed clock, so scale it to last SLOW_MOTION_DURATION for the player
+            let duration = CONFIG.SLOW_MOTION_DURATION * this.powerUpDuration * CONFIG.SLOW_MOTION_SCALE;
+            
+            if (this.isSlowMotion) {
+                duration = this.getStackedDuration('slowmo', duration, this.getPowerUpTimer('slowmo'));
+            } else {
+                this.isSlowMotion = true;
+                
+                this.scene.sound.play('sfx-powerup', { volume: 0.7 });
+                
+                // Emit event so game scene knows state changed
+                this.emit('powerup-state-changed', { type: 'slowmo', active: true });
+            }
+            
+            this.startPowerUpTimer('slowmo', duration, this.endSlowMotion);
+        } catch (error) {
+            console.error('Error in activateSlowMotion:', error);
+        }
+    }
+    
+    /**
+     * Go back to normal speed
+     */
+    endSlowMotion() {
+        this.resetPowerUpTimers('slowmo');
+        
+        if (this.isSlowMotion) {
+            this.isSlowMotion = false;
+            this.emit('powerup-state-changed', { type: 'slowmo', active: false });
+        }
+    }
+    
+    /**
+     * Show the 1-up (the scene adds the life itself)
+     */
+    activateExtraLife() {
+        if (!this.active) return;
+        
+        try {
+            this.scene.sound.play('sfx-levelup', { volume: 0.7 });
+            
+            const text = this.scene.add.text(this.x, this.y - 30, '1UP', {
+                fontFamily: 'Arial',
+                fontSize: '22px',
+                color: '#44ff44',
+                stroke: '#000000',
+                strokeThickness: 4
+            }).setOrigin(0.5).setDepth(this.depth + 1);
+            
+            // Float up and fade out
+            this.scene.tweens.add({
+                targets: text,
+                y: text.y - 40,
+                alpha: 0,
+                duration: 1000,
+                onComplete: () => {
+                    text.destroy();
+                }
+            });
+        } catch (error) {
+            console.error('Error in activateExtraLife:', error);
+        }
+    }
+    
+    /**
+     * Activate mini mushroom power-up (a smaller bird with a smaller hitbox)
+     */
+    activateMiniMushroom() {
+        if (!this.active) return;
+        
+        try {
+            // Shrinking takes the mushroom away
+            if (this.isBig) {
+                this.resetMushroomTimers();
+                this.isBig = false;
+                this.emit('powerup-state-changed', { type: 'mushroom', active: false });
+            }
+            
+            let duration = CONFIG.MINI_MUSHROOM_DURATION * this.powerUpDuration;
+            
+            if (this.isMini) {
+                duration = this.getStackedDuration('mini', duration, this.getPowerUpTimer('mini'));
+            } else {
+                this.isMini = true;
+                
+                if (this.growTween) {
+                    this.growTween.stop();
+                    this.growTween = null;
+                }
+                
+                // The physics body scales with the sprite
+                this.scene.tweens.add({
+                    targets: this,
+                    scale: CONFIG.MINI_MUSHROOM_SCALE,
+                    duration: 300,
+                    ease: 'Back.easeIn'
+                });
+                
+                this.scene.sound.play('sfx-powerup', { volume: 0.7 });
+                
+                // Emit event so game scene knows state changed
+                this.emit('powerup-state-changed', { type: 'mini', active: true });
+            }
+            
+            this.startPowerUpTimer('mini', duration, this.endMiniMushroom);
+        } catch (error) {
+            console.error('Error in activateMiniMushroom:', error);
+        }
+    }
+    
+    /**
+     * Grow back to normal size after the mini mushroom
+     */
+    endMiniMushroom() {
+        this.resetPowerUpTimers('mini');
+        
+        if (this.isMini) {
+            this.isMini = false;
+            this.addShrinkEffect();
+            this.emit('powerup-state-changed', { type: 'mini', active: false });
+        }
+    }
+    
+    /**
+     * Blink the bird (each blink takes 200ms)
+     * @param {number} repeat - Number of blinks after the first
+     * @returns {Phaser.Tweens.Tween} The blink tween
+     */
+    startBlink(repeat) {
+        return this.scene.tweens.add({
+            targets: this,
+            alpha: 0.3,
+            duration: 100,
+            yoyo: true,
+            repeat: repeat,
+            onComplete: () => {
+                if (this.active) this.alpha = 1; // Reset alpha when done
+            }
+        });
+    }
+    
+    /**
+     * Ignore hits for a short time after being damaged
+     * @param {number} duration - Recovery time in ms
+     */
+    activateRecovery(duration = CONFIG.HIT_RECOVERY_DURATION) {
+        if (!this.active) return;
+        
+        try {
+            this.resetRecoveryTimers();
+            this.isRecovering = true;
+            
+            // Same blink as the star's expiry warning
+            this.recoveryBlinkTween = this.startBlink(Math.max(0, Math.round(duration / 200) - 1));
+            
+            this.recoveryTimer = this.scene.time.delayedCall(duration, () => {
+                if (!this.active) return;
+                
+                this.isRecovering = false;
+                this.recoveryBlinkTween = null;
+                this.alpha = 1;
+            }, [], this);
+        } catch (error) {
+            console.error('Error in activateRecovery:', error);
+        }
+    }
+    
+    /**
+     * Reset recovery timers
+     */
+    resetRecoveryTimers() {
+        if (this.recoveryTimer) {
+            this.recoveryTimer.remove();
+            this.recoveryTimer = null;
+        }
+        
+        if (this.recoveryBlinkTween) {
+            this.recoveryBlinkTween.stop();
+            this.recoveryBlinkTween = null;
+        }
+    }
+    
+    /**
+     * Lose the mushroom instead of a life when hit while big
+     */
+    shrink() {
+        if (!this.active || !this.isBig) return;
+        
+        try {
+            // Drop back to normal size
+            this.resetMushroomTimers();
+            this.isBig = false;
+            this.alpha = 1;
+            
+            this.addShrinkEffect();
+            
+            // Emit event so game scene knows state changed
+            this.emit('powerup-state-changed', { type: 'mushroom', active: false });
+            
+            this.activateRecovery();
+        } catch (error) {
+            console.error('Error in shrink:', error);
+        }
+    }
+    
+    /**
+     * Put the bird back at its start position after losing a life
+     */
+    respawn() {
+        if (this.isDead || !this.active) return;
+        
+        try {
+            this.setPosition(CONFIG.BIRD_START_X, CONFIG.BIRD_START_Y);
+            this.setVelocity(0, 0);
+            this.rotation = 0;
+            
+            this.play(this.flyAnim, true);
+            this.endAbility();
+            
+            // Pass through whatever is on screen while the player gets their bearings
+            this.activateRecovery();
+        } catch (error) {
+            console.error('Error in respawn:', error);
+        }
+    }
+    
     /**
      * Make the bird die
      * FIX: Added active check
@@ -473,6 +1159,7 @@ class Bird extends Phaser.Physics.Arcade.Sprite {
             // Clear flower power-up
             this.resetFlowerTimers();
             this.isShooting = false;
+            this.powerUpStacks = {};
             this.removeGlowEffect();
             
             // Clear star power-up
@@ -480,6 +1167,20 @@ class Bird extends Phaser.Physics.Arcade.Sprite {
             this.isInvulnerable = false;
             this.removeStarEffect();
             
+            // Clear the shield, magnet, slow-motion and mini mushroom power-ups
+            this.removeShield();
+            this.endMagnet();
+            this.endSlowMotion();
+            this.resetPowerUpTimers('mini');
+            this.isMini = false;
+            
+            // Clear hit recovery
+            this.resetRecoveryTimers();
+            this.isRecovering = false;
+            
+            // Stop a running ability
+            this.endAbility();
+            
             // Make sure alpha and tint are reset
             if (this.active) {
                 this.alpha = 1;
@@ -719,6 +1420,45 @@ class Bird extends Phaser.Physics.Arcade.Sprite {
         }
     }
     
+    /**
+     * Go back to the shop skin (or no tint) when a power-up effect clears its tint
+     * @returns {this} This bird
+     */
+    clearTint() {
+        super.clearTint();
+        
+        if (this.skinTint) {
+            this.setTint(this.skinTint);
+        }
+        
+        return this;
+    }
+    
+    /**
+     * Add the trail bought in the shop
+     * Uses its own particle manager since the star effect replaces this.trail
+     * @param {number} color - Particle color
+     */
+    addCosmeticTrail(color) {
+        try {
+            this.cosmeticTrail = this.scene.add.particles('particle');
+            
+            const emitter = this.cosmeticTrail.createEmitter({
+                speed: { min: 5, max: 20 },
+                angle: { min: 160, max: 200 },
+                scale: { start: 0.3, end: 0 },
+                alpha: { start: 0.8, end: 0 },
+                lifespan: 400,
+                frequency: 40,
+                tint: color
+            });
+            
+            emitter.startFollow(this, -this.width / 2, 0);
+        } catch (error) {
+            console.error('Error in addCosmeticTrail:', error);
+        }
+    }
+    
     /**
      * Add death effect when bird dies
      */
@@ -760,7 +1500,7 @@ class Bird extends Phaser.Physics.Arcade.Sprite {
         try {
             // Implement cooldown to prevent too many fireballs
             const currentTime = this.scene.time.now;
-            if (currentTime - this.lastFireballTime < CONFIG.FIREBALL_RATE) {
+            if (currentTime - this.lastFireballTime < this.getFireballRate()) {
                 return null;
             }
             
@@ -773,8 +1513,9 @@ class Bird extends Phaser.Physics.Arcade.Sprite {
                 return null;
             }
             
-            // Create fireball with proper physics setup
-            const fireball = this.scene.fireballs.create(
+            // Take a fireball from the pool
+            const fireball = spawnProjectile(
+                this.scene.fireballs,
                 this.x + this.width / 2,
                 this.y,
                 'fireball'
@@ -796,18 +1537,18 @@ class Bird extends Phaser.Physics.Arcade.Sprite {
             fireball.isFireball = true;
             fireball.ownerBird = this;
             fireball.birthTime = currentTime;
+            fireball.pierceLeft = this.fireballPierce;
+            fireball.hitTargets = [];
             
             // Play sound
             this.scene.sound.play('sfx-fireball', { volume: 0.5 });
             
-            // Add a safer cleanup timer using Phaser's timer system
-            this.scene.time.addEvent({
+            // Add a safer cleanup timer using Phaser's timer system (removed if the fireball is recycled first)
+            fireball.lifeTimer = this.scene.time.addEvent({
                 delay: 5000,
                 callback: () => {
-                    if (fireball && fireball.active && !fireball.destroyed) {
-                        fireball.destroyed = true;
-                        fireball.destroy();
-                    }
+                    fireball.lifeTimer = null;
+                    recycleProjectile(fireball);
                 },
                 callbackScope: this
             });
@@ -852,10 +1593,16 @@ class Bird extends Phaser.Physics.Arcade.Sprite {
                 this.glow = null;
             }
             
+            if (this.cosmeticTrail) {
+                this.cosmeticTrail.destroy();
+                this.cosmeticTrail = null;
+            }
+            
             // Clean up tweens
             if (this.mushroomBlinkTween) this.mushroomBlinkTween.stop();
             if (this.flowerBlinkTween) this.flowerBlinkTween.stop();
             if (this.invulnerabilityBlinkTween) this.invulnerabilityBlinkTween.stop();
+            if (this.recoveryBlinkTween) this.recoveryBlinkTween.stop();
             if (this.growTween) this.growTween.stop();
             if (this.glowTween) this.glowTween.stop();
             
@@ -863,6 +1610,11 @@ class Bird extends Phaser.Physics.Arcade.Sprite {
             this.scene.events.off('powerup_mushroom', this.activateMushroom, this);
             this.scene.events.off('powerup_flower', this.activateFlower, this);
             this.scene.events.off('powerup_star', this.activateInvulnerability, this);
+            this.scene.events.off('powerup_shield', this.activateShield, this);
+            this.scene.events.off('powerup_magnet', this.activateMagnet, this);
+            this.scene.events.off('powerup_slowmo', this.activateSlowMotion, this);
+            this.scene.events.off('powerup_extra_life', this.activateExtraLife, this);
+            this.scene.events.off('powerup_mini_mushroom', this.activateMiniMushroom, this);
             
             // Reset all states
             this.isBig = false;
@@ -0,0 +1,254 @@
+/**
+ * Boss Class
+ * A large enemy fought at the end of every few levels. It flies in, switches
+ * attack phases as it loses health and can only be hurt through its weak point
+ */
+
+// X position the boss settles at after entering
+const BOSS_FIGHT_X = CONFIG.GAME_WIDTH - 130;
+
+// Speed the boss flies in at in px/s
+const BOSS_ENTRY_SPEED = 150;
+
+// Time between shots of a volley in ms
+const BOSS_VOLLEY_INTERVAL = 200;
+
+// Immunity after taking a hit so a single stomp doesn't count twice
+const BOSS_HIT_COOLDOWN = 500;
+
+class Boss extends Enemy {
+    /**
+     * Create a new boss
+     * @param {Phaser.Scene} scene - The scene the boss belongs to
+     * @param {Object} bossData - Boss definition from BOSSES
+     * @param {number} bonusHealth - Extra health on top of the definition
+     */
+    constructor(scene, bossData, bonusHealth = 0) {
+        super(scene, CONFIG.GAME_WIDTH + 100, CONFIG.GAME_HEIGHT / 2, bossData.texture, {
+            type: 'boss',
+            health: bossData.health + bonusHealth
+        });
+        
+        this.bossData = bossData;
+        this.name = bossData.name;
+        this.maxHealth = this.health;
+        
+        // 'entering' until it reaches its fight position, then 'fighting'
+        this.state = 'entering';
+        this.phaseIndex = 0;
+        this.attackTime = 0;
+        this.volleyShotsLeft = 0;
+        this.volleyTime = 0;
+        this.hitCooldown = 0;
+        this.sweepDirection = 1;
+        
+        this.setScale(bossData.scale);
+        this.setTint(bossData.tint);
+        this.body.setImmovable(true);
+        
+        // Glowing weak point on top of the boss
+        this.weakPoint = scene.physics.add.image(this.x, this.y, 'particle')
+            .setTint(0xff3333)
+            .setScale(1.5);
+        this.weakPoint.body.allowGravity = false;
+        this.weakPoint.boss = this;
+        
+        this.weakPointTween = scene.tweens.add({
+            targets: this.weakPoint,
+            scaleX: 2,
+            scaleY: 2,
+            duration: 400,
+            yoyo: true,
+            repeat: -1
+        });
+        
+        this.updateWeakPoint();
+    }
+    
+    /**
+     * Get the active attack phase
+     * @returns {Object} Phase definition
+     */
+    getPhase() {
+        return this.bossData.phases[this.phaseIndex];
+    }
+    
+    /**
+     * Update the boss, driven by the run clock
+     * @param {number} time - Current time
+     * @param {number} delta - Time since last update
+     */
+    update(time, delta) {
+        if (!this.active || this.destroyed) return;
+        
+        try {
+            this.hitCooldown = Math.max(0, this.hitCooldown - delta);
+            
+            if (this.state === 'entering') {
+                this.x = Math.max(BOSS_FIGHT_X, this.x - BOSS_ENTRY_SPEED * delta / 1000);
+                
+                if (this.x === BOSS_FIGHT_X) {
+                    this.state = 'fighting';
+                    this.baseY = this.y;
+                    this.moveTime = 0;
+                }
+            } else {
+                this.moveTime += delta;
+                this.applyPhaseMovement(delta);
+                this.updateAttacks(delta);
+            }
+            
+            this.updateWeakPoint();
+        } catch (error) {
+            console.error("Error in Boss.update:", error);
+        }
+    }
+    
+    /**
+     * Move according to the active phase
+     * @param {number} delta - Time since last update
+     */
+    applyPhaseMovement(delta) {
+        const phase = this.getPhase();
+        const minY = 50 + this.displayHeight / 2;
+        const maxY = CONFIG.GAME_HEIGHT - 50 - this.displayHeight / 2;
+        
+        switch (phase.movement) {
+            case 'sweep':
+                this.y += this.sweepDirection * phase.speed * delta / 1000;
+                
+                // Turn around at the edges of the screen
+                if (this.y <= minY || this.y >= maxY) {
+                    this.sweepDirection = this.y <= minY ? 1 : -1;
+                }
+                break;
+            
+            case 'chase': {
+                const target = this.scene.bird;
+                
+                if (target && target.active && !target.isDead) {
+                    const step = phase.speed * delta / 1000;
+                    this.y += Phaser.Math.Clamp(target.y - this.y, -step, step);
+                }
+                break;
+            }
+            
+            default:
+                // Bob gently in place
+                this.y = this.baseY + Math.sin(this.moveTime / 600) * 20;
+                break;
+        }
+        
+        this.y = Phaser.Math.Clamp(this.y, minY, maxY);
+    }
+    
+    /**
+     * Run the active phase's attack pattern
+     * @param {number} delta - Time since last update
+     */
+    updateAttacks(delta) {
+        const phase = this.getPhase();
+        
+        // Finish a volley that is in progress
+        if (this.volleyShotsLeft > 0) {
+            this.volleyTime += delta;
+            
+            if (this.volleyTime >= BOSS_VOLLEY_INTERVAL) {
+                this.volleyTime = 0;
+                this.volleyShotsLeft--;
+                this.shoot(phase.projectile);
+            }
+            return;
+        }
+        
+        this.attackTime += delta;
+        if (this.attackTime < phase.cooldown) return;
+        this.attackTime = 0;
+        
+        this.shoot(phase.projectile);
+        this.volleyShotsLeft = (phase.volley || 1) - 1;
+        this.volleyTime = 0;
+    }
+    
+    /**
+     * Keep the weak point on top of the boss
+     */
+    updateWeakPoint() {
+        if (this.weakPoint && this.weakPoint.active) {
+            this.weakPoint.setPosition(this.x, this.y - this.displayHeight / 2);
+        }
+    }
+    
+    /**
+     * Take damage through the weak point
+     * @param {number} amount - Amount of damage to take
+     * @returns {boolean} True if the boss was defeated
+     */
+    takeDamage(amount = 1) {
+        if (!this.active || this.destroyed) return false;
+        if (this.state !== 'fighting' || this.hitCooldown > 0) return false;
+        
+        this.hitCooldown = BOSS_HIT_COOLDOWN;
+        
+        const defeated = super.takeDamage(amount);
+        
+        if (!defeated) {
+            this.updatePhase();
+        }
+        
+        return defeated;
+    }
+    
+    /**
+     * Switch to the phase matching the remaining health
+     */
+    updatePhase() {
+        const fraction = this.health / this.maxHealth;
+        let phaseIndex = this.phaseIndex;
+        
+        this.bossData.phases.forEach((phase, index) => {
+            if (fraction <= phase.below) {
+                phaseIndex = index;
+            }
+        });
+        
+        if (phaseIndex === this.phaseIndex) return;
+        
+        this.phaseIndex = phaseIndex;
+        this.attackTime = 0;
+        this.volleyShotsLeft = 0;
+        this.baseY = this.y;
+        
+        // Let the player know the boss got angrier
+        this.scene.cameras.main.shake(300, 0.01);
+        this.scene.sound.play('sfx-levelup', { volume: 0.5 });
+    }
+    
+    /**
+     * Bosses aren't pooled, a defeated boss is destroyed
+     */
+    recycle() {
+        this.destroy();
+    }
+    
+    /**
+     * Clean up the weak point and any shot still being aimed with the boss
+     */
+    destroy() {
+        if (this.scene) {
+            this.cancelTelegraphs();
+        }
+        
+        if (this.weakPointTween) {
+            this.weakPointTween.stop();
+            this.weakPointTween = null;
+        }
+        
+        if (this.weakPoint) {
+            this.weakPoint.destroy();
+            this.weakPoint = null;
+        }
+        
+        super.destroy();
+    }
+}
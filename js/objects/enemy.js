@@ -1,3 +1,6 @@
+// Movement patterns enemies pick from (enemy AI actions of the same name)
+const ENEMY_MOVEMENT_PATTERNS = ['sine', 'chase', 'bounce', 'hover'];
+
 /**
  * Enemy Class
  * Represents enemies like turtles that the player must avoid or defeat
@@ -22,30 +25,110 @@ class Enemy extends Phaser.Physics.Arcade.Sprite {
         // Store reference to scene
         this.scene = scene;
         
+        this.spawn(x, y, texture, config);
+    }
+    
+    /**
+     * Set the enemy up for use, when created and again when taken from the pool
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {string} texture - The texture key to use
+     * @param {Object} config - Additional configuration
+     */
+    spawn(x, y, texture, config = {}) {
+        // Reset what the previous use (hit flashes, knock-back) left behind
+        this.setTexture(texture);
+        this.setAlpha(1);
+        this.setAngle(0);
+        this.setScale(config.scale || 1);
+        this.setFlip(false, false);
+        this.setDepth(0);
+        this.clearTint();
+        this.enableBody(true, x, y, true, true);
+        
         // Set properties from config
         this.type = config.type || 'turtle';
         this.movementPattern = config.movementPattern || 'sine';
         this.health = config.health || 1;
+        this.maxHealth = this.health;
         this.speed = config.speed || 1;
+        this.points = config.points || CONFIG.BASE_ENEMY_POINTS;
+        this.stompable = config.stompable !== false;
+        this.deathEffect = config.deathEffect || {};
         this.canShoot = config.canShoot || false;
         this.shootCooldown = config.shootCooldown || 2000;
-        this.lastShotTime = 0;
+        this.projectile = config.projectile || 'shot';
+        
+        // Types without their own sprite are told apart by a tint
+        this.baseTint = config.tint || null;
+        this.restoreTint();
         
         // Store original position for movement patterns
         this.startX = x;
         this.startY = y;
         this.moveTime = 0;
-        this.ySpeed = 0;
         this.destroyed = false;
         
+        // Used by AI actions (flocking velocity, launcher shots, kicked shells, pipes)
+        this.vx = 0;
+        this.vy = 0;
+        this.shots = 0;
+        this.kickDirection = 1;
+        this.anchor = null;
+        this.hiddenY = y;
+        this.outY = y;
+        
+        // Shots waiting out their warning line ({ timer, line })
+        this.telegraphs = [];
+        
         // Configure physics body
         this.body.allowGravity = false;
         
         // Create animations
         this.createAnimations();
         
-        // Start animation
-        this.playAnimation();
+        // Start the type's state machine (its first state starts the animation)
+        this.ai = new EnemyAI(this, config.ai || ENEMY_DEFAULT_AI);
+    }
+    
+    /**
+     * Return the enemy to its pool
+     */
+    recycle() {
+        if (!this.active) return;
+        
+        this.destroyed = true;
+        this.cancelTelegraphs();
+        this.scene.tweens.killTweensOf(this);
+        this.stop();
+        this.disableBody(true, true);
+    }
+    
+    /**
+     * Drop the shots still waiting out their warning line, so a pooled enemy that is
+     * respawned doesn't fire the previous one's shot
+     */
+    cancelTelegraphs() {
+        if (!this.telegraphs) return;
+        
+        this.telegraphs.forEach(telegraph => {
+            telegraph.timer.remove();
+            this.scene.tweens.killTweensOf(telegraph.line);
+            telegraph.line.destroy();
+        });
+        
+        this.telegraphs = [];
+    }
+    
+    /**
+     * Put the type's tint back (after a warning flash)
+     */
+    restoreTint() {
+        if (this.baseTint) {
+            this.setTint(this.baseTint);
+        } else {
+            this.clearTint();
+        }
     }
     
     /**
@@ -79,13 +162,14 @@ class Enemy extends Phaser.Physics.Arcade.Sprite {
     
     /**
      * Play the appropriate animation
+     * @param {string} animation - Animation to play (defaults to the AI state's)
      */
-    playAnimation() {
+    playAnimation(animation = this.ai && this.ai.state.animation) {
         try {
             const textureKey = this.texture.key;
             
-            // Play walk animation
-            this.play(`${textureKey}_walk`);
+            // Walking unless told otherwise
+            this.play(`${textureKey}_${animation || 'walk'}`);
         } catch (error) {
             console.error("Error in Enemy.playAnimation:", error);
         }
@@ -108,27 +192,15 @@ class Enemy extends Phaser.Physics.Arcade.Sprite {
             // Update move time counter
             this.moveTime += delta;
             
-            // Apply movement pattern
-            this.applyMovementPattern(delta);
-            
-            // Check if enemy can shoot
-            if (this.canShoot && time > this.lastShotTime + this.shootCooldown) {
-                // Random chance to shoot based on level
-                const level = this.scene.level || 1;
-                // FIXED: Reduced shooting chance significantly at low levels
-                // Old formula: const shootChance = 0.005 * level; // 0.5% per level
-                // New formula gives much lower chance at early levels
-                const shootChance = 0.001 * Math.pow(level, 1.5); // 0.1% at level 1, growing exponentially
-                
-                if (Math.random() < shootChance) {
-                    this.shootAtPlayer();
-                    this.lastShotTime = time;
-                }
-            }
+            // Movement and attacks come from the AI state machine
+            this.ai.update(delta);
+            
+            // Launchers and kicked shells leave on their own
+            if (!this.active) return;
             
-            // Remove if off screen
+            // Recycle once off screen
             if (this.x < -this.width) {
-                this.destroy();
+                this.recycle();
             }
         } catch (error) {
             console.error("Error in Enemy.update:", error);
@@ -136,119 +208,185 @@ class Enemy extends Phaser.Physics.Arcade.Sprite {
     }
     
     /**
-     * Apply movement pattern
-     * @param {number} delta - Time since last update
+     * Sit a piranha plant in a pipe it pops out of
+     * @param {Obstacle} pipe - The pipe
+     * @param {boolean} fromCeiling - True if the pipe hangs from the ceiling (the plant pops out downward)
      */
-    applyMovementPattern(delta) {
-        if (!this.active) return;
+    attachToPipe(pipe, fromCeiling) {
+        const direction = fromCeiling ? 1 : -1;
+        const mouthY = pipe.y - direction * pipe.displayHeight / 2;
         
-        try {
-            // FIXED: Keep enemies within screen boundaries
-            const minY = 50; // Minimum Y position
-            const maxY = CONFIG.GAME_HEIGHT - 100; // Maximum Y position
-            
-            switch (this.movementPattern) {
-                case 'sine':
-                    // Sine wave movement
-                    this.y = this.startY + Math.sin(this.moveTime / 500) * 50;
-                    
-                    // Ensure enemy stays within screen boundaries
-                    this.y = Phaser.Math.Clamp(this.y, minY, maxY);
-                    break;
-                    
-                case 'chase':
-                    // Get player reference (if available)
-                    const player = this.scene.bird;
-                    
-                    if (player && player.active && !player.isDead) {
-                        // Simple chase logic
-                        const dy = player.y - this.y;
-                        const chaseSpeed = 1.5;
-                        
-                        if (dy > 10) {
-                            this.y += chaseSpeed;
-                        } else if (dy < -10) {
-                            this.y -= chaseSpeed;
-                        }
-                        
-                        // Keep within screen bounds
-                        this.y = Phaser.Math.Clamp(this.y, minY, maxY);
-                    }
-                    break;
-                    
-                case 'bounce':
-                    // FIXED: Bounce between controlled boundaries
-                    // Bounce between top and bottom with controlled boundaries
-                    const bounceHeight = maxY;
-                    const bounceSpeed = 2;
-                    
-                    // Initialize ySpeed if not set
-                    if (this.ySpeed === undefined || this.ySpeed === 0) {
-                        this.ySpeed = bounceSpeed;
-                    }
-                    
-                    this.y += this.ySpeed;
-                    
-                    // Bounce off top and bottom
-                    if (this.y < minY) {
-                        this.y = minY;
-                        this.ySpeed = Math.abs(this.ySpeed);
-                    } else if (this.y > bounceHeight) {
-                        this.y = bounceHeight;
-                        this.ySpeed = -Math.abs(this.ySpeed);
-                    }
-                    break;
-                    
-                case 'hover':
-                    // Hover in place, only moving horizontally
-                    // Add a small vertical oscillation to make it look more natural
-                    this.y = this.startY + Math.sin(this.moveTime / 1000) * 10;
-                    
-                    // Ensure enemy stays within screen boundaries
-                    this.y = Phaser.Math.Clamp(this.y, minY, maxY);
-                    break;
-                    
-                default:
-                    // Default to controlled sine movement if pattern not recognized
-                    this.y = this.startY + Math.sin(this.moveTime / 500) * 30;
-                    
-                    // Ensure enemy stays within screen boundaries
-                    this.y = Phaser.Math.Clamp(this.y, minY, maxY);
-                    break;
-            }
-        } catch (error) {
-            console.error("Error in Enemy.applyMovementPattern:", error);
-        }
+        this.anchor = pipe;
+        this.setFlipY(fromCeiling);
+        
+        // Behind the pipe so it's hidden inside it
+        this.setDepth(pipe.depth - 1);
+        
+        this.hiddenY = mouthY - direction * (this.displayHeight / 2 + 4);
+        this.outY = mouthY + direction * this.displayHeight / 2;
+        this.x = pipe.x;
+        this.y = this.hiddenY;
+    }
+    
+    /**
+     * Stomp the enemy (a shelled turtle goes into its shell)
+     * @returns {boolean} True if the enemy's AI reacted to the stomp
+     */
+    stomp() {
+        if (this.destroyed) return false;
+        
+        return this.ai.trigger('stomp');
+    }
+    
+    /**
+     * Kick the enemy (a shell lying still slides away, knocking out the enemies in its path)
+     * @param {number} direction - 1 to kick it right, -1 to kick it left
+     * @returns {boolean} True if the enemy's AI reacted to the kick
+     */
+    kick(direction) {
+        if (this.destroyed) return false;
+        
+        this.kickDirection = direction;
+        return this.ai.trigger('kick');
+    }
+    
+    /**
+     * Check whether the enemy is ramming (a kicked shell), harmless to the bird
+     * but knocking out the enemies it touches
+     * @returns {boolean} True while ramming
+     */
+    isRamming() {
+        return !!this.ai.state.rams;
     }
 
     /**
-     * Shoot at the player
-     * @returns {Phaser.GameObjects.Sprite} The created projectile
+     * Shoot a projectile type (see projectileTypes.js)
+     * @param {string} projectileId - Projectile type ID, the enemy's own by default
+     * @param {number} angle - Direction in radians, by default at the bird for aimed types
+     *                         and straight left otherwise
      */
-    shootAtPlayer() {
-        if (this.destroyed || !this.active || !this.scene) return null;
+    shoot(projectileId = this.projectile, angle = null) {
+        if (this.destroyed || !this.active || !this.scene) return;
         
         try {
             // Don't shoot if enemy is off-screen
             if (this.x < 0 || this.x > CONFIG.GAME_WIDTH || 
                 this.y < 0 || this.y > CONFIG.GAME_HEIGHT) {
-                return null;
+                return;
             }
             
-            // Get target (the bird)
-            const target = this.scene.bird;
-            if (!target || !target.active) return null;
+            const type = PROJECTILE_TYPES[projectileId];
+            if (!type) {
+                console.warn(`Unknown projectile type: ${projectileId}`);
+                return;
+            }
+            
+            // Shoot from left side of enemy
+            const x = this.x - 10;
+            const y = this.y;
+            
+            if (angle === null) {
+                const target = this.scene.bird;
+                const canAim = type.aimed && target && target.active && !target.isDead;
+                angle = canAim ? Phaser.Math.Angle.Between(x, y, target.x, target.y) : Math.PI;
+            }
+            
+            if (type.telegraph) {
+                this.telegraphShot(type, x, y, angle);
+            } else {
+                this.fireVolley(type, x, y, angle);
+            }
+        } catch (error) {
+            console.error("Error in Enemy.shoot:", error);
+        }
+    }
+    
+    /**
+     * Show a warning line along the aim, then fire down it
+     * @param {Object} type - Projectile type
+     * @param {number} x - X position to fire from
+     * @param {number} y - Y position to fire from
+     * @param {number} angle - Direction in radians
+     */
+    telegraphShot(type, x, y, angle) {
+        const length = CONFIG.GAME_WIDTH * 1.5;
+        
+        const line = this.scene.add.graphics().setDepth(this.depth + 1);
+        line.lineStyle(2, type.tint, 0.7);
+        line.lineBetween(x, y, x + Math.cos(angle) * length, y + Math.sin(angle) * length);
+        
+        this.scene.tweens.add({
+            targets: line,
+            alpha: 0.2,
+            duration: 100,
+            yoyo: true,
+            repeat: -1
+        });
+        
+        // Enemies defeated while aiming don't fire (recycle() cancels the shot)
+        const telegraph = { line: line };
+        telegraph.timer = this.scene.time.delayedCall(type.telegraph, () => {
+            this.telegraphs = this.telegraphs.filter(other => other !== telegraph);
+            this.scene.tweens.killTweensOf(line);
+            line.destroy();
+            
+            this.fireVolley(type, x, y, angle);
+        });
+        
+        this.telegraphs.push(telegraph);
+    }
+    
+    /**
+     * Fire every projectile of a shot (one, a fan or a ring)
+     * @param {Object} type - Projectile type
+     * @param {number} x - X position to fire from
+     * @param {number} y - Y position to fire from
+     * @param {number} angle - Direction in radians (the middle of a fan)
+     * @returns {Array<Phaser.GameObjects.Sprite>} The created projectiles
+     */
+    fireVolley(type, x, y, angle) {
+        const count = type.count || 1;
+        const step = type.ring ? Math.PI * 2 / count : (type.spread || 0);
+        const projectiles = [];
+        
+        for (let i = 0; i < count; i++) {
+            // A ring starts at the aim, a fan is centred on it
+            const offset = type.ring ? i * step : (i - (count - 1) / 2) * step;
+            const projectile = this.fireProjectile(angle + offset, type, x, y);
             
+            if (projectile) {
+                projectiles.push(projectile);
+            }
+        }
+        
+        if (projectiles.length > 0) {
+            this.scene.sound.play(type.sound || 'sfx-fireball', { volume: 0.4 });
+        }
+        
+        return projectiles;
+    }
+    
+    /**
+     * Fire an enemy projectile
+     * @param {number} angle - Direction in radians
+     * @param {Object} type - Projectile type
+     * @param {number} x - X position to fire from
+     * @param {number} y - Y position to fire from
+     * @returns {Phaser.GameObjects.Sprite} The created projectile
+     */
+    fireProjectile(angle, type, x, y) {
+        try {
             // Ensure enemy projectiles group exists
             if (!this.scene.enemyProjectiles) {
                 console.error("Enemy projectiles group not found");
                 return null;
             }
             
-            // Create enemy projectile
-            const projectile = this.scene.enemyProjectiles.create(
-                this.x - 10, // Shoot from left side of enemy
-                this.y,
+            // Take an enemy projectile from the pool
+            const projectile = spawnProjectile(
+                this.scene.enemyProjectiles,
+                x,
+                y,
                 'fireball' // Reuse fireball texture
             );
             
@@ -260,45 +398,47 @@ class Enemy extends Phaser.Physics.Arcade.Sprite {
             // FIXED: Add isEnemyProjectile flag for better collision detection
             projectile.isEnemyProjectile = true;
             
-            // Add visual distinction - tint it red
-            projectile.setTint(0xff0000);
+            // Homing and arcing projectiles are steered by GameScene.updateEnemyProjectiles
+            projectile.projectileType = type;
+            projectile.homingTimeLeft = type.homingTime || 0;
             
-            // Calculate angle to player
-            const angle = Phaser.Math.Angle.Between(
-                this.x, this.y,
-                target.x, target.y
-            );
+            // Add visual distinction
+            projectile.setTint(type.tint);
+            projectile.setScale(type.scale || 1);
             
-            // FIXED: Reduced projectile speed for better gameplay
-            // Old speed: const speed = 300;
-            const speed = 180; // Much slower projectile speed
+            const target = this.scene.bird;
             
-            projectile.setVelocity(
-                Math.cos(angle) * speed,
-                Math.sin(angle) * speed
-            );
+            if (type.gravity && target && target.active && !target.isDead) {
+                // Lob it so it comes down where the bird is now
+                const time = Phaser.Math.Clamp(Phaser.Math.Distance.Between(x, y, target.x, target.y) / type.speed, 0.6, 2);
+                projectile.setVelocity(
+                    (target.x - x) / time,
+                    (target.y - y) / time - type.gravity * time / 2
+                );
+            } else {
+                projectile.setVelocity(
+                    Math.cos(angle) * type.speed,
+                    Math.sin(angle) * type.speed
+                );
+            }
             
             // Set proper rotation
-            projectile.rotation = angle;
-            
-            // Play sound
-            this.scene.sound.play('sfx-fireball', { volume: 0.4 });
+            projectile.rotation = Math.atan2(projectile.body.velocity.y, projectile.body.velocity.x);
             
             // FIXED: Add a cleaner cleanup timer and trajectory
-            // Add a cleanup timer using the scene's time system
-            this.scene.time.addEvent({
-                delay: 4000,
+            // Add a cleanup timer using the scene's time system (removed if the projectile is recycled first)
+            projectile.lifeTimer = this.scene.time.addEvent({
+                delay: type.lifetime || 4000,
                 callback: () => {
-                    if (projectile && projectile.active) {
-                        projectile.destroy();
-                    }
+                    projectile.lifeTimer = null;
+                    recycleProjectile(projectile);
                 },
                 callbackScope: this
             });
             
             return projectile;
         } catch (error) {
-            console.error("Error in Enemy.shootAtPlayer:", error);
+            console.error("Error in Enemy.fireProjectile:", error);
             return null;
         }
     }
@@ -319,17 +459,10 @@ class Enemy extends Phaser.Physics.Arcade.Sprite {
                 this.createDeathEffect();
                 
                 // Play defeat sound
-                if (this.type === 'turtle') {
-                    this.scene.sound.play('sfx-stomp', { volume: 0.7 });
-                } else {
-                    this.scene.sound.play('sfx-hit', { volume: 0.7 });
-                }
-                
-                // Mark as destroyed to prevent multiple hits
-                this.destroyed = true;
+                this.scene.sound.play(this.deathEffect.sound || 'sfx-hit', { volume: 0.7 });
                 
-                // Destroy the enemy
-                this.destroy();
+                // Return the enemy to the pool (also marks it destroyed to prevent multiple hits)
+                this.recycle();
                 return true;
             } else {
                 // Enemy took damage but survived
@@ -353,10 +486,9 @@ class Enemy extends Phaser.Physics.Arcade.Sprite {
         } catch (error) {
             console.error("Error in Enemy.takeDamage:", error);
             
-            // Still try to destroy if there was a fatal error
+            // Still try to recycle if there was a fatal error
             if (amount >= this.health) {
-                this.destroyed = true;
-                this.destroy();
+                this.recycle();
                 return true;
             }
             
@@ -369,56 +501,139 @@ class Enemy extends Phaser.Physics.Arcade.Sprite {
      */
     createDeathEffect() {
         try {
-            // Create particles
-            const particles = this.scene.add.particles('particle');
-            
-            // Set particle color based on enemy type
-            let particleColor;
-            
-            switch (this.type) {
-                case 'turtle':
-                    particleColor = 0x22AA22; // Green for turtles
+            // Particle color from the enemy type (white for others)
+            const color = this.deathEffect.color || 0xFFFFFF;
+            
+            switch (this.deathEffect.style) {
+                case 'feathers':
+                    // Feathers drifting down
+                    this.emitDeathParticles({
+                        speed: { min: 20, max: 90 },
+                        gravityY: 80,
+                        rotate: { min: 0, max: 360 },
+                        scale: { start: 0.5, end: 0.2 },
+                        lifespan: 1400,
+                        quantity: 12,
+                        tint: color
+                    });
                     break;
-                    
-                case 'goomba':
-                    particleColor = 0xA52A2A; // Brown for goombas
+                
+                case 'puff':
+                    // Quick puff of smoke
+                    this.emitDeathParticles({
+                        speed: { min: 20, max: 60 },
+                        scale: { start: 0.8, end: 0 },
+                        alpha: { start: 0.8, end: 0 },
+                        lifespan: 400,
+                        quantity: 12,
+                        tint: color
+                    });
+                    break;
+                
+                case 'wilt':
+                    // The plant shrivels back into its pipe
+                    this.createCopyEffect(() => ({
+                        y: this.hiddenY,
+                        scaleY: 0,
+                        alpha: 0,
+                        duration: 400,
+                        ease: 'Quad.easeIn'
+                    }));
+                    this.emitDeathParticles({ speed: { min: 30, max: 120 }, quantity: 10, tint: color });
                     break;
+                
+                case 'explosion': {
+                    // Blows up with a shake
+                    const impact = this.scene.add.sprite(this.x, this.y, 'impact').setScale(2);
+                    impact.play('impact-anim');
+                    impact.once('animationcomplete', () => impact.destroy());
                     
+                    this.scene.cameras.main.shake(150, 0.005);
+                    this.emitDeathParticles({ speed: { min: 80, max: 260 }, quantity: 30, tint: color });
+                    break;
+                }
+                
+                case 'tumble':
+                    // Flips over and falls off the screen
+                    this.createCopyEffect(copy => {
+                        copy.setFlipY(true);
+                        
+                        return {
+                            y: CONFIG.GAME_HEIGHT + copy.displayHeight,
+                            angle: 180 * (this.kickDirection || 1),
+                            duration: 900,
+                            ease: 'Back.easeIn'
+                        };
+                    });
+                    break;
+                
                 default:
-                    particleColor = 0xFFFFFF; // White for others
+                    this.emitDeathParticles({ tint: color });
                     break;
             }
-            
-            // Create particle emitter
-            const emitter = particles.createEmitter({
-                x: this.x,
-                y: this.y,
-                speed: { min: 50, max: 200 },
-                angle: { min: 0, max: 360 },
-                scale: { start: 0.6, end: 0 },
-                lifespan: 800,
-                quantity: 20,
-                tint: particleColor
-            });
-            
-            // Stop emitting after burst
-            this.scene.time.delayedCall(100, () => {
-                if (emitter && emitter.active) {
-                    emitter.stop();
-                    
-                    // Clean up particles after they fade
-                    this.scene.time.delayedCall(800, () => {
-                        if (particles && particles.active) {
-                            particles.destroy();
-                        }
-                    });
-                }
-            });
         } catch (error) {
             console.error("Error in Enemy.createDeathEffect:", error);
         }
     }
     
+    /**
+     * Burst of particles where the enemy was
+     * @param {Object} config - Emitter settings on top of the default burst
+     */
+    emitDeathParticles(config = {}) {
+        // Create particles
+        const particles = this.scene.add.particles('particle');
+        const lifespan = config.lifespan || 800;
+        
+        // Create particle emitter
+        const emitter = particles.createEmitter({
+            x: this.x,
+            y: this.y,
+            speed: { min: 50, max: 200 },
+            angle: { min: 0, max: 360 },
+            scale: { start: 0.6, end: 0 },
+            lifespan: lifespan,
+            quantity: 20,
+            ...config
+        });
+        
+        // Stop emitting after burst
+        this.scene.time.delayedCall(100, () => {
+            if (emitter && emitter.active) {
+                emitter.stop();
+                
+                // Clean up particles after they fade
+                this.scene.time.delayedCall(lifespan, () => {
+                    if (particles && particles.active) {
+                        particles.destroy();
+                    }
+                });
+            }
+        });
+    }
+    
+    /**
+     * Animate a copy of the enemy (the enemy itself goes straight back to its pool)
+     * @param {Function} getTween - Gets the copy and returns its tween settings
+     */
+    createCopyEffect(getTween) {
+        const copy = this.scene.add.image(this.x, this.y, this.texture.key, this.frame.name)
+            .setScale(this.scaleX, this.scaleY)
+            .setFlip(this.flipX, this.flipY)
+            .setAngle(this.angle)
+            .setDepth(this.depth);
+        
+        if (this.baseTint) {
+            copy.setTint(this.baseTint);
+        }
+        
+        this.scene.tweens.add({
+            targets: copy,
+            ...getTween(copy),
+            onComplete: () => copy.destroy()
+        });
+    }
+    
     /**
      * Create hit effect when enemy is damaged but not defeated
      */
@@ -486,32 +701,14 @@ class EnemyManager {
         this.scene = scene;
         this.enemies = enemyGroup;
         
-        // Enemy types
-        this.enemyTypes = [
-            {
-                type: 'turtle',
-                texture: 'turtle',
-                movementPatterns: ['sine', 'chase', 'bounce'],
-                minLevel: 1,
-                canShoot: false
-            },
-            {
-                type: 'goomba',
-                texture: 'goomba',
-                movementPatterns: ['hover', 'bounce'],
-                minLevel: 2,
-                canShoot: true
-            }
-        ];
+        // Seeded random stream for the run (falls back to Phaser's global RND)
+        this.random = scene.rng ? scene.rng.stream('enemies') : Phaser.Math.RND;
+        
+        // Enemy types (see enemyTypes.js)
+        this.enemyTypes = ENEMY_TYPES;
         
-        // Formation patterns
-        this.formations = [
-            this.spawnSingle,      // Single enemy
-            this.spawnPair,        // Pair of enemies
-            this.spawnTriangle,    // Triangle formation
-            this.spawnLine,        // Line of enemies
-            this.spawnWave         // Wave of enemies
-        ];
+        // Formations (see enemyFormations.js)
+        this.formations = ENEMY_FORMATIONS;
     }
     
     /**
@@ -525,26 +722,20 @@ class EnemyManager {
             
             if (availableTypes.length === 0) return;
             
-            // Choose formation based on level
-            const formationIndex = Math.min(level - 1, this.formations.length - 1);
-            const extraFormations = Math.floor((level - 1) / this.formations.length);
-            
-            // Choose random formation with weighting toward level-appropriate ones
-            let selectedFormation;
-            
-            if (Phaser.Math.RND.frac() < 0.7) {
-                // 70% chance for level-appropriate formation
-                selectedFormation = Phaser.Math.RND.integerInRange(0, formationIndex);
-            } else {
-                // 30% chance for any formation
-                selectedFormation = Phaser.Math.RND.integerInRange(0, this.formations.length - 1);
+            // Bats, piranha plants and launchers come their own way instead of in a formation
+            const typeInfo = this.random.pick(availableTypes);
+            if (typeInfo.spawner) {
+                this[typeInfo.spawner](level, typeInfo);
+                console.log(`Generated enemies using ${typeInfo.spawner}`);
+                return;
             }
             
-            // Generate the enemies
-            const formation = this.formations[selectedFormation];
-            formation.call(this, level, availableTypes);
+            const formation = this.pickFormation(level);
+            if (!formation) return;
+            
+            this.spawnMembers(formation, level, typeInfo);
             
-            console.log(`Generated enemies using formation ${selectedFormation + 1}`);
+            console.log(`Generated enemies using formation ${formation.id}`);
         } catch (error) {
             console.error("Error in EnemyManager.generate:", error);
         }
@@ -566,18 +757,21 @@ class EnemyManager {
                 return null;
             }
             
-            // Choose random movement pattern
-            const pattern = Phaser.Math.RND.pick(typeInfo.movementPatterns);
+            // Choose random movement pattern (types moving on their own have none)
+            const pattern = typeInfo.movementPatterns ? this.random.pick(typeInfo.movementPatterns) : null;
             
             // Create enemy with scaled health based on level
             const healthBonus = Math.floor((level - 1) / 3);
             
             // FIXED: Lower chance for enemies to shoot in early levels
             // and increase cooldown for early levels
-            const canShoot = typeInfo.canShoot && level >= 3 && Math.random() < 0.3; // Only 30% of eligible enemies can shoot
+            const canShoot = typeInfo.canShoot && level >= 3 && this.random.frac() < 0.3; // Only 30% of eligible enemies can shoot
             const shootCooldown = 3000 + (10 - Math.min(level, 10)) * 500; // Longer cooldown at low levels
             
-            const enemy = new Enemy(
+            // Reuse a recycled enemy when one is free
+            return spawnFromPool(
+                this.enemies,
+                Enemy,
                 this.scene,
                 x,
                 y,
@@ -585,17 +779,19 @@ class EnemyManager {
                 {
                     type: typeInfo.type,
                     movementPattern: pattern,
-                    health: 1 + healthBonus,
+                    ai: typeInfo.ai,
+                    health: (typeInfo.health || 1) + healthBonus,
                     speed: 1 + (level * 0.1),
+                    points: typeInfo.points,
+                    stompable: typeInfo.stompable,
+                    tint: typeInfo.tint,
+                    scale: typeInfo.scale,
+                    deathEffect: typeInfo.deathEffect,
                     canShoot: canShoot,
-                    shootCooldown: shootCooldown
+                    shootCooldown: shootCooldown,
+                    projectile: typeInfo.projectile
                 }
             );
-            
-            // Add to group
-            this.enemies.add(enemy);
-            
-            return enemy;
         } catch (error) {
             console.error("Error in EnemyManager.createEnemy:", error);
             return null;
@@ -603,141 +799,200 @@ class EnemyManager {
     }
     
     /**
-     * Spawn a single enemy
+     * Get an enemy type by name
+     * @param {string} typeName - Type name (defaults to turtle)
+     * @returns {Object} The enemy type
+     */
+    getEnemyType(typeName = 'turtle') {
+        return this.enemyTypes.find(t => t.type === typeName) || this.enemyTypes[0];
+    }
+    
+    /**
+     * Spawn one enemy of a given type where a campaign level places it
+     * (a piranha plant brings its pipe, on the floor or ceiling half y is in)
+     * @param {string} typeName - Enemy type
+     * @param {number} x - X position
+     * @param {number} y - Y position
      * @param {number} level - Current game level
-     * @param {Array} availableTypes - Available enemy types
+     * @param {string|null} movementPattern - Movement pattern, random from the type's patterns when null
+     * @returns {Enemy|null} The created enemy
      */
-    spawnSingle(level, availableTypes) {
-        try {
-            // Choose random enemy type
-            const typeInfo = Phaser.Math.RND.pick(availableTypes);
-            
-            // FIXED: Better vertical position to avoid enemies dropping out of view
-            // Random vertical position, kept within safe boundaries
-            const y = Phaser.Math.Between(100, CONFIG.GAME_HEIGHT - 150);
-            
-            // Create enemy
-            this.createEnemy(CONFIG.GAME_WIDTH, y, typeInfo, level);
-        } catch (error) {
-            console.error("Error in EnemyManager.spawnSingle:", error);
+    spawnEnemy(typeName, x, y, level, movementPattern = null) {
+        const typeInfo = this.getEnemyType(typeName);
+        
+        if (typeInfo.pipe) {
+            return this.spawnPiranha(level, typeInfo, x, y);
         }
+        
+        return this.createEnemy(
+            x,
+            y,
+            movementPattern ? { ...typeInfo, movementPatterns: [movementPattern] } : typeInfo,
+            level
+        );
     }
     
     /**
-     * Spawn a pair of enemies
+     * Pick a formation unlocked at the level, weighted by each formation's weight
      * @param {number} level - Current game level
-     * @param {Array} availableTypes - Available enemy types
+     * @returns {Object|null} The formation
      */
-    spawnPair(level, availableTypes) {
-        try {
-            // Choose random enemy type
-            const typeInfo = Phaser.Math.RND.pick(availableTypes);
-            
-            // FIXED: Better vertical positions to keep enemies in view
-            // Vertical positions, kept more centered
-            const y1 = Phaser.Math.Between(100, CONFIG.GAME_HEIGHT / 2 - 50);
-            const y2 = Phaser.Math.Between(CONFIG.GAME_HEIGHT / 2 + 50, CONFIG.GAME_HEIGHT - 150);
-            
-            // Create enemies
-            this.createEnemy(CONFIG.GAME_WIDTH, y1, typeInfo, level);
-            this.createEnemy(CONFIG.GAME_WIDTH + 50, y2, typeInfo, level);
-        } catch (error) {
-            console.error("Error in EnemyManager.spawnPair:", error);
+    pickFormation(level) {
+        const available = this.formations.filter(f => f.minLevel <= level);
+        if (available.length === 0) return null;
+        
+        const totalWeight = available.reduce((sum, formation) => sum + formation.weight, 0);
+        let random = this.random.frac() * totalWeight;
+        
+        for (const formation of available) {
+            random -= formation.weight;
+            if (random <= 0) return formation;
         }
+        
+        return available[0];
     }
     
     /**
-     * Spawn a triangle formation of enemies
+     * Spawn a formation by ID (campaign levels)
+     * Types with a spawner of their own (bats, piranha plants, launchers) use it instead
+     * @param {string} id - Formation ID from ENEMY_FORMATIONS
      * @param {number} level - Current game level
-     * @param {Array} availableTypes - Available enemy types
+     * @param {string|null} typeName - Enemy type, any formation type unlocked at the level when null
      */
-    spawnTriangle(level, availableTypes) {
+    spawnFormation(id, level, typeName = null) {
         try {
-            // Choose random enemy type
-            const typeInfo = Phaser.Math.RND.pick(availableTypes);
+            const formation = this.formations.find(f => f.id === id);
+            
+            if (!formation) {
+                console.warn(`Unknown enemy formation: ${id}`);
+                return;
+            }
+            
+            const typeInfo = typeName ? this.getEnemyType(typeName) : null;
             
-            // FIXED: Safer center position
-            // Center position, kept with more buffer from edges
-            const centerY = Phaser.Math.Between(150, CONFIG.GAME_HEIGHT - 200);
+            if (typeInfo && typeInfo.spawner) {
+                this[typeInfo.spawner](level, typeInfo);
+                return;
+            }
             
-            // Create enemies in triangle formation
-            this.createEnemy(CONFIG.GAME_WIDTH, centerY, typeInfo, level);
-            this.createEnemy(CONFIG.GAME_WIDTH + 80, centerY - 70, typeInfo, level);
-            this.createEnemy(CONFIG.GAME_WIDTH + 80, centerY + 70, typeInfo, level);
+            // Fall back to the default type when no formation type is unlocked yet
+            const types = this.enemyTypes.filter(e => e.minLevel <= level && !e.spawner);
+            this.spawnMembers(formation, level, typeInfo || (types.length > 0 ? this.random.pick(types) : this.getEnemyType()));
         } catch (error) {
-            console.error("Error in EnemyManager.spawnTriangle:", error);
+            console.error("Error in EnemyManager.spawnFormation:", error);
         }
     }
     
     /**
-     * Spawn a line of enemies
+     * Spawn the members of a formation just off the right edge
+     * @param {Object} formation - Formation from ENEMY_FORMATIONS
      * @param {number} level - Current game level
-     * @param {Array} availableTypes - Available enemy types
+     * @param {Object} typeInfo - Enemy type of the members without a type of their own
      */
-    spawnLine(level, availableTypes) {
+    spawnMembers(formation, level, typeInfo) {
         try {
-            // Choose random enemy type
-            const typeInfo = Phaser.Math.RND.pick(availableTypes);
-            
-            // Vertical or horizontal line
-            const isHorizontal = Phaser.Math.RND.frac() < 0.5;
-            
-            if (isHorizontal) {
-                // FIXED: Better Y position for horizontal line
-                // Horizontal line, kept away from edges
-                const y = Phaser.Math.Between(150, CONFIG.GAME_HEIGHT - 180);
-                const count = Phaser.Math.Between(3, 5);
-                const spacing = 80;
+            const range = formation.y || [150, CONFIG.GAME_HEIGHT - 200];
+            const y = this.random.between(range[0], range[1]);
+            const count = formation.count ? this.random.between(formation.count[0], formation.count[1]) : formation.members.length;
+            
+            formation.members.slice(0, count).forEach(member => {
+                // Members keep their own type only once it's unlocked
+                const memberType = member.type ? this.getEnemyType(member.type) : null;
+                let info = memberType && memberType.minLevel <= level ? memberType : typeInfo;
                 
-                for (let i = 0; i < count; i++) {
-                    this.createEnemy(CONFIG.GAME_WIDTH + (i * spacing), y, typeInfo, level);
+                // The group follows the path before each member's own AI takes over
+                if (formation.path) {
+                    info = { ...info, ai: withFormationPath(info.ai || ENEMY_DEFAULT_AI, formation.path) };
                 }
-            } else {
-                // Vertical line with better spacing
-                const count = Phaser.Math.Between(3, 4);
-                const spacing = (CONFIG.GAME_HEIGHT - 300) / (count + 1);
-                const topMargin = 150; // Keep away from top
                 
-                for (let i = 1; i <= count; i++) {
-                    this.createEnemy(CONFIG.GAME_WIDTH, topMargin + i * spacing, typeInfo, level);
-                }
-            }
+                this.createEnemy(CONFIG.GAME_WIDTH + member.x, y + member.y, info, level);
+            });
         } catch (error) {
-            console.error("Error in EnemyManager.spawnLine:", error);
+            console.error("Error in EnemyManager.spawnMembers:", error);
         }
     }
     
     /**
-     * Spawn a wave of enemies
+     * Spawn a flock of bats
      * @param {number} level - Current game level
-     * @param {Array} availableTypes - Available enemy types
+     * @param {Object} typeInfo - Enemy type information
      */
-    spawnWave(level, availableTypes) {
+    spawnFlock(level, typeInfo) {
         try {
-            // Choose random enemy type
-            const typeInfo = Phaser.Math.RND.pick(availableTypes);
-            
-            // FIXED: Better wave parameters to keep enemies in view
-            // Wave parameters with safe boundaries
-            const count = Phaser.Math.Between(4, 6);
-            const waveWidth = 250;
-            const centerY = Phaser.Math.Between(180, CONFIG.GAME_HEIGHT - 200);
-            const amplitude = Math.min(60, (CONFIG.GAME_HEIGHT - 400) / 2); // Limit wave amplitude
+            const count = this.random.between(4, 6);
+            const centerY = this.random.between(150, CONFIG.GAME_HEIGHT - 200);
             
-            // Create enemies along a sine wave
+            // Loose cluster, the flocking pulls it together
             for (let i = 0; i < count; i++) {
-                const xOffset = (i / (count - 1)) * waveWidth;
-                const yOffset = Math.sin((i / (count - 1)) * Math.PI * 2) * amplitude;
-                
                 this.createEnemy(
-                    CONFIG.GAME_WIDTH + xOffset,
-                    centerY + yOffset,
+                    CONFIG.GAME_WIDTH + this.random.between(0, 80),
+                    centerY + this.random.between(-50, 50),
                     typeInfo,
                     level
                 );
             }
         } catch (error) {
-            console.error("Error in EnemyManager.spawnWave:", error);
+            console.error("Error in EnemyManager.spawnFlock:", error);
+        }
+    }
+    
+    /**
+     * Spawn a piranha plant in a pipe of its own
+     * @param {number} level - Current game level
+     * @param {Object} typeInfo - Enemy type information
+     * @param {number} x - Left edge of the pipe
+     * @param {number|null} y - Pipe on the ceiling when in the top half, on the floor in the bottom half, random when null
+     * @returns {Enemy|null} The created enemy
+     */
+    spawnPiranha(level, typeInfo, x = CONFIG.GAME_WIDTH, y = null) {
+        try {
+            const obstacleManager = this.scene.obstacleManager;
+            if (!obstacleManager) return null;
+            
+            const fromCeiling = y !== null ? y < CONFIG.GAME_HEIGHT / 2 : this.random.frac() < 0.5;
+            const height = this.random.between(100, 180);
+            
+            // Floor pipes are flipped so their opening faces up, like the bottom of a pipe pair
+            const pipe = obstacleManager.createPiece(
+                x + OBSTACLE_COLUMN_WIDTH / 2,
+                fromCeiling ? 0 : CONFIG.GAME_HEIGHT - height,
+                OBSTACLE_COLUMN_WIDTH,
+                height,
+                obstacleManager.getObstacleType('pipe'),
+                { flipY: !fromCeiling }
+            );
+            
+            if (!pipe) return null;
+            
+            const enemy = this.createEnemy(pipe.x, pipe.y, typeInfo, level);
+            if (enemy) {
+                enemy.attachToPipe(pipe, fromCeiling);
+            }
+            
+            return enemy;
+        } catch (error) {
+            console.error("Error in EnemyManager.spawnPiranha:", error);
+            return null;
+        }
+    }
+    
+    /**
+     * Spawn a launcher that settles at the right edge (only one at a time)
+     * @param {number} level - Current game level
+     * @param {Object} typeInfo - Enemy type information
+     * @returns {Enemy|null} The created enemy
+     */
+    spawnLauncher(level, typeInfo) {
+        try {
+            const hasLauncher = this.enemies.getChildren().some(enemy => enemy.active && enemy.type === typeInfo.type);
+            if (hasLauncher) return null;
+            
+            const y = this.random.between(100, CONFIG.GAME_HEIGHT - 150);
+            
+            return this.createEnemy(CONFIG.GAME_WIDTH + 40, y, typeInfo, level);
+        } catch (error) {
+            console.error("Error in EnemyManager.spawnLauncher:", error);
+            return null;
         }
     }
     
@@ -750,6 +1005,7 @@ class EnemyManager {
             this.scene = null;
             this.enemies = null;
             this.enemyTypes = null;
+            this.random = null;
             this.formations = null;
         } catch (error) {
             console.error("Error in EnemyManager.destroy:", error);
@@ -0,0 +1,651 @@
+/**
+ * Enemy AI
+ * Enemies run a small state machine declared as data in their type's `ai`:
+ *
+ *   ai: {
+ *       initial: 'patrol',
+ *       states: {
+ *           patrol: {
+ *               actions: [{ type: 'movementPattern' }, { type: 'randomShot' }],
+ *               transitions: [{ to: 'flee', when: 'healthBelow', fraction: 0.5 }]
+ *           },
+ *           flee: { actions: [{ type: 'flee', speed: 120 }] }
+ *       }
+ *   }
+ *
+ * Every tick the current state runs its actions, then takes the first transition
+ * whose condition (`when` plus its options) holds. Transitions with `on` instead
+ * are taken when the enemy is sent that event ('stomp', 'kick'). States can also set:
+ *   intangible - No collisions while in the state (a plant hidden in its pipe)
+ *   rams       - Harmless to the bird, knocks out the enemies it touches (a kicked shell)
+ *   animation  - Animation to play instead of walking ('hit')
+ *   sound      - Sound played on entering the state
+ *
+ * Actions work like obstacle behaviors and are driven by the run clock's tick delta:
+ *   enter(enemy, options, memory)         - The state was entered
+ *   update(enemy, options, memory, delta) - Advance one tick, return true once done
+ *   exit(enemy, options, memory)          - The state was left
+ * Conditions get (enemy, options, ai) and return true to take the transition.
+ */
+
+// Vertical range enemies keep to
+const ENEMY_MIN_Y = 50;
+const ENEMY_MAX_Y = CONFIG.GAME_HEIGHT - 100;
+
+const ENEMY_AI_ACTIONS = {
+    /**
+     * Follow the movement pattern the enemy was spawned with
+     */
+    movementPattern: {
+        update(enemy, options, memory, delta) {
+            // Controlled sine movement if the pattern isn't recognized
+            if (!ENEMY_MOVEMENT_PATTERNS.includes(enemy.movementPattern)) {
+                return ENEMY_AI_ACTIONS.sine.update(enemy, { amplitude: 30 }, memory, delta);
+            }
+            
+            return ENEMY_AI_ACTIONS[enemy.movementPattern].update(enemy, {}, memory, delta);
+        }
+    },
+    
+    /**
+     * Sine wave around the spawn height
+     * Options: amplitude (px), period (ms per radian)
+     */
+    sine: {
+        update(enemy, options) {
+            const wave = Math.sin(enemy.moveTime / (options.period || 500));
+            enemy.y = Phaser.Math.Clamp(enemy.startY + wave * (options.amplitude || 50), ENEMY_MIN_Y, ENEMY_MAX_Y);
+        }
+    },
+    
+    /**
+     * Hover in place with a small bob
+     * Options: amplitude (px), period (ms per radian)
+     */
+    hover: {
+        update(enemy, options, memory, delta) {
+            return ENEMY_AI_ACTIONS.sine.update(enemy, { amplitude: 10, period: 1000, ...options }, memory, delta);
+        }
+    },
+    
+    /**
+     * Move toward the bird's height
+     * Options: speed (px/s)
+     */
+    chase: {
+        update(enemy, options, memory, delta) {
+            const bird = getLiveBird(enemy);
+            if (!bird) return;
+            
+            const dy = bird.y - enemy.y;
+            const step = (options.speed || 90) * delta / 1000;
+            
+            if (Math.abs(dy) > 10) {
+                enemy.y = Phaser.Math.Clamp(enemy.y + Math.sign(dy) * step, ENEMY_MIN_Y, ENEMY_MAX_Y);
+            }
+        }
+    },
+    
+    /**
+     * Bounce between the top and bottom of the screen
+     * Options: speed (px/s)
+     */
+    bounce: {
+        update(enemy, options, memory, delta) {
+            // Starts downward
+            memory.direction = memory.direction || 1;
+            enemy.y += memory.direction * (options.speed || 120) * delta / 1000;
+            
+            if (enemy.y < ENEMY_MIN_Y) {
+                enemy.y = ENEMY_MIN_Y;
+                memory.direction = 1;
+            } else if (enemy.y > ENEMY_MAX_Y) {
+                enemy.y = ENEMY_MAX_Y;
+                memory.direction = -1;
+            }
+        }
+    },
+    
+    /**
+     * Move away from the bird's height, and back to the right against the scroll
+     * Options: speed (px/s), retreat (px/s)
+     */
+    flee: {
+        update(enemy, options, memory, delta) {
+            const dt = delta / 1000;
+            const bird = getLiveBird(enemy);
+            
+            if (bird) {
+                const away = enemy.y < bird.y ? -1 : 1;
+                enemy.y = Phaser.Math.Clamp(enemy.y + away * (options.speed || 120) * dt, ENEMY_MIN_Y, ENEMY_MAX_Y);
+            }
+            
+            enemy.x += (options.retreat || 0) * dt;
+        }
+    },
+    
+    /**
+     * Take random shots at the bird, more often at higher levels (enemies that can shoot)
+     * Options: projectile (type ID, the enemy's own by default)
+     */
+    randomShot: {
+        enter(enemy, options, memory) {
+            memory.sinceShot = enemy.shootCooldown;
+        },
+        update(enemy, options, memory, delta) {
+            memory.sinceShot += delta;
+            if (!enemy.canShoot || memory.sinceShot < enemy.shootCooldown) return;
+            
+            // FIXED: Reduced shooting chance significantly at low levels
+            const scene = enemy.scene;
+            const baseChance = (scene.tuning || CONFIG).ENEMY_SHOOT_CHANCE;
+            const shootChance = baseChance * Math.pow(scene.level || 1, 1.5); // 0.1% at level 1 on Normal, growing exponentially
+            
+            // Roll from the run's seeded shot stream so replays stay deterministic
+            const random = scene.rng ? scene.rng.stream('enemyShots') : Phaser.Math.RND;
+            
+            if (random.frac() < shootChance) {
+                enemy.shoot(options.projectile);
+                memory.sinceShot = 0;
+            }
+        }
+    },
+    
+    /**
+     * Dive at where the bird's current climb or fall takes it by the time the enemy reaches it
+     * Options: speed (px/s of extra leftward speed while diving)
+     */
+    dive: {
+        enter(enemy, options, memory) {
+            const bird = getLiveBird(enemy);
+            const closingSpeed = enemy.scene.gameSpeed - CONFIG.ENEMY_SPEED_OFFSET + options.speed;
+            const time = bird ? Math.max(0.1, (enemy.x - bird.x) / closingSpeed) : 0.5;
+            const targetY = bird ? Phaser.Math.Clamp(bird.y + bird.body.velocity.y * time, ENEMY_MIN_Y, ENEMY_MAX_Y) : enemy.y;
+            
+            memory.vy = (targetY - enemy.y) / time;
+            memory.duration = time * 1000 + 200;
+            memory.time = 0;
+            
+            enemy.setAngle(Phaser.Math.Clamp(Phaser.Math.RadToDeg(Math.atan2(-memory.vy, closingSpeed)), -60, 60));
+        },
+        update(enemy, options, memory, delta) {
+            const dt = delta / 1000;
+            memory.time += delta;
+            
+            enemy.x -= options.speed * dt;
+            enemy.y = Phaser.Math.Clamp(enemy.y + memory.vy * dt, ENEMY_MIN_Y, ENEMY_MAX_Y);
+            
+            return memory.time >= memory.duration;
+        },
+        exit(enemy) {
+            enemy.setAngle(0);
+        }
+    },
+    
+    /**
+     * Climb back up to the spawn height
+     * Options: speed (px/s), drift (px/s leftward)
+     */
+    climb: {
+        enter(enemy) {
+            enemy.setAngle(25);
+        },
+        update(enemy, options, memory, delta) {
+            const dt = delta / 1000;
+            
+            enemy.x -= (options.drift || 0) * dt;
+            enemy.y -= options.speed * dt;
+            
+            if (enemy.y <= enemy.startY) {
+                enemy.y = enemy.startY;
+                return true;
+            }
+        },
+        exit(enemy) {
+            enemy.setAngle(0);
+        }
+    },
+    
+    /**
+     * Flock with the enemies of the same type nearby (stay together, fly the same way,
+     * don't crowd) while the whole flock drifts toward the bird's height
+     * Options: radius (px it sees its flock), separation (px it keeps apart), maxSpeed (px/s)
+     */
+    flock: {
+        update(enemy, options, memory, delta) {
+            const dt = delta / 1000;
+            
+            const neighbours = enemy.scene.enemies.getChildren().filter(other => {
+                return other !== enemy && other.active && other.type === enemy.type &&
+                    Phaser.Math.Distance.Between(enemy.x, enemy.y, other.x, other.y) < options.radius;
+            });
+            
+            let ax = 0;
+            let ay = 0;
+            
+            if (neighbours.length > 0) {
+                let centerX = 0;
+                let centerY = 0;
+                let averageVX = 0;
+                let averageVY = 0;
+                
+                neighbours.forEach(other => {
+                    centerX += other.x / neighbours.length;
+                    centerY += other.y / neighbours.length;
+                    averageVX += other.vx / neighbours.length;
+                    averageVY += other.vy / neighbours.length;
+                    
+                    // Push away from flock mates that are too close
+                    const distance = Phaser.Math.Distance.Between(enemy.x, enemy.y, other.x, other.y);
+                    if (distance > 0 && distance < options.separation) {
+                        ax += (enemy.x - other.x) / distance * 300;
+                        ay += (enemy.y - other.y) / distance * 300;
+                    }
+                });
+                
+                // Cohesion and alignment
+                ax += (centerX - enemy.x) * 1.2 + (averageVX - enemy.vx) * 1.5;
+                ay += (centerY - enemy.y) * 1.2 + (averageVY - enemy.vy) * 1.5;
+            }
+            
+            // Drift toward the bird's height
+            const bird = getLiveBird(enemy);
+            if (bird) {
+                ay += (bird.y - enemy.y) * 0.6;
+            }
+            
+            // Flutter
+            ay += Math.sin(enemy.moveTime / 120 + enemy.startY) * 250;
+            
+            enemy.vx += ax * dt;
+            enemy.vy += ay * dt;
+            
+            const speed = Math.sqrt(enemy.vx * enemy.vx + enemy.vy * enemy.vy);
+            if (speed > options.maxSpeed) {
+                enemy.vx *= options.maxSpeed / speed;
+                enemy.vy *= options.maxSpeed / speed;
+            }
+            
+            enemy.x += enemy.vx * dt;
+            enemy.y += enemy.vy * dt;
+            
+            if (enemy.y < ENEMY_MIN_Y || enemy.y > ENEMY_MAX_Y) {
+                enemy.y = Phaser.Math.Clamp(enemy.y, ENEMY_MIN_Y, ENEMY_MAX_Y);
+                enemy.vy = 0;
+            }
+        }
+    },
+    
+    /**
+     * Ride along with the pipe the enemy sits in (see Enemy.attachToPipe), moving in or out of it
+     * Options: position ('hidden' or 'out'), time (ms to get there, instantly when left out)
+     */
+    pipe: {
+        enter(enemy, options, memory) {
+            memory.fromY = enemy.y;
+            memory.time = 0;
+        },
+        update(enemy, options, memory, delta) {
+            // A smashed pipe leaves the enemy scrolling along on its own
+            if (enemy.anchor) {
+                if (enemy.anchor.active) {
+                    enemy.x = enemy.anchor.x;
+                } else {
+                    enemy.anchor = null;
+                }
+            }
+            
+            memory.time += delta;
+            
+            const targetY = options.position === 'out' ? enemy.outY : enemy.hiddenY;
+            const progress = options.time ? Math.min(1, memory.time / options.time) : 1;
+            enemy.y = Phaser.Math.Linear(memory.fromY, targetY, progress);
+            
+            return progress >= 1;
+        }
+    },
+    
+    /**
+     * Stop at the right edge of the screen once the scroll brings the enemy there
+     * Options: offset (px from the edge)
+     */
+    holdEdge: {
+        update(enemy, options) {
+            const edgeX = CONFIG.GAME_WIDTH - options.offset;
+            
+            if (enemy.x <= edgeX) {
+                enemy.x = edgeX;
+                return true;
+            }
+        }
+    },
+    
+    /**
+     * Leave past the right edge of the screen
+     * Options: offset (px from the edge it starts at), speed (px/s)
+     */
+    leaveEdge: {
+        enter(enemy, options, memory) {
+            memory.time = 0;
+        },
+        update(enemy, options, memory, delta) {
+            memory.time += delta;
+            enemy.x = CONFIG.GAME_WIDTH - options.offset + memory.time * options.speed / 1000;
+            
+            if (enemy.x > CONFIG.GAME_WIDTH + enemy.displayWidth) {
+                enemy.recycle();
+                return true;
+            }
+        }
+    },
+    
+    /**
+     * Follow the bird's height
+     * Options: speed (px/s)
+     */
+    trackBird: {
+        update(enemy, options, memory, delta) {
+            const bird = getLiveBird(enemy);
+            if (!bird) return;
+            
+            const step = options.speed * delta / 1000;
+            enemy.y += Phaser.Math.Clamp(bird.y - enemy.y, -step, step);
+        }
+    },
+    
+    /**
+     * Blink a warning color
+     * Options: color, interval (ms)
+     */
+    flash: {
+        enter(enemy, options, memory) {
+            memory.time = 0;
+        },
+        update(enemy, options, memory, delta) {
+            memory.time += delta;
+            
+            if (Math.floor(memory.time / (options.interval || 80)) % 2 === 0) {
+                enemy.setTintFill(options.color);
+            } else {
+                enemy.restoreTint();
+            }
+        },
+        exit(enemy) {
+            enemy.restoreTint();
+        }
+    },
+    
+    /**
+     * Shoot once on entering the state
+     * Options: projectile (type ID, the enemy's own by default), angle (radians)
+     */
+    shoot: {
+        enter(enemy, options) {
+            enemy.shoot(options.projectile, options.angle);
+            enemy.shots++;
+        }
+    },
+    
+    /**
+     * Follow a spline on top of the scrolling (formation paths)
+     * Options: points ([x, y] offsets, the first one where the enemy is), duration (ms)
+     */
+    path: {
+        enter(enemy, options, memory) {
+            memory.curve = new Phaser.Curves.Spline(options.points);
+            memory.time = 0;
+            memory.x = 0;
+            memory.y = 0;
+        },
+        update(enemy, options, memory, delta) {
+            memory.time = Math.min(memory.time + delta, options.duration);
+            
+            // Move by how far the path went this tick so the scrolling still applies
+            const start = memory.curve.points[0];
+            const point = memory.curve.getPointAt(memory.time / options.duration);
+            enemy.x += point.x - start.x - memory.x;
+            enemy.y += point.y - start.y - memory.y;
+            memory.x = point.x - start.x;
+            memory.y = point.y - start.y;
+            
+            if (memory.time < options.duration) return;
+            
+            // Movement patterns carry on from where the path ended
+            enemy.startY = enemy.y;
+            enemy.moveTime = 0;
+            return true;
+        }
+    },
+    
+    /**
+     * Slide away in the direction the enemy was kicked, spinning
+     * Options: speed (px/s), spin (degrees per second)
+     */
+    slide: {
+        update(enemy, options, memory, delta) {
+            const dt = delta / 1000;
+            
+            enemy.x += enemy.kickDirection * options.speed * dt;
+            enemy.angle += enemy.kickDirection * (options.spin || 0) * dt;
+            
+            if (enemy.x > CONFIG.GAME_WIDTH + enemy.displayWidth) {
+                enemy.recycle();
+                return true;
+            }
+        }
+    }
+};
+
+const ENEMY_AI_CONDITIONS = {
+    /**
+     * Time spent in the state
+     * Options: time (ms)
+     */
+    timer: (enemy, options, ai) => ai.stateTime >= options.time,
+    
+    /**
+     * An action of the state has finished
+     */
+    done: (enemy, options, ai) => ai.isDone,
+    
+    /**
+     * Always (leave a state after one tick)
+     */
+    always: () => true,
+    
+    /**
+     * Bird closer than a distance
+     * Options: distance (px)
+     */
+    birdWithin: (enemy, options) => {
+        const bird = getLiveBird(enemy);
+        return !!bird && Phaser.Math.Distance.Between(enemy.x, enemy.y, bird.x, bird.y) <= options.distance;
+    },
+    
+    /**
+     * Bird further away than a distance
+     * Options: distance (px)
+     */
+    birdBeyond: (enemy, options) => {
+        const bird = getLiveBird(enemy);
+        return !bird || Phaser.Math.Distance.Between(enemy.x, enemy.y, bird.x, bird.y) > options.distance;
+    },
+    
+    /**
+     * Bird ahead of the enemy (to its left) within a horizontal range
+     * Options: min, max (px)
+     */
+    birdAhead: (enemy, options) => {
+        const bird = getLiveBird(enemy);
+        if (!bird) return false;
+        
+        const dx = enemy.x - bird.x;
+        return dx >= (options.min || 0) && dx <= options.max;
+    },
+    
+    /**
+     * Health down to a fraction of what the enemy spawned with
+     * Options: fraction (0-1)
+     */
+    healthBelow: (enemy, options) => enemy.health <= enemy.maxHealth * options.fraction,
+    
+    /**
+     * Fired a number of shots
+     * Options: count
+     */
+    shotsFired: (enemy, options) => enemy.shots >= options.count
+};
+
+// State machine of enemies whose type doesn't declare one
+const ENEMY_DEFAULT_AI = {
+    initial: 'patrol',
+    states: {
+        patrol: {
+            actions: [{ type: 'movementPattern' }, { type: 'randomShot' }]
+        }
+    }
+};
+
+/**
+ * Put a formation path in front of a state machine
+ * @param {Object} machine - State machine definition ({ initial, states })
+ * @param {Object} path - Formation path ({ points, duration })
+ * @returns {Object} State machine that follows the path, then starts the given one
+ */
+function withFormationPath(machine, path) {
+    return {
+        initial: 'formationPath',
+        states: {
+            ...machine.states,
+            formationPath: {
+                actions: [{ type: 'path', points: path.points, duration: path.duration }],
+                transitions: [{ to: machine.initial, when: 'done' }]
+            }
+        }
+    };
+}
+
+/**
+ * Get the bird if it's alive
+ * @param {Enemy} enemy - Enemy looking for it
+ * @returns {Bird|null} The bird
+ */
+function getLiveBird(enemy) {
+    const bird = enemy.scene.bird;
+    return bird && bird.active && !bird.isDead ? bird : null;
+}
+
+/**
+ * EnemyAI Class
+ * Runs one enemy's state machine
+ */
+class EnemyAI {
+    /**
+     * Create a state machine for an enemy
+     * @param {Enemy} enemy - The enemy it drives
+     * @param {Object} machine - State machine definition ({ initial, states })
+     */
+    constructor(enemy, machine) {
+        this.enemy = enemy;
+        this.machine = machine;
+        this.stateName = null;
+        this.state = null;
+        this.stateTime = 0;
+        this.memory = [];
+        this.isDone = false;
+        
+        this.enterState(machine.initial);
+    }
+    
+    /**
+     * Get the actions of the current state with their handlers
+     * @returns {Array<Object>} { handler, options, memory }
+     */
+    getActions() {
+        return (this.state.actions || [])
+            .map((options, index) => ({ handler: ENEMY_AI_ACTIONS[options.type], options, memory: this.memory[index] }))
+            .filter(action => action.handler);
+    }
+    
+    /**
+     * Switch to a state
+     * @param {string} name - State name
+     */
+    enterState(name) {
+        const state = this.machine.states[name];
+        if (!state) {
+            console.warn(`Unknown enemy AI state: ${name}`);
+            return;
+        }
+        
+        const enemy = this.enemy;
+        
+        if (this.state) {
+            this.getActions().forEach(action => {
+                if (action.handler.exit) {
+                    action.handler.exit(enemy, action.options, action.memory);
+                }
+            });
+        }
+        
+        this.stateName = name;
+        this.state = state;
+        this.stateTime = 0;
+        this.isDone = false;
+        this.memory = (state.actions || []).map(() => ({}));
+        
+        enemy.body.checkCollision.none = !!state.intangible;
+        enemy.playAnimation(state.animation);
+        
+        if (state.sound) {
+            enemy.scene.sound.play(state.sound, { volume: 0.7 });
+        }
+        
+        this.getActions().forEach(action => {
+            if (action.handler.enter) {
+                action.handler.enter(enemy, action.options, action.memory);
+            }
+        });
+    }
+    
+    /**
+     * Run the current state's actions for a tick, then its transitions
+     * @param {number} delta - Time since last update
+     */
+    update(delta) {
+        const enemy = this.enemy;
+        this.stateTime += delta;
+        this.isDone = false;
+        
+        for (const action of this.getActions()) {
+            if (action.handler.update && action.handler.update(enemy, action.options, action.memory, delta)) {
+                this.isDone = true;
+            }
+            
+            // An action may have sent the enemy back to its pool
+            if (!enemy.active) return;
+        }
+        
+        const transition = (this.state.transitions || []).find(t => {
+            const condition = t.when && ENEMY_AI_CONDITIONS[t.when];
+            return condition && condition(enemy, t, this);
+        });
+        
+        if (transition) {
+            this.enterState(transition.to);
+        }
+    }
+    
+    /**
+     * Send the enemy an event, taking the current state's transition for it
+     * @param {string} event - Event name ('stomp', 'kick')
+     * @returns {boolean} True if the state changed
+     */
+    trigger(event) {
+        const transition = (this.state.transitions || []).find(t => t.on === event);
+        if (!transition) return false;
+        
+        this.enterState(transition.to);
+        return true;
+    }
+}
@@ -0,0 +1,104 @@
+/**
+ * GhostBird Class
+ * A translucent bird that replays a recorded ghost timeline alongside the player
+ */
+class GhostBird extends Phaser.GameObjects.Sprite {
+    /**
+     * Create a new ghost bird
+     * @param {Phaser.Scene} scene - The scene the ghost belongs to
+     * @param {Object} ghost - Ghost timeline produced by GhostRecorder
+     * @param {string} texture - The texture key to use
+     * @param {string} label - Name shown above the ghost
+     */
+    constructor(scene, ghost, texture, label) {
+        super(scene, CONFIG.BIRD_START_X, CONFIG.BIRD_START_Y, texture);
+        
+        // Add to scene (no physics, the ghost never collides)
+        scene.add.existing(this);
+        
+        this.ghost = ghost;
+        this.sampleCount = Math.floor(ghost.frames.length / ghost.stride);
+        this.finished = false;
+        
+        // Translucent so it reads as a ghost (created before the bird so it draws behind it)
+        this.setAlpha(0.4);
+        
+        // Reuse the bird's flying animation if it exists
+        if (scene.anims.exists(`${texture}_fly`)) {
+            this.play(`${texture}_fly`);
+        }
+        
+        // Name label above the ghost
+        this.label = scene.add.text(this.x, this.y - 30, label, {
+            fontFamily: 'Arial',
+            fontSize: '12px',
+            color: '#ffffff',
+            stroke: '#000000',
+            strokeThickness: 2
+        }).setOrigin(0.5).setAlpha(0.6);
+    }
+    
+    /**
+     * Move the ghost to its recorded state at the given run time
+     * @param {number} runTime - Time since the run started in ms
+     */
+    update(runTime) {
+        if (this.finished || !this.active) return;
+        
+        try {
+            const position = runTime / this.ghost.interval;
+            const index = Math.floor(position);
+            
+            // The recorded run ended here
+            if (index >= this.sampleCount - 1) {
+                this.finish();
+                return;
+            }
+            
+            // Interpolate between the two surrounding samples
+            const t = position - index;
+            const frames = this.ghost.frames;
+            const a = index * this.ghost.stride;
+            const b = a + this.ghost.stride;
+            
+            this.x = Phaser.Math.Linear(frames[a], frames[b], t);
+            this.y = Phaser.Math.Linear(frames[a + 1], frames[b + 1], t);
+            this.rotation = Phaser.Math.Linear(frames[a + 2], frames[b + 2], t);
+            this.setScale(Phaser.Math.Linear(frames[a + 3], frames[b + 3], t));
+            this.setTint(frames[a + 4]);
+            
+            this.label.setPosition(this.x, this.y - 20 - this.displayHeight / 2);
+        } catch (error) {
+            console.error('Error in GhostBird.update:', error);
+        }
+    }
+    
+    /**
+     * Fade the ghost out where its run ended
+     */
+    finish() {
+        this.finished = true;
+        
+        this.scene.tweens.add({
+            targets: [this, this.label],
+            alpha: 0,
+            duration: 500,
+            onComplete: () => {
+                this.destroy();
+            }
+        });
+    }
+    
+    /**
+     * Clean up resources
+     * @param {boolean} fromScene - Whether the scene is destroying this object
+     */
+    destroy(fromScene) {
+        if (this.label) {
+            this.label.destroy();
+            this.label = null;
+        }
+        
+        super.destroy(fromScene);
+    }
+}
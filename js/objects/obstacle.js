@@ -1,3 +1,106 @@
+/**
+ * Obstacle behaviors, attached through the `behaviors` list in an Obstacle's config
+ * Each entry is an options object with a `type` naming one of these handlers.
+ * Handlers are driven by the run clock's tick delta so they replay exactly:
+ *   init(obstacle, options, state)          - Set up when the obstacle is created
+ *   update(obstacle, options, state, delta) - Advance one tick
+ *   touch(obstacle, options, state, bird)   - Bird touched it, return true if that's harmless
+ */
+const OBSTACLE_BEHAVIORS = {
+    /**
+     * Slide up and down around the spawn position
+     * Options: amplitude (px), period (ms), phase (0-1), direction (1 or -1)
+     */
+    slide: {
+        init(obstacle, options, state) {
+            state.baseY = obstacle.y;
+            state.time = (options.phase || 0) * options.period;
+        },
+        update(obstacle, options, state, delta) {
+            state.time += delta;
+            
+            const wave = Math.sin(state.time / options.period * Math.PI * 2);
+            obstacle.y = state.baseY + (options.direction || 1) * wave * options.amplitude;
+        }
+    },
+    
+    /**
+     * Spin around the center (spike bars)
+     * Arcade bodies can't rotate, so the bar checks its own hits against the bird
+     * Options: speed (degrees per second)
+     */
+    rotate: {
+        init(obstacle) {
+            obstacle.body.checkCollision.none = true;
+        },
+        update(obstacle, options, state, delta) {
+            obstacle.angle += options.speed * delta / 1000;
+            
+            const bird = obstacle.scene.bird;
+            if (bird && bird.active && !bird.isDead && obstacle.overlapsRotated(bird)) {
+                obstacle.scene.hitObstacle(bird, obstacle);
+            }
+        }
+    },
+    
+    /**
+     * Hang still until the bird is close, then drop
+     * Options: triggerDistance (px ahead of the bird), gravity (px/s²)
+     */
+    fall: {
+        init(obstacle, options, state) {
+            state.falling = false;
+            state.velocity = 0;
+        },
+        update(obstacle, options, state, delta) {
+            const bird = obstacle.scene.bird;
+            
+            if (!state.falling) {
+                if (bird && bird.active && obstacle.x - bird.x <= options.triggerDistance) {
+                    state.falling = true;
+                }
+                return;
+            }
+            
+            // Stop once it has dropped off the bottom of the screen
+            if (obstacle.y - obstacle.displayHeight / 2 > CONFIG.GAME_HEIGHT) return;
+            
+            state.velocity += options.gravity * delta / 1000;
+            obstacle.y += state.velocity * delta / 1000;
+        }
+    },
+    
+    /**
+     * Break a moment after the bird touches it (touching is harmless)
+     * Options: delay (ms)
+     */
+    crumble: {
+        init(obstacle, options, state) {
+            state.timeLeft = null;
+        },
+        update(obstacle, options, state, delta) {
+            if (state.timeLeft === null) return;
+            
+            state.timeLeft -= delta;
+            
+            // Wobble while crumbling
+            obstacle.angle = Math.sin(state.timeLeft / 30) * 4;
+            
+            if (state.timeLeft <= 0) {
+                obstacle.breakApart();
+            }
+        },
+        touch(obstacle, options, state) {
+            if (state.timeLeft === null) {
+                state.timeLeft = options.delay;
+                obstacle.setTint(0xcc9966);
+            }
+            
+            return true;
+        }
+    }
+};
+
 /**
  * Obstacle Class
  * Represents obstacles like pipes that the player must avoid
@@ -21,16 +124,120 @@ class Obstacle extends Phaser.Physics.Arcade.Sprite {
         // Store reference to scene
         this.scene = scene;
         
+        this.spawn(x, y, texture, config);
+    }
+    
+    /**
+     * Set the obstacle up for use, when created and again when taken from the pool
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {string} texture - The texture key to use
+     * @param {Object} config - Additional configuration
+     */
+    spawn(x, y, texture, config = {}) {
+        // Reset what the previous use (tweens, behaviors, flips) left behind
+        this.setTexture(texture);
+        this.setScale(1);
+        this.setAngle(0);
+        this.setAlpha(1);
+        this.clearTint();
+        this.flipY = config.flipY || false;
+        this.enableBody(true, x, y, true, true);
+        
         // Set properties from config
         this.type = config.type || 'pipe';
         this.health = config.health || 1;
         this.isBreakable = config.isBreakable || false;
+        this.breaksOnContact = config.breaksOnContact || false;
         this.scored = false;
+        this.closestDistance = Infinity; // Closest the bird's body came while passing (for near misses)
         this.destroyed = false;
         
         // Configure physics body
+        this.body.setSize();
         this.body.allowGravity = false;
         this.body.setImmovable(true);
+        this.body.checkCollision.none = false;
+        
+        // Attach behaviors (unknown types are ignored)
+        this.behaviors = (config.behaviors || [])
+            .filter(options => OBSTACLE_BEHAVIORS[options.type])
+            .map(options => {
+                const behavior = { handler: OBSTACLE_BEHAVIORS[options.type], options: options, state: {} };
+                
+                if (behavior.handler.init) {
+                    behavior.handler.init(this, options, behavior.state);
+                }
+                
+                return behavior;
+            });
+    }
+    
+    /**
+     * Return the obstacle to its pool
+     */
+    recycle() {
+        if (!this.active) return;
+        
+        this.destroyed = true;
+        this.scene.tweens.killTweensOf(this);
+        this.disableBody(true, true);
+    }
+    
+    /**
+     * Advance the obstacle's behaviors by one tick
+     * @param {number} delta - Time since last tick in ms
+     */
+    updateBehaviors(delta) {
+        for (const behavior of this.behaviors) {
+            // A behavior may have destroyed the obstacle
+            if (!this.active || this.destroyed) return;
+            
+            if (behavior.handler.update) {
+                behavior.handler.update(this, behavior.options, behavior.state, delta);
+            }
+        }
+    }
+    
+    /**
+     * Let the obstacle's behaviors react to the bird touching it
+     * @param {Bird} bird - The player bird
+     * @returns {boolean} True if the touch is harmless
+     */
+    touch(bird) {
+        let harmless = false;
+        
+        this.behaviors.forEach(behavior => {
+            if (behavior.handler.touch && behavior.handler.touch(this, behavior.options, behavior.state, bird)) {
+                harmless = true;
+            }
+        });
+        
+        return harmless;
+    }
+    
+    /**
+     * Check whether the rotated obstacle overlaps a sprite's physics body
+     * @param {Phaser.Physics.Arcade.Sprite} sprite - Sprite to test (treated as a circle)
+     * @returns {boolean} True if they overlap
+     */
+    overlapsRotated(sprite) {
+        // Move the sprite into the obstacle's unrotated space
+        const dx = sprite.x - this.x;
+        const dy = sprite.y - this.y;
+        const cos = Math.cos(-this.rotation);
+        const sin = Math.sin(-this.rotation);
+        const localX = dx * cos - dy * sin;
+        const localY = dx * sin + dy * cos;
+        
+        // Closest point of the obstacle's rectangle
+        const halfWidth = this.displayWidth / 2;
+        const halfHeight = this.displayHeight / 2;
+        const closestX = Phaser.Math.Clamp(localX, -halfWidth, halfWidth);
+        const closestY = Phaser.Math.Clamp(localY, -halfHeight, halfHeight);
+        
+        const radius = Math.min(sprite.body.width, sprite.body.height) / 2;
+        return Phaser.Math.Distance.Between(localX, localY, closestX, closestY) <= radius;
     }
     
     /**
@@ -47,17 +254,7 @@ class Obstacle extends Phaser.Physics.Arcade.Sprite {
         this.health -= amount;
         
         if (this.health <= 0) {
-            // Mark as destroyed to prevent multiple hits
-            this.destroyed = true;
-            
-            // Create destruction effect
-            this.createDestructionEffect();
-            
-            // Play destruction sound
-            this.scene.sound.play('sfx-break', { volume: 0.6 });
-            
-            // Destroy the obstacle
-            this.destroy();
+            this.breakApart();
             return true;
         } else {
             // Create hit effect
@@ -70,6 +267,25 @@ class Obstacle extends Phaser.Physics.Arcade.Sprite {
         }
     }
     
+    /**
+     * Destroy the obstacle with its break effect and sound
+     */
+    breakApart() {
+        if (this.destroyed || !this.active) return;
+        
+        // Mark as destroyed to prevent multiple hits
+        this.destroyed = true;
+        
+        // Create destruction effect
+        this.createDestructionEffect();
+        
+        // Play destruction sound
+        this.scene.sound.play('sfx-break', { volume: 0.6 });
+        
+        // Return the obstacle to the pool
+        this.recycle();
+    }
+    
     /**
      * Create destruction effect when obstacle is destroyed
      */
@@ -148,6 +364,9 @@ class Obstacle extends Phaser.Physics.Arcade.Sprite {
     }
 }
 
+// Minimum space between the right edge of the last pattern and the screen edge before the next spawns
+const OBSTACLE_PATTERN_SPACING = 200;
+
 /**
  * ObstacleManager Class
  * Manages obstacle generation and patterns
@@ -163,6 +382,9 @@ class ObstacleManager {
         this.obstacles = obstacleGroup;
         this.lastObstacleTime = 0;
         
+        // Seeded random stream for the run (falls back to Phaser's global RND)
+        this.random = scene.rng ? scene.rng.stream('obstacles') : Phaser.Math.RND;
+        
         // Obstacle types
         this.obstacleTypes = [
             {
@@ -197,63 +419,230 @@ class ObstacleManager {
     }
     
     /**
-     * Generate obstacles based on current level
+     * Spawn the next obstacle pattern for the current level
      * @param {number} level - Current game level
-     * @param {number} gameSpeed - Current game speed
      */
-    generate(level, gameSpeed) {
+    generate(level) {
         try {
-            // Calculate gap size based on level (gets smaller as level increases)
-            const maxReduction = CONFIG.OBSTACLE_GAP_DECREMENT * CONFIG.MAX_LEVEL;
-            const levelReduction = Math.min(CONFIG.OBSTACLE_GAP_DECREMENT * (this.level - 1), maxReduction);
-            const gapSize = CONFIG.MIN_OBSTACLE_GAP - levelReduction;
-            
-            // Random position for the gap
-            const gapPosition = Phaser.Math.Between(100, CONFIG.GAME_HEIGHT - 100 - gapSize);
+            // Wait until the previous pattern has scrolled far enough onto the screen
+            if (this.getRightEdge() > CONFIG.GAME_WIDTH - OBSTACLE_PATTERN_SPACING) return;
             
-            // Determine obstacle type based on level
-            let obstacleType = this.obstacleTypes[0]; // Default to pipe
+            const pattern = this.pickPattern(level);
+            if (!pattern) return;
             
-            // Get available obstacle types for current level
-            const availableTypes = this.obstacleTypes.filter(t => t.minLevel <= level);
-            if (availableTypes.length > 0) {
-                // Randomize obstacle type, but keep pipes more common
-                if (Math.random() < 0.7) {
-                    obstacleType = this.obstacleTypes[0]; // 70% chance for pipes
-                } else {
-                    obstacleType = Phaser.Math.RND.pick(availableTypes);
-                }
-            }
-            
-            // Create top obstacle
-            this.createObstacle(
-                CONFIG.GAME_WIDTH,
-                gapPosition - 320,
-                obstacleType.texture,
-                {
-                    type: obstacleType.type,
-                    isBreakable: obstacleType.isBreakable,
-                    health: obstacleType.health
-                }
-            );
-            
-            // Create bottom obstacle
-            this.createObstacle(
-                CONFIG.GAME_WIDTH,
-                gapPosition + gapSize,
-                obstacleType.texture,
-                {
-                    type: obstacleType.type,
-                    isBreakable: obstacleType.isBreakable,
-                    health: obstacleType.health,
-                    flipY: true
-                }
-            );
+            this.spawnPattern(pattern, level);
         } catch (error) {
             console.error("Error in ObstacleManager.generate:", error);
         }
     }
     
+    /**
+     * Calculate the gap size for a level (gets smaller as level increases)
+     * @param {number} level - Current game level
+     * @returns {number} Gap size in px
+     */
+    getGapSize(level) {
+        const maxReduction = CONFIG.OBSTACLE_GAP_DECREMENT * CONFIG.MAX_LEVEL;
+        const levelReduction = Math.min(CONFIG.OBSTACLE_GAP_DECREMENT * (level - 1), maxReduction);
+        return (this.scene.tuning || CONFIG).MIN_OBSTACLE_GAP - levelReduction;
+    }
+    
+    /**
+     * Get the right edge of the rightmost obstacle
+     * @returns {number} X position in px (0 when there are no obstacles)
+     */
+    getRightEdge() {
+        let rightEdge = 0;
+        
+        this.obstacles.getChildren().forEach(obstacle => {
+            if (obstacle.active) {
+                rightEdge = Math.max(rightEdge, obstacle.x + obstacle.displayWidth / 2);
+            }
+        });
+        
+        return rightEdge;
+    }
+    
+    /**
+     * Pick a pattern unlocked at the level, weighted by each pattern's weight
+     * @param {number} level - Current game level
+     * @returns {Object|null} The pattern
+     */
+    pickPattern(level) {
+        const available = OBSTACLE_PATTERNS.filter(p => p.minLevel <= level);
+        if (available.length === 0) return null;
+        
+        const totalWeight = available.reduce((sum, pattern) => sum + pattern.weight, 0);
+        let random = this.random.frac() * totalWeight;
+        
+        for (const pattern of available) {
+            random -= pattern.weight;
+            if (random <= 0) return pattern;
+        }
+        
+        return available[0];
+    }
+    
+    /**
+     * Spawn every column of a pattern just off the right edge of the screen
+     * @param {Object} pattern - Pattern from OBSTACLE_PATTERNS
+     * @param {number} level - Current game level
+     * @param {number|null} gapCenter - Gap center to use (campaign levels), random when null
+     */
+    spawnPattern(pattern, level, gapCenter = null) {
+        const gapSize = this.getGapSize(level);
+        
+        // Keep every column's gap (including where it slides to) inside the screen
+        const margin = 100 + Math.max(...pattern.columns.map(column => {
+            const slide = this.getSlideAmplitude(column, false);
+            return Math.abs(column.offset || 0) + slide + gapSize * (column.gapScale || 1) / 2;
+        }));
+        const centerY = gapCenter !== null ? gapCenter : this.random.between(
+            Math.min(margin, CONFIG.GAME_HEIGHT / 2),
+            Math.max(CONFIG.GAME_HEIGHT - margin, CONFIG.GAME_HEIGHT / 2)
+        );
+        
+        pattern.columns.forEach(column => {
+            this.spawnColumn(column, CONFIG.GAME_WIDTH + column.x, centerY, gapSize);
+        });
+        
+        // Optional power-up in one of the pattern's gaps
+        if (pattern.powerUp && this.random.frac() < pattern.powerUp.chance) {
+            const column = pattern.columns[pattern.powerUp.column];
+            const width = column.width || OBSTACLE_COLUMN_WIDTH;
+            
+            this.scene.events.emit('spawn_powerup', {
+                x: CONFIG.GAME_WIDTH + column.x + width / 2,
+                y: centerY + (column.offset || 0)
+            });
+        }
+    }
+    
+    /**
+     * Spawn the pieces of one pattern column
+     * @param {Object} column - Column definition
+     * @param {number} x - Left edge of the column
+     * @param {number} centerY - Gap center of the pattern
+     * @param {number} gapSize - Gap size for the current level
+     */
+    spawnColumn(column, x, centerY, gapSize) {
+        const type = this.getObstacleType(column.type);
+        const width = column.width || OBSTACLE_COLUMN_WIDTH;
+        const centerX = x + width / 2;
+        const behaviors = column.behaviors || [];
+        
+        // Strip along the bottom or top of the screen
+        if (column.floor) {
+            this.createPiece(centerX, CONFIG.GAME_HEIGHT - column.floor, width, column.floor, type, { behaviors });
+            return;
+        }
+        
+        if (column.ceiling) {
+            this.createPiece(centerX, 0, width, column.ceiling, type, { behaviors });
+            return;
+        }
+        
+        const gapCenter = centerY + (column.offset || 0);
+        const halfGap = gapSize * (column.gapScale || 1) / 2;
+        const gapTop = gapCenter - halfGap;
+        const gapBottom = gapCenter + halfGap;
+        
+        // Sliding columns reach past the screen edges so they never show their ends
+        const overscan = this.getSlideAmplitude(column, true);
+        
+        // Only the weak spot of a wall can be broken
+        const wallConfig = column.weakSpot ? { isBreakable: false } : {};
+        
+        if (column.top !== false) {
+            this.createPiece(centerX, -overscan, width, gapTop + overscan, type, {
+                ...wallConfig,
+                behaviors: this.orientBehaviors(behaviors, -1)
+            });
+        }
+        
+        if (column.bottom !== false) {
+            this.createPiece(centerX, gapBottom, width, CONFIG.GAME_HEIGHT + overscan - gapBottom, type, {
+                ...wallConfig,
+                behaviors: this.orientBehaviors(behaviors, 1),
+                flipY: true
+            });
+        }
+        
+        // Brick filling the gap that the bird can break through
+        if (column.weakSpot) {
+            this.createPiece(centerX, gapTop, width, gapBottom - gapTop, this.getObstacleType('brick'), {
+                breaksOnContact: true
+            });
+        }
+        
+        // Piece floating in the middle of the gap (spike bars)
+        if (column.center) {
+            const center = column.center;
+            this.createPiece(centerX, gapCenter - center.height / 2, center.width, center.height, this.getObstacleType(center.type), {
+                behaviors: center.behaviors || []
+            });
+        }
+    }
+    
+    /**
+     * Get how far a column's pieces slide
+     * @param {Object} column - Column definition
+     * @param {boolean} includeGapSlides - Include slides that open the gap (they don't move the gap center)
+     * @returns {number} Largest slide amplitude in px
+     */
+    getSlideAmplitude(column, includeGapSlides) {
+        return (column.behaviors || []).reduce((max, behavior) => {
+            if (behavior.type !== 'slide' || (behavior.opensGap && !includeGapSlides)) return max;
+            return Math.max(max, behavior.amplitude);
+        }, 0);
+    }
+    
+    /**
+     * Point gap-opening slides away from the gap for the piece above or below it
+     * @param {Array<Object>} behaviors - Column behaviors
+     * @param {number} side - -1 for the piece above the gap, 1 for the piece below
+     * @returns {Array<Object>} Behaviors for the piece
+     */
+    orientBehaviors(behaviors, side) {
+        return behaviors.map(behavior => behavior.opensGap ? { ...behavior, direction: side } : behavior);
+    }
+    
+    /**
+     * Get an obstacle type by name
+     * @param {string} typeName - Type name (defaults to pipe)
+     * @returns {Object} The obstacle type
+     */
+    getObstacleType(typeName = 'pipe') {
+        return this.obstacleTypes.find(t => t.type === typeName) || this.obstacleTypes[0];
+    }
+    
+    /**
+     * Create an obstacle stretched to fill a rectangle
+     * @param {number} centerX - Center x of the piece
+     * @param {number} top - Top edge of the piece
+     * @param {number} width - Width in px
+     * @param {number} height - Height in px
+     * @param {Object} type - Obstacle type
+     * @param {Object} config - Additional configuration
+     * @returns {Obstacle|null} The obstacle, or null when the piece has no height
+     */
+    createPiece(centerX, top, width, height, type, config = {}) {
+        if (height <= 0) return null;
+        
+        const obstacle = this.createObstacle(centerX, top + height / 2, type.texture, {
+            type: type.type,
+            isBreakable: type.isBreakable,
+            health: type.health,
+            ...config
+        });
+        
+        if (obstacle) {
+            obstacle.setDisplaySize(width, height);
+        }
+        
+        return obstacle;
+    }
+    
     /**
      * Create an obstacle
      * @param {number} x - X position
@@ -264,24 +653,8 @@ class ObstacleManager {
      */
     createObstacle(x, y, texture, config = {}) {
         try {
-            // Create new obstacle
-            const obstacle = new Obstacle(
-                this.scene,
-                x,
-                y,
-                texture,
-                config
-            );
-            
-            // Apply config properties
-            if (config.flipY) {
-                obstacle.flipY = true;
-            }
-            
-            // Add to group
-            this.obstacles.add(obstacle);
-            
-            return obstacle;
+            // Reuse a recycled obstacle when one is free
+            return spawnFromPool(this.obstacles, Obstacle, this.scene, x, y, texture, config);
         } catch (error) {
             console.error("Error in ObstacleManager.createObstacle:", error);
             return null;
@@ -295,5 +668,6 @@ class ObstacleManager {
         // Clear references
         this.scene = null;
         this.obstacles = null;
+        this.random = null;
     }
 }
\ No newline at end of file
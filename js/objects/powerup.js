@@ -22,17 +22,39 @@ class PowerUp extends Phaser.Physics.Arcade.Sprite {
         // Store reference to scene
         this.scene = scene;
         
+        // Initialize tween reference
+        this.animationTween = null;
+        this.colorCycle = null;
+        
+        this.spawn(x, y, texture, config);
+    }
+    
+    /**
+     * Set the power-up up for use, when created and again when taken from the pool
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {string} texture - The texture key to use
+     * @param {Object} config - Additional configuration
+     */
+    spawn(x, y, texture, config = {}) {
+        // Reset what the previous use's effects left behind
+        this.setTexture(texture);
+        this.setScale(1);
+        this.setAngle(0);
+        this.setAlpha(1);
+        this.clearTint();
+        this.enableBody(true, x, y, true, true);
+        
         // Set properties from config
         this.type = config.type || texture;
         this.value = config.value || 1;
         this.collected = false;
         
         // Configure physics body
+        this.body.setSize();
         this.body.allowGravity = false;
         
-        // Initialize tween reference
-        this.animationTween = null;
-        this.colorCycle = null;
+        // Star color cycling starts from the first color
         this.colorIndex = 0;
         
         // FIXED: Store original Y position and vertical movement variables
@@ -46,6 +68,28 @@ class PowerUp extends Phaser.Physics.Arcade.Sprite {
         this.applyTypeEffects();
     }
     
+    /**
+     * Return the power-up to its pool
+     */
+    recycle() {
+        if (!this.active) return;
+        
+        // Stop the effects started by applyTypeEffects
+        if (this.colorCycle) {
+            this.colorCycle.remove();
+            this.colorCycle = null;
+        }
+        
+        if (this.animationTween) {
+            this.animationTween.stop();
+            this.animationTween = null;
+        }
+        
+        this.collected = true;
+        this.scene.tweens.killTweensOf(this);
+        this.disableBody(true, true);
+    }
+    
     /**
      * Apply visual and behavior effects based on power-up type
      * FIX: Store tween references for cleanup
@@ -107,6 +151,72 @@ class PowerUp extends Phaser.Physics.Arcade.Sprite {
                         repeat: -1
                     });
                     break;
+                    
+                case 'shield':
+                    // Shield - absorbs one hit
+                    // Light blue bubble that swells and fades
+                    this.setTint(0x66ccff);
+                    this.animationTween = this.scene.tweens.add({
+                        targets: this,
+                        scale: { from: 1, to: 1.25 },
+                        alpha: { from: 1, to: 0.6 },
+                        duration: 800,
+                        yoyo: true,
+                        repeat: -1
+                    });
+                    break;
+                    
+                case 'magnet':
+                    // Magnet - pulls in coins
+                    // Red, wobbling back and forth
+                    this.setTint(0xff4444);
+                    this.animationTween = this.scene.tweens.add({
+                        targets: this,
+                        angle: { from: -20, to: 20 },
+                        duration: 300,
+                        yoyo: true,
+                        repeat: -1
+                    });
+                    break;
+                    
+                case 'slowmo':
+                    // Slow-motion clock
+                    // Pale blue, turning slowly like a clock hand
+                    this.setTint(0x88aaff);
+                    this.animationTween = this.scene.tweens.add({
+                        targets: this,
+                        angle: { from: 0, to: 360 },
+                        duration: 6000,
+                        repeat: -1
+                    });
+                    break;
+                    
+                case 'extra-life':
+                    // 1-up - an extra life
+                    // Green mushroom with a quick hop
+                    this.setTint(0x44ff44);
+                    this.animationTween = this.scene.tweens.add({
+                        targets: this,
+                        scaleX: { from: 1.1, to: 0.9 },
+                        scaleY: { from: 0.9, to: 1.1 },
+                        duration: 250,
+                        yoyo: true,
+                        repeat: -1
+                    });
+                    break;
+                    
+                case 'mini-mushroom':
+                    // Mini mushroom - smaller hitbox
+                    // Small blue mushroom, pulsing like the big one
+                    this.setTint(0x6688ff);
+                    this.animationTween = this.scene.tweens.add({
+                        targets: this,
+                        scale: { from: 0.5, to: 0.7 },
+                        duration: 600,
+                        yoyo: true,
+                        repeat: -1
+                    });
+                    break;
                 
                 default:
                     // Default floating animation
@@ -184,9 +294,9 @@ class PowerUp extends Phaser.Physics.Arcade.Sprite {
                 }
             }
             
-            // Remove if off screen
+            // Recycle once off screen
             if (this.x < -this.width) {
-                this.destroy();
+                this.recycle();
             }
         } catch (error) {
             console.error('Error in PowerUp.update:', error);
@@ -221,16 +331,16 @@ class PowerUp extends Phaser.Physics.Arcade.Sprite {
                 value: this.value
             };
             
-            // Destroy power-up
-            this.destroy();
+            // Return the power-up to the pool
+            this.recycle();
             
             return effectInfo;
         } catch (error) {
             console.error('Error in PowerUp.collect:', error);
             
-            // Still try to destroy if there was an error
+            // Still try to recycle if there was an error
             if (this.active) {
-                this.destroy();
+                this.recycle();
             }
             
             return {
@@ -355,6 +465,9 @@ class PowerUpManager {
         this.scene = scene;
         this.powerUps = powerUpGroup;
         
+        // Seeded random stream for the run (falls back to Phaser's global RND)
+        this.random = scene.rng ? scene.rng.stream('powerups') : Phaser.Math.RND;
+        
         // Power-up types with their rarities and levels
         this.powerUpTypes = [
             {
@@ -380,6 +493,36 @@ class PowerUpManager {
                 texture: 'star',
                 rarity: 0.15, // Rare
                 minLevel: 3
+            },
+            {
+                type: 'shield',
+                texture: 'coin',
+                rarity: 0.2,  // Uncommon
+                minLevel: 2
+            },
+            {
+                type: 'magnet',
+                texture: 'coin',
+                rarity: 0.2,  // Uncommon
+                minLevel: 2
+            },
+            {
+                type: 'mini-mushroom',
+                texture: 'mushroom',
+                rarity: 0.2,  // Uncommon
+                minLevel: 2
+            },
+            {
+                type: 'slowmo',
+                texture: 'star',
+                rarity: 0.1,  // Rare
+                minLevel: 4
+            },
+            {
+                type: 'extra-life',
+                texture: 'mushroom',
+                rarity: 0.05, // Very rare
+                minLevel: 3
             }
         ];
         
@@ -395,7 +538,7 @@ class PowerUpManager {
     generate(level) {
         try {
             // Don't spawn too many power-ups
-            if (this.powerUps.getLength() >= 3) return;
+            if (this.powerUps.countActive() >= 3) return;
             
             // FIXED: Improved power-up placement within screen bounds
             // Random position with safer Y boundaries
@@ -403,7 +546,7 @@ class PowerUpManager {
             // Keep power-ups within the middle area of the screen for better accessibility
             const centerY = CONFIG.GAME_HEIGHT / 2;
             const range = CONFIG.GAME_HEIGHT / 3; // 1/3 of screen height
-            const y = Phaser.Math.Between(centerY - range, centerY + range);
+            const y = this.random.between(centerY - range, centerY + range);
             
             // Select power-up type based on level and rarity
             this.spawnPowerUp(x, y, level);
@@ -431,12 +574,13 @@ class PowerUpManager {
      * @param {number} x - X position
      * @param {number} y - Y position
      * @param {number} level - Current game level
+     * @param {boolean} reward - True to leave out coins (guaranteed power-up rewards)
      * FIX: Added comprehensive error handling
      */
-    spawnPowerUp(x, y, level) {
+    spawnPowerUp(x, y, level, reward = false) {
         try {
             // Get available power-ups for current level
-            const availableTypes = this.powerUpTypes.filter(p => p.minLevel <= level);
+            const availableTypes = this.powerUpTypes.filter(p => p.minLevel <= level && !(reward && p.type === 'coin'));
             
             if (availableTypes.length === 0) return;
             
@@ -449,7 +593,7 @@ class PowerUpManager {
             });
             
             // Random value
-            let random = Phaser.Math.RND.frac() * totalWeight;
+            let random = this.random.frac() * totalWeight;
             let selectedType = null;
             
             // Select based on weight
@@ -479,7 +623,10 @@ class PowerUpManager {
                 const maxY = CONFIG.GAME_HEIGHT - 150;
                 y = Phaser.Math.Clamp(y, minY, maxY);
                 
-                const powerUp = new PowerUp(
+                // Reuse a recycled power-up when one is free
+                spawnFromPool(
+                    this.powerUps,
+                    PowerUp,
                     this.scene,
                     x,
                     y,
@@ -489,15 +636,47 @@ class PowerUpManager {
                         value: this.getPowerUpValue(selectedType.type, level)
                     }
                 );
-                
-                // Add to group
-                this.powerUps.add(powerUp);
             }
         } catch (error) {
             console.error('Error in PowerUpManager.spawnPowerUp:', error, 'Position:', x, y);
         }
     }
     
+    /**
+     * Spawn a power-up of a given type where a campaign level places it
+     * @param {string} type - Power-up type
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {number} level - Current game level
+     * @returns {PowerUp|null} The power-up
+     */
+    spawnType(type, x, y, level) {
+        try {
+            const typeInfo = this.powerUpTypes.find(p => p.type === type);
+            
+            if (!typeInfo) {
+                console.warn(`Unknown power-up type: ${type}`);
+                return null;
+            }
+            
+            return spawnFromPool(
+                this.powerUps,
+                PowerUp,
+                this.scene,
+                x,
+                y,
+                typeInfo.texture,
+                {
+                    type: typeInfo.type,
+                    value: this.getPowerUpValue(typeInfo.type, level)
+                }
+            );
+        } catch (error) {
+            console.error('Error in PowerUpManager.spawnType:', error);
+            return null;
+        }
+    }
+    
     /**
      * Get power-up value based on type and level
      * @param {string} type - Power-up type
@@ -507,8 +686,8 @@ class PowerUpManager {
     getPowerUpValue(type, level) {
         switch (type) {
             case 'mushroom':
-                // Mushroom - standard duration
-                return 1;
+                // Mushroom - duration multiplier, longer with the upgrade
+                return 1 + getUpgradeBonus('mushroom-time', this.scene.upgrades);
                 
             case 'flower':
                 // Flower - standard duration
@@ -519,8 +698,8 @@ class PowerUpManager {
                 return 1;
                 
             case 'coin':
-                // Coin - value increases with level
-                return 5 * Math.max(1, Math.floor(level / 2));
+                // Coin - number of coins it's worth, increases with level and the upgrade
+                return Math.max(1, Math.floor(level / 2)) + getUpgradeBonus('coin-value', this.scene.upgrades);
                 
             default:
                 return 1;
@@ -547,6 +726,7 @@ class PowerUpManager {
             // Clear references
             this.scene = null;
             this.powerUps = null;
+            this.random = null;
         } catch (error) {
             console.error('Error in PowerUpManager.destroy:', error);
         }
@@ -70,6 +70,9 @@ class BootScene extends Phaser.Scene {
     initializeGameSystems() {
         // Set up any game-wide systems here
         
+        // Apply the player's saved sound setting
+        applySoundSettings(this.sound);
+        
         // Example: Game-wide event emitter
         this.events.emit('system-ready');
     }
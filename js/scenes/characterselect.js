@@ -2,16 +2,29 @@
  * CharacterSelectScene
  * Allows the player to select a bird character
  */
+
+// Stats compared with bars on every character card (fire rate as shots per second so longer is faster)
+const CHARACTER_STAT_BARS = [
+    { label: 'Flap', value: c => c.flightPower || 1.0 },
+    { label: 'Weight', value: c => c.gravityScale || 1.0 },
+    { label: 'Fall speed', value: c => c.maxFallSpeed || CONFIG.BIRD_MAX_FALL_SPEED },
+    { label: 'Hitbox', value: c => c.hitboxScale || CONFIG.BIRD_COLLIDER_REDUCTION },
+    { label: 'Power-ups', value: c => c.powerUpDuration || 1.0 },
+    { label: 'Fire rate', value: c => 1000 / (c.fireballRate || CONFIG.FIREBALL_RATE) }
+];
+
 class CharacterSelectScene extends Phaser.Scene {
     constructor() {
         super('CharacterSelectScene');
         this.selectedCharacter = null;
+        this.selectedDifficulty = CONFIG.DEFAULT_DIFFICULTY;
     }
     
     create() {
         // Initialize state variables
         this.isTransitioning = false;
         this.selectedCharacter = null;
+        this.selectedDifficulty = getDifficulty().id;
         
         // Background
         this.bg = this.add.tileSprite(0, 0, CONFIG.GAME_WIDTH, CONFIG.GAME_HEIGHT, 'bg-sky')
@@ -34,9 +47,18 @@ class CharacterSelectScene extends Phaser.Scene {
         // Create character selection grid
         this.createCharacterGrid();
         
+        // Signed-in players' unlocks come from Firestore
+        loadWallet().then(() => {
+            if (this.sys.isActive()) this.updateCharacterLocks();
+        });
+        
         // Create start button
         this.createStartButton();
         
+        // Create difficulty selector and ability info on either side of the start button
+        this.createDifficultySelector();
+        this.createAbilityInfo();
+        
         // Create back button
         this.createBackButton();
         
@@ -44,7 +66,7 @@ class CharacterSelectScene extends Phaser.Scene {
         if (!this.sound.get('music-menu')) {
             this.sound.play('music-menu', {
                 loop: true,
-                volume: 0.7
+                volume: getMusicVolume()
             });
         }
         
@@ -78,7 +100,7 @@ class CharacterSelectScene extends Phaser.Scene {
         
         // Always update debug text to help diagnose issues
         if (this.debugText) {
-            this.debugText.setText(`Selected: ${this.selectedCharacter || 'None'} | Transitioning: ${this.isTransitioning} | Start Enabled: ${this.startButton && !this.startButton.tintTopLeft ? 'Yes' : 'No'}`);
+            this.debugText.setText(`Selected: ${this.selectedCharacter || 'None'} | Difficulty: ${this.selectedDifficulty} | Transitioning: ${this.isTransitioning} | Start Enabled: ${this.startButton && !this.startButton.tintTopLeft ? 'Yes' : 'No'}`);
         }
     }
     
@@ -123,6 +145,12 @@ class CharacterSelectScene extends Phaser.Scene {
                 .setStrokeStyle(2, 0xffffff)
                 .setInteractive() // Make it clickable directly
                 .on('pointerdown', () => {
+                    // Locked birds have to be bought in the shop first
+                    if (!isItemUnlocked(character.id)) {
+                        this.showSelectPrompt(`Unlock ${character.name} in the shop!`);
+                        return;
+                    }
+                    
                     this.selectCharacter(character.id, preview);
                 })
                 .on('pointerover', () => {
@@ -137,7 +165,7 @@ class CharacterSelectScene extends Phaser.Scene {
                 });
                 
             // Character name
-            const nameText = this.add.text(0, -70, character.name, {
+            const nameText = this.add.text(0, -82, character.name, {
                 fontFamily: 'Arial',
                 fontSize: '20px',
                 color: '#ffffff',
@@ -145,11 +173,11 @@ class CharacterSelectScene extends Phaser.Scene {
             }).setOrigin(0.5);
             
             // Preview bird
-            const previewBird = this.add.sprite(0, 0, character.texture, 0)
+            const previewBird = this.add.sprite(0, -35, character.texture, 0)
                 .setScale(2);
             
             // Store base Y position for animation
-            preview.previewBirdBaseY = 0;
+            preview.previewBirdBaseY = -35;
             
             // Create flying animation
             const animKey = `select-fly-${character.texture}-${index}`;
@@ -164,24 +192,83 @@ class CharacterSelectScene extends Phaser.Scene {
             
             previewBird.play(animKey);
             
-            // Character stats
-            const statsText = this.add.text(0, 50, `Flight Power: ${character.flightPower.toFixed(1)}`, {
+            // Character ability (described in full next to the start button when selected)
+            const abilityText = this.add.text(0, 14, character.ability ? `Ability: ${character.ability.name}` : '', {
                 fontFamily: 'Arial',
-                fontSize: '16px',
-                color: '#ffffff',
+                fontSize: '14px',
+                color: '#ffff00',
                 align: 'center'
             }).setOrigin(0.5);
             
             // Add all elements to the preview container
-            preview.add([bg, nameText, previewBird, statsText]);
+            preview.add([bg, nameText, previewBird, abilityText, ...this.createStatBars(character, 32)]);
+            
+            // Locked birds are covered with their price until bought in the shop
+            const lockOverlay = this.add.rectangle(0, 0, cellWidth - 20, cellHeight - 20, 0x000000, 0.6);
+            const lockText = this.add.text(0, -35, `LOCKED\n${character.price || 0} coins`, {
+                fontFamily: 'Arial',
+                fontSize: '20px',
+                color: '#ffff00',
+                align: 'center',
+                stroke: '#000000',
+                strokeThickness: 4
+            }).setOrigin(0.5);
+            
+            preview.add([lockOverlay, lockText]);
             
             // Store references for easier access
+            preview.lockItems = [lockOverlay, lockText];
             preview.previewBird = previewBird;
             preview.background = bg; // Reference to background for color changes
             
             // Add to group for management
             this.characterPreviews.add(preview);
         });
+        
+        this.updateCharacterLocks();
+    }
+    
+    /**
+     * Show or hide the lock on every character card
+     */
+    updateCharacterLocks() {
+        this.characterPreviews.getChildren().forEach(preview => {
+            const locked = !isItemUnlocked(CONFIG.CHARACTERS[preview.index].id);
+            preview.lockItems.forEach(item => item.setVisible(locked));
+        });
+    }
+    
+    /**
+     * Create the stat bars of a character card
+     * Each bar is scaled between the lowest and highest value of that stat across
+     * all characters, so the differences stand out
+     * @param {Object} character - Character config
+     * @param {number} y - Y position of the first bar inside the card
+     * @returns {Array<Phaser.GameObjects.GameObject>} Labels and bars to add to the card
+     */
+    createStatBars(character, y) {
+        const items = [];
+        
+        CHARACTER_STAT_BARS.forEach((stat, index) => {
+            const values = CONFIG.CHARACTERS.map(stat.value);
+            const min = Math.min(...values);
+            const max = Math.max(...values);
+            
+            // Even the lowest value gets a sliver of bar
+            const fill = max > min ? 0.2 + 0.8 * (stat.value(character) - min) / (max - min) : 1;
+            const rowY = y + index * 12;
+            
+            items.push(this.add.text(-80, rowY, stat.label, {
+                fontFamily: 'Arial',
+                fontSize: '10px',
+                color: '#ffffff'
+            }).setOrigin(0, 0.5));
+            
+            items.push(this.add.rectangle(-15, rowY, 90, 7, 0xffffff, 0.2).setOrigin(0, 0.5));
+            items.push(this.add.rectangle(-15, rowY, 90 * fill, 7, 0x2ecc71).setOrigin(0, 0.5));
+        });
+        
+        return items;
     }
     
     /**
@@ -269,6 +356,8 @@ class CharacterSelectScene extends Phaser.Scene {
             this.startText.setColor('#ffffff');
         }
         
+        this.updateAbilityInfo(characterId);
+        
         // Log selection for debugging
         console.log(`Character selected: ${characterId}`);
         
@@ -349,7 +438,7 @@ class CharacterSelectScene extends Phaser.Scene {
                     const previews = this.characterPreviews.getChildren();
                     for (let i = 0; i < previews.length; i++) {
                         const characterId = CONFIG.CHARACTERS[previews[i].index].id;
-                        if (characterId === savedCharacter) {
+                        if (characterId === savedCharacter && isItemUnlocked(characterId)) {
                             // Auto-select the previously selected character
                             this.selectCharacter(characterId, previews[i]);
                             break;
@@ -362,6 +451,175 @@ class CharacterSelectScene extends Phaser.Scene {
         }
     }
     
+    /**
+     * Create the difficulty selector next to the start button
+     */
+    createDifficultySelector() {
+        const x = CONFIG.GAME_WIDTH / 2 + 230;
+        const y = this.startButton.y;
+        
+        // Label
+        this.add.text(x, y - 35, 'DIFFICULTY', {
+            fontFamily: 'Arial',
+            fontSize: '14px',
+            color: '#ffffff',
+            align: 'center',
+            stroke: '#000000',
+            strokeThickness: 3
+        }).setOrigin(0.5);
+        
+        // Background panel
+        this.add.rectangle(x, y, 170, 40, 0x000000, 0.5)
+            .setOrigin(0.5)
+            .setStrokeStyle(2, 0xffffff);
+            
+        // Current difficulty
+        this.difficultyText = this.add.text(x, y, '', {
+            fontFamily: 'Arial',
+            fontSize: '20px',
+            color: '#ffffff',
+            align: 'center'
+        }).setOrigin(0.5);
+        
+        // Lives for the current difficulty
+        this.difficultyInfoText = this.add.text(x, y + 32, '', {
+            fontFamily: 'Arial',
+            fontSize: '14px',
+            color: '#ffff00',
+            align: 'center',
+            stroke: '#000000',
+            strokeThickness: 3
+        }).setOrigin(0.5);
+        
+        // Arrows cycle through the presets
+        this.createDifficultyArrow(x - 70, y, '<', -1);
+        this.createDifficultyArrow(x + 70, y, '>', 1);
+        
+        this.setDifficulty(this.selectedDifficulty);
+    }
+    
+    /**
+     * Create the panel describing the selected character's ability
+     */
+    createAbilityInfo() {
+        const x = CONFIG.GAME_WIDTH / 2 - 230;
+        const y = this.startButton.y;
+        
+        // Label
+        this.add.text(x, y - 35, 'ABILITY', {
+            fontFamily: 'Arial',
+            fontSize: '14px',
+            color: '#ffffff',
+            align: 'center',
+            stroke: '#000000',
+            strokeThickness: 3
+        }).setOrigin(0.5);
+        
+        // Background panel
+        this.add.rectangle(x, y, 170, 40, 0x000000, 0.5)
+            .setOrigin(0.5)
+            .setStrokeStyle(2, 0xffffff);
+            
+        // Ability name
+        this.abilityNameText = this.add.text(x, y, '', {
+            fontFamily: 'Arial',
+            fontSize: '20px',
+            color: '#ffffff',
+            align: 'center'
+        }).setOrigin(0.5);
+        
+        // What it does and how long it takes to recharge
+        this.abilityInfoText = this.add.text(x, y + 24, '', {
+            fontFamily: 'Arial',
+            fontSize: '14px',
+            color: '#ffff00',
+            align: 'center',
+            stroke: '#000000',
+            strokeThickness: 3,
+            wordWrap: { width: 220 }
+        }).setOrigin(0.5, 0);
+        
+        this.updateAbilityInfo(this.selectedCharacter);
+    }
+    
+    /**
+     * Show a character's ability in the ability panel
+     * @param {string} characterId - The ID of the character
+     */
+    updateAbilityInfo(characterId) {
+        // The start button auto-selects the saved character before the panel exists
+        if (!this.abilityNameText) return;
+        
+        const character = CONFIG.CHARACTERS.find(c => c.id === characterId);
+        
+        if (!character || !character.ability) {
+            this.abilityNameText.setText('-');
+            this.abilityInfoText.setText('Select a bird');
+            return;
+        }
+        
+        const ability = character.ability;
+        this.abilityNameText.setText(ability.name);
+        this.abilityInfoText.setText(`${ability.description} (${ability.cooldown / 1000}s)`);
+    }
+    
+    /**
+     * Create an arrow that cycles the difficulty
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {string} label - Arrow text
+     * @param {number} direction - -1 for the previous preset, 1 for the next
+     */
+    createDifficultyArrow(x, y, label, direction) {
+        const arrow = this.add.text(x, y, label, {
+            fontFamily: 'Arial',
+            fontSize: '24px',
+            color: '#ffffff',
+            fontStyle: 'bold'
+        }).setOrigin(0.5)
+            .setInteractive({ useHandCursor: true })
+            .on('pointerdown', () => {
+                this.cycleDifficulty(direction);
+            })
+            .on('pointerover', () => {
+                arrow.setColor('#2ecc71');
+            })
+            .on('pointerout', () => {
+                arrow.setColor('#ffffff');
+            });
+    }
+    
+    /**
+     * Move to the previous or next difficulty preset
+     * @param {number} direction - -1 for the previous preset, 1 for the next
+     */
+    cycleDifficulty(direction) {
+        if (this.isTransitioning) return;
+        
+        const count = CONFIG.DIFFICULTIES.length;
+        const index = CONFIG.DIFFICULTIES.findIndex(d => d.id === this.selectedDifficulty);
+        const next = CONFIG.DIFFICULTIES[(index + direction + count) % count];
+        
+        this.sound.play('sfx-flap', { volume: 0.5 });
+        this.setDifficulty(next.id);
+    }
+    
+    /**
+     * Select a difficulty preset
+     * @param {string} difficultyId - The ID of the difficulty
+     */
+    setDifficulty(difficultyId) {
+        const difficulty = getDifficulty(difficultyId);
+        this.selectedDifficulty = difficulty.id;
+        
+        const lives = difficulty.overrides.STARTING_LIVES || CONFIG.STARTING_LIVES;
+        this.difficultyText.setText(difficulty.name);
+        this.difficultyInfoText.setText(`${lives} ${lives === 1 ? 'life' : 'lives'}`);
+        
+        // Remember the choice for the next run
+        updateSettings({ difficulty: difficulty.id });
+    }
+    
     /**
      * Create the back button to return to main menu
      */
@@ -427,6 +685,11 @@ class CharacterSelectScene extends Phaser.Scene {
             return;
         }
         
+        if (!isItemUnlocked(this.selectedCharacter)) {
+            this.showSelectPrompt('Unlock this bird in the shop first!');
+            return;
+        }
+        
         // Prevent double-clicking the start button
         if (this.isTransitioning) {
             console.log('Already transitioning, ignoring duplicate start request');
@@ -474,7 +737,8 @@ class CharacterSelectScene extends Phaser.Scene {
                 // Start game with selected character
                 try {
                     this.scene.start('GameScene', { 
-                        characterId: this.selectedCharacter
+                        characterId: this.selectedCharacter,
+                        difficulty: this.selectedDifficulty
                     });
                     console.log('GameScene started successfully');
                 } catch (error) {
@@ -490,11 +754,12 @@ class CharacterSelectScene extends Phaser.Scene {
     }
     
     /**
-     * Show prompt to select a character
+     * Show a prompt under the grid
+     * @param {string} text - Prompt text (asks to select a character by default)
      */
-    showSelectPrompt() {
+    showSelectPrompt(text = 'Please select a character!') {
         // Create prompt text with bounce effect
-        const promptText = this.add.text(CONFIG.GAME_WIDTH / 2, 500, 'Please select a character!', {
+        const promptText = this.add.text(CONFIG.GAME_WIDTH / 2, 500, text, {
             fontFamily: 'Arial',
             fontSize: '24px',
             color: '#ff0000',
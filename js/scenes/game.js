@@ -1,19 +1,37 @@
+// Power-up bar slots: icon texture (tinted pickup sprites for power-ups without an icon) and countdown color
+const POWERUP_HUD_ICONS = {
+    mushroom: { texture: 'mushroom-icon', color: 0xff3333 },
+    flower: { texture: 'flower-icon', color: 0xff9900 },
+    star: { texture: 'star', tint: 0xffff00, scale: 0.8, color: 0xffff00 },
+    shield: { texture: 'coin', tint: 0x66ccff, scale: 0.8, color: 0x66ccff },
+    magnet: { texture: 'coin', tint: 0xff4444, scale: 0.8, color: 0xff4444 },
+    slowmo: { texture: 'star', tint: 0x88aaff, scale: 0.8, color: 0x88aaff },
+    mini: { texture: 'mushroom', tint: 0x6688ff, scale: 0.6, color: 0x6688ff }
+};
+
 /**
  * GameScene - The main gameplay scene
  * Handles all gameplay mechanics including the bird, obstacles, enemies and power-ups
  * FIXED: Fixed powerup handling, enemy shooting, and obstacle generation
  */
 class GameScene extends Phaser.Scene {
-    constructor() {
-        super('GameScene');
+    /**
+     * Create the game scene
+     * @param {string} key - Scene key (subclasses such as ReplayScene pass their own)
+     */
+    constructor(key = 'GameScene') {
+        super(key);
         this.bird = null;
         this.obstacles = null;
         this.enemies = null;
         this.powerUps = null;
         this.fireballs = null;
         this.enemyProjectiles = null;
+        this.bosses = null;
+        this.bossWeakPoints = null;
         this.score = 0;
         this.level = 1;
+        this.lives = CONFIG.STARTING_LIVES;
         this.gameSpeed = CONFIG.BASE_GAME_SPEED;
         this.isBig = false;
         this.isShooting = false;
@@ -22,6 +40,42 @@ class GameScene extends Phaser.Scene {
         this.characterId = null;
         this.currentBackground = null;
         
+        // Difficulty preset and the tuning values it produces
+        this.difficulty = null;
+        this.tuning = CONFIG;
+        
+        // Seeded random source for the current run
+        this.seed = null;
+        this.rng = null;
+        
+        // Run clock and replay recording
+        this.runTime = 0;
+        this.isReplay = false;
+        this.replayRecorder = null;
+        this.lastReplay = null;
+        
+        // Ghost racing
+        this.ghostData = null;
+        this.raceGhost = null;
+        this.ghostBird = null;
+        this.ghostRecorder = null;
+        this.lastGhost = null;
+        
+        // Boss fights ('clearing' while the screen empties, then 'fighting')
+        this.boss = null;
+        this.bossFightState = null;
+        this.bossesDefeated = 0;
+        this.lastBossLevel = 0;
+        this.isScrollPaused = false;
+        this.bossFlowerTime = 0; // Time the bird has had no way to shoot the boss (see updateBossFlower)
+        
+        // Campaign level being played (null in endless runs) and how far through it the run is
+        this.campaignLevel = null;
+        this.distance = 0;
+        this.timelineIndex = 0;
+        this.finishLine = null;
+        this.isLevelComplete = false;
+        
         // Managers
         this.obstacleManager = null;
         this.enemyManager = null;
@@ -50,23 +104,87 @@ class GameScene extends Phaser.Scene {
      */
     init(data) {
         this.characterId = data.characterId || 'bluebird';
+        
+        // Set multiplayer flag if provided
+        this.isMultiplayer = data.multiplayer || false;
+        this.roomId = data.roomId || null;
+        
+        // Hand-authored campaign level, played instead of the endless course. Playtests
+        // from the level editor pass the level itself and don't count towards progress
+        this.campaignLevel = typeof data.campaignLevel === 'string'
+            ? getCampaignLevel(data.campaignLevel)
+            : data.campaignLevel || null;
+        this.isPlaytest = !!(this.campaignLevel && data.playtest);
+        this.distance = 0; // Distance scrolled, timeline events spawn once it reaches their `at`
+        this.timelineIndex = 0;
+        this.finishLine = null;
+        this.isLevelComplete = false;
+        this.campaignStars = 0;
+        this.campaignProgressBar = null;
+        
+        // Multiplayer races (and campaign levels, so stars are earned on the same course)
+        // always use the default difficulty
+        const fixedDifficulty = this.isMultiplayer || this.campaignLevel;
+        this.difficulty = getDifficulty(fixedDifficulty ? CONFIG.DEFAULT_DIFFICULTY : data.difficulty);
+        this.tuning = { ...CONFIG, ...this.difficulty.overrides };
+        
+        // Upgrade levels bought in the shop (replays bring the levels they were recorded with),
+        // left out of multiplayer races for the same reason as the difficulty
+        this.upgrades = data.upgrades || (this.isMultiplayer ? {} : { ...getWallet().upgrades });
+        
         this.score = 0;
-        this.level = 1;
-        this.gameSpeed = CONFIG.BASE_GAME_SPEED;
+        this.coinsCollected = 0;
+        this.coinPickups = 0; // Coins picked up (not what they were worth), for the campaign coin star
+        this.livesLost = 0;
+        
+        // Combo count, time left before it decays and the run's best (see addCombo)
+        this.combo = 0;
+        this.comboTimeLeft = 0;
+        this.longestCombo = 0;
+        
+        // Enemies stomped since the bird last touched ground (see stompEnemy)
+        this.stompChain = 0;
+        
+        // Near misses this run and the real time left on the slow motion flash after one
+        this.nearMisses = 0;
+        this.nearMissSlowTime = 0;
+        
+        // Campaign levels play at a fixed level, endless runs start at 1 and speed up
+        this.level = this.campaignLevel ? this.campaignLevel.level : 1;
+        this.lives = this.tuning.STARTING_LIVES;
+        this.gameSpeed = CONFIG.BASE_GAME_SPEED + (this.level - 1) * this.tuning.LEVEL_SPEED_INCREASE;
         this.isGameOver = false;
         this.isBig = false;
         this.isShooting = false;
         this.isInvulnerable = false;
+        this.slowMotionScale = 1; // Below 1 while the slow-motion power-up runs
         
-        // Set multiplayer flag if provided
-        this.isMultiplayer = data.multiplayer || false;
-        this.roomId = data.roomId || null;
+        this.boss = null;
+        this.bossFightState = null;
+        this.bossesDefeated = 0;
+        this.lastBossLevel = 0;
+        this.isScrollPaused = false;
+        this.bossFlowerTime = 0;
+        
+        // Seed the run so the same seed always produces the same course
+        this.isSeededRun = data.seed !== undefined && data.seed !== null;
+        this.seed = this.isSeededRun ? String(data.seed) : generateRunSeed();
+        this.rng = new RunRandom(this.seed);
+        
+        // Ghost to race (e.g. a leaderboard run), otherwise the personal best on its course
+        this.ghostData = data.ghost || null;
+        this.raceGhost = this.findRaceGhost();
+        this.ghostBird = null;
+        this.lastGhost = null;
         
         // Clear any previous multiplayer state
         this.otherPlayers = {};
         this.otherPlayerSprites = {};
         
-        console.log(`Game initialized: CharacterId=${this.characterId}, Multiplayer=${this.isMultiplayer}, RoomId=${this.roomId}`);
+        // Labels showing each enemy's AI state (CONFIG.DEBUG only)
+        this.enemyDebugLabels = [];
+        
+        console.log(`Game initialized: CharacterId=${this.characterId}, Difficulty=${this.difficulty.id}, Seed=${this.seed}, Multiplayer=${this.isMultiplayer}, RoomId=${this.roomId}, Campaign=${this.campaignLevel ? this.campaignLevel.id : 'none'}`);
     }
     
     create() {
@@ -77,6 +195,9 @@ class GameScene extends Phaser.Scene {
             // Create game groups
             this.createGroups();
             
+            // Create the ghost first so it draws behind the player
+            this.createGhost();
+            
             // Create the player bird
             this.createBird();
             
@@ -95,8 +216,32 @@ class GameScene extends Phaser.Scene {
             // Setup bird power-up state listener
             this.setupBirdStateListener();
             
+            // Drive the simulation from a replayable run clock
+            this.installRunClock();
+            
+            // Start recording the run so it can be replayed and raced as a ghost
+            if (!this.isReplay) {
+                this.replayRecorder = new ReplayRecorder({
+                    seed: this.seed,
+                    characterId: this.characterId,
+                    difficulty: this.difficulty.id,
+                    upgrades: this.upgrades,
+                    campaignLevel: this.getCampaignLevelRef()
+                });
+                
+                // Ghosts race the endless course only
+                if (!this.campaignLevel) {
+                    this.ghostRecorder = new GhostRecorder({
+                        seed: this.seed,
+                        characterId: this.characterId,
+                        difficulty: this.difficulty.id,
+                        name: getPlayerDisplayName()
+                    });
+                }
+            }
+            
             // Start background music
-            this.sound.play('music-gameplay', { loop: true, volume: 0.7 });
+            this.sound.play('music-gameplay', { loop: true, volume: getMusicVolume() });
             
             // Setup multiplayer if enabled
             if (this.isMultiplayer && this.roomId) {
@@ -107,7 +252,7 @@ class GameScene extends Phaser.Scene {
             }
             
             // Notify other systems that game started
-            if (isAuthenticated()) {
+            if (isAuthenticated() && !this.isReplay) {
                 updatePlayerStatus('playing');
             }
             
@@ -119,9 +264,13 @@ class GameScene extends Phaser.Scene {
                 backgroundColor: '#333333'
             }).setDepth(100);
             
-            // Generate initial obstacles and enemies
-            this.generateObstacles();
-            this.generateEnemies();
+            // Generate initial obstacles and enemies (campaign levels start from their timeline)
+            if (this.campaignLevel) {
+                this.showBanner(`${this.campaignLevel.id}  ${this.campaignLevel.name}`, '#FFFFFF');
+            } else {
+                this.generateObstacles();
+                this.generateEnemies();
+            }
         } catch (error) {
             console.error('Error in GameScene.create:', error);
         }
@@ -147,6 +296,72 @@ class GameScene extends Phaser.Scene {
         }
     }
     
+    /**
+     * Find the ghost to race: a passed-in ghost, or the personal best when the run
+     * is seeded with the course it was recorded on
+     * @returns {Object|null} The ghost
+     */
+    findRaceGhost() {
+        // Ghosts are a single-player feature of the endless course
+        if (this.isReplay || this.isMultiplayer || this.campaignLevel) return null;
+        
+        if (this.ghostData) {
+            return this.ghostData.frames && this.ghostData.frames.length > 0 ? this.ghostData : null;
+        }
+        
+        // A personal best from another course wouldn't line up with this one
+        const ghost = this.getPersonalBestGhost();
+        if (!ghost || !this.isSeededRun || String(ghost.seed) !== this.seed) return null;
+        
+        return ghost;
+    }
+    
+    /**
+     * Get the stored personal best ghost for this run's character and difficulty
+     * @returns {Object|null} The ghost or null if there is none with frames
+     */
+    getPersonalBestGhost() {
+        const ghost = getPersonalGhost(this.characterId, this.difficulty.id);
+        if (!ghost || !ghost.frames || ghost.frames.length === 0) return null;
+        
+        return ghost;
+    }
+    
+    /**
+     * Get the data to race the personal best on its own course (offered on the game over screen)
+     * @returns {Object|null} Data for scene.start, or null when there's no ghost to race
+     */
+    getRaceBestData() {
+        if (this.isReplay || this.isMultiplayer || this.campaignLevel) return null;
+        
+        const ghost = this.getPersonalBestGhost();
+        if (!ghost || ghost.seed === undefined || ghost.seed === null) return null;
+        
+        return {
+            characterId: this.characterId,
+            difficulty: this.difficulty.id,
+            seed: ghost.seed
+        };
+    }
+    
+    /**
+     * Create the ghost bird for the run (a passed-in ghost or the personal best)
+     */
+    createGhost() {
+        try {
+            const ghost = this.raceGhost;
+            if (!ghost) return;
+            
+            // Use the ghost's own character texture
+            const character = CONFIG.CHARACTERS.find(c => c.id === ghost.characterId) || CONFIG.CHARACTERS[0];
+            const label = this.ghostData ? `${ghost.name || 'Ghost'} (${ghost.score})` : `Best (${ghost.score})`;
+            
+            this.ghostBird = new GhostBird(this, ghost, character.texture, label);
+        } catch (error) {
+            console.error('Error in createGhost:', error);
+        }
+    }
+    
     /**
      * Set up listener for bird state changes
      */
@@ -163,12 +378,12 @@ class GameScene extends Phaser.Scene {
         try {
             if (data.type === 'mushroom') {
                 this.isBig = data.active;
-                if (this.bigIndicator) this.bigIndicator.setVisible(data.active);
             } else if (data.type === 'flower') {
                 this.isShooting = data.active;
-                if (this.shootIndicator) this.shootIndicator.setVisible(data.active);
             } else if (data.type === 'star') {
                 this.isInvulnerable = data.active;
+            } else if (data.type === 'slowmo') {
+                this.slowMotionScale = data.active ? CONFIG.SLOW_MOTION_SCALE : 1;
             }
         } catch (error) {
             console.error('Error in onBirdPowerupStateChanged:', error);
@@ -180,9 +395,10 @@ class GameScene extends Phaser.Scene {
      */
     setupBackground() {
         try {
-            // Choose background theme based on level
+            // Choose background theme based on level (campaign levels pick their own)
             const bgIndex = (this.level - 1) % CONFIG.BACKGROUNDS.length;
-            const bgConfig = CONFIG.BACKGROUNDS[bgIndex];
+            const campaignTheme = this.campaignLevel && CONFIG.BACKGROUNDS.find(bg => bg.id === this.campaignLevel.theme);
+            const bgConfig = campaignTheme || CONFIG.BACKGROUNDS[bgIndex];
             
             this.bg = this.add.tileSprite(0, 0, CONFIG.GAME_WIDTH, CONFIG.GAME_HEIGHT, bgConfig.texture)
                 .setOrigin(0, 0)
@@ -199,22 +415,42 @@ class GameScene extends Phaser.Scene {
      */
     createGroups() {
         try {
-            this.obstacles = this.physics.add.group();
-            this.enemies = this.physics.add.group();
-            this.powerUps = this.physics.add.group();
+            // Obstacles, enemies and power-ups are pooled: recycled members stay in the
+            // group disabled and hidden until spawnFromPool hands them out again
+            this.obstacles = this.physics.add.group({
+                allowGravity: false,
+                immovable: true
+            });
+            this.enemies = this.physics.add.group({
+                allowGravity: false
+            });
+            this.powerUps = this.physics.add.group({
+                allowGravity: false
+            });
             
-            // Create fireball group with physics
+            // Create fireball group with physics (pooled through spawnProjectile)
             this.fireballs = this.physics.add.group({
                 allowGravity: false,
                 immovable: false
             });
             
-            // Create enemy projectiles group with physics
+            // Create enemy projectiles group with physics (pooled through spawnProjectile)
             this.enemyProjectiles = this.physics.add.group({
                 allowGravity: false,
                 immovable: false
             });
             
+            // Bosses and their weak points move themselves
+            this.bosses = this.physics.add.group({
+                allowGravity: false,
+                immovable: true
+            });
+            
+            this.bossWeakPoints = this.physics.add.group({
+                allowGravity: false,
+                immovable: true
+            });
+            
             // Create a group for other players (multiplayer)
             this.multiplayer = this.add.group();
             
@@ -237,6 +473,10 @@ class GameScene extends Phaser.Scene {
             // Find character config
             const character = CONFIG.CHARACTERS.find(c => c.id === this.characterId) || CONFIG.CHARACTERS[0];
             
+            // Cosmetics equipped in the shop
+            const skin = getEquippedItem('skin');
+            const trail = getEquippedItem('trail');
+            
             // Create bird
             this.bird = new Bird(
                 this,
@@ -244,7 +484,18 @@ class GameScene extends Phaser.Scene {
                 CONFIG.BIRD_START_Y,
                 character.texture,
                 {
-                    flightPower: character.flightPower
+                    flightPower: character.flightPower,
+                    gravityScale: character.gravityScale,
+                    maxFallSpeed: character.maxFallSpeed,
+                    hitboxScale: character.hitboxScale,
+                    powerUpDuration: character.powerUpDuration,
+                    fireballRate: character.fireballRate,
+                    gravity: this.tuning.GRAVITY,
+                    flapVelocity: this.tuning.BIRD_FLAP_VELOCITY,
+                    ability: character.ability,
+                    upgrades: this.upgrades,
+                    skinTint: skin ? skin.tint : null,
+                    trailColor: trail ? trail.color : null
                 }
             );
             
@@ -267,15 +518,32 @@ class GameScene extends Phaser.Scene {
  */
 setupCollisions() {
     try {
-        // Bird collisions
-        this.physics.add.collider(this.bird, this.obstacles, this.hitObstacle, null, this);
-        this.physics.add.collider(this.bird, this.enemies, this.hitEnemy, null, this);
+        // Bird collisions (skipped while the bird recovers from a hit or phases through)
+        const canBeHit = bird => !bird.isRecovering && !bird.isPhasing;
+        this.physics.add.collider(this.bird, this.obstacles, this.hitObstacle, canBeHit, this);
+        this.physics.add.collider(this.bird, this.enemies, this.hitEnemy, canBeHit, this);
         this.physics.add.overlap(this.bird, this.powerUps, this.collectPowerUp, null, this);
         
+        // Boss collisions (weak points first so a stomp wins over touching the boss)
+        this.physics.add.overlap(this.bird, this.bossWeakPoints, this.hitBossWeakPoint, canBeHit, this);
+        this.physics.add.overlap(this.bird, this.bosses, this.hitBoss, canBeHit, this);
+        this.physics.add.overlap(this.fireballs, this.bossWeakPoints, this.hitBossWeakPointWithFireball, null, this);
+        this.physics.add.overlap(this.fireballs, this.bosses, this.hitBossWithFireball, null, this);
+        
         // Fireball collisions - use overlap instead of collider for more reliable detection
         this.physics.add.overlap(this.fireballs, this.enemies, this.hitEnemyWithFireball, null, this);
         this.physics.add.overlap(this.fireballs, this.obstacles, this.hitObstacleWithFireball, null, this);
         
+        // Fireballs shoot down the enemy projectiles that can be destroyed
+        this.physics.add.overlap(this.fireballs, this.enemyProjectiles, this.hitProjectileWithFireball, (fireball, projectile) => {
+            return projectile.active && projectile.projectileType && projectile.projectileType.destructible;
+        }, this);
+        
+        // Ramming enemies (kicked shells) knock out the enemies they slide into
+        this.physics.add.overlap(this.enemies, this.enemies, this.hitEnemyWithShell, (first, second) => {
+            return first.active && second.active && first.isRamming() !== second.isRamming();
+        }, this);
+        
         // FIXED: Enemy projectile collisions - use modified collision method
         // Replace with a more reliable collision detection using overlap
         this.physics.add.overlap(
@@ -284,7 +552,7 @@ setupCollisions() {
             this.hitBirdWithProjectile, 
             (projectile, bird) => {
                 // Extra validation to ensure projectile is valid
-                return projectile.active && projectile.isEnemyProjectile && !bird.isDead;
+                return projectile.active && projectile.isEnemyProjectile && !bird.isDead && canBeHit(bird);
             },
             this
         );
@@ -310,14 +578,24 @@ setupCollisions() {
                 console.log("Bird is invulnerable - killing enemy instead");
                 
                 // Kill the enemy
+                let killed = true;
                 if (enemy.takeDamage) {
-                    enemy.takeDamage(999); // One-hit kill
+                    killed = enemy.takeDamage(999); // One-hit kill
                 } else {
                     enemy.destroy();
                 }
                 
                 // Add points
-                this.increaseScore(CONFIG.BASE_ENEMY_POINTS);
+                this.scoreEnemyHit(enemy.x, enemy.y, killed, enemy.points);
+                return;
+            }
+            
+            // Ramming enemies (kicked shells) are harmless
+            if (enemy.isRamming()) return;
+            
+            // Coming down on top of an enemy stomps it, hits from the side hurt
+            if (enemy.body.touching.up && enemy.stompable) {
+                this.stompEnemy(bird, enemy);
                 return;
             }
             
@@ -326,30 +604,92 @@ setupCollisions() {
                 console.log("Big bird defeated enemy");
                 
                 // Kill the enemy
+                let killed = true;
                 if (enemy.takeDamage) {
-                    enemy.takeDamage(1);
+                    killed = enemy.takeDamage(1);
                 } else {
                     enemy.destroy();
                 }
                 
                 // Add points
-                this.increaseScore(CONFIG.BASE_ENEMY_POINTS);
+                this.scoreEnemyHit(enemy.x, enemy.y, killed, enemy.points);
                 return;
             }
             
-            console.log("Bird hit enemy - game over");
+            // Touching a shell kicks it away
+            if (enemy.kick(bird.x < enemy.x ? 1 : -1)) return;
             
-            // Bird died - game over
-            if (bird.die) {
-                bird.die();
-            }
+            console.log("Bird hit enemy");
             
-            this.gameOver();
+            this.damageBird(bird);
         } catch (error) {
             console.error('Error in hitEnemy:', error);
         }
     }
     
+    /**
+     * Stomp an enemy the bird landed on: bounce off it and score it, more for every
+     * stomp in a row before the bird touches ground
+     * @param {Bird} bird - The player bird
+     * @param {Enemy} enemy - The enemy
+     */
+    stompEnemy(bird, enemy) {
+        try {
+            bird.body.setVelocityY(bird.flapVelocity);
+            this.sound.play('sfx-stomp', { volume: 0.7 });
+            
+            this.stompChain = Math.min(this.stompChain + 1, CONFIG.STOMP_CHAIN_MAX);
+            
+            const x = enemy.x;
+            const y = enemy.y;
+            const points = enemy.points * this.stompChain;
+            
+            // A shell that gets stomped is kicked away from the bird
+            enemy.kickDirection = bird.x < enemy.x ? 1 : -1;
+            
+            // Enemies whose AI reacts to a stomp survive it (a koopa pulls into its shell),
+            // scoring a plain hit rather than a kill
+            const killed = !enemy.stomp() && enemy.takeDamage(1);
+            
+            this.scoreEnemyHit(x, y, killed, points);
+            
+            if (this.stompChain > 1) {
+                this.showStompChain(x, y);
+            }
+        } catch (error) {
+            console.error('Error in stompEnemy:', error);
+        }
+    }
+    
+    /**
+     * Show the stomp chain above a stomped enemy
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     */
+    showStompChain(x, y) {
+        try {
+            const text = this.add.text(x, y - 30, `STOMP x${this.stompChain}`, {
+                fontFamily: 'Arial',
+                fontSize: '18px',
+                fill: '#FF8800',
+                stroke: '#000000',
+                strokeThickness: 3
+            }).setOrigin(0.5).setDepth(999);
+            
+            this.tweens.add({
+                targets: text,
+                y: y - 70,
+                alpha: 0,
+                duration: 900,
+                onComplete: () => {
+                    text.destroy();
+                }
+            });
+        } catch (error) {
+            console.error('Error in showStompChain:', error);
+        }
+    }
+    
     /**
      * Handle collision between bird and obstacle
      * @param {Bird} bird - The player bird
@@ -360,6 +700,17 @@ setupCollisions() {
         if (this.isGameOver || !bird || !bird.active || !obstacle || !obstacle.active) return;
         
         try {
+            // Touching an obstacle counts as touching ground
+            this.stompChain = 0;
+            
+            // Weak spots in brick walls break when the bird flies into them
+            if (obstacle.breaksOnContact) {
+                if (obstacle.takeDamage(obstacle.health)) {
+                    this.increaseScore(CONFIG.BIG_OBSTACLE_POINTS);
+                }
+                return;
+            }
+            
             // Check if bird is invulnerable from star powerup
             if (bird.isInvulnerable) {
                 console.log("Bird is invulnerable - destroying obstacle");
@@ -368,30 +719,28 @@ setupCollisions() {
                 this.addDestructionEffect(obstacle.x, obstacle.y);
                 this.sound.play('sfx-break', { volume: 0.6 });
                 this.increaseScore(CONFIG.BIG_OBSTACLE_POINTS);
-                obstacle.destroy();
+                obstacle.recycle();
                 return;
             }
             
-            // Check if bird is big - it can now destroy all obstacles
-            if (this.isBig) {
-                console.log("Big bird destroyed obstacle");
-                
-                // Destroy the obstacle completely
-                this.addDestructionEffect(obstacle.x, obstacle.y);
-                this.sound.play('sfx-break', { volume: 0.6 });
+            // A dashing bird smashes the first obstacle in its way
+            if (bird.isDashing) {
                 this.increaseScore(CONFIG.BIG_OBSTACLE_POINTS);
-                obstacle.destroy();
+                obstacle.breakApart();
+                bird.endAbility();
                 return;
             }
             
-            console.log("Bird hit obstacle - game over");
-            
-            // Bird died - game over
-            if (bird.die) {
-                bird.die();
+            // Some behaviors make touching harmless (crumbling bricks), it still ends the combo
+            if (obstacle.touch && obstacle.touch(bird)) {
+                this.resetCombo();
+                return;
             }
             
-            this.gameOver();
+            console.log("Bird hit obstacle");
+            
+            // A big bird shrinks instead of losing a life
+            this.damageBird(bird);
         } catch (error) {
             console.error('Error in hitObstacle:', error);
         }
@@ -408,8 +757,20 @@ setupCollisions() {
         if (fireball.destroyed || enemy.destroyed) return;
         
         try {
-            // Mark as destroyed first
-            fireball.destroyed = true;
+            // A piercing fireball hits each enemy only once
+            if (fireball.hitTargets) {
+                if (fireball.hitTargets.includes(enemy)) return;
+                fireball.hitTargets.push(enemy);
+            }
+            
+            // Piercing fireballs keep flying until they run out of pierces
+            const pierces = fireball.pierceLeft > 0;
+            if (pierces) {
+                fireball.pierceLeft--;
+            } else {
+                // Mark as destroyed first
+                fireball.destroyed = true;
+            }
             
             // Play sound before destroying objects
             this.sound.play('sfx-hit', { volume: 0.7 });
@@ -417,23 +778,45 @@ setupCollisions() {
             // Add particles/effect before destroying objects
             this.addDestructionEffect(enemy.x, enemy.y);
             
-            // Increase score
-            this.increaseScore(CONFIG.BASE_ENEMY_POINTS);
-            
             // Damage the enemy
+            let killed = true;
             if (enemy.takeDamage) {
-                enemy.takeDamage(1);
+                killed = enemy.takeDamage(1);
             } else {
                 enemy.destroy();
             }
             
-            // Destroy the fireball
-            fireball.destroy();
+            // Increase score
+            this.scoreEnemyHit(enemy.x, enemy.y, killed, enemy.points);
+            
+            // Return the fireball to the pool
+            if (!pierces) {
+                recycleProjectile(fireball);
+            }
         } catch (error) {
             console.error("Error in hitEnemyWithFireball:", error);
             
             // Attempt cleanup even if error occurred
-            if (fireball && fireball.active) fireball.destroy();
+            recycleProjectile(fireball);
+        }
+    }
+    
+    /**
+     * Handle a kicked shell sliding into another enemy
+     * @param {Enemy} first - One of the enemies
+     * @param {Enemy} second - The other enemy
+     */
+    hitEnemyWithShell(first, second) {
+        if (this.isGameOver) return;
+        
+        try {
+            const enemy = first.isRamming() ? second : first;
+            if (!enemy.active || enemy.destroyed) return;
+            
+            const killed = enemy.takeDamage(999);
+            this.scoreEnemyHit(enemy.x, enemy.y, killed, enemy.points);
+        } catch (error) {
+            console.error('Error in hitEnemyWithShell:', error);
         }
     }
     
@@ -467,13 +850,42 @@ setupCollisions() {
             // Add impact effect
             this.addImpactEffect(fireball.x, obstacle.y);
             
-            // Destroy fireball
-            fireball.destroy();
+            // Return the fireball to the pool
+            recycleProjectile(fireball);
         } catch (error) {
             console.error("Error in hitObstacleWithFireball:", error);
             
             // Attempt cleanup even if error occurred
-            if (fireball && fireball.active) fireball.destroy();
+            recycleProjectile(fireball);
+        }
+    }
+    
+    /**
+     * Handle a fireball shooting down an enemy projectile
+     * @param {Phaser.GameObjects.Sprite} fireball - The fireball
+     * @param {Phaser.GameObjects.Sprite} projectile - The enemy projectile
+     */
+    hitProjectileWithFireball(fireball, projectile) {
+        if (!fireball || !projectile || !fireball.active || !projectile.active) return;
+        if (fireball.destroyed || projectile.destroyed) return;
+        
+        try {
+            this.sound.play('sfx-hit-obstacle', { volume: 0.4 });
+            this.addImpactEffect(projectile.x, projectile.y);
+            
+            recycleProjectile(projectile);
+            
+            // Piercing fireballs keep flying until they run out of pierces
+            if (fireball.pierceLeft > 0) {
+                fireball.pierceLeft--;
+            } else {
+                fireball.destroyed = true;
+                recycleProjectile(fireball);
+            }
+        } catch (error) {
+            console.error('Error in hitProjectileWithFireball:', error);
+            
+            recycleProjectile(projectile);
         }
     }
     
@@ -495,12 +907,12 @@ setupCollisions() {
             if (bird.isInvulnerable) {
                 console.log("Bird is invulnerable - projectile hit ignored");
                 
-                // Make sure to destroy the projectile so it doesn't get stuck
-                projectile.destroy();
+                // Make sure to recycle the projectile so it doesn't get stuck
+                recycleProjectile(projectile);
                 return;
             }
             
-            console.log("Bird hit by enemy projectile - game over");
+            console.log("Bird hit by enemy projectile");
             
             // Create hit effect
             const impact = this.add.sprite(bird.x, bird.y, 'impact')
@@ -509,850 +921,2263 @@ setupCollisions() {
                     impact.destroy();
                 });
             
-            // Play hit sound
-            this.sound.play('sfx-hit', { volume: 0.7 });
-            
-            // FIXED: Ensure projectile is destroyed before game over
-            projectile.destroy();
+            // Read the damage before the projectile goes back to the pool
+            const damage = projectile.projectileType ? projectile.projectileType.damage : 1;
             
-            // Bird died - game over
-            if (bird.die) {
-                bird.die();
-            }
+            // FIXED: Ensure projectile is recycled before game over
+            recycleProjectile(projectile);
             
-            this.gameOver();
+            this.damageBird(bird, damage);
         } catch (error) {
             console.error('Error in hitBirdWithProjectile:', error);
             
-            // Still try to destroy the projectile if there was an error
-            if (projectile && projectile.active) {
-                projectile.destroy();
-            }
+            // Still try to recycle the projectile if there was an error
+            recycleProjectile(projectile);
         }
     }
     
     /**
-     * Create UI elements like score display
+     * Handle the bird touching a boss
+     * @param {Bird} bird - The player bird
+     * @param {Boss} boss - The boss
      */
-    createUI() {
+    hitBoss(bird, boss) {
+        if (this.isGameOver || !bird || !bird.active || !boss || !boss.active) return;
+        
         try {
-            // Score text
-            this.scoreText = this.add.text(20, 20, 'Score: 0', { 
-                fontFamily: 'Arial', 
-                fontSize: '24px', 
-                fill: '#FFFFFF',
-                stroke: '#000000',
-                strokeThickness: 4
-            });
-            this.scoreText.setScrollFactor(0);
-            this.scoreText.setDepth(1000); // Ensure UI is always on top
-            
-            // Level text
-            this.levelText = this.add.text(20, 55, 'Level: 1', { 
-                fontFamily: 'Arial', 
-                fontSize: '24px', 
-                fill: '#FFFFFF',
-                stroke: '#000000',
-                strokeThickness: 4
-            });
-            this.levelText.setScrollFactor(0);
-            this.levelText.setDepth(1000);
-            
-            // Power-up indicators
-            this.powerupIndicator = this.add.container(CONFIG.GAME_WIDTH - 150, 20);
-            this.powerupIndicator.setScrollFactor(0);
-            this.powerupIndicator.setDepth(1000);
+            // The star protects the bird but can't hurt a boss, and a boss that was
+            // just hit can be touched while the bird bounces away
+            if (bird.isInvulnerable || boss.hitCooldown > 0) return;
             
-            // Create indicators but hide them initially
-            this.bigIndicator = this.add.image(0, 0, 'mushroom-icon').setVisible(false);
-            this.shootIndicator = this.add.image(50, 0, 'flower-icon').setVisible(false);
+            console.log("Bird hit boss");
             
-            this.powerupIndicator.add([this.bigIndicator, this.shootIndicator]);
-            
-            // Multiplayer indicators
-            if (this.isMultiplayer) {
-                // Room info
-                this.roomText = this.add.text(CONFIG.GAME_WIDTH - 250, 20, 'Multiplayer Mode', {
-                    fontFamily: 'Arial',
-                    fontSize: '18px',
-                    fill: '#FFFF00',
-                    stroke: '#000000',
-                    strokeThickness: 3
-                });
-                this.roomText.setScrollFactor(0);
-                this.roomText.setDepth(1000);
-                
-                // Player count
-                this.playersText = this.add.text(CONFIG.GAME_WIDTH - 250, 45, 'Players: 1', {
-                    fontFamily: 'Arial',
-                    fontSize: '16px',
-                    fill: '#FFFFFF',
-                    stroke: '#000000',
-                    strokeThickness: 2
-                });
-                this.playersText.setScrollFactor(0);
-                this.playersText.setDepth(1000);
-            }
+            this.damageBird(bird);
         } catch (error) {
-            console.error('Error in createUI:', error);
+            console.error('Error in hitBoss:', error);
         }
     }
     
     /**
-     * Player collects a power-up
+     * Handle the bird touching a boss's weak point
+     * Only a big bird coming down on it stomps the boss
      * @param {Bird} bird - The player bird
-     * @param {PowerUp} powerUp - The power-up
+     * @param {Phaser.Physics.Arcade.Image} weakPoint - The weak point
      */
-    collectPowerUp(bird, powerUp) {
-        if (!bird || !powerUp || !bird.active || !powerUp.active) return;
+    hitBossWeakPoint(bird, weakPoint) {
+        if (this.isGameOver || !bird || !bird.active || !weakPoint || !weakPoint.active) return;
         
         try {
-            // Play sound
-            this.sound.play('sfx-powerup', { volume: 0.7 });
+            const boss = weakPoint.boss;
+            if (!boss || !boss.active) return;
             
-            // Apply power-up effect based on type
-            if (powerUp.type === 'mushroom') {
-                // Emit the standardized event
-                this.events.emit('powerup_mushroom');
-                this.isBig = true;
-                if (this.bigIndicator) this.bigIndicator.setVisible(true);
-            } else if (powerUp.type === 'flower') {
-                // Emit the standardized event
-                this.events.emit('powerup_flower');
-                this.isShooting = true;
-                if (this.shootIndicator) this.shootIndicator.setVisible(true);
-            } else if (powerUp.type === 'star') {
-                // Emit the standardized event
-                this.events.emit('powerup_star');
-                this.isInvulnerable = true;
-            } else if (powerUp.type === 'coin') {
-                // Add points for coin
-                this.increaseScore(10);
-                this.sound.play('sfx-coin', { volume: 0.7 });
+            if (bird.isBig && bird.body.velocity.y > 0) {
+                // Bounce off the boss
+                bird.body.setVelocityY(bird.flapVelocity);
+                this.sound.play('sfx-stomp', { volume: 0.7 });
+                
+                this.damageBoss(boss);
+                return;
             }
             
-            // Create collection effect
-            this.addCollectionEffect(powerUp.x, powerUp.y, powerUp.type);
-            
-            // Store reference to type before destroying
-            const powerUpType = powerUp.type;
-            
-            // Destroy the power-up
-            powerUp.destroy();
-            
-            console.log(`Collected ${powerUpType} powerup`);
+            this.hitBoss(bird, boss);
         } catch (error) {
-            console.error('Error in collectPowerUp:', error);
-            
-            // Still try to destroy the powerup if there was an error
-            if (powerUp && powerUp.active) {
-                powerUp.destroy();
-            }
+            console.error('Error in hitBossWeakPoint:', error);
         }
     }
     
     /**
-     * Add collection effect for power-ups
-     * @param {number} x - X position
-     * @param {number} y - Y position
-     * @param {string} type - Power-up type
+     * Handle a fireball hitting a boss's weak point
+     * @param {Phaser.GameObjects.Sprite} fireball - The fireball
+     * @param {Phaser.Physics.Arcade.Image} weakPoint - The weak point
      */
-    addCollectionEffect(x, y, type) {
+    hitBossWeakPointWithFireball(fireball, weakPoint) {
+        if (!fireball || !weakPoint || !fireball.active || !weakPoint.active) return;
+        if (fireball.destroyed) return;
+        
         try {
-            // Create particles
-            const particles = this.add.particles('particle');
-            
-            // Set particle color based on power-up type
-            let particleColor;
-            switch (type) {
-                case 'mushroom': particleColor = 0xff0000; break;
-                case 'flower': particleColor = 0xff9900; break;
-                case 'coin': particleColor = 0xffdd00; break;
-                case 'star': particleColor = 0xffff00; break;
-                default: particleColor = 0xffffff; break;
-            }
+            fireball.destroyed = true;
             
-            // Create particle emitter
-            const emitter = particles.createEmitter({
-                x: x,
-                y: y,
-                speed: { min: 30, max: 80 },
-                angle: { min: 0, max: 360 },
-                scale: { start: 0.4, end: 0 },
-                lifespan: 600,
-                quantity: 15,
-                tint: particleColor
-            });
+            this.addImpactEffect(fireball.x, fireball.y);
+            recycleProjectile(fireball);
             
-            // Stop emitting after burst
-            this.time.delayedCall(100, () => {
-                if (emitter && emitter.active) {
-                    emitter.stop();
-                    
-                    // Clean up particles after they fade
-                    this.time.delayedCall(600, () => {
-                        if (particles && particles.active) {
-                            particles.destroy();
-                        }
-                    });
-                }
-            });
+            if (weakPoint.boss && weakPoint.boss.active) {
+                this.damageBoss(weakPoint.boss);
+            }
         } catch (error) {
-            console.error('Error in addCollectionEffect:', error);
+            console.error('Error in hitBossWeakPointWithFireball:', error);
+            
+            recycleProjectile(fireball);
         }
     }
     
     /**
-     * Add destruction effect for enemies and obstacles
-     * @param {number} x - X position
-     * @param {number} y - Y position
-     * @param {number} tint - Particle tint color
+     * Handle a fireball hitting a boss's armor (absorbed without damage)
+     * @param {Phaser.GameObjects.Sprite} fireball - The fireball
+     * @param {Boss} boss - The boss
      */
-    addDestructionEffect(x, y, tint = 0xffffff) {
+    hitBossWithFireball(fireball, boss) {
+        if (!fireball || !boss || !fireball.active || !boss.active) return;
+        if (fireball.destroyed) return;
+        
         try {
-            // Create particles
-            const particles = this.add.particles('particle');
+            fireball.destroyed = true;
             
-            // Create particle emitter
-            const emitter = particles.createEmitter({
-                x: x,
-                y: y,
-                speed: { min: 50, max: 200 },
-                angle: { min: 0, max: 360 },
-                scale: { start: 0.6, end: 0 },
-                lifespan: 800,
-                quantity: 20,
-                tint: tint
-            });
+            this.sound.play('sfx-hit-obstacle', { volume: 0.5 });
+            this.addImpactEffect(fireball.x, fireball.y);
             
-            // Stop emitting after burst
-            this.time.delayedCall(100, () => {
-                if (emitter && emitter.active) {
-                    emitter.stop();
-                    
-                    // Clean up particles after they fade
-                    this.time.delayedCall(800, () => {
-                        if (particles && particles.active) {
-                            particles.destroy();
-                        }
-                    });
-                }
-            });
+            recycleProjectile(fireball);
         } catch (error) {
-            console.error('Error in addDestructionEffect:', error);
+            console.error('Error in hitBossWithFireball:', error);
+            
+            recycleProjectile(fireball);
         }
     }
     
     /**
-     * Add impact effect for projectile hits
-     * @param {number} x - X position
-     * @param {number} y - Y position
+     * Apply a hit to the boss and end the fight if it was defeated
+     * @param {Boss} boss - The boss
      */
-    addImpactEffect(x, y) {
-        try {
-            if (this.anims.exists('impact-anim')) {
-                const impact = this.add.sprite(x, y, 'impact')
-                    .play('impact-anim')
-                    .once('animationcomplete', () => {
-                        impact.destroy();
-                    });
-            }
-        } catch (error) {
-            console.error('Error in addImpactEffect:', error);
+    damageBoss(boss) {
+        // Remember where it was, a defeated boss is destroyed
+        const x = boss.x;
+        const y = boss.y;
+        
+        const healthBefore = boss.health;
+        const defeated = boss.takeDamage(1);
+        
+        // Ignored while entering or right after the previous hit
+        if (!defeated && boss.health === healthBefore) return;
+        
+        this.increaseScore(CONFIG.BASE_ENEMY_POINTS);
+        
+        if (defeated) {
+            this.endBossFight(x, y);
+        } else {
+            this.updateBossHealthBar();
         }
     }
     
     /**
-     * Setup gameplay timers
+     * Apply an unprotected hit to the bird
+     * A big bird shrinks, otherwise it loses a life and respawns until none are left
+     * @param {Bird} bird - The player bird
+     * @param {number} damage - Hits taken at once (the shield and mushroom take one each)
      */
-    setupTimers() {
+    damageBird(bird, damage = 1) {
+        if (this.isGameOver || bird.isDead || bird.isRecovering || bird.isPhasing) return;
+        
         try {
-            console.log("Setting up game timers");
+            // Play hit sound
+            this.sound.play('sfx-hit', { volume: 0.7 });
             
-            // Level progression timer
-            this.levelTimer = this.time.addEvent({
-                delay: CONFIG.LEVEL_DURATION,
-                callback: this.increaseLevel,
-                callbackScope: this,
-                loop: true
-            });
+            // Any hit ends the combo, even one the shield or mushroom takes
+            this.resetCombo();
             
-            // Obstacle generation timer
-            this.obstacleTimer = this.time.addEvent({
-                delay: CONFIG.OBSTACLE_SPAWN_RATE,
-                callback: this.generateObstacles,
-                callbackScope: this,
-                loop: true
-            });
+            let hits = damage;
             
-            // Enemy generation timer
-            this.enemyTimer = this.time.addEvent({
-                delay: CONFIG.ENEMY_SPAWN_RATE,
-                callback: this.generateEnemies,
-                callbackScope: this,
-                loop: true
-            });
+            // A shield bubble (the green bird's ability or the power-up) takes the hit
+            if (bird.hasShield) {
+                bird.breakShield();
+                hits--;
+            }
             
-            // Power-up generation timer
-            this.powerUpTimer = this.time.addEvent({
-                delay: CONFIG.POWERUP_SPAWN_RATE,
-                callback: this.generatePowerUps,
-                callbackScope: this,
-                loop: true
-            });
+            // Classic mushroom rule: lose the mushroom, keep the life
+            if (hits > 0 && bird.isBig) {
+                bird.shrink();
+                hits--;
+            }
             
-            console.log("Game timers set up successfully");
+            if (hits <= 0) return;
+            
+            const livesTaken = Math.min(hits, this.lives);
+            this.lives -= livesTaken;
+            this.livesLost += livesTaken;
+            this.updateLivesText();
+            
+            if (this.lives <= 0) {
+                console.log("No lives left - game over");
+                
+                // Bird died - game over
+                if (bird.die) {
+                    bird.die();
+                }
+                
+                this.gameOver();
+                return;
+            }
+            
+            this.cameras.main.shake(200, 0.01);
+            bird.respawn();
         } catch (error) {
-            console.error('Error in setupTimers:', error);
+            console.error('Error in damageBird:', error);
         }
     }
     
     /**
-     * Setup player input controls
+     * Update the lives display
      */
-    setupInput() {
+    updateLivesText() {
+        if (this.livesText) {
+            this.livesText.setText(`Lives: ${Math.max(0, this.lives)}`);
+        }
+    }
+    
+    /**
+     * Flash the lives display green after a 1-up
+     */
+    flashLivesText() {
+        if (!this.livesText) return;
+        
         try {
-            // Keyboard controls
-            this.cursors = this.input.keyboard.createCursorKeys();
-            
-            // Spacebar for flapping
-            this.input.keyboard.on('keydown-SPACE', () => {
-                this.flapBird();
-            });
-            
-            // Keyboard for shooting (when power-up active)
-            this.input.keyboard.on('keydown-F', () => {
-                this.shootFireball();
-            });
+            this.livesText.setColor('#44ff44');
             
-            // Touch/mouse input for mobile
-            this.input.on('pointerdown', () => {
-                this.flapBird();
+            this.tweens.add({
+                targets: this.livesText,
+                scale: { from: 1.3, to: 1 },
+                duration: 500,
+                onComplete: () => {
+                    if (this.livesText && this.livesText.active) {
+                        this.livesText.setColor('#FFFFFF');
+                    }
+                }
             });
         } catch (error) {
-            console.error('Error in setupInput:', error);
+            console.error('Error in flashLivesText:', error);
         }
     }
     
     /**
-     * Main update function called every frame
-     * @param {number} time - The current time
-     * @param {number} delta - The delta time in ms since the last frame
+     * Create the ability button, which doubles as its cooldown meter
      */
-    update(time, delta) {
-        if (this.isGameOver) return;
+    createAbilityButton() {
+        if (!this.bird || !this.bird.ability) return;
         
         try {
-            // Update scrolling background
-            this.updateBackground(delta);
-            
-            // Update bird
-            if (this.bird && this.bird.active) {
-                this.bird.update(time, delta);
+            const x = CONFIG.GAME_WIDTH - 85;
+            const y = CONFIG.GAME_HEIGHT - 50;
+            
+            this.abilityButton = this.add.rectangle(x, y, 140, 44, 0x000000, 0.5)
+                .setStrokeStyle(2, 0xffffff)
+                .setScrollFactor(0)
+                .setDepth(1000);
+            
+            // Replays get their ability uses from the recording
+            if (!this.isReplay) {
+                this.abilityButton.setInteractive().on('pointerdown', () => {
+                    this.handleInput('ability');
+                });
             }
             
-            // Update game objects
-            this.updateObstacles(delta);
-            this.updateEnemies(delta);
-            this.updatePowerUps(delta);
-            this.updateFireballs(delta);
-            this.updateEnemyProjectiles(delta);
-            
-            // Auto-shoot if flower power is active
-            if (this.isShooting && time > this.lastFireTime + CONFIG.FIREBALL_RATE) {
-                this.shootFireball();
-                this.lastFireTime = time;
-            }
+            // Fill grows from the left while the ability recharges
+            this.abilityMeter = this.add.rectangle(x - 68, y, 136, 40, 0x3498db, 0.7)
+                .setOrigin(0, 0.5)
+                .setScrollFactor(0)
+                .setDepth(1000);
             
-            // Update debug text
-            if (this.debugText) {
-                this.debugText.setText(
-                    `FPS: ${Math.round(this.game.loop.actualFps)} | ` +
-                    `Level: ${this.level} | Speed: ${this.gameSpeed} | ` +
-                    `Obstacles: ${this.obstacles.getLength()} | ` +
-                    `Enemies: ${this.enemies.getLength()}`
-                );
-            }
+            this.abilityText = this.add.text(x, y, `${this.bird.ability.name} [Shift]`, {
+                fontFamily: 'Arial',
+                fontSize: '16px',
+                fill: '#FFFFFF',
+                stroke: '#000000',
+                strokeThickness: 3
+            }).setOrigin(0.5).setScrollFactor(0).setDepth(1001);
         } catch (error) {
-            console.error('Error in update:', error);
+            console.error('Error in createAbilityButton:', error);
         }
     }
     
     /**
-     * Make the bird flap its wings
+     * Update the ability meter to the bird's recharge
      */
-    flapBird() {
-        if (this.isGameOver || !this.bird || !this.bird.active) return;
+    updateAbilityMeter() {
+        if (!this.abilityMeter || !this.bird) return;
         
-        this.bird.flap();
+        const charge = this.bird.getAbilityCharge();
+        
+        this.abilityMeter.setScale(charge, 1);
+        this.abilityMeter.setFillStyle(charge >= 1 ? 0x2ecc71 : 0x3498db, 0.7);
     }
     
     /**
-     * Make the bird shoot a fireball
+     * Create the power-up bar, one slot per timed power-up (hidden until it's active)
      */
-    shootFireball() {
-        if (this.isGameOver || !this.bird || !this.bird.active || !this.isShooting) return;
-        
+    createPowerUpBar() {
         try {
-            // Call bird's shoot method
-            if (this.bird.shootFireball) {
-                this.bird.shootFireball();
-            }
+            this.powerUpBar = this.add.container(20, 150)
+                .setScrollFactor(0)
+                .setDepth(1000);
+            
+            this.powerUpSlots = {};
+            
+            Object.entries(POWERUP_HUD_ICONS).forEach(([type, icon]) => {
+                const slot = this.add.container(0, 0).setVisible(false);
+                
+                const bg = this.add.rectangle(0, 0, 48, 48, 0x000000, 0.5)
+                    .setStrokeStyle(2, 0xffffff);
+                
+                const image = this.add.image(0, -4, icon.texture).setScale(icon.scale || 1);
+                if (icon.tint) image.setTint(icon.tint);
+                
+                // Countdown bar, scaled down as the timer runs out
+                const timeBar = this.add.rectangle(-22, 19, 44, 5, icon.color)
+                    .setOrigin(0, 0.5);
+                
+                // Stack count for power-ups with the 'stack' rule
+                const stackText = this.add.text(22, -22, '', {
+                    fontFamily: 'Arial',
+                    fontSize: '14px',
+                    fill: '#FFFFFF',
+                    stroke: '#000000',
+                    strokeThickness: 3
+                }).setOrigin(1, 0);
+                
+                slot.add([bg, image, timeBar, stackText]);
+                slot.timeBar = timeBar;
+                slot.stackText = stackText;
+                
+                this.powerUpBar.add(slot);
+                this.powerUpSlots[type] = slot;
+            });
         } catch (error) {
-            console.error('Error in shootFireball:', error);
+            console.error('Error in createPowerUpBar:', error);
         }
     }
     
     /**
-     * Update the scrolling background
-     * @param {number} delta - Delta time since last frame
+     * Show the bird's active power-ups from left to right with their time left
      */
-    updateBackground(delta) {
+    updatePowerUpBar() {
+        if (!this.powerUpSlots || !this.bird) return;
+        
         try {
-            // Scroll background based on game speed
-            const scrollFactor = this.gameSpeed * delta / 1000;
-            if (this.bg && this.bg.active) {
-                this.bg.tilePositionX += scrollFactor;
+            const active = this.bird.getActivePowerUps();
+            
+            Object.values(this.powerUpSlots).forEach(slot => slot.setVisible(false));
+            
+            active.forEach((powerUp, index) => {
+                const slot = this.powerUpSlots[powerUp.type];
+                if (!slot) return;
+                
+                slot.setVisible(true);
+                slot.setPosition(24 + index * 56, 0);
+                
+                // Power-ups that last until used (the shield) keep a full bar
+                const timeLeft = powerUp.duration ? powerUp.remaining / powerUp.duration : 1;
+                slot.timeBar.setScale(Phaser.Math.Clamp(timeLeft, 0, 1), 1);
+                
+                slot.stackText.setText(powerUp.stacks > 1 ? `x${powerUp.stacks}` : '');
+                
+                // Blink through the final seconds
+                const expiring = powerUp.duration && powerUp.remaining < CONFIG.POWERUP_WARNING_TIME;
+                slot.setAlpha(expiring && Math.floor(powerUp.remaining / 150) % 2 === 0 ? 0.3 : 1);
+            });
+        } catch (error) {
+            console.error('Error in updatePowerUpBar:', error);
+        }
+    }
+    
+    /**
+     * Create UI elements like score display
+     */
+    createUI() {
+        try {
+            // Score text
+            this.scoreText = this.add.text(20, 20, 'Score: 0', { 
+                fontFamily: 'Arial', 
+                fontSize: '24px', 
+                fill: '#FFFFFF',
+                stroke: '#000000',
+                strokeThickness: 4
+            });
+            this.scoreText.setScrollFactor(0);
+            this.scoreText.setDepth(1000); // Ensure UI is always on top
+            
+            // Level text
+            this.levelText = this.add.text(20, 55, `Level: ${this.campaignLevel ? this.campaignLevel.id : 1}`, { 
+                fontFamily: 'Arial', 
+                fontSize: '24px', 
+                fill: '#FFFFFF',
+                stroke: '#000000',
+                strokeThickness: 4
+            });
+            this.levelText.setScrollFactor(0);
+            this.levelText.setDepth(1000);
+            
+            // Lives text
+            this.livesText = this.add.text(20, 90, `Lives: ${this.lives}`, { 
+                fontFamily: 'Arial', 
+                fontSize: '24px', 
+                fill: '#FFFFFF',
+                stroke: '#000000',
+                strokeThickness: 4
+            });
+            this.livesText.setScrollFactor(0);
+            this.livesText.setDepth(1000);
+            
+            // Pause button for touch screens (multiplayer races can't be paused)
+            this.pauseButton = null;
+            
+            if (!this.isMultiplayer) {
+                this.pauseButton = this.add.rectangle(CONFIG.GAME_WIDTH - 35, 35, 44, 44, 0x000000, 0.5)
+                    .setStrokeStyle(2, 0xffffff)
+                    .setScrollFactor(0)
+                    .setDepth(1000)
+                    .setInteractive()
+                    .on('pointerdown', () => {
+                        this.pauseGame();
+                    });
+                    
+                this.pauseText = this.add.text(CONFIG.GAME_WIDTH - 35, 35, '||', {
+                    fontFamily: 'Arial',
+                    fontSize: '22px',
+                    fill: '#FFFFFF',
+                    fontStyle: 'bold'
+                }).setOrigin(0.5).setScrollFactor(0).setDepth(1001);
+            }
+            
+            this.createAbilityButton();
+            
+            // Active power-ups with their time left
+            this.createPowerUpBar();
+            
+            // Combo multiplier
+            this.createComboDisplay();
+            
+            // Distance to the finish line
+            if (this.campaignLevel) {
+                this.createCampaignProgress();
+            }
+            
+            // Multiplayer indicators
+            if (this.isMultiplayer) {
+                // Room info
+                this.roomText = this.add.text(CONFIG.GAME_WIDTH - 250, 20, 'Multiplayer Mode', {
+                    fontFamily: 'Arial',
+                    fontSize: '18px',
+                    fill: '#FFFF00',
+                    stroke: '#000000',
+                    strokeThickness: 3
+                });
+                this.roomText.setScrollFactor(0);
+                this.roomText.setDepth(1000);
+                
+                // Player count
+                this.playersText = this.add.text(CONFIG.GAME_WIDTH - 250, 45, 'Players: 1', {
+                    fontFamily: 'Arial',
+                    fontSize: '16px',
+                    fill: '#FFFFFF',
+                    stroke: '#000000',
+                    strokeThickness: 2
+                });
+                this.playersText.setScrollFactor(0);
+                this.playersText.setDepth(1000);
+            }
+        } catch (error) {
+            console.error('Error in createUI:', error);
+        }
+    }
+    
+    /**
+     * Player collects a power-up
+     * @param {Bird} bird - The player bird
+     * @param {PowerUp} powerUp - The power-up
+     */
+    collectPowerUp(bird, powerUp) {
+        if (!bird || !powerUp || !bird.active || !powerUp.active) return;
+        
+        try {
+            // Play sound
+            this.sound.play('sfx-powerup', { volume: 0.7 });
+            
+            // Apply power-up effect based on type
+            if (powerUp.type === 'mushroom') {
+                // Emit the standardized event (the value scales the duration)
+                this.events.emit('powerup_mushroom', powerUp.value);
+                this.isBig = true;
+            } else if (powerUp.type === 'flower') {
+                // Emit the standardized event
+                this.events.emit('powerup_flower');
+                this.isShooting = true;
+            } else if (powerUp.type === 'star') {
+                // Emit the standardized event
+                this.events.emit('powerup_star');
+                this.isInvulnerable = true;
+            } else if (powerUp.type === 'shield') {
+                this.events.emit('powerup_shield');
+            } else if (powerUp.type === 'magnet') {
+                this.events.emit('powerup_magnet');
+            } else if (powerUp.type === 'slowmo') {
+                this.events.emit('powerup_slowmo');
+            } else if (powerUp.type === 'extra-life') {
+                this.events.emit('powerup_extra_life');
+                this.lives++;
+                this.updateLivesText();
+                this.flashLivesText();
+            } else if (powerUp.type === 'mini-mushroom') {
+                this.events.emit('powerup_mini_mushroom');
+            } else if (powerUp.type === 'coin') {
+                // Add points for each coin it's worth and bank them when the run ends
+                const coins = powerUp.value || 1;
+                this.increaseScore(CONFIG.COIN_POINTS * coins);
+                this.coinsCollected += coins;
+                this.coinPickups++;
+                this.sound.play('sfx-coin', { volume: 0.7 });
+            }
+            
+            // Create collection effect
+            this.addCollectionEffect(powerUp.x, powerUp.y, powerUp.type);
+            
+            // Store reference to type before recycling
+            const powerUpType = powerUp.type;
+            
+            // Return the power-up to the pool (fallback power-ups are plain sprites)
+            if (powerUp.recycle) {
+                powerUp.recycle();
+            } else {
+                powerUp.destroy();
+            }
+            
+            console.log(`Collected ${powerUpType} powerup`);
+        } catch (error) {
+            console.error('Error in collectPowerUp:', error);
+            
+            // Still try to remove the powerup if there was an error
+            if (powerUp && powerUp.active) {
+                if (powerUp.recycle) {
+                    powerUp.recycle();
+                } else {
+                    powerUp.destroy();
+                }
+            }
+        }
+    }
+    
+    /**
+     * Add collection effect for power-ups
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {string} type - Power-up type
+     */
+    addCollectionEffect(x, y, type) {
+        try {
+            // Create particles
+            const particles = this.add.particles('particle');
+            
+            // Set particle color based on power-up type
+            let particleColor;
+            switch (type) {
+                case 'mushroom': particleColor = 0xff0000; break;
+                case 'flower': particleColor = 0xff9900; break;
+                case 'coin': particleColor = 0xffdd00; break;
+                case 'star': particleColor = 0xffff00; break;
+                case 'shield': particleColor = 0x66ccff; break;
+                case 'magnet': particleColor = 0xff4444; break;
+                case 'slowmo': particleColor = 0x88aaff; break;
+                case 'extra-life': particleColor = 0x44ff44; break;
+                case 'mini-mushroom': particleColor = 0x6688ff; break;
+                default: particleColor = 0xffffff; break;
+            }
+            
+            // Create particle emitter
+            const emitter = particles.createEmitter({
+                x: x,
+                y: y,
+                speed: { min: 30, max: 80 },
+                angle: { min: 0, max: 360 },
+                scale: { start: 0.4, end: 0 },
+                lifespan: 600,
+                quantity: 15,
+                tint: particleColor
+            });
+            
+            // Stop emitting after burst
+            this.time.delayedCall(100, () => {
+                if (emitter && emitter.active) {
+                    emitter.stop();
+                    
+                    // Clean up particles after they fade
+                    this.time.delayedCall(600, () => {
+                        if (particles && particles.active) {
+                            particles.destroy();
+                        }
+                    });
+                }
+            });
+        } catch (error) {
+            console.error('Error in addCollectionEffect:', error);
+        }
+    }
+    
+    /**
+     * Add destruction effect for enemies and obstacles
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {number} tint - Particle tint color
+     */
+    addDestructionEffect(x, y, tint = 0xffffff) {
+        try {
+            // Create particles
+            const particles = this.add.particles('particle');
+            
+            // Create particle emitter
+            const emitter = particles.createEmitter({
+                x: x,
+                y: y,
+                speed: { min: 50, max: 200 },
+                angle: { min: 0, max: 360 },
+                scale: { start: 0.6, end: 0 },
+                lifespan: 800,
+                quantity: 20,
+                tint: tint
+            });
+            
+            // Stop emitting after burst
+            this.time.delayedCall(100, () => {
+                if (emitter && emitter.active) {
+                    emitter.stop();
+                    
+                    // Clean up particles after they fade
+                    this.time.delayedCall(800, () => {
+                        if (particles && particles.active) {
+                            particles.destroy();
+                        }
+                    });
+                }
+            });
+        } catch (error) {
+            console.error('Error in addDestructionEffect:', error);
+        }
+    }
+    
+    /**
+     * Add impact effect for projectile hits
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     */
+    addImpactEffect(x, y) {
+        try {
+            if (this.anims.exists('impact-anim')) {
+                const impact = this.add.sprite(x, y, 'impact')
+                    .play('impact-anim')
+                    .once('animationcomplete', () => {
+                        impact.destroy();
+                    });
+            }
+        } catch (error) {
+            console.error('Error in addImpactEffect:', error);
+        }
+    }
+    
+    /**
+     * Setup gameplay timers
+     */
+    setupTimers() {
+        try {
+            // Campaign levels spawn from their timeline and don't level up (see updateCampaign)
+            if (this.campaignLevel) return;
+            
+            console.log("Setting up game timers");
+            
+            // Level progression timer
+            this.levelTimer = this.time.addEvent({
+                delay: CONFIG.LEVEL_DURATION,
+                callback: this.increaseLevel,
+                callbackScope: this,
+                loop: true
+            });
+            
+            // Obstacle generation timer
+            this.obstacleTimer = this.time.addEvent({
+                delay: this.tuning.OBSTACLE_SPAWN_RATE,
+                callback: this.generateObstacles,
+                callbackScope: this,
+                loop: true
+            });
+            
+            // Enemy generation timer
+            this.enemyTimer = this.time.addEvent({
+                delay: CONFIG.ENEMY_SPAWN_RATE,
+                callback: this.generateEnemies,
+                callbackScope: this,
+                loop: true
+            });
+            
+            // Power-up generation timer
+            this.powerUpTimer = this.time.addEvent({
+                delay: CONFIG.POWERUP_SPAWN_RATE,
+                callback: this.generatePowerUps,
+                callbackScope: this,
+                loop: true
+            });
+            
+            console.log("Game timers set up successfully");
+        } catch (error) {
+            console.error('Error in setupTimers:', error);
+        }
+    }
+    
+    /**
+     * Setup player input controls
+     */
+    setupInput() {
+        try {
+            // Keyboard controls
+            this.cursors = this.input.keyboard.createCursorKeys();
+            
+            // Spacebar for flapping
+            this.input.keyboard.on('keydown-SPACE', () => {
+                this.handleInput('flap');
+            });
+            
+            // Keyboard for shooting (when power-up active)
+            this.input.keyboard.on('keydown-F', () => {
+                this.handleInput('fire');
+            });
+            
+            // Esc/P opens the pause menu
+            this.input.keyboard.on('keydown-ESC', () => {
+                this.pauseGame();
+            });
+            
+            this.input.keyboard.on('keydown-P', () => {
+                this.pauseGame();
+            });
+            
+            // Shift uses the character's ability
+            this.input.keyboard.on('keydown-SHIFT', () => {
+                this.handleInput('ability');
+            });
+            
+            // Touch/mouse input for mobile (taps on the pause and ability buttons don't flap)
+            this.input.on('pointerdown', (pointer, currentlyOver) => {
+                if (currentlyOver.includes(this.pauseButton) || currentlyOver.includes(this.abilityButton)) return;
+                this.handleInput('flap');
+            });
+        } catch (error) {
+            console.error('Error in setupInput:', error);
+        }
+    }
+    
+    /**
+     * Record a player input and apply it to the game
+     * @param {string} action - Input action ('flap', 'fire' or 'ability')
+     */
+    handleInput(action) {
+        if (this.isGameOver) return;
+        
+        // Record before applying so playback sees inputs in the same order
+        if (this.replayRecorder) {
+            this.replayRecorder.recordInput(action);
+        }
+        
+        this.applyInput(action);
+    }
+    
+    /**
+     * Apply a player input (live or from a replay)
+     * @param {string} action - Input action ('flap', 'fire' or 'ability')
+     */
+    applyInput(action) {
+        switch (action) {
+            case 'flap':
+                this.flapBird();
+                break;
+                
+            case 'fire':
+                this.shootFireball();
+                break;
+                
+            case 'ability':
+                this.useAbility();
+                break;
+                
+            default:
+                console.warn('Unknown input action:', action);
+        }
+    }
+    
+    /**
+     * Pause the run and open the pause overlay
+     * Pausing the scene freezes its clock, so the spawn timers from setupTimers
+     * and the bird's power-up timers all stop until the run resumes
+     * @param {boolean} showMenu - False for automatic pauses that only dim the screen
+     */
+    pauseGame(showMenu = true) {
+        if (this.isGameOver || this.scene.isPaused()) return;
+        
+        // The room keeps running during a multiplayer race, so only the automatic
+        // pause of a hidden tab applies there
+        if (this.isMultiplayer && showMenu) return;
+        
+        try {
+            this.scene.pause();
+            this.sound.pauseAll();
+            
+            this.scene.launch('PauseScene', { sceneKey: this.scene.key, showMenu: showMenu });
+            this.scene.bringToTop('PauseScene');
+            
+            GameEventManager.emit(GameEvents.GAME_PAUSED, { scene: this.scene.key });
+        } catch (error) {
+            console.error('Error in pauseGame:', error);
+        }
+    }
+    
+    /**
+     * Resume the run after the pause overlay's countdown
+     */
+    resumeGame() {
+        if (!this.scene.isPaused()) return;
+        
+        try {
+            this.scene.resume();
+            this.sound.resumeAll();
+            
+            GameEventManager.emit(GameEvents.GAME_RESUMED, { scene: this.scene.key });
+        } catch (error) {
+            console.error('Error in resumeGame:', error);
+        }
+    }
+    
+    /**
+     * Get the data to restart this run with the same settings
+     * @returns {Object} Data for scene.restart
+     */
+    getRestartData() {
+        return {
+            characterId: this.characterId,
+            difficulty: this.difficulty.id,
+            // Keep the course when it was chosen on purpose (shared seed or a ghost race)
+            seed: this.isSeededRun ? this.seed : null,
+            ghost: this.ghostData,
+            campaignLevel: this.getCampaignLevelRef(),
+            playtest: this.isPlaytest
+        };
+    }
+    
+    /**
+     * Get how to find the campaign level again (its ID, or the whole level for playtests)
+     * @returns {string|Object|null} Level ID, level, or null in endless runs
+     */
+    getCampaignLevelRef() {
+        if (!this.campaignLevel) return null;
+        
+        return this.isPlaytest ? this.campaignLevel : this.campaignLevel.id;
+    }
+    
+    /**
+     * Abandon the run and return to the main menu
+     */
+    quitToMenu() {
+        try {
+            this.isGameOver = true;
+            
+            // Stop syncing with the multiplayer room
+            if (this.isMultiplayer) {
+                stopMultiplayerSync();
+                
+                if (this.playerPositionListener) {
+                    this.playerPositionListener();
+                    this.playerPositionListener = null;
+                }
+            }
+            
+            if (isAuthenticated() && !this.isReplay) {
+                updatePlayerStatus('menu');
+            }
+            
+            this.sound.stopAll();
+            this.scene.start('MainMenuScene');
+        } catch (error) {
+            console.error('Error in quitToMenu:', error);
+        }
+    }
+    
+    /**
+     * Route every scene step through the run clock
+     * Phaser steps the clock, tweens and physics with the loop's delta; the run
+     * clock replaces it with a quantized delta (and a time counted from the
+     * start of the run) so a recorded run can be stepped again exactly.
+     * Slow motion (the power-up or a near miss) steps the scene with a scaled
+     * delta, which slows the scroll, spawns, physics and timers all at once
+     */
+    installRunClock() {
+        try {
+            const systems = this.sys;
+            const step = Object.getPrototypeOf(systems).step;
+            
+            this.runTime = 0;
+            
+            systems.step = (time, delta) => {
+                const realDelta = this.nextTickDelta(delta);
+                const tickDelta = realDelta * this.getTimeScale();
+                
+                // The near miss flash lasts the same for the player however slow it makes the run
+                this.nearMissSlowTime = Math.max(0, this.nearMissSlowTime - realDelta);
+                
+                this.runTime += tickDelta;
+                step.call(systems, this.runTime, tickDelta);
+            };
+        } catch (error) {
+            console.error('Error in installRunClock:', error);
+        }
+    }
+    
+    /**
+     * Get how fast the run goes, slower during slow motion
+     * @returns {number} Time scale, 1 for normal speed
+     */
+    getTimeScale() {
+        const nearMissScale = this.nearMissSlowTime > 0 ? CONFIG.NEAR_MISS_TIME_SCALE : 1;
+        return Math.min(this.slowMotionScale, nearMissScale);
+    }
+    
+    /**
+     * Get the delta for the next simulation tick and record it
+     * @param {number} delta - The loop's delta in ms
+     * @returns {number} The delta to step the scene with
+     */
+    nextTickDelta(delta) {
+        const tickDelta = quantizeTickDelta(delta);
+        
+        if (this.replayRecorder && !this.isGameOver) {
+            this.replayRecorder.recordTick(tickDelta);
+        }
+        
+        return tickDelta;
+    }
+    
+    /**
+     * Main update function called every frame
+     * @param {number} time - The current time
+     * @param {number} delta - The delta time in ms since the last frame
+     */
+    update(time, delta) {
+        if (this.isGameOver) return;
+        
+        try {
+            // Update scrolling background
+            this.updateBackground(delta);
+            
+            // Update bird
+            if (this.bird && this.bird.active) {
+                this.bird.update(time, delta);
+                
+                // Landing on the ground ends a stomp chain
+                if (this.bird.body.blocked.down) {
+                    this.stompChain = 0;
+                }
+            }
+            
+            // Record the bird for future ghosts and move the current ghost
+            if (this.ghostRecorder) {
+                this.ghostRecorder.sample(this.runTime, this.bird);
+            }
+            
+            if (this.ghostBird && this.ghostBird.active) {
+                this.ghostBird.update(this.runTime);
+            }
+            
+            // Update game objects
+            this.updateObstacles(delta);
+            this.updateEnemies(delta);
+            this.updateEnemyDebug();
+            this.updatePowerUps(delta);
+            this.updateFireballs(delta);
+            this.updateEnemyProjectiles(delta);
+            this.updateBossFight(delta);
+            this.updateCampaign(delta);
+            this.updateAbilityMeter();
+            this.updatePowerUpBar();
+            this.updateCombo(delta);
+            
+            // Auto-shoot if flower power is active
+            if (this.isShooting && time > this.lastFireTime + this.bird.getFireballRate()) {
+                this.shootFireball();
+                this.lastFireTime = time;
+            }
+            
+            // Update debug text
+            if (this.debugText) {
+                this.debugText.setText(
+                    `FPS: ${Math.round(this.game.loop.actualFps)} | ` +
+                    `Level: ${this.level} | Speed: ${this.gameSpeed} | ` +
+                    `Difficulty: ${this.difficulty.name} | ` +
+                    `Live/pooled: Obstacles ${getPoolStats(this.obstacles)} ` +
+                    `Enemies ${getPoolStats(this.enemies)} ` +
+                    `Power-ups ${getPoolStats(this.powerUps)} ` +
+                    `Shots ${getPoolStats(this.fireballs)}+${getPoolStats(this.enemyProjectiles)} | ` +
+                    `Seed: ${this.seed}`
+                );
+            }
+        } catch (error) {
+            console.error('Error in update:', error);
+        }
+    }
+    
+    /**
+     * Make the bird flap its wings
+     */
+    flapBird() {
+        if (this.isGameOver || !this.bird || !this.bird.active) return;
+        
+        this.bird.flap();
+    }
+    
+    /**
+     * Use the bird's character ability
+     */
+    useAbility() {
+        if (this.isGameOver || !this.bird || !this.bird.active) return;
+        
+        try {
+            this.bird.useAbility();
+        } catch (error) {
+            console.error('Error in useAbility:', error);
+        }
+    }
+    
+    /**
+     * Make the bird shoot a fireball
+     */
+    shootFireball() {
+        if (this.isGameOver || !this.bird || !this.bird.active || !this.isShooting) return;
+        
+        try {
+            // Call bird's shoot method
+            if (this.bird.shootFireball) {
+                this.bird.shootFireball();
+            }
+        } catch (error) {
+            console.error('Error in shootFireball:', error);
+        }
+    }
+    
+    /**
+     * Update the scrolling background
+     * @param {number} delta - Delta time since last frame
+     */
+    updateBackground(delta) {
+        // The screen holds still during boss fights
+        if (this.isScrollPaused) return;
+        
+        try {
+            // Scroll background based on game speed
+            const scrollFactor = this.gameSpeed * delta / 1000;
+            if (this.bg && this.bg.active) {
+                this.bg.tilePositionX += scrollFactor;
+            }
+        } catch (error) {
+            console.error('Error in updateBackground:', error);
+        }
+    }
+    
+    /**
+     * Update obstacles position and check for off-screen
+     * @param {number} delta - Delta time since last frame
+     */
+    updateObstacles(delta) {
+        try {
+            // Get game speed for movement
+            const moveAmount = this.gameSpeed * delta / 1000;
+            
+            // Ensure the obstacles group exists
+            if (!this.obstacles) return;
+            
+            // Track how many obstacles were removed (for debugging)
+            let removedCount = 0;
+            
+            // Copy the list, behaviors can destroy obstacles while we iterate
+            this.obstacles.getChildren().slice().forEach(obstacle => {
+                if (!obstacle || !obstacle.active) return;
+                
+                // Move obstacle
+                obstacle.x -= moveAmount;
+                
+                // Slide, spin, fall or crumble on the run clock
+                if (obstacle.updateBehaviors) {
+                    obstacle.updateBehaviors(delta);
+                    if (!obstacle.active) return;
+                }
+                
+                // Check if obstacle passed bird (for scoring)
+                if (!obstacle.scored && this.bird && this.bird.active) {
+                    // Track the closest the bird comes during the pass
+                    obstacle.closestDistance = Math.min(obstacle.closestDistance, this.getObstacleDistance(obstacle));
+                    
+                    if (obstacle.x < this.bird.x - obstacle.displayWidth / 2) {
+                        const nearMiss = this.isNearMiss(obstacle);
+                        
+                        // A near miss counts twice towards the combo
+                        this.addCombo(CONFIG.BASE_OBSTACLE_POINTS, this.bird.x, this.bird.y - 30, nearMiss ? 2 : 1);
+                        obstacle.scored = true;
+                        
+                        if (nearMiss) {
+                            this.onNearMiss();
+                        }
+                    }
+                }
+                
+                // Recycle if off screen (far left of screen)
+                if (obstacle.x < -obstacle.displayWidth) {
+                    obstacle.recycle();
+                    removedCount++;
+                }
+            });
+        } catch (error) {
+            console.error('Error in updateObstacles:', error);
+        }
+    }
+    
+    /**
+     * Update enemies position and behavior
+     * @param {number} delta - Delta time since last frame
+     */
+    updateEnemies(delta) {
+        try {
+            const moveAmount = (this.gameSpeed - CONFIG.ENEMY_SPEED_OFFSET) * delta / 1000;
+            
+            if (!this.enemies) return;
+            
+            this.enemies.getChildren().forEach(enemy => {
+                if (!enemy || !enemy.active) return;
+                
+                // Use enemy's update method if available
+                if (enemy.update) {
+                    enemy.update(this.time.now, delta, this.gameSpeed);
+                } else {
+                    // Basic movement for non-Enemy class objects
+                    enemy.x -= moveAmount;
+                    
+                    // Basic sine movement if no pattern defined
+                    if (!enemy.movementPattern) {
+                        enemy.y = enemy.startY + Math.sin(enemy.x / 100) * 50;
+                    }
+                }
+                
+                // Remove if off screen (Enemy objects go back to the pool)
+                if (enemy.x < -enemy.width) {
+                    if (enemy.recycle) {
+                        enemy.recycle();
+                    } else {
+                        enemy.destroy();
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Error in updateEnemies:', error);
+        }
+    }
+    
+    /**
+     * Label every enemy with its type and AI state (CONFIG.DEBUG only)
+     */
+    updateEnemyDebug() {
+        if (!CONFIG.DEBUG || !this.enemies) return;
+        
+        try {
+            const enemies = this.enemies.getChildren().filter(enemy => enemy.active && enemy.ai);
+            
+            enemies.forEach((enemy, index) => {
+                let label = this.enemyDebugLabels[index];
+                
+                if (!label) {
+                    label = this.add.text(0, 0, '', {
+                        fontFamily: 'monospace',
+                        fontSize: '11px',
+                        color: '#ffff00',
+                        backgroundColor: '#333333'
+                    }).setOrigin(0.5, 1).setDepth(100);
+                    this.enemyDebugLabels.push(label);
+                }
+                
+                label.setPosition(enemy.x, enemy.y - enemy.displayHeight / 2 - 4)
+                    .setText(`${enemy.type}: ${enemy.ai.stateName}`)
+                    .setVisible(true);
+            });
+            
+            // Hide the labels left over from enemies that are gone
+            this.enemyDebugLabels.slice(enemies.length).forEach(label => label.setVisible(false));
+        } catch (error) {
+            console.error('Error in updateEnemyDebug:', error);
+        }
+    }
+    
+    /**
+     * Update power-ups position
+     * @param {number} delta - Delta time since last frame
+     */
+    updatePowerUps(delta) {
+        try {
+            const moveAmount = (this.gameSpeed - CONFIG.POWERUP_SPEED_OFFSET) * delta / 1000;
+            
+            if (!this.powerUps) return;
+            
+            // Star power with the magnet upgrade pulls nearby power-ups in, the magnet power-up only coins
+            const starRadius = this.bird && this.bird.isInvulnerable ? this.bird.magnetRadius : 0;
+            const coinRadius = this.bird && this.bird.isMagnetized ? this.bird.getCoinMagnetRadius() : 0;
+            
+            this.powerUps.getChildren().forEach(powerUp => {
+                if (!powerUp || !powerUp.active) return;
+                
+                // Use powerUp's update method if available
+                if (powerUp.update) {
+                    powerUp.update(this.time.now, delta, this.gameSpeed);
+                } else {
+                    // Basic movement for non-PowerUp class objects
+                    powerUp.x -= moveAmount;
+                    
+                    // Make power-ups hover/float slightly
+                    powerUp.y += Math.sin(this.time.now / 300) * 0.5;
+                }
+                
+                const magnetRadius = powerUp.type === 'coin' ? Math.max(starRadius, coinRadius) : starRadius;
+                if (magnetRadius > 0 && powerUp.active) {
+                    this.pullPowerUp(powerUp, magnetRadius, delta);
+                }
+                
+                // Remove if off screen (PowerUp objects go back to the pool)
+                if (powerUp.x < -powerUp.width) {
+                    if (powerUp.recycle) {
+                        powerUp.recycle();
+                    } else {
+                        powerUp.destroy();
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Error in updatePowerUps:', error);
+        }
+    }
+    
+    /**
+     * Pull a power-up towards the bird if it's within the magnet radius
+     * @param {PowerUp} powerUp - The power-up
+     * @param {number} radius - Magnet radius in pixels
+     * @param {number} delta - Delta time since last frame
+     */
+    pullPowerUp(powerUp, radius, delta) {
+        try {
+            const distance = Phaser.Math.Distance.Between(powerUp.x, powerUp.y, this.bird.x, this.bird.y);
+            if (distance > radius || distance === 0) return;
+            
+            // Faster the closer it gets, but never past the bird
+            const step = Math.min(distance, (300 + radius - distance) * delta / 1000);
+            const dy = (this.bird.y - powerUp.y) / distance * step;
+            powerUp.x += (this.bird.x - powerUp.x) / distance * step;
+            powerUp.y += dy;
+            
+            // Floating power-ups bob around their original height, so move that too
+            if (powerUp.originalY !== undefined) {
+                powerUp.originalY += dy;
+            }
+        } catch (error) {
+            console.error('Error in pullPowerUp:', error);
+        }
+    }
+    
+    /**
+     * Update fireballs position and behavior
+     * @param {number} delta - Time since last update
+     */
+    updateFireballs(delta) {
+        try {
+            if (!this.fireballs) return;
+            
+            this.fireballs.getChildren().forEach(fireball => {
+                // Skip if already marked for destruction or inactive
+                if (!fireball || !fireball.active || fireball.destroyed) return;
+                
+                // Check if fireball is off screen (check all sides)
+                if (fireball.x > CONFIG.GAME_WIDTH + 50 || 
+                    fireball.x < -50 || 
+                    fireball.y < -50 || 
+                    fireball.y > CONFIG.GAME_HEIGHT + 50) {
+                    recycleProjectile(fireball);
+                }
+            });
+        } catch (error) {
+            console.error('Error in updateFireballs:', error);
+        }
+    }
+    
+    /**
+     * Update enemy projectiles position, steering homing and arcing ones
+     * @param {number} delta - Time since last update
+     */
+    updateEnemyProjectiles(delta) {
+        try {
+            if (!this.enemyProjectiles) return;
+            
+            this.enemyProjectiles.getChildren().forEach(projectile => {
+                if (!projectile || !projectile.active) return;
+                
+                const type = projectile.projectileType;
+                if (type && (type.gravity || projectile.homingTimeLeft > 0)) {
+                    this.steerEnemyProjectile(projectile, type, delta);
+                }
+                
+                // Remove projectiles that have left the screen
+                if (projectile.x > CONFIG.GAME_WIDTH + 50 || 
+                    projectile.x < -50 || 
+                    projectile.y < -50 || 
+                    projectile.y > CONFIG.GAME_HEIGHT + 50) {
+                    recycleProjectile(projectile);
+                }
+            });
+        } catch (error) {
+            console.error('Error in updateEnemyProjectiles:', error);
+        }
+    }
+    
+    /**
+     * Turn a homing projectile toward the bird and pull an arcing one down
+     * @param {Phaser.GameObjects.Sprite} projectile - The enemy projectile
+     * @param {Object} type - Its projectile type
+     * @param {number} delta - Time since last update
+     */
+    steerEnemyProjectile(projectile, type, delta) {
+        const velocity = projectile.body.velocity;
+        const dt = delta / 1000;
+        
+        if (projectile.homingTimeLeft > 0) {
+            projectile.homingTimeLeft -= delta;
+            
+            if (this.bird && this.bird.active && !this.bird.isDead) {
+                // Turn no faster than the type's turn rate, keeping the speed
+                const heading = Math.atan2(velocity.y, velocity.x);
+                const wanted = Phaser.Math.Angle.Between(projectile.x, projectile.y, this.bird.x, this.bird.y);
+                const maxTurn = Phaser.Math.DegToRad(type.turnRate) * dt;
+                const turn = Phaser.Math.Clamp(Phaser.Math.Angle.Wrap(wanted - heading), -maxTurn, maxTurn);
+                const speed = velocity.length();
+                
+                velocity.setToPolar(heading + turn, speed);
+            }
+        }
+        
+        if (type.gravity) {
+            velocity.y += type.gravity * dt;
+        }
+        
+        projectile.rotation = Math.atan2(velocity.y, velocity.x);
+    }
+    
+    /**
+     * Spawn the next obstacle pattern
+     */
+    generateObstacles() {
+        if (this.isGameOver) return;
+        
+        try {
+            this.obstacleManager.generate(this.level);
+        } catch (error) {
+            console.error('Error in generateObstacles:', error);
+        }
+    }
+    
+    /**
+     * Generate enemy turtles
+     */
+    generateEnemies() {
+        if (this.isGameOver) return;
+        
+        try {
+            console.log("Generating enemies");
+            
+            // If we have an enemy manager, use it
+            if (this.enemyManager && typeof this.enemyManager.generate === 'function') {
+                this.enemyManager.generate(this.level);
+                return;
+            }
+            
+            // Fallback to basic enemy generation
+            const y = this.rng.stream('enemies').between(100, CONFIG.GAME_HEIGHT - 100);
+            const turtle = this.enemies.create(CONFIG.GAME_WIDTH, y, 'turtle');
+            
+            if (!turtle) return;
+            
+            // Setup enemy properties
+            if (turtle.body) {
+                turtle.body.allowGravity = false;
+            }
+            turtle.startY = y;
+            
+            // 50% chance for each movement pattern
+            turtle.movementPattern = this.rng.stream('enemies').pick(['sine', 'chase']);
+            
+            // Add animations if they don't exist yet
+            if (!this.anims.exists('turtle-walk')) {
+                this.anims.create({
+                    key: 'turtle-walk',
+                    frames: this.anims.generateFrameNumbers('turtle', { start: 0, end: 1 }),
+                    frameRate: 5,
+                    repeat: -1
+                });
+            }
+            
+            turtle.play('turtle-walk');
+            
+            console.log("Enemy created:", this.enemies.countActive());
+        } catch (error) {
+            console.error('Error in generateEnemies:', error);
+        }
+    }
+    
+    /**
+     * Generate power-ups
+     */
+    generatePowerUps() {
+        if (this.isGameOver) return;
+        
+        try {
+            // If we have a power-up manager, use it
+            if (this.powerUpManager && typeof this.powerUpManager.generate === 'function') {
+                this.powerUpManager.generate(this.level);
+                return;
+            }
+            
+            // Fallback to basic power-up generation
+            const random = this.rng.stream('powerups');
+            const y = random.between(100, CONFIG.GAME_HEIGHT - 100);
+            
+            // Randomly choose power-up type
+            const types = ['mushroom', 'flower', 'star', 'coin'];
+            const weights = [0.25, 0.15, 0.1, 0.5]; // Higher weights = more common
+            
+            let total = 0;
+            const roll = random.frac();
+            let selectedType = types[0];
+            
+            for (let i = 0; i < types.length; i++) {
+                total += weights[i];
+                if (roll < total) {
+                    selectedType = types[i];
+                    break;
+                }
+            }
+            
+            // Create power-up
+            const powerUp = this.powerUps.create(CONFIG.GAME_WIDTH, y, selectedType);
+            
+            if (powerUp && powerUp.body) {
+                powerUp.body.allowGravity = false;
+                powerUp.type = selectedType;
+                
+                // Add animation/effects for the power-up
+                if (selectedType === 'star') {
+                    this.tweens.add({
+                        targets: powerUp,
+                        angle: 360,
+                        duration: 1500,
+                        repeat: -1
+                    });
+                } else if (selectedType === 'coin') {
+                    this.tweens.add({
+                        targets: powerUp,
+                        angle: 360,
+                        duration: 1000,
+                        repeat: -1
+                    });
+                }
+            }
+        } catch (error) {
+            console.error('Error in generatePowerUps:', error);
+        }
+    }
+    
+    /**
+     * Increase score
+     * @param {number} amount - Amount to increase score by
+     */
+    increaseScore(amount) {
+        this.score += amount;
+        
+        // Update score text
+        if (this.scoreText && this.scoreText.active) {
+            this.scoreText.setText(`Score: ${this.score}`);
+            
+            // Add a little animation to the score text
+            this.tweens.add({
+                targets: this.scoreText,
+                scaleX: 1.2,
+                scaleY: 1.2,
+                duration: 100,
+                yoyo: true
+            });
+        }
+    }
+    
+    /**
+     * Score an enemy hit, kills keep the combo going
+     * @param {number} x - X position of the enemy
+     * @param {number} y - Y position of the enemy
+     * @param {boolean} killed - Whether the hit killed the enemy
+     * @param {number} points - Points for a kill (the enemy type's)
+     */
+    scoreEnemyHit(x, y, killed, points = CONFIG.BASE_ENEMY_POINTS) {
+        if (killed) {
+            this.addCombo(points, x, y);
+        } else {
+            this.increaseScore(CONFIG.BASE_ENEMY_POINTS);
+        }
+    }
+    
+    /**
+     * Measure the gap between the bird's body and an obstacle's
+     * @param {Phaser.GameObjects.Sprite} obstacle - The obstacle
+     * @returns {number} Distance in pixels, 0 when touching
+     */
+    getObstacleDistance(obstacle) {
+        if (!this.bird || !this.bird.body || !obstacle.body) return Infinity;
+        
+        const bird = this.bird.body;
+        const body = obstacle.body;
+        
+        // Gap between the two bodies on each axis (0 where they line up)
+        const dx = Math.max(0, body.left - bird.right, bird.left - body.right);
+        const dy = Math.max(0, body.top - bird.bottom, bird.top - body.bottom);
+        
+        return Math.hypot(dx, dy);
+    }
+    
+    /**
+     * Check whether the bird passed an obstacle within CONFIG.NEAR_MISS_DISTANCE without touching it
+     * @param {Phaser.GameObjects.Sprite} obstacle - The obstacle that was passed
+     * @returns {boolean} True for a near miss
+     */
+    isNearMiss(obstacle) {
+        return obstacle.closestDistance > 0 && obstacle.closestDistance <= CONFIG.NEAR_MISS_DISTANCE;
+    }
+    
+    /**
+     * Reward a near miss with bonus points, a sound and a slow motion flash
+     */
+    onNearMiss() {
+        try {
+            this.nearMisses++;
+            this.increaseScore(CONFIG.NEAR_MISS_POINTS);
+            
+            this.nearMissSlowTime = CONFIG.NEAR_MISS_SLOW_TIME;
+            
+            // Faint white flash over the screen (a camera flash is too bright to repeat often)
+            const flash = this.add.rectangle(0, 0, CONFIG.GAME_WIDTH, CONFIG.GAME_HEIGHT, 0xffffff, 0.25)
+                .setOrigin(0, 0)
+                .setScrollFactor(0)
+                .setDepth(998);
+            
+            this.tweens.add({
+                targets: flash,
+                alpha: 0,
+                duration: CONFIG.NEAR_MISS_SLOW_TIME,
+                onComplete: () => {
+                    flash.destroy();
+                }
+            });
+            
+            this.sound.play('sfx-coin', { volume: 0.6, rate: 1.5 });
+            
+            const text = this.add.text(this.bird.x, this.bird.y - 55, `NEAR MISS! +${CONFIG.NEAR_MISS_POINTS}`, {
+                fontFamily: 'Arial',
+                fontSize: '18px',
+                fill: '#66FFFF',
+                stroke: '#000000',
+                strokeThickness: 3
+            }).setOrigin(0.5).setDepth(999);
+            
+            // Float up and fade out
+            this.tweens.add({
+                targets: text,
+                y: text.y - 30,
+                alpha: 0,
+                duration: 700,
+                onComplete: () => {
+                    text.destroy();
+                }
+            });
+        } catch (error) {
+            console.error('Error in onNearMiss:', error);
+        }
+    }
+    
+    /**
+     * Count a combo event and score its points with the multiplier
+     * @param {number} points - Points before the multiplier
+     * @param {number} x - X position to show the points at
+     * @param {number} y - Y position to show the points at
+     * @param {number} count - How many combo events it's worth
+     */
+    addCombo(points, x, y, count = 1) {
+        try {
+            this.combo += count;
+            this.comboTimeLeft = CONFIG.COMBO_DECAY_TIME;
+            this.longestCombo = Math.max(this.longestCombo, this.combo);
+            
+            const multiplier = this.getComboMultiplier();
+            this.increaseScore(points * multiplier);
+            
+            this.showComboPoints(x, y, points * multiplier, multiplier);
+            this.updateComboDisplay();
+        } catch (error) {
+            console.error('Error in addCombo:', error);
+        }
+    }
+    
+    /**
+     * Get the score multiplier for the current combo
+     * @returns {number} Multiplier, 1 without a combo
+     */
+    getComboMultiplier() {
+        return Math.min(1 + Math.floor(this.combo / CONFIG.COMBO_STEP), CONFIG.COMBO_MAX_MULTIPLIER);
+    }
+    
+    /**
+     * Count down the combo, dropping a multiplier step each time it runs out
+     * @param {number} delta - Time since last update
+     */
+    updateCombo(delta) {
+        if (this.combo <= 0) return;
+        
+        this.comboTimeLeft -= delta;
+        
+        if (this.comboTimeLeft <= 0) {
+            // Back to the start of the step below, or no combo at all from the first step
+            this.combo = Math.max(0, (this.getComboMultiplier() - 2) * CONFIG.COMBO_STEP);
+            this.comboTimeLeft = this.combo > 0 ? CONFIG.COMBO_DECAY_TIME : 0;
+        }
+        
+        this.updateComboDisplay();
+    }
+    
+    /**
+     * End the combo (the bird was hit or touched something)
+     */
+    resetCombo() {
+        if (this.combo <= 0) return;
+        
+        this.combo = 0;
+        this.comboTimeLeft = 0;
+        this.updateComboDisplay();
+    }
+    
+    /**
+     * Create the combo display at the top of the screen (hidden without a combo)
+     */
+    createComboDisplay() {
+        try {
+            const x = CONFIG.GAME_WIDTH / 2;
+            
+            this.comboText = this.add.text(x, 25, '', {
+                fontFamily: 'Arial',
+                fontSize: '24px',
+                fill: '#FFDD00',
+                stroke: '#000000',
+                strokeThickness: 4
+            }).setOrigin(0.5).setScrollFactor(0).setDepth(1000).setVisible(false);
+            
+            // Time left before the combo decays, shrinking from the right
+            this.comboBar = this.add.rectangle(x - 60, 48, 120, 5, 0xffdd00)
+                .setOrigin(0, 0.5)
+                .setScrollFactor(0)
+                .setDepth(1000)
+                .setVisible(false);
+        } catch (error) {
+            console.error('Error in createComboDisplay:', error);
+        }
+    }
+    
+    /**
+     * Update the combo display to the current combo
+     */
+    updateComboDisplay() {
+        if (!this.comboText || !this.comboBar) return;
+        
+        const visible = this.combo > 0;
+        this.comboText.setVisible(visible);
+        this.comboBar.setVisible(visible);
+        
+        if (!visible) return;
+        
+        this.comboText.setText(`x${this.getComboMultiplier()}  Combo ${this.combo}`);
+        this.comboBar.setScale(Phaser.Math.Clamp(this.comboTimeLeft / CONFIG.COMBO_DECAY_TIME, 0, 1), 1);
+    }
+    
+    /**
+     * Show floating "+N xM" text where points were scored
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {number} points - Points scored (multiplier included)
+     * @param {number} multiplier - The multiplier applied
+     */
+    showComboPoints(x, y, points, multiplier) {
+        try {
+            const text = this.add.text(x, y, multiplier > 1 ? `+${points} x${multiplier}` : `+${points}`, {
+                fontFamily: 'Arial',
+                fontSize: multiplier > 1 ? '20px' : '16px',
+                fill: multiplier > 1 ? '#FFDD00' : '#FFFFFF',
+                stroke: '#000000',
+                strokeThickness: 3
+            }).setOrigin(0.5).setDepth(999);
+            
+            // Float up and fade out
+            this.tweens.add({
+                targets: text,
+                y: y - 40,
+                alpha: 0,
+                duration: 800,
+                onComplete: () => {
+                    text.destroy();
+                }
+            });
+        } catch (error) {
+            console.error('Error in showComboPoints:', error);
+        }
+    }
+    
+    /**
+     * Get the stats shown in the run summary
+     * @returns {Object} Run stats
+     */
+    getRunStats() {
+        return {
+            longestCombo: this.longestCombo,
+            nearMisses: this.nearMisses
+        };
+    }
+    
+    /**
+     * Increase level
+     */
+    increaseLevel() {
+        if (this.isGameOver) return;
+        
+        try {
+            // Every few levels end with a boss fight, the level goes up once it's beaten
+            if (this.level % CONFIG.BOSS_LEVEL_INTERVAL === 0 && this.lastBossLevel !== this.level) {
+                this.startBossFight();
+                return;
+            }
+            
+            console.log("Increasing level from", this.level);
+            
+            // Before triggering enemy shooting, increment the level
+            this.level++;
+            
+            // Update level text immediately
+            if (this.levelText && this.levelText.active) {
+                this.levelText.setText(`Level: ${this.level}`);
+                this.tweens.add({
+                    targets: this.levelText,
+                    scaleX: 1.2,
+                    scaleY: 1.2,
+                    duration: 100,
+                    yoyo: true
+                });
+            }
+            
+            // Increase game speed (up to a maximum)
+            if (this.level <= CONFIG.MAX_LEVEL) {
+                this.gameSpeed += this.tuning.LEVEL_SPEED_INCREASE;
+            }
+            
+            // Change background if needed
+            const bgIndex = (this.level - 1) % CONFIG.BACKGROUNDS.length;
+            const newBgConfig = CONFIG.BACKGROUNDS[bgIndex];
+            
+            if (newBgConfig.id !== this.currentBackground) {
+                if (this.bg && this.bg.active) {
+                    this.bg.setTexture(newBgConfig.texture);
+                    this.currentBackground = newBgConfig.id;
+                }
             }
+            
+            // Play level up sound
+            this.sound.play('sfx-levelup', { volume: 0.7 });
+            
+            // Show level up text
+            this.createLevelUpText();
+            
+            // Add a short delay before triggering enemy shooting
+            this.time.delayedCall(1000, () => {
+                if (this.isGameOver) return;
+                
+                // Now trigger enemy shooting as an end-of-level event
+                this.triggerEnemyShooting();
+            });
+            
+            console.log("Level increased to", this.level);
         } catch (error) {
-            console.error('Error in updateBackground:', error);
+            console.error('Error in increaseLevel:', error);
         }
     }
     
     /**
-     * Update obstacles position and check for off-screen
-     * @param {number} delta - Delta time since last frame
+     * Create level up text effect
      */
-    updateObstacles(delta) {
+    createLevelUpText() {
         try {
-            // Get game speed for movement
-            const moveAmount = this.gameSpeed * delta / 1000;
-            
-            // Ensure the obstacles group exists
-            if (!this.obstacles) return;
+            const levelUpText = this.add.text(CONFIG.GAME_WIDTH / 2, CONFIG.GAME_HEIGHT / 2, `LEVEL ${this.level}!`, {
+                fontFamily: 'Arial',
+                fontSize: '40px',
+                color: '#FFFF00',
+                stroke: '#000000',
+                strokeThickness: 6
+            }).setOrigin(0.5);
             
-            // Track how many obstacles were removed (for debugging)
-            let removedCount = 0;
+            levelUpText.setAlpha(0);
+            levelUpText.setScale(0.5);
             
-            this.obstacles.getChildren().forEach(obstacle => {
-                if (!obstacle || !obstacle.active) return;
-                
-                // Move obstacle
-                obstacle.x -= moveAmount;
-                
-                // Check if obstacle passed bird (for scoring)
-                if (!obstacle.scored && this.bird && this.bird.active && 
-                    obstacle.x < this.bird.x - obstacle.width / 2) {
-                    this.increaseScore(CONFIG.BASE_OBSTACLE_POINTS);
-                    obstacle.scored = true;
-                }
-                
-                // Remove if off screen (far left of screen)
-                if (obstacle.x < -obstacle.width * 2) {
-                    obstacle.destroy();
-                    removedCount++;
+            // Animate the text appearing and then fading out
+            this.tweens.add({
+                targets: levelUpText,
+                alpha: 1,
+                scale: 1.2,
+                duration: 500,
+                ease: 'Power1',
+                yoyo: true,
+                hold: 1000,
+                onComplete: () => {
+                    if (levelUpText && levelUpText.active) {
+                        levelUpText.destroy();
+                    }
                 }
             });
         } catch (error) {
-            console.error('Error in updateObstacles:', error);
+            console.error('Error in createLevelUpText:', error);
         }
     }
     
     /**
-     * Update enemies position and behavior
-     * @param {number} delta - Delta time since last frame
+     * Trigger enemy shooting at end of level
      */
-    updateEnemies(delta) {
+    triggerEnemyShooting() {
+        if (this.isGameOver) return;
+        
         try {
-            const moveAmount = (this.gameSpeed - CONFIG.ENEMY_SPEED_OFFSET) * delta / 1000;
+            // Only enemies on screen shoot
+            const activeEnemies = this.enemies.getChildren().filter(enemy => enemy.active);
             
-            if (!this.enemies) return;
+            if (activeEnemies.length === 0) {
+                console.log("No active enemies to shoot");
+                return;
+            }
             
-            this.enemies.getChildren().forEach(enemy => {
-                if (!enemy || !enemy.active) return;
-                
-                // Use enemy's update method if available
-                if (enemy.update) {
-                    enemy.update(this.time.now, delta, this.gameSpeed);
-                } else {
-                    // Basic movement for non-Enemy class objects
-                    enemy.x -= moveAmount;
-                    
-                    // Basic sine movement if no pattern defined
-                    if (!enemy.movementPattern) {
-                        enemy.y = enemy.startY + Math.sin(enemy.x / 100) * 50;
-                    }
-                }
-                
-                // Remove if off screen
-                if (enemy.x < -enemy.width) {
-                    enemy.destroy();
+            console.log(`${activeEnemies.length} enemies will shoot`);
+            
+            // Have each enemy shoot
+            activeEnemies.forEach(enemy => {
+                if (typeof enemy.shoot === 'function') {
+                    enemy.shoot();
                 }
             });
+            
+            // Play warning sound
+            this.sound.play('sfx-fireball', { volume: 0.3 });
         } catch (error) {
-            console.error('Error in updateEnemies:', error);
+            console.error('Error in triggerEnemyShooting:', error);
         }
     }
     
     /**
-     * Update power-ups position
-     * @param {number} delta - Delta time since last frame
+     * Start a boss fight: stop the spawners and wait for the screen to clear
      */
-    updatePowerUps(delta) {
+    startBossFight() {
+        if (this.bossFightState) return;
+        
         try {
-            const moveAmount = (this.gameSpeed - CONFIG.POWERUP_SPEED_OFFSET) * delta / 1000;
+            console.log("Starting boss fight at level", this.level);
             
-            if (!this.powerUps) return;
+            this.bossFightState = 'clearing';
             
-            this.powerUps.getChildren().forEach(powerUp => {
-                if (!powerUp || !powerUp.active) return;
-                
-                // Use powerUp's update method if available
-                if (powerUp.update) {
-                    powerUp.update(this.time.now, delta, this.gameSpeed);
-                } else {
-                    // Basic movement for non-PowerUp class objects
-                    powerUp.x -= moveAmount;
-                    
-                    // Make power-ups hover/float slightly
-                    powerUp.y += Math.sin(this.time.now / 300) * 0.5;
-                }
-                
-                // Remove if off screen
-                if (powerUp.x < -powerUp.width) {
-                    powerUp.destroy();
-                }
+            // Pausing keeps each timer's progress so the level carries on afterwards
+            [this.levelTimer, this.obstacleTimer, this.enemyTimer, this.powerUpTimer].forEach(timer => {
+                if (timer) timer.paused = true;
             });
+            
+            this.showBanner('BOSS APPROACHING!', '#FF4444');
         } catch (error) {
-            console.error('Error in updatePowerUps:', error);
+            console.error('Error in startBossFight:', error);
         }
     }
     
     /**
-     * Update fireballs position and behavior
+     * Advance the boss fight
      * @param {number} delta - Time since last update
      */
-    updateFireballs(delta) {
+    updateBossFight(delta) {
+        if (!this.bossFightState) return;
+        
         try {
-            if (!this.fireballs) return;
-            
-            this.fireballs.getChildren().forEach(fireball => {
-                // Skip if already marked for destruction or inactive
-                if (!fireball || !fireball.active || fireball.destroyed) return;
-                
-                // Check if fireball is off screen (check all sides)
-                if (fireball.x > CONFIG.GAME_WIDTH + 50 || 
-                    fireball.x < -50 || 
-                    fireball.y < -50 || 
-                    fireball.y > CONFIG.GAME_HEIGHT + 50) {
-                    fireball.destroyed = true;
-                    fireball.destroy();
+            // The boss enters once the last obstacles and enemies have scrolled away
+            if (this.bossFightState === 'clearing') {
+                if (this.obstacles.countActive() === 0 && this.enemies.countActive() === 0) {
+                    this.spawnBoss();
                 }
-            });
+                return;
+            }
+            
+            if (this.boss && this.boss.active) {
+                this.boss.update(this.time.now, delta);
+            }
+            
+            this.updateBossFlower(delta);
         } catch (error) {
-            console.error('Error in updateFireballs:', error);
+            console.error('Error in updateBossFight:', error);
         }
     }
     
     /**
-     * Update enemy projectiles position
+     * The bird can't reach the weak point at the right edge, so drop in a fire flower
+     * every so often while it has no way to shoot (no flower on it or on screen)
      * @param {number} delta - Time since last update
      */
-    updateEnemyProjectiles
+    updateBossFlower(delta) {
+        const hasFlower = this.isShooting || this.powerUps.getChildren().some(powerUp => {
+            return powerUp.active && powerUp.type === 'flower';
+        });
+        
+        if (hasFlower) {
+            this.bossFlowerTime = 0;
+            return;
+        }
+        
+        this.bossFlowerTime += delta;
+        if (this.bossFlowerTime < CONFIG.BOSS_FLOWER_INTERVAL || !this.powerUpManager) return;
+        
+        this.bossFlowerTime = 0;
+        
+        // In front of the boss, drifting back toward the bird
+        const random = this.rng ? this.rng.stream('bossFlowers') : Phaser.Math.RND;
+        this.powerUpManager.spawnType('flower', BOSS_FIGHT_X - 100, random.between(120, CONFIG.GAME_HEIGHT - 150), this.level);
+    }
     
     /**
-     * Generate obstacle pairs (pipes)
+     * Stop the scroll and bring in the boss for the current theme
      */
-    generateObstacles() {
-        if (this.isGameOver) return;
-        
+    spawnBoss() {
         try {
-            // Calculate gap size based on level (gets smaller as level increases)
-            const maxReduction = CONFIG.OBSTACLE_GAP_DECREMENT * CONFIG.MAX_LEVEL;
-            const levelReduction = Math.min(CONFIG.OBSTACLE_GAP_DECREMENT * (this.level - 1), maxReduction);
-            const gapSize = CONFIG.MIN_OBSTACLE_GAP - levelReduction;
+            const bossData = BOSSES.find(boss => boss.theme === this.currentBackground) ||
+                BOSSES.find(boss => !boss.theme);
             
-            // Random position for the gap
-            const gapPosition = Phaser.Math.Between(100, CONFIG.GAME_HEIGHT - 100 - gapSize);
+            // Every boss beaten makes the next one tougher
+            this.boss = new Boss(this, bossData, this.bossesDefeated * 2);
+            this.bosses.add(this.boss);
+            this.bossWeakPoints.add(this.boss.weakPoint);
             
-            // Create top obstacle
-            const topObstacle = this.obstacles.create(CONFIG.GAME_WIDTH, gapPosition - 320, 'pipe');
-            if (topObstacle && topObstacle.body) {
-                topObstacle.body.allowGravity = false;
-                topObstacle.setImmovable(true);
-                topObstacle.scored = false;
-            }
+            this.isScrollPaused = true;
+            this.bossFightState = 'fighting';
+            this.bossFlowerTime = 0;
             
-            // Create bottom obstacle
-            const bottomObstacle = this.obstacles.create(CONFIG.GAME_WIDTH, gapPosition + gapSize, 'pipe');
-            if (bottomObstacle && bottomObstacle.body) {
-                bottomObstacle.body.allowGravity = false;
-                bottomObstacle.setImmovable(true);
-                bottomObstacle.flipY = true;
-                bottomObstacle.scored = false;
-            }
+            this.createBossHealthBar(this.boss);
             
-            console.log("Obstacles created:", this.obstacles.getLength());
+            console.log(`Boss spawned: ${bossData.name} with ${this.boss.health} health`);
         } catch (error) {
-            console.error('Error in generateObstacles:', error);
+            console.error('Error in spawnBoss:', error);
         }
     }
     
     /**
-     * Generate enemy turtles
+     * Reward the player for beating the boss and resume normal progression
+     * @param {number} x - X position of the defeated boss
+     * @param {number} y - Y position of the defeated boss
      */
-    generateEnemies() {
-        if (this.isGameOver) return;
-        
+    endBossFight(x, y) {
         try {
-            console.log("Generating enemies");
-            
-            // If we have an enemy manager, use it
-            if (this.enemyManager && typeof this.enemyManager.generate === 'function') {
-                this.enemyManager.generate(this.level);
-                return;
-            }
+            console.log("Boss defeated");
             
-            // Fallback to basic enemy generation
-            const y = Phaser.Math.Between(100, CONFIG.GAME_HEIGHT - 100);
-            const turtle = this.enemies.create(CONFIG.GAME_WIDTH, y, 'turtle');
-            
-            if (!turtle) return;
+            this.boss = null;
+            this.bossFightState = null;
+            this.isScrollPaused = false;
+            this.bossesDefeated++;
+            this.lastBossLevel = this.level;
             
-            // Setup enemy properties
-            if (turtle.body) {
-                turtle.body.allowGravity = false;
-            }
-            turtle.startY = y;
+            this.destroyBossHealthBar();
+            this.cameras.main.shake(400, 0.02);
+            this.addDestructionEffect(x, y);
+            this.showBanner('BOSS DEFEATED!', '#FFFF00');
             
-            // 50% chance for each movement pattern
-            turtle.movementPattern = Phaser.Math.RND.pick(['sine', 'chase']);
+            this.increaseScore(CONFIG.BOSS_DEFEAT_POINTS);
             
-            // Add animations if they don't exist yet
-            if (!this.anims.exists('turtle-walk')) {
-                this.anims.create({
-                    key: 'turtle-walk',
-                    frames: this.anims.generateFrameNumbers('turtle', { start: 0, end: 1 }),
-                    frameRate: 5,
-                    repeat: -1
-                });
+            // Guaranteed power-up (never just a coin)
+            if (this.powerUpManager) {
+                this.powerUpManager.spawnPowerUp(x, y, this.level, true);
             }
             
-            turtle.play('turtle-walk');
+            [this.levelTimer, this.obstacleTimer, this.enemyTimer, this.powerUpTimer].forEach(timer => {
+                if (timer) timer.paused = false;
+            });
             
-            console.log("Enemy created:", this.enemies.getLength());
+            // The level the boss ended goes up now
+            this.increaseLevel();
         } catch (error) {
-            console.error('Error in generateEnemies:', error);
+            console.error('Error in endBossFight:', error);
         }
     }
     
     /**
-     * Generate power-ups
+     * Create the boss health bar at the top of the screen
+     * @param {Boss} boss - The boss
      */
-    generatePowerUps() {
-        if (this.isGameOver) return;
-        
+    createBossHealthBar(boss) {
         try {
-            // If we have a power-up manager, use it
-            if (this.powerUpManager && typeof this.powerUpManager.generate === 'function') {
-                this.powerUpManager.generate(this.level);
-                return;
-            }
-            
-            // Fallback to basic power-up generation
-            const y = Phaser.Math.Between(100, CONFIG.GAME_HEIGHT - 100);
-            
-            // Randomly choose power-up type
-            const types = ['mushroom', 'flower', 'star', 'coin'];
-            const weights = [0.25, 0.15, 0.1, 0.5]; // Higher weights = more common
-            
-            let total = 0;
-            const roll = Math.random();
-            let selectedType = types[0];
+            const x = CONFIG.GAME_WIDTH / 2;
             
-            for (let i = 0; i < types.length; i++) {
-                total += weights[i];
-                if (roll < total) {
-                    selectedType = types[i];
-                    break;
-                }
-            }
-            
-            // Create power-up
-            const powerUp = this.powerUps.create(CONFIG.GAME_WIDTH, y, selectedType);
-            
-            if (powerUp && powerUp.body) {
-                powerUp.body.allowGravity = false;
-                powerUp.type = selectedType;
-                
-                // Add animation/effects for the power-up
-                if (selectedType === 'star') {
-                    this.tweens.add({
-                        targets: powerUp,
-                        angle: 360,
-                        duration: 1500,
-                        repeat: -1
-                    });
-                } else if (selectedType === 'coin') {
-                    this.tweens.add({
-                        targets: powerUp,
-                        angle: 360,
-                        duration: 1000,
-                        repeat: -1
-                    });
-                }
-            }
+            this.bossNameText = this.add.text(x, 90, boss.name, {
+                fontFamily: 'Arial',
+                fontSize: '20px',
+                color: '#FFFFFF',
+                stroke: '#000000',
+                strokeThickness: 4
+            }).setOrigin(0.5).setScrollFactor(0).setDepth(1000);
+            
+            this.bossHealthBarBg = this.add.rectangle(x, 115, 304, 18, 0x000000, 0.7)
+                .setStrokeStyle(2, 0xffffff)
+                .setScrollFactor(0)
+                .setDepth(1000);
+            
+            // Fill shrinks from the right as the boss loses health
+            this.bossHealthBar = this.add.rectangle(x - 150, 115, 300, 14, 0xff3333)
+                .setOrigin(0, 0.5)
+                .setScrollFactor(0)
+                .setDepth(1001);
         } catch (error) {
-            console.error('Error in generatePowerUps:', error);
+            console.error('Error in createBossHealthBar:', error);
         }
     }
     
     /**
-     * Increase score
-     * @param {number} amount - Amount to increase score by
+     * Update the boss health bar to the boss's remaining health
      */
-    increaseScore(amount) {
-        this.score += amount;
+    updateBossHealthBar() {
+        if (!this.bossHealthBar || !this.boss) return;
         
-        // Update score text
-        if (this.scoreText && this.scoreText.active) {
-            this.scoreText.setText(`Score: ${this.score}`);
+        this.bossHealthBar.setScale(Math.max(0, this.boss.health) / this.boss.maxHealth, 1);
+    }
+    
+    /**
+     * Remove the boss health bar
+     */
+    destroyBossHealthBar() {
+        [this.bossNameText, this.bossHealthBarBg, this.bossHealthBar].forEach(item => {
+            if (item) item.destroy();
+        });
+        
+        this.bossNameText = null;
+        this.bossHealthBarBg = null;
+        this.bossHealthBar = null;
+    }
+    
+    /**
+     * Flash a large message in the middle of the screen
+     * @param {string} message - Text to show
+     * @param {string} color - Text color
+     */
+    showBanner(message, color) {
+        try {
+            const banner = this.add.text(CONFIG.GAME_WIDTH / 2, CONFIG.GAME_HEIGHT / 2 - 60, message, {
+                fontFamily: 'Arial',
+                fontSize: '40px',
+                color: color,
+                stroke: '#000000',
+                strokeThickness: 6
+            }).setOrigin(0.5).setDepth(1000);
             
-            // Add a little animation to the score text
+            // Blink a few times, then fade out
             this.tweens.add({
-                targets: this.scoreText,
-                scaleX: 1.2,
-                scaleY: 1.2,
-                duration: 100,
-                yoyo: true
+                targets: banner,
+                alpha: 0.2,
+                duration: 250,
+                yoyo: true,
+                repeat: 3,
+                onComplete: () => {
+                    if (banner && banner.active) {
+                        banner.destroy();
+                    }
+                }
             });
+        } catch (error) {
+            console.error('Error in showBanner:', error);
         }
     }
     
     /**
-     * Increase level
+     * Advance through the campaign level: spawn its timeline events and check the finish line
+     * @param {number} delta - Delta time since last frame
      */
-    increaseLevel() {
-        if (this.isGameOver) return;
+    updateCampaign(delta) {
+        if (!this.campaignLevel || this.isScrollPaused) return;
         
         try {
-            console.log("Increasing level from", this.level);
-            
-            // Before triggering enemy shooting, increment the level
-            this.level++;
+            const moveAmount = this.gameSpeed * delta / 1000;
+            this.distance += moveAmount;
             
-            // Update level text immediately
-            if (this.levelText && this.levelText.active) {
-                this.levelText.setText(`Level: ${this.level}`);
-                this.tweens.add({
-                    targets: this.levelText,
-                    scaleX: 1.2,
-                    scaleY: 1.2,
-                    duration: 100,
-                    yoyo: true
-                });
+            // Events are spawned in order of distance
+            const timeline = this.campaignLevel.timeline;
+            while (this.timelineIndex < timeline.length && timeline[this.timelineIndex].at <= this.distance) {
+                this.spawnTimelineEvent(timeline[this.timelineIndex]);
+                this.timelineIndex++;
             }
             
-            // Increase game speed (up to a maximum)
-            if (this.level <= CONFIG.MAX_LEVEL) {
-                this.gameSpeed += CONFIG.LEVEL_SPEED_INCREASE;
+            if (!this.finishLine && this.distance >= this.campaignLevel.length) {
+                this.createFinishLine();
             }
             
-            // Change background if needed
-            const bgIndex = (this.level - 1) % CONFIG.BACKGROUNDS.length;
-            const newBgConfig = CONFIG.BACKGROUNDS[bgIndex];
-            
-            if (newBgConfig.id !== this.currentBackground) {
-                if (this.bg && this.bg.active) {
-                    this.bg.setTexture(newBgConfig.texture);
-                    this.currentBackground = newBgConfig.id;
+            // The level is complete once the finish line scrolls past the bird
+            if (this.finishLine) {
+                this.finishLine.x -= moveAmount;
+                
+                if (this.bird && this.bird.active && !this.bird.isDead && this.finishLine.x <= this.bird.x) {
+                    this.completeCampaignLevel();
+                    return;
                 }
             }
             
-            // Play level up sound
-            this.sound.play('sfx-levelup', { volume: 0.7 });
+            this.updateCampaignProgress();
+        } catch (error) {
+            console.error('Error in updateCampaign:', error);
+        }
+    }
+    
+    /**
+     * Spawn one event of the campaign timeline at the right edge of the screen
+     * @param {Object} event - Timeline event (see CampaignLevels.js)
+     */
+    spawnTimelineEvent(event) {
+        try {
+            const x = CONFIG.GAME_WIDTH;
+            const y = event.y !== undefined ? event.y : null;
+            
+            switch (event.type) {
+                case 'pattern': {
+                    const pattern = OBSTACLE_PATTERNS.find(p => p.id === event.pattern);
+                    if (pattern) {
+                        this.obstacleManager.spawnPattern(pattern, this.level, y);
+                    } else {
+                        console.warn(`Unknown obstacle pattern: ${event.pattern}`);
+                    }
+                    break;
+                }
+                    
+                case 'column':
+                    this.obstacleManager.spawnColumn(
+                        event.column,
+                        x,
+                        y !== null ? y : CONFIG.GAME_HEIGHT / 2,
+                        this.obstacleManager.getGapSize(this.level)
+                    );
+                    break;
+                    
+                case 'obstacle': {
+                    const width = event.width || OBSTACLE_COLUMN_WIDTH;
+                    this.obstacleManager.createPiece(
+                        x + width / 2,
+                        y !== null ? y : 0,
+                        width,
+                        event.height || 0,
+                        this.obstacleManager.getObstacleType(event.obstacle)
+                    );
+                    break;
+                }
+                    
+                case 'enemy':
+                    this.enemyManager.spawnEnemy(event.enemy, x, y !== null ? y : CONFIG.GAME_HEIGHT / 2, this.level, event.movementPattern || null);
+                    break;
+                    
+                case 'formation':
+                    this.enemyManager.spawnFormation(event.formation, this.level, event.enemy || null);
+                    break;
+                    
+                case 'powerup':
+                    this.powerUpManager.spawnType(event.powerUp, x, y !== null ? y : CONFIG.GAME_HEIGHT / 2, this.level);
+                    break;
+                    
+                default:
+                    console.warn(`Unknown timeline event type: ${event.type}`);
+            }
+        } catch (error) {
+            console.error('Error in spawnTimelineEvent:', error);
+        }
+    }
+    
+    /**
+     * Create the checkered finish line just off the right edge of the screen
+     */
+    createFinishLine() {
+        try {
+            const squareWidth = 12;
+            const squareHeight = 20;
             
-            // Show level up text
-            this.createLevelUpText();
+            this.finishLine = this.add.graphics().setDepth(1);
             
-            // Add a short delay before triggering enemy shooting
-            this.time.delayedCall(1000, () => {
-                if (this.isGameOver) return;
-                
-                // Now trigger enemy shooting as an end-of-level event
-                this.triggerEnemyShooting();
-            });
+            for (let row = 0; row * squareHeight < CONFIG.GAME_HEIGHT; row++) {
+                for (let column = 0; column < 2; column++) {
+                    this.finishLine.fillStyle((row + column) % 2 === 0 ? 0xffffff : 0x000000, 0.9);
+                    this.finishLine.fillRect(column * squareWidth, row * squareHeight, squareWidth, squareHeight);
+                }
+            }
             
-            console.log("Level increased to", this.level);
+            this.finishLine.x = CONFIG.GAME_WIDTH;
         } catch (error) {
-            console.error('Error in increaseLevel:', error);
+            console.error('Error in createFinishLine:', error);
         }
     }
     
     /**
-     * Create level up text effect
+     * Create the bar showing how far the run is through the campaign level
      */
-    createLevelUpText() {
+    createCampaignProgress() {
         try {
-            const levelUpText = this.add.text(CONFIG.GAME_WIDTH / 2, CONFIG.GAME_HEIGHT / 2, `LEVEL ${this.level}!`, {
+            const width = 200;
+            const x = CONFIG.GAME_WIDTH / 2 - width / 2;
+            
+            this.add.rectangle(x, 70, width, 8, 0x000000, 0.5)
+                .setOrigin(0, 0.5)
+                .setStrokeStyle(1, 0xffffff)
+                .setScrollFactor(0)
+                .setDepth(1000);
+            
+            this.campaignProgressBar = this.add.rectangle(x, 70, width, 8, 0x66ff66)
+                .setOrigin(0, 0.5)
+                .setScrollFactor(0)
+                .setDepth(1000)
+                .setScale(0, 1);
+            
+            this.add.text(x + width + 8, 70, 'GOAL', {
                 fontFamily: 'Arial',
-                fontSize: '40px',
-                color: '#FFFF00',
+                fontSize: '14px',
+                fill: '#FFFFFF',
                 stroke: '#000000',
-                strokeThickness: 6
-            }).setOrigin(0.5);
-            
-            levelUpText.setAlpha(0);
-            levelUpText.setScale(0.5);
-            
-            // Animate the text appearing and then fading out
-            this.tweens.add({
-                targets: levelUpText,
-                alpha: 1,
-                scale: 1.2,
-                duration: 500,
-                ease: 'Power1',
-                yoyo: true,
-                hold: 1000,
-                onComplete: () => {
-                    if (levelUpText && levelUpText.active) {
-                        levelUpText.destroy();
-                    }
-                }
-            });
+                strokeThickness: 3
+            }).setOrigin(0, 0.5).setScrollFactor(0).setDepth(1000);
         } catch (error) {
-            console.error('Error in createLevelUpText:', error);
+            console.error('Error in createCampaignProgress:', error);
         }
     }
     
     /**
-     * Trigger enemy shooting at end of level
+     * Update the campaign progress bar
      */
-    triggerEnemyShooting() {
+    updateCampaignProgress() {
+        if (!this.campaignProgressBar) return;
+        
+        this.campaignProgressBar.setScale(Phaser.Math.Clamp(this.distance / this.campaignLevel.length, 0, 1), 1);
+    }
+    
+    /**
+     * The bird crossed the finish line: rate the run and end it
+     */
+    completeCampaignLevel() {
         if (this.isGameOver) return;
         
         try {
-            // Only enemies on screen shoot
-            const activeEnemies = this.enemies.getChildren().filter(enemy => enemy.active);
+            this.isLevelComplete = true;
+            this.campaignStars = rateCampaignRun(this.campaignLevel, this.coinPickups, this.livesLost);
             
-            if (activeEnemies.length === 0) {
-                console.log("No active enemies to shoot");
-                return;
+            if (this.campaignProgressBar) {
+                this.campaignProgressBar.setScale(1, 1);
             }
             
-            console.log(`${activeEnemies.length} enemies will shoot`);
-            
-            // Have each enemy shoot
-            activeEnemies.forEach(enemy => {
-                if (typeof enemy.shootAtPlayer === 'function') {
-                    enemy.shootAtPlayer();
-                }
-            });
-            
-            // Play warning sound
-            this.sound.play('sfx-fireball', { volume: 0.3 });
+            this.gameOver();
         } catch (error) {
-            console.error('Error in triggerEnemyShooting:', error);
+            console.error('Error in completeCampaignLevel:', error);
         }
     }
     
@@ -1384,14 +3209,53 @@ setupCollisions() {
             if (this.invulnerabilityBlinkTimer) this.invulnerabilityBlinkTimer.remove();
             
             // Red tint on bird to indicate death
-            if (this.bird && this.bird.active) {
+            if (this.bird && this.bird.active && !this.isLevelComplete) {
                 this.bird.setTint(0xff0000);
                 this.bird.play('bird-hurt');
             }
             
-            // Play game over sound
+            // Play game over sound (or the fanfare at a campaign finish line)
             this.sound.stopAll();
-            this.sound.play('sfx-gameover', { volume: 0.8 });
+            this.sound.play(this.isLevelComplete ? 'sfx-levelup' : 'sfx-gameover', { volume: 0.8 });
+            
+            // Finish the recording and keep it for replay/export
+            if (this.replayRecorder) {
+                this.lastReplay = this.replayRecorder.finish({
+                    score: this.score,
+                    level: this.level
+                });
+                saveReplay(this.lastReplay);
+            }
+            
+            // Keep the ghost of this run (stored locally if it is a personal best)
+            if (this.ghostRecorder) {
+                this.lastGhost = this.ghostRecorder.finish(this.score);
+                savePersonalGhost(this.lastGhost);
+            }
+            
+            this.reportGameOver();
+        } catch (error) {
+            console.error('Error in gameOver:', error);
+            
+            // Try to still show the game over screen even if there was an error
+            try {
+                showGameOverModal(this.score, this.score, this.difficulty.id, this.getRunStats());
+            } catch (e) {
+                console.error('Failed to show game over screen:', e);
+            }
+        }
+    }
+    
+    /**
+     * Report the final score (multiplayer room, leaderboard) and show the game over screen
+     */
+    reportGameOver() {
+        try {
+            // Campaign levels show their own result and stay off the leaderboard
+            if (this.campaignLevel) {
+                this.reportCampaignResult();
+                return;
+            }
             
             // Clean up multiplayer if active
             if (this.isMultiplayer) {
@@ -1410,24 +3274,32 @@ setupCollisions() {
                 }
             }
             
+            // Bank the coins picked up during the run
+            depositCoins(this.coinsCollected);
+            
             // Save score to leaderboard if authenticated
             let highScore = 0;
             
             if (isAuthenticated()) {
                 // Save score asynchronously
-                saveScore(this.score)
+                saveScore(this.score, {
+                    seed: this.seed,
+                    characterId: this.characterId,
+                    difficulty: this.difficulty.id,
+                    ghost: this.lastGhost
+                })
                     .then(savedHighScore => {
                         highScore = savedHighScore;
                         // Show game over screen after delay
                         this.time.delayedCall(1500, () => {
-                            showGameOverModal(this.score, highScore);
+                            showGameOverModal(this.score, highScore, this.difficulty.id, this.getRunStats(), this.getRaceBestData());
                         });
                     })
                     .catch(error => {
                         console.error("Error saving score:", error);
                         // Still show game over screen
                         this.time.delayedCall(1500, () => {
-                            showGameOverModal(this.score, this.score);
+                            showGameOverModal(this.score, this.score, this.difficulty.id, this.getRunStats(), this.getRaceBestData());
                         });
                     });
                     
@@ -1440,21 +3312,168 @@ setupCollisions() {
                 
                 // Show game over screen after delay
                 this.time.delayedCall(1500, () => {
-                    showGameOverModal(this.score, highScore);
+                    showGameOverModal(this.score, highScore, this.difficulty.id, this.getRunStats(), this.getRaceBestData());
                 });
             }
         } catch (error) {
-            console.error('Error in gameOver:', error);
+            console.error('Error in reportGameOver:', error);
+            showGameOverModal(this.score, this.score, this.difficulty.id, this.getRunStats());
+        }
+    }
+    
+    /**
+     * Save a finished campaign level's stars and show the level result panel
+     */
+    reportCampaignResult() {
+        try {
+            // Coins are banked whether or not the level was finished (playtests earn nothing)
+            if (!this.isPlaytest) {
+                depositCoins(this.coinsCollected);
+            }
             
-            // Try to still show the game over screen even if there was an error
-            try {
-                showGameOverModal(this.score, this.score);
-            } catch (e) {
-                console.error('Failed to show game over screen:', e);
+            if (isAuthenticated()) {
+                updatePlayerStatus('menu');
+            }
+            
+            const saved = this.isLevelComplete && !this.isPlaytest
+                ? recordCampaignResult(this.campaignLevel.id, this.campaignStars)
+                : Promise.resolve(null);
+            
+            saved
+                .catch(error => {
+                    console.error('Error saving campaign progress:', error);
+                    return null;
+                })
+                .then(result => {
+                    this.time.delayedCall(1500, () => {
+                        this.showCampaignResult(result);
+                    });
+                });
+        } catch (error) {
+            console.error('Error in reportCampaignResult:', error);
+        }
+    }
+    
+    /**
+     * Show the campaign level result panel with next / retry / map (or editor) buttons
+     * @param {Object|null} result - Saved result from recordCampaignResult (null when the level was failed)
+     */
+    showCampaignResult(result) {
+        try {
+            const centerX = CONFIG.GAME_WIDTH / 2;
+            const centerY = CONFIG.GAME_HEIGHT / 2;
+            const nextLevel = this.isLevelComplete && !this.isPlaytest ? getNextCampaignLevel(this.campaignLevel.id) : null;
+            
+            this.add.rectangle(centerX, centerY, 440, 300, 0x000000, 0.7)
+                .setDepth(1000);
+            
+            this.add.text(centerX, centerY - 110, this.isLevelComplete ? 'LEVEL COMPLETE' : 'LEVEL FAILED', {
+                fontFamily: 'Arial',
+                fontSize: '32px',
+                color: this.isLevelComplete ? '#66FF66' : '#FF6666',
+                stroke: '#000000',
+                strokeThickness: 4
+            }).setOrigin(0.5).setDepth(1001);
+            
+            // Stars earned this run, grey for the ones missed
+            if (this.isLevelComplete) {
+                for (let i = 0; i < 3; i++) {
+                    const star = this.add.image(centerX + (i - 1) * 60, centerY - 55, 'star')
+                        .setScale(1.2)
+                        .setDepth(1001);
+                    
+                    if (i >= this.campaignStars) {
+                        star.setTint(0x444444);
+                    }
+                }
+            }
+            
+            const coinTarget = getCampaignCoinTarget(this.campaignLevel);
+            const stats = `Coins: ${this.coinPickups}/${coinTarget}  |  Lives lost: ${this.livesLost}`;
+            const best = result && result.isNewBest ? '\nNEW BEST!' : '';
+            
+            this.add.text(centerX, centerY + 5, stats + best, {
+                fontFamily: 'Arial',
+                fontSize: '20px',
+                color: '#FFFF00',
+                align: 'center',
+                stroke: '#000000',
+                strokeThickness: 3
+            }).setOrigin(0.5).setDepth(1001);
+            
+            const buttons = [];
+            
+            if (nextLevel) {
+                buttons.push({
+                    label: 'NEXT',
+                    onClick: () => this.scene.restart({ ...this.getRestartData(), campaignLevel: nextLevel.id })
+                });
             }
+            
+            buttons.push({ label: 'RETRY', onClick: () => this.scene.restart(this.getRestartData()) });
+            buttons.push({
+                label: this.isPlaytest ? 'EDITOR' : 'MAP',
+                onClick: () => {
+                    this.sound.stopAll();
+                    
+                    if (this.isPlaytest) {
+                        this.scene.start('LevelEditorScene', { level: this.campaignLevel });
+                    } else {
+                        this.scene.start('WorldMapScene');
+                    }
+                }
+            });
+            
+            buttons.forEach((button, index) => {
+                const x = centerX + (index - (buttons.length - 1) / 2) * 140;
+                this.createPanelButton(x, centerY + 90, button.label, button.onClick);
+            });
+        } catch (error) {
+            console.error('Error in showCampaignResult:', error);
         }
     }
     
+    /**
+     * Create a button for an end of run panel
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {string} label - Button text
+     * @param {Function} onClick - Click handler
+     */
+    createPanelButton(x, y, label, onClick) {
+        const button = this.add.image(x, y, 'button')
+            .setScale(0.6)
+            .setDepth(1001)
+            .setInteractive()
+            .on('pointerdown', onClick);
+        
+        this.add.text(x, y, label, {
+            fontFamily: 'Arial',
+            fontSize: '18px',
+            color: '#ffffff',
+            align: 'center'
+        }).setOrigin(0.5).setDepth(1002);
+        
+        // Add hover effect
+        button.on('pointerover', () => {
+            this.tweens.add({
+                targets: button,
+                scaleX: 0.65,
+                scaleY: 0.65,
+                duration: 100
+            });
+        });
+        
+        button.on('pointerout', () => {
+            this.tweens.add({
+                targets: button,
+                scaleX: 0.6,
+                scaleY: 0.6,
+                duration: 100
+            });
+        });
+    }
+    
     /**
      * Cleanup resources when shutting down scene
      */
@@ -1555,12 +3574,32 @@ setupCollisions() {
                 this.enemyProjectiles = null;
             }
             
+            // Bosses destroy their own weak points
+            if (this.bosses) {
+                this.bosses.clear(true, true);
+                this.bosses.destroy();
+                this.bosses = null;
+            }
+            
+            if (this.bossWeakPoints) {
+                this.bossWeakPoints.clear(true, true);
+                this.bossWeakPoints.destroy();
+                this.bossWeakPoints = null;
+            }
+            
+            this.boss = null;
+            
             if (this.multiplayer) {
                 this.multiplayer.clear(true, true);
                 this.multiplayer.destroy();
                 this.multiplayer = null;
             }
             
+            if (this.ghostBird) {
+                this.ghostBird.destroy();
+                this.ghostBird = null;
+            }
+            
             // Destroy bird properly if it exists
             if (this.bird) {
                 if (typeof this.bird.destroy === 'function') {
@@ -6,11 +6,18 @@ class LeaderboardScene extends Phaser.Scene {
     constructor() {
         super('LeaderboardScene');
         this.currentTab = 'all'; // 'all', 'daily', 'weekly'
+        this.currentDifficulty = CONFIG.DEFAULT_DIFFICULTY;
         this.scores = [];
         this.isLoading = true;
+        this.isStartingRace = false;
     }
     
     create() {
+        this.isStartingRace = false;
+        
+        // Start on the difficulty the player last picked
+        this.currentDifficulty = getDifficulty().id;
+        
         // Background
         this.bg = this.add.tileSprite(0, 0, CONFIG.GAME_WIDTH, CONFIG.GAME_HEIGHT, 'bg-sky')
             .setOrigin(0, 0)
@@ -32,6 +39,9 @@ class LeaderboardScene extends Phaser.Scene {
         // Create tab buttons for different timeframes
         this.createTabButtons();
         
+        // Create tab buttons for each difficulty
+        this.createDifficultyTabs();
+        
         // Create back button
         this.createBackButton();
         
@@ -56,7 +66,7 @@ class LeaderboardScene extends Phaser.Scene {
         if (!this.sound.get('music-menu')) {
             this.sound.play('music-menu', {
                 loop: true,
-                volume: 0.7
+                volume: getMusicVolume()
             });
         }
     }
@@ -80,14 +90,20 @@ class LeaderboardScene extends Phaser.Scene {
         const totalWidth = (tabWidth * 3) + (tabSpacing * 2);
         const startX = -(totalWidth / 2) + (tabWidth / 2);
         
+        // Switching timeframe reloads the scores
+        const onSelect = tabId => {
+            this.setActiveTab(tabId);
+            this.loadScores(tabId);
+        };
+        
         // All-time tab
-        this.allTimeTab = this.createTab(startX, 0, tabWidth, tabHeight, 'All Time', 'all');
+        this.allTimeTab = this.createTab(startX, 0, tabWidth, tabHeight, 'All Time', 'all', onSelect);
         
         // Weekly tab
-        this.weeklyTab = this.createTab(startX + tabWidth + tabSpacing, 0, tabWidth, tabHeight, 'Weekly', 'weekly');
+        this.weeklyTab = this.createTab(startX + tabWidth + tabSpacing, 0, tabWidth, tabHeight, 'Weekly', 'weekly', onSelect);
         
         // Daily tab
-        this.dailyTab = this.createTab(startX + 2 * (tabWidth + tabSpacing), 0, tabWidth, tabHeight, 'Daily', 'daily');
+        this.dailyTab = this.createTab(startX + 2 * (tabWidth + tabSpacing), 0, tabWidth, tabHeight, 'Daily', 'daily', onSelect);
         
         // Add tabs to container
         this.tabsContainer.add([this.allTimeTab, this.weeklyTab, this.dailyTab]);
@@ -96,6 +112,36 @@ class LeaderboardScene extends Phaser.Scene {
         this.setActiveTab('all');
     }
     
+    /**
+     * Create tab buttons to filter scores by difficulty
+     */
+    createDifficultyTabs() {
+        // Container for tabs
+        this.difficultyTabsContainer = this.add.container(CONFIG.GAME_WIDTH / 2, 165);
+        
+        // Tab button dimensions
+        const tabWidth = 110;
+        const tabHeight = 30;
+        const tabSpacing = 10;
+        const count = CONFIG.DIFFICULTIES.length;
+        const totalWidth = (tabWidth * count) + (tabSpacing * (count - 1));
+        const startX = -(totalWidth / 2) + (tabWidth / 2);
+        
+        // Switching difficulty reloads the current timeframe
+        const onSelect = difficultyId => {
+            this.setActiveDifficulty(difficultyId);
+            this.loadScores(this.currentTab);
+        };
+        
+        this.difficultyTabs = CONFIG.DIFFICULTIES.map((difficulty, index) => {
+            return this.createTab(startX + index * (tabWidth + tabSpacing), 0, tabWidth, tabHeight, difficulty.name, difficulty.id, onSelect);
+        });
+        
+        this.difficultyTabsContainer.add(this.difficultyTabs);
+        
+        this.setActiveDifficulty(this.currentDifficulty);
+    }
+    
     /**
      * Create a single tab button
      * @param {number} x - X position
@@ -104,9 +150,10 @@ class LeaderboardScene extends Phaser.Scene {
      * @param {number} height - Tab height
      * @param {string} text - Tab text
      * @param {string} tabId - Tab identifier
+     * @param {Function} onSelect - Called with the tab identifier when the tab is clicked
      * @returns {Phaser.GameObjects.Container} Tab container
      */
-    createTab(x, y, width, height, text, tabId) {
+    createTab(x, y, width, height, text, tabId, onSelect) {
         // Container for tab
         const tab = this.add.container(x, y);
         tab.tabId = tabId;
@@ -134,19 +181,18 @@ class LeaderboardScene extends Phaser.Scene {
         // Make interactive
         bg.setInteractive();
         bg.on('pointerdown', () => {
-            this.setActiveTab(tabId);
-            this.loadScores(tabId);
+            onSelect(tabId);
         });
         
         // Add hover effect
         bg.on('pointerover', () => {
-            if (tabId !== this.currentTab) {
+            if (!tab.isActive) {
                 bg.setFillStyle(0x333333, 0.7);
             }
         });
         
         bg.on('pointerout', () => {
-            if (tabId !== this.currentTab) {
+            if (!tab.isActive) {
                 bg.setFillStyle(0x000000, 0.5);
             }
         });
@@ -159,10 +205,29 @@ class LeaderboardScene extends Phaser.Scene {
      * @param {string} tabId - Tab identifier
      */
     setActiveTab(tabId) {
-        const tabs = [this.allTimeTab, this.weeklyTab, this.dailyTab];
-        
+        this.highlightTab([this.allTimeTab, this.weeklyTab, this.dailyTab], tabId);
+        this.currentTab = tabId;
+    }
+    
+    /**
+     * Set a difficulty tab as active
+     * @param {string} difficultyId - Difficulty identifier
+     */
+    setActiveDifficulty(difficultyId) {
+        this.highlightTab(this.difficultyTabs, difficultyId);
+        this.currentDifficulty = difficultyId;
+    }
+    
+    /**
+     * Highlight one tab of a tab row
+     * @param {Array<Phaser.GameObjects.Container>} tabs - Tabs in the row
+     * @param {string} tabId - Identifier of the active tab
+     */
+    highlightTab(tabs, tabId) {
         tabs.forEach(tab => {
-            if (tab.tabId === tabId) {
+            tab.isActive = tab.tabId === tabId;
+            
+            if (tab.isActive) {
                 // Active tab
                 tab.bg.setFillStyle(0x3498db, 0.7);
                 tab.bg.setStrokeStyle(3, 0x2ecc71);
@@ -174,8 +239,6 @@ class LeaderboardScene extends Phaser.Scene {
                 tab.text.setFontSize(18);
             }
         });
-        
-        this.currentTab = tabId;
     }
     
     /**
@@ -227,10 +290,10 @@ class LeaderboardScene extends Phaser.Scene {
         this.showLoading();
         
         // Get scores from Firebase
-        getTopScores(20, timeframe)
+        getTopScores(20, timeframe, this.currentDifficulty)
             .then(scores => {
                 if (Array.isArray(scores)) {
-                    console.log(`Loaded ${scores.length} scores for ${timeframe} timeframe`);
+                    console.log(`Loaded ${scores.length} ${this.currentDifficulty} scores for ${timeframe} timeframe`);
                     this.scores = scores;
                     this.displayScores();
                 } else {
@@ -344,7 +407,7 @@ class LeaderboardScene extends Phaser.Scene {
      */
     createScoreHeader() {
         // Header container
-        const header = this.add.container(0, 170);
+        const header = this.add.container(0, 210);
         
         // Background
         const bg = this.add.rectangle(CONFIG.GAME_WIDTH / 2, 0, 600, 40, 0x000000, 0.7)
@@ -396,7 +459,7 @@ class LeaderboardScene extends Phaser.Scene {
      */
     createScoreRow(score, index) {
         // Calculate y position
-        const y = 220 + (index * 35);
+        const y = 255 + (index * 35);
         
         // Row container
         const row = this.add.container(0, y);
@@ -484,10 +547,90 @@ class LeaderboardScene extends Phaser.Scene {
         // Add to row
         row.add([bg, rankText, playerText, scoreText, dateText]);
         
+        // Let players race the top run if its ghost was uploaded
+        if (index === 0 && score.ghostId) {
+            row.add(this.createRaceButton(score));
+        }
+        
         // Add to scores container
         this.scoresContainer.add(row);
     }
     
+    /**
+     * Create the button to race a leaderboard entry's ghost
+     * @param {Object} score - Score data with a ghostId
+     * @returns {Array<Phaser.GameObjects.GameObject>} Button objects to add to the row
+     */
+    createRaceButton(score) {
+        const x = CONFIG.GAME_WIDTH / 2 + 345;
+        
+        const button = this.add.rectangle(x, 0, 70, 26, 0x2ecc71, 0.9)
+            .setOrigin(0.5)
+            .setStrokeStyle(2, 0xffffff)
+            .setInteractive();
+            
+        const buttonText = this.add.text(x, 0, 'RACE', {
+            fontFamily: 'Arial',
+            fontSize: '14px',
+            color: '#ffffff',
+            align: 'center'
+        }).setOrigin(0.5);
+        
+        button.on('pointerdown', () => {
+            this.raceGhost(score);
+        });
+        
+        // Add hover effect
+        button.on('pointerover', () => {
+            button.setFillStyle(0x27ae60, 1);
+        });
+        
+        button.on('pointerout', () => {
+            button.setFillStyle(0x2ecc71, 0.9);
+        });
+        
+        return [button, buttonText];
+    }
+    
+    /**
+     * Download a leaderboard entry's ghost and start a run against it
+     * @param {Object} score - Score data with a ghostId
+     */
+    raceGhost(score) {
+        if (this.isStartingRace) return;
+        this.isStartingRace = true;
+        
+        this.showLoading();
+        this.loadingText.setText('Loading ghost...');
+        
+        getLeaderboardGhost(score.ghostId)
+            .then(ghost => {
+                if (!ghost) {
+                    this.isStartingRace = false;
+                    this.loadingText.setText('Loading scores...');
+                    this.showError('This run has no ghost to race.');
+                    return;
+                }
+                
+                // Stop menu music
+                this.sound.stopByKey('music-menu');
+                
+                // Race on the same course with the same bird and difficulty
+                this.scene.start('GameScene', {
+                    characterId: ghost.characterId || score.characterId,
+                    difficulty: ghost.difficulty || score.difficulty || CONFIG.DEFAULT_DIFFICULTY,
+                    seed: ghost.seed || score.seed,
+                    ghost: ghost
+                });
+            })
+            .catch(error => {
+                console.error('Error loading ghost:', error);
+                this.isStartingRace = false;
+                this.loadingText.setText('Loading scores...');
+                this.showError('Error loading ghost. Please try again.');
+            });
+    }
+    
     /**
      * Show loading indicator
      */
@@ -0,0 +1,766 @@
+// Size of an editor grid cell in level px
+const LEVEL_EDITOR_CELL = 40;
+
+// The level view is scaled down so the full screen height fits between the toolbars
+const LEVEL_EDITOR_VIEW_TOP = 50;
+const LEVEL_EDITOR_VIEW_SCALE = 0.8;
+
+// Local storage key of the level being edited
+const LEVEL_EDITOR_DRAFT_KEY = 'levelEditorDraft';
+
+// Palette tools: what they place and how it's drawn (tints match the power-up sprites)
+const LEVEL_EDITOR_TOOLS = [
+    { id: 'pipe', kind: 'obstacle', texture: 'pipe', name: 'Pipe' },
+    { id: 'brick', kind: 'obstacle', texture: 'brick', name: 'Brick (breakable)' },
+    { id: 'rock', kind: 'obstacle', texture: 'rock', name: 'Rock' },
+    { id: 'spikes', kind: 'obstacle', texture: 'spikes', name: 'Spikes' },
+    { id: 'turtle', kind: 'enemy', texture: 'turtle', name: 'Turtle' },
+    { id: 'goomba', kind: 'enemy', texture: 'goomba', name: 'Goomba' },
+    { id: 'bat', kind: 'enemy', texture: 'goomba', tint: 0x553377, name: 'Bat (flocks with nearby bats)' },
+    { id: 'hawk', kind: 'enemy', texture: 'goomba', tint: 0xC89050, name: 'Hawk (dives at the bird)' },
+    { id: 'koopa', kind: 'enemy', texture: 'turtle', tint: 0xFF7744, name: 'Koopa (stomp it, kick the shell)' },
+    { id: 'piranha', kind: 'enemy', texture: 'turtle', tint: 0xFF4466, name: 'Piranha Plant (brings its own pipe)' },
+    { id: 'launcher', kind: 'enemy', texture: 'goomba', tint: 0x555555, name: 'Launcher (fires from the right edge)' },
+    { id: 'coin', kind: 'powerup', texture: 'coin', name: 'Coin' },
+    { id: 'mushroom', kind: 'powerup', texture: 'mushroom', name: 'Mushroom' },
+    { id: 'flower', kind: 'powerup', texture: 'flower', name: 'Fire Flower' },
+    { id: 'star', kind: 'powerup', texture: 'star', name: 'Star' },
+    { id: 'shield', kind: 'powerup', texture: 'coin', tint: 0x66ccff, name: 'Shield' },
+    { id: 'magnet', kind: 'powerup', texture: 'coin', tint: 0xff4444, name: 'Coin Magnet' },
+    { id: 'mini-mushroom', kind: 'powerup', texture: 'mushroom', tint: 0x6688ff, name: 'Mini Mushroom' },
+    { id: 'slowmo', kind: 'powerup', texture: 'star', tint: 0x88aaff, name: 'Slow Motion' },
+    { id: 'extra-life', kind: 'powerup', texture: 'mushroom', tint: 0x44ff44, name: '1-Up' },
+    { id: 'eraser', kind: 'eraser', name: 'Eraser' }
+];
+
+/**
+ * LevelEditorScene
+ * Place obstacles, enemies and power-ups on a scrolling grid, playtest the level
+ * in GameScene and export or import it as campaign level JSON
+ */
+class LevelEditorScene extends Phaser.Scene {
+    constructor() {
+        super('LevelEditorScene');
+        
+        // Level settings (everything but the timeline)
+        this.level = null;
+        
+        // Grid contents keyed by 'column,row': { kind, type, movementPattern }
+        this.cells = {};
+        
+        // Timeline events the grid can't show (patterns, columns, formations), kept as they are
+        this.otherEvents = [];
+        
+        this.cellObjects = {};
+        this.scrollX = 0;
+        this.tool = LEVEL_EDITOR_TOOLS[0];
+        this.movementPattern = ENEMY_MOVEMENT_PATTERNS[0];
+        this.isPainting = false;
+    }
+    
+    /**
+     * Initialize the scene with the level to edit
+     * @param {Object} data - The data passed to the scene
+     * @param {Object} data.level - Level to edit (back from a playtest), otherwise the saved draft
+     */
+    init(data) {
+        this.scrollX = 0;
+        this.cellObjects = {};
+        this.isPainting = false;
+        
+        this.setLevel(data.level || this.loadDraft() || this.createBlankLevel());
+    }
+    
+    create() {
+        // Level view: background and grid scaled down between the toolbars
+        const viewHeight = CONFIG.GAME_HEIGHT * LEVEL_EDITOR_VIEW_SCALE;
+        
+        this.bg = this.add.tileSprite(0, LEVEL_EDITOR_VIEW_TOP, CONFIG.GAME_WIDTH, viewHeight, this.getTheme().texture)
+            .setOrigin(0, 0)
+            .setTileScale(LEVEL_EDITOR_VIEW_SCALE);
+        
+        this.view = this.add.container(0, LEVEL_EDITOR_VIEW_TOP).setScale(LEVEL_EDITOR_VIEW_SCALE);
+        this.grid = this.add.graphics();
+        this.markers = this.add.container(0, 0);
+        this.view.add([this.grid, this.markers]);
+        
+        // Toolbars
+        this.add.rectangle(0, 0, CONFIG.GAME_WIDTH, LEVEL_EDITOR_VIEW_TOP, 0x000000, 0.8)
+            .setOrigin(0, 0)
+            .setDepth(10);
+        this.add.rectangle(0, LEVEL_EDITOR_VIEW_TOP + viewHeight, CONFIG.GAME_WIDTH, CONFIG.GAME_HEIGHT - LEVEL_EDITOR_VIEW_TOP - viewHeight, 0x000000, 0.8)
+            .setOrigin(0, 0)
+            .setDepth(10);
+        
+        this.createTopBar();
+        this.createPalette();
+        this.createBottomBar();
+        
+        // Messages (saved, imported, errors) over the top of the level view
+        this.statusText = this.add.text(CONFIG.GAME_WIDTH / 2, LEVEL_EDITOR_VIEW_TOP + 20, '', {
+            fontFamily: 'Arial',
+            fontSize: '18px',
+            color: '#ffffff',
+            stroke: '#000000',
+            strokeThickness: 4
+        }).setOrigin(0.5).setDepth(20);
+        
+        this.setupInput();
+        this.renderLevel();
+        
+        // Play menu music if not already playing
+        if (!this.sound.get('music-menu')) {
+            this.sound.play('music-menu', {
+                loop: true,
+                volume: getMusicVolume()
+            });
+        }
+    }
+    
+    update(time, delta) {
+        // Hold the arrow keys (or A/D) to scroll
+        const direction = (this.keys.RIGHT.isDown || this.keys.D.isDown ? 1 : 0) -
+            (this.keys.LEFT.isDown || this.keys.A.isDown ? 1 : 0);
+        
+        if (direction !== 0) {
+            this.scrollTo(this.scrollX + direction * 800 * delta / 1000);
+        }
+    }
+    
+    /**
+     * Create an empty level
+     * @returns {Object} The level
+     */
+    createBlankLevel() {
+        return {
+            id: 'custom',
+            name: 'Custom Level',
+            theme: CONFIG.BACKGROUNDS[0].id,
+            level: 1,
+            length: 4000,
+            timeline: []
+        };
+    }
+    
+    /**
+     * Get the background theme of the level
+     * @returns {Object} Theme from CONFIG.BACKGROUNDS
+     */
+    getTheme() {
+        return CONFIG.BACKGROUNDS.find(bg => bg.id === this.level.theme) || CONFIG.BACKGROUNDS[0];
+    }
+    
+    /**
+     * Load the level saved when the editor was last used
+     * @returns {Object|null} The level, or null when there is none
+     */
+    loadDraft() {
+        try {
+            const saved = localStorage.getItem(LEVEL_EDITOR_DRAFT_KEY);
+            return saved ? parseCampaignLevel(saved) : null;
+        } catch (error) {
+            console.error('Error reading level editor draft:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Save the level so it survives playtests and reloads
+     */
+    saveDraft() {
+        try {
+            localStorage.setItem(LEVEL_EDITOR_DRAFT_KEY, JSON.stringify(this.buildLevel()));
+        } catch (error) {
+            console.error('Error saving level editor draft:', error);
+        }
+    }
+    
+    /**
+     * Put a level on the grid
+     * Obstacle blocks, enemies and power-ups go on the grid cell they start in,
+     * every other event is kept unchanged and shown as a marker
+     * @param {Object} level - Campaign level
+     */
+    setLevel(level) {
+        const { timeline, ...settings } = level;
+        
+        this.level = settings;
+        this.cells = {};
+        this.otherEvents = [];
+        
+        timeline.forEach(event => {
+            const column = Math.floor(event.at / LEVEL_EDITOR_CELL);
+            const row = Math.floor((event.y || 0) / LEVEL_EDITOR_CELL);
+            
+            const isGridBlock = event.type === 'obstacle' &&
+                event.width === LEVEL_EDITOR_CELL &&
+                event.y % LEVEL_EDITOR_CELL === 0 &&
+                event.height % LEVEL_EDITOR_CELL === 0;
+            
+            if (isGridBlock) {
+                for (let i = 0; i < event.height / LEVEL_EDITOR_CELL; i++) {
+                    this.cells[`${column},${row + i}`] = { kind: 'obstacle', type: event.obstacle };
+                }
+            } else if (event.type === 'enemy' && event.y !== undefined) {
+                this.cells[`${column},${row}`] = { kind: 'enemy', type: event.enemy, movementPattern: event.movementPattern || null };
+            } else if (event.type === 'powerup' && event.y !== undefined) {
+                this.cells[`${column},${row}`] = { kind: 'powerup', type: event.powerUp };
+            } else {
+                this.otherEvents.push(event);
+            }
+        });
+    }
+    
+    /**
+     * Build the campaign level from the grid
+     * Touching blocks of the same type in a column become one obstacle, and enemies
+     * and power-ups spawn when the middle of their cell reaches the right edge
+     * @returns {Object} Campaign level
+     */
+    buildLevel() {
+        const timeline = [...this.otherEvents];
+        const blockColumns = {};
+        
+        Object.keys(this.cells).forEach(key => {
+            const [column, row] = key.split(',').map(Number);
+            const cell = this.cells[key];
+            const at = column * LEVEL_EDITOR_CELL + LEVEL_EDITOR_CELL / 2;
+            const y = row * LEVEL_EDITOR_CELL + LEVEL_EDITOR_CELL / 2;
+            
+            if (cell.kind === 'obstacle') {
+                (blockColumns[column] = blockColumns[column] || []).push({ row, type: cell.type });
+            } else if (cell.kind === 'enemy') {
+                const event = { at, type: 'enemy', enemy: cell.type, y };
+                if (cell.movementPattern) {
+                    event.movementPattern = cell.movementPattern;
+                }
+                timeline.push(event);
+            } else {
+                timeline.push({ at, type: 'powerup', powerUp: cell.type, y });
+            }
+        });
+        
+        Object.keys(blockColumns).forEach(column => {
+            const blocks = blockColumns[column].sort((a, b) => a.row - b.row);
+            let first = blocks[0];
+            
+            blocks.forEach((block, index) => {
+                const next = blocks[index + 1];
+                if (next && next.row === block.row + 1 && next.type === block.type) return;
+                
+                timeline.push({
+                    at: Number(column) * LEVEL_EDITOR_CELL,
+                    type: 'obstacle',
+                    obstacle: block.type,
+                    y: first.row * LEVEL_EDITOR_CELL,
+                    width: LEVEL_EDITOR_CELL,
+                    height: (block.row - first.row + 1) * LEVEL_EDITOR_CELL
+                });
+                
+                first = next;
+            });
+        });
+        
+        timeline.sort((a, b) => a.at - b.at);
+        
+        return { ...this.level, timeline };
+    }
+    
+    /**
+     * Create the level settings bar along the top
+     */
+    createTopBar() {
+        const y = LEVEL_EDITOR_VIEW_TOP / 2;
+        
+        this.createBarButton(45, y, 70, 'BACK', () => {
+            this.saveDraft();
+            this.scene.start('MainMenuScene');
+        });
+        
+        this.nameLabel = this.createBarButton(190, y, 200, '', () => this.renameLevel());
+        this.themeLabel = this.createBarButton(385, y, 170, '', () => this.cycleTheme());
+        
+        this.createBarButton(497, y, 26, '-', () => this.changeDifficultyLevel(-1));
+        this.levelLabel = this.add.text(545, y, '', {
+            fontFamily: 'Arial',
+            fontSize: '14px',
+            color: '#ffffff'
+        }).setOrigin(0.5).setDepth(12);
+        this.createBarButton(593, y, 26, '+', () => this.changeDifficultyLevel(1));
+        
+        this.createBarButton(625, y, 26, '-', () => this.changeLength(-400));
+        this.lengthLabel = this.add.text(692, y, '', {
+            fontFamily: 'Arial',
+            fontSize: '14px',
+            color: '#ffffff'
+        }).setOrigin(0.5).setDepth(12);
+        this.createBarButton(760, y, 26, '+', () => this.changeLength(400));
+    }
+    
+    /**
+     * Create the tool palette
+     */
+    createPalette() {
+        const y = LEVEL_EDITOR_VIEW_TOP + CONFIG.GAME_HEIGHT * LEVEL_EDITOR_VIEW_SCALE + 22;
+        
+        // Slots shrink to fit every tool across the screen
+        const spacing = Math.min(44, (CONFIG.GAME_WIDTH - 20) / LEVEL_EDITOR_TOOLS.length);
+        const slotSize = spacing - 6;
+        
+        this.toolSlots = LEVEL_EDITOR_TOOLS.map((tool, index) => {
+            const x = 10 + spacing / 2 + index * spacing;
+            
+            const slot = this.add.rectangle(x, y, slotSize, slotSize, 0x222222)
+                .setStrokeStyle(2, 0x888888)
+                .setDepth(11)
+                .setInteractive()
+                .on('pointerdown', () => this.selectTool(tool))
+                .on('pointerover', () => this.showStatus(tool.name))
+                .on('pointerout', () => this.showStatus(''));
+            
+            if (tool.texture) {
+                const icon = this.add.image(x, y, tool.texture, 0).setDepth(12);
+                icon.setScale(Math.min((slotSize - 8) / icon.width, (slotSize - 8) / icon.height));
+                
+                if (tool.tint) {
+                    icon.setTint(tool.tint);
+                }
+            } else {
+                this.add.text(x, y, 'X', {
+                    fontFamily: 'Arial',
+                    fontSize: '24px',
+                    color: '#ff6666',
+                    fontStyle: 'bold'
+                }).setOrigin(0.5).setDepth(12);
+            }
+            
+            return { tool, slot };
+        });
+        
+        this.selectTool(this.tool);
+    }
+    
+    /**
+     * Create the action bar along the bottom
+     */
+    createBottomBar() {
+        const y = CONFIG.GAME_HEIGHT - 16;
+        
+        this.movementLabel = this.createBarButton(70, y, 130, '', () => this.cycleMovementPattern());
+        this.createBarButton(200, y, 100, 'PLAYTEST', () => this.playtest());
+        this.createBarButton(305, y, 90, 'EXPORT', () => this.exportLevel());
+        this.createBarButton(400, y, 90, 'IMPORT', () => this.importLevel());
+        this.createBarButton(495, y, 90, 'CLEAR', () => this.clearLevel());
+        
+        this.positionText = this.add.text(CONFIG.GAME_WIDTH - 10, y, '', {
+            fontFamily: 'Arial',
+            fontSize: '12px',
+            color: '#cccccc',
+            align: 'right'
+        }).setOrigin(1, 0.5).setDepth(12);
+    }
+    
+    /**
+     * Create a toolbar button
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {number} width - Button width
+     * @param {string} label - Button text
+     * @param {Function} onClick - Click handler
+     * @returns {Phaser.GameObjects.Text} The label, to change it later
+     */
+    createBarButton(x, y, width, label, onClick) {
+        const button = this.add.rectangle(x, y, width, 26, 0x333333)
+            .setStrokeStyle(1, 0xffffff)
+            .setDepth(11)
+            .setInteractive()
+            .on('pointerdown', onClick)
+            .on('pointerover', () => button.setFillStyle(0x555555))
+            .on('pointerout', () => button.setFillStyle(0x333333));
+        
+        return this.add.text(x, y, label, {
+            fontFamily: 'Arial',
+            fontSize: '14px',
+            color: '#ffffff'
+        }).setOrigin(0.5).setDepth(12);
+    }
+    
+    /**
+     * Set up painting, erasing and scrolling
+     */
+    setupInput() {
+        this.input.mouse.disableContextMenu();
+        this.keys = this.input.keyboard.addKeys('LEFT,RIGHT,A,D');
+        
+        this.input.on('pointerdown', pointer => {
+            if (!this.isInView(pointer)) return;
+            
+            this.isPainting = true;
+            this.paint(pointer);
+        });
+        
+        this.input.on('pointermove', pointer => {
+            if (this.isPainting && pointer.isDown && this.isInView(pointer)) {
+                this.paint(pointer);
+            }
+        });
+        
+        this.input.on('pointerup', () => {
+            if (this.isPainting) {
+                this.isPainting = false;
+                this.saveDraft();
+            }
+        });
+        
+        this.input.on('wheel', (pointer, gameObjects, deltaX, deltaY) => {
+            this.scrollTo(this.scrollX + deltaX + deltaY);
+        });
+    }
+    
+    /**
+     * Check whether the pointer is over the level view
+     * @param {Phaser.Input.Pointer} pointer - The pointer
+     * @returns {boolean} True if it's between the toolbars
+     */
+    isInView(pointer) {
+        return pointer.y >= LEVEL_EDITOR_VIEW_TOP &&
+            pointer.y < LEVEL_EDITOR_VIEW_TOP + CONFIG.GAME_HEIGHT * LEVEL_EDITOR_VIEW_SCALE;
+    }
+    
+    /**
+     * Place the current tool in the cell under the pointer (right click erases)
+     * @param {Phaser.Input.Pointer} pointer - The pointer
+     */
+    paint(pointer) {
+        const levelX = pointer.x / LEVEL_EDITOR_VIEW_SCALE + this.scrollX;
+        const levelY = (pointer.y - LEVEL_EDITOR_VIEW_TOP) / LEVEL_EDITOR_VIEW_SCALE;
+        const column = Math.floor(levelX / LEVEL_EDITOR_CELL);
+        const row = Math.floor(levelY / LEVEL_EDITOR_CELL);
+        
+        if (column < 0 || row < 0 || row >= CONFIG.GAME_HEIGHT / LEVEL_EDITOR_CELL) return;
+        if (column * LEVEL_EDITOR_CELL >= this.level.length) return;
+        
+        const key = `${column},${row}`;
+        
+        if (pointer.rightButtonDown() || this.tool.kind === 'eraser') {
+            this.eraseCell(key, column);
+            return;
+        }
+        
+        const cell = { kind: this.tool.kind, type: this.tool.id };
+        if (cell.kind === 'enemy') {
+            cell.movementPattern = this.movementPattern;
+        }
+        
+        const current = this.cells[key];
+        if (current && current.type === cell.type && current.movementPattern === cell.movementPattern) return;
+        
+        this.cells[key] = cell;
+        this.renderCell(key);
+    }
+    
+    /**
+     * Erase a cell, and the markers of other events in its column
+     * @param {string} key - Cell key
+     * @param {number} column - Grid column
+     */
+    eraseCell(key, column) {
+        if (this.cells[key]) {
+            delete this.cells[key];
+            this.renderCell(key);
+        }
+        
+        const remaining = this.otherEvents.filter(event => Math.floor(event.at / LEVEL_EDITOR_CELL) !== column);
+        if (remaining.length !== this.otherEvents.length) {
+            this.otherEvents = remaining;
+            this.renderMarkers();
+        }
+    }
+    
+    /**
+     * Redraw everything in the level view and the settings labels
+     */
+    renderLevel() {
+        Object.keys(this.cellObjects).forEach(key => {
+            this.cellObjects[key].forEach(object => object.destroy());
+        });
+        this.cellObjects = {};
+        
+        Object.keys(this.cells).forEach(key => this.renderCell(key));
+        
+        this.renderGrid();
+        this.renderMarkers();
+        this.bg.setTexture(this.getTheme().texture);
+        this.updateLabels();
+        this.scrollTo(this.scrollX);
+    }
+    
+    /**
+     * Redraw one cell
+     * @param {string} key - Cell key
+     */
+    renderCell(key) {
+        if (this.cellObjects[key]) {
+            this.cellObjects[key].forEach(object => object.destroy());
+            delete this.cellObjects[key];
+        }
+        
+        const cell = this.cells[key];
+        if (!cell) return;
+        
+        const [column, row] = key.split(',').map(Number);
+        const x = column * LEVEL_EDITOR_CELL + LEVEL_EDITOR_CELL / 2;
+        const y = row * LEVEL_EDITOR_CELL + LEVEL_EDITOR_CELL / 2;
+        const tool = LEVEL_EDITOR_TOOLS.find(t => t.id === cell.type);
+        const objects = [];
+        
+        const image = this.add.image(x, y, tool ? tool.texture : 'pipe', 0);
+        if (cell.kind === 'obstacle') {
+            image.setDisplaySize(LEVEL_EDITOR_CELL, LEVEL_EDITOR_CELL);
+        } else {
+            image.setScale(Math.min(LEVEL_EDITOR_CELL * 0.9 / image.width, LEVEL_EDITOR_CELL * 0.9 / image.height));
+        }
+        
+        if (tool && tool.tint) {
+            image.setTint(tool.tint);
+        }
+        
+        objects.push(image);
+        
+        // Enemies show the first letter of their movement pattern ('?' for random)
+        if (cell.kind === 'enemy') {
+            const pattern = cell.movementPattern ? cell.movementPattern[0].toUpperCase() : '?';
+            objects.push(this.add.text(x + LEVEL_EDITOR_CELL / 2 - 2, y + LEVEL_EDITOR_CELL / 2 - 2, pattern, {
+                fontFamily: 'Arial',
+                fontSize: '14px',
+                color: '#ffff00',
+                stroke: '#000000',
+                strokeThickness: 3
+            }).setOrigin(1, 1));
+        }
+        
+        this.view.add(objects);
+        this.cellObjects[key] = objects;
+    }
+    
+    /**
+     * Draw the grid lines, distance marks and the finish line
+     */
+    renderGrid() {
+        const length = this.level.length;
+        
+        this.grid.clear();
+        this.grid.lineStyle(1, 0xffffff, 0.2);
+        
+        for (let x = 0; x <= length; x += LEVEL_EDITOR_CELL) {
+            this.grid.lineBetween(x, 0, x, CONFIG.GAME_HEIGHT);
+        }
+        
+        for (let y = 0; y <= CONFIG.GAME_HEIGHT; y += LEVEL_EDITOR_CELL) {
+            this.grid.lineBetween(0, y, length, y);
+        }
+        
+        // Finish line
+        this.grid.lineStyle(6, 0xff4444, 1);
+        this.grid.lineBetween(length, 0, length, CONFIG.GAME_HEIGHT);
+    }
+    
+    /**
+     * Draw distance marks, the finish label and the markers of events the grid can't show
+     */
+    renderMarkers() {
+        this.markers.removeAll(true);
+        
+        const labelStyle = {
+            fontFamily: 'Arial',
+            fontSize: '14px',
+            color: '#ffffff',
+            stroke: '#000000',
+            strokeThickness: 3
+        };
+        
+        for (let x = 0; x < this.level.length; x += LEVEL_EDITOR_CELL * 10) {
+            this.markers.add(this.add.text(x + 4, CONFIG.GAME_HEIGHT - 20, `${x}px`, labelStyle));
+        }
+        
+        this.markers.add(this.add.text(this.level.length + 6, 4, 'FINISH', { ...labelStyle, color: '#ff6666' }));
+        
+        this.otherEvents.forEach((event, index) => {
+            const label = event.pattern || event.formation || event.type;
+            
+            this.markers.add(this.add.rectangle(event.at, 0, 6, CONFIG.GAME_HEIGHT, 0xffaa00, 0.3).setOrigin(0, 0));
+            this.markers.add(this.add.text(event.at + 8, 24 + (index % 4) * 18, label, { ...labelStyle, color: '#ffaa00' }));
+        });
+    }
+    
+    /**
+     * Update the settings labels to the level
+     */
+    updateLabels() {
+        this.nameLabel.setText(`${this.level.id}: ${this.level.name}`);
+        this.themeLabel.setText(`Theme: ${this.getTheme().id.replace('theme-', '')}`);
+        this.levelLabel.setText(`Level ${this.level.level}`);
+        this.lengthLabel.setText(`${this.level.length}px`);
+        this.movementLabel.setText(`Move: ${this.movementPattern || 'random'}`);
+    }
+    
+    /**
+     * Scroll the level view
+     * @param {number} x - Distance to show at the left edge in level px
+     */
+    scrollTo(x) {
+        const visible = CONFIG.GAME_WIDTH / LEVEL_EDITOR_VIEW_SCALE;
+        const maxScroll = Math.max(0, this.level.length + LEVEL_EDITOR_CELL * 2 - visible);
+        
+        this.scrollX = Phaser.Math.Clamp(x, 0, maxScroll);
+        this.view.x = -this.scrollX * LEVEL_EDITOR_VIEW_SCALE;
+        this.bg.tilePositionX = this.scrollX;
+        
+        this.positionText.setText(`${Math.round(this.scrollX)}px  |  Click: place  Right click: erase\n←/→ or wheel: scroll`);
+    }
+    
+    /**
+     * Select a palette tool
+     * @param {Object} tool - Tool from LEVEL_EDITOR_TOOLS
+     */
+    selectTool(tool) {
+        this.tool = tool;
+        
+        this.toolSlots.forEach(({ tool: slotTool, slot }) => {
+            slot.setStrokeStyle(slotTool === tool ? 3 : 2, slotTool === tool ? 0xffff00 : 0x888888);
+        });
+    }
+    
+    /**
+     * Switch to the next movement pattern for newly placed enemies
+     */
+    cycleMovementPattern() {
+        const options = [...ENEMY_MOVEMENT_PATTERNS, null];
+        this.movementPattern = options[(options.indexOf(this.movementPattern) + 1) % options.length];
+        this.updateLabels();
+    }
+    
+    /**
+     * Ask for a new level ID and name
+     */
+    renameLevel() {
+        const id = window.prompt('Level ID (e.g. 3-1)', this.level.id);
+        if (id === null) return;
+        
+        const name = window.prompt('Level name', this.level.name);
+        if (name === null) return;
+        
+        this.level.id = id.trim() || this.level.id;
+        this.level.name = name.trim() || this.level.name;
+        this.updateLabels();
+        this.saveDraft();
+    }
+    
+    /**
+     * Switch to the next background theme
+     */
+    cycleTheme() {
+        const index = CONFIG.BACKGROUNDS.indexOf(this.getTheme());
+        this.level.theme = CONFIG.BACKGROUNDS[(index + 1) % CONFIG.BACKGROUNDS.length].id;
+        
+        this.bg.setTexture(this.getTheme().texture);
+        this.updateLabels();
+        this.saveDraft();
+    }
+    
+    /**
+     * Change the endless level the level plays at (speed, gap size, enemy strength)
+     * @param {number} amount - Levels to add
+     */
+    changeDifficultyLevel(amount) {
+        this.level.level = Phaser.Math.Clamp(this.level.level + amount, 1, CONFIG.MAX_LEVEL);
+        this.updateLabels();
+        this.saveDraft();
+    }
+    
+    /**
+     * Move the finish line
+     * @param {number} amount - Px to add
+     */
+    changeLength(amount) {
+        this.level.length = Math.max(LEVEL_EDITOR_CELL * 20, this.level.length + amount);
+        
+        this.renderGrid();
+        this.renderMarkers();
+        this.updateLabels();
+        this.scrollTo(this.scrollX);
+        this.saveDraft();
+    }
+    
+    /**
+     * Remove everything placed in the level (its settings stay)
+     */
+    clearLevel() {
+        if (!window.confirm('Clear everything placed in this level?')) return;
+        
+        this.cells = {};
+        this.otherEvents = [];
+        this.renderLevel();
+        this.saveDraft();
+    }
+    
+    /**
+     * Play the level in GameScene, the result panel comes back here
+     */
+    playtest() {
+        this.saveDraft();
+        this.sound.stopByKey('music-menu');
+        
+        this.scene.start('GameScene', {
+            characterId: CONFIG.CHARACTERS[0].id,
+            campaignLevel: this.buildLevel(),
+            playtest: true
+        });
+    }
+    
+    /**
+     * Download the level as JSON
+     */
+    exportLevel() {
+        exportCampaignLevel(this.buildLevel());
+        this.showStatus(`Exported bird-level-${this.level.id}.json`);
+    }
+    
+    /**
+     * Load a level JSON file picked by the user
+     */
+    importLevel() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        
+        input.addEventListener('change', () => {
+            const file = input.files[0];
+            if (!file) return;
+            
+            file.text()
+                .then(text => {
+                    this.setLevel(parseCampaignLevel(text));
+                    this.scrollX = 0;
+                    this.renderLevel();
+                    this.saveDraft();
+                    this.showStatus(`Imported ${this.level.name}`);
+                })
+                .catch(error => {
+                    console.error('Error importing level:', error);
+                    this.showStatus(`Import failed: ${error.message}`, '#ff6666');
+                });
+        });
+        
+        input.click();
+    }
+    
+    /**
+     * Show a message over the level view
+     * @param {string} message - Message (empty to hide)
+     * @param {string} color - Text color
+     */
+    showStatus(message, color = '#ffffff') {
+        this.statusText.setText(message).setColor(color);
+    }
+}
@@ -38,10 +38,13 @@ class MainMenuScene extends Phaser.Scene {
         // Add decorative birds flying around
         this.createDecorativeBirds();
         
+        // Link to the level editor for designers
+        this.createEditorLink();
+        
         // Play menu music
         this.sound.play('music-menu', {
             loop: true,
-            volume: 0.7
+            volume: getMusicVolume()
         });
         
         // Check for existing user authentication at startup
@@ -71,7 +74,7 @@ class MainMenuScene extends Phaser.Scene {
      */
     createMenuButtons() {
         // Container for all menu items for easier positioning
-        this.menuContainer = this.add.container(CONFIG.GAME_WIDTH / 2, 250);
+        this.menuContainer = this.add.container(CONFIG.GAME_WIDTH / 2, 230);
         
         // Play button
         this.playButton = this.add.image(0, 0, 'button')
@@ -86,13 +89,26 @@ class MainMenuScene extends Phaser.Scene {
             align: 'center'
         }).setOrigin(0.5);
         
+        // Campaign button
+        this.campaignButton = this.add.image(0, 75, 'button')
+            .setInteractive()
+            .on('pointerdown', this.onCampaignClicked, this);
+            
+        // Campaign text
+        this.campaignText = this.add.text(0, 75, 'Campaign', {
+            fontFamily: 'Arial',
+            fontSize: '24px',
+            color: '#ffffff',
+            align: 'center'
+        }).setOrigin(0.5);
+        
         // Multiplayer button
-        this.multiplayerButton = this.add.image(0, 80, 'button')
+        this.multiplayerButton = this.add.image(0, 150, 'button')
             .setInteractive()
             .on('pointerdown', this.onMultiplayerClicked, this);
             
         // Multiplayer text
-        this.multiplayerText = this.add.text(0, 80, 'Multiplayer', {
+        this.multiplayerText = this.add.text(0, 150, 'Multiplayer', {
             fontFamily: 'Arial',
             fontSize: '24px',
             color: '#ffffff',
@@ -100,12 +116,25 @@ class MainMenuScene extends Phaser.Scene {
         }).setOrigin(0.5);
         
         // Leaderboard button
-        this.leaderboardButton = this.add.image(0, 160, 'button')
+        this.leaderboardButton = this.add.image(0, 225, 'button')
             .setInteractive()
             .on('pointerdown', this.onLeaderboardClicked, this);
             
         // Leaderboard text
-        this.leaderboardText = this.add.text(0, 160, 'Leaderboard', {
+        this.leaderboardText = this.add.text(0, 225, 'Leaderboard', {
+            fontFamily: 'Arial',
+            fontSize: '24px',
+            color: '#ffffff',
+            align: 'center'
+        }).setOrigin(0.5);
+        
+        // Shop button
+        this.shopButton = this.add.image(0, 300, 'button')
+            .setInteractive()
+            .on('pointerdown', this.onShopClicked, this);
+            
+        // Shop text
+        this.shopText = this.add.text(0, 300, 'Shop', {
             fontFamily: 'Arial',
             fontSize: '24px',
             color: '#ffffff',
@@ -116,16 +145,22 @@ class MainMenuScene extends Phaser.Scene {
         this.menuContainer.add([
             this.playButton, 
             this.playText,
+            this.campaignButton,
+            this.campaignText,
             this.multiplayerButton, 
             this.multiplayerText,
             this.leaderboardButton, 
-            this.leaderboardText
+            this.leaderboardText,
+            this.shopButton,
+            this.shopText
         ]);
         
         // Add button hover effects
         this.addButtonEffects(this.playButton);
+        this.addButtonEffects(this.campaignButton);
         this.addButtonEffects(this.multiplayerButton);
         this.addButtonEffects(this.leaderboardButton);
+        this.addButtonEffects(this.shopButton);
     }
     
     /**
@@ -196,6 +231,26 @@ class MainMenuScene extends Phaser.Scene {
         }
     }
     
+    /**
+     * Create the level editor link in the bottom left corner
+     */
+    createEditorLink() {
+        this.editorLink = this.add.text(20, CONFIG.GAME_HEIGHT - 30, 'Level Editor', {
+            fontFamily: 'Arial',
+            fontSize: '16px',
+            color: '#ffffff',
+            stroke: '#000000',
+            strokeThickness: 3
+        })
+        .setInteractive()
+        .on('pointerover', () => this.editorLink.setColor('#ffff00'))
+        .on('pointerout', () => this.editorLink.setColor('#ffffff'))
+        .on('pointerdown', () => {
+            this.sound.play('sfx-hit', { volume: 0.5 });
+            this.scene.start('LevelEditorScene');
+        });
+    }
+    
     /**
      * Check user authentication status
      */
@@ -290,6 +345,21 @@ class MainMenuScene extends Phaser.Scene {
         }
     }
     
+    /**
+     * Handle campaign button click
+     */
+    onCampaignClicked() {
+        // Play button sound
+        this.sound.play('sfx-hit', { volume: 0.5 });
+        
+        // Campaign progress is saved per player, so ask guests to start a session like Play does
+        if (isAuthenticated() || localStorage.getItem('guestSession')) {
+            this.scene.start('WorldMapScene');
+        } else {
+            showAuthModal();
+        }
+    }
+    
     /**
      * Handle multiplayer button click
      */
@@ -317,4 +387,15 @@ class MainMenuScene extends Phaser.Scene {
         // Show leaderboard scene
         this.scene.start('LeaderboardScene');
     }
+    
+    /**
+     * Handle shop button click
+     */
+    onShopClicked() {
+        // Play button sound
+        this.sound.play('sfx-hit', { volume: 0.5 });
+        
+        // Show shop scene
+        this.scene.start('ShopScene');
+    }
 }
\ No newline at end of file
@@ -63,7 +63,7 @@ class MultiplayerScene extends Phaser.Scene {
         if (!this.sound.get('music-menu')) {
             this.sound.play('music-menu', {
                 loop: true,
-                volume: 0.7
+                volume: getMusicVolume()
             });
         }
     }
@@ -1105,11 +1105,12 @@ class MultiplayerScene extends Phaser.Scene {
             
             preview.play(animKey);
             
-            // Select button
-            const selectButton = this.add.text(0, 50, 'Select', {
+            // Select button (locked birds show their price instead)
+            const locked = !isItemUnlocked(character.id);
+            const selectButton = this.add.text(0, 50, locked ? `${character.price} coins` : 'Select', {
                 fontFamily: 'Arial',
                 fontSize: '16px',
-                color: '#4CAF50',
+                color: locked ? '#ffff00' : '#4CAF50',
                 align: 'center'
             }).setOrigin(0.5)
             .setInteractive()
@@ -1164,6 +1165,12 @@ class MultiplayerScene extends Phaser.Scene {
      * @param {string} characterId - ID of the selected character
      */
     selectMultiplayerCharacter(characterId) {
+        // Locked birds have to be bought in the shop first
+        if (!isItemUnlocked(characterId)) {
+            this.debugText.setText(`Character locked: ${characterId}, unlock it in the shop`);
+            return;
+        }
+        
         // Log character selection
         console.log(`Character selected: ${characterId}`);
         
@@ -1353,7 +1360,8 @@ class MultiplayerScene extends Phaser.Scene {
                 this.scene.start('GameScene', {
                     characterId: playerData.character,
                     multiplayer: true,
-                    roomId: this.selectedRoom
+                    roomId: this.selectedRoom,
+                    seed: roomData.seed
                 });
             }
         });
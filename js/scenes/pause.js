@@ -0,0 +1,241 @@
+/**
+ * PauseScene
+ * Overlay launched on top of a paused run with resume, restart, settings and quit options
+ */
+class PauseScene extends Phaser.Scene {
+    constructor() {
+        super('PauseScene');
+        this.gameSceneKey = 'GameScene';
+        this.showMenu = true;
+        this.isResuming = false;
+    }
+    
+    /**
+     * Initialize the scene with data
+     * @param {Object} data - The data passed to the scene
+     * @param {string} data.sceneKey - Key of the paused gameplay scene
+     * @param {boolean} data.showMenu - False for automatic pauses (e.g. hidden tab) that only dim the screen
+     */
+    init(data) {
+        this.gameSceneKey = data.sceneKey || 'GameScene';
+        this.showMenu = data.showMenu !== false;
+        this.isResuming = false;
+    }
+    
+    create() {
+        try {
+            this.gameScene = this.scene.get(this.gameSceneKey);
+            
+            // Dim the paused game
+            this.overlay = this.add.rectangle(
+                CONFIG.GAME_WIDTH / 2,
+                CONFIG.GAME_HEIGHT / 2,
+                CONFIG.GAME_WIDTH,
+                CONFIG.GAME_HEIGHT,
+                0x000000,
+                0.6
+            );
+            
+            // Title
+            this.title = this.add.text(CONFIG.GAME_WIDTH / 2, 120, 'PAUSED', {
+                fontFamily: 'Arial',
+                fontSize: '48px',
+                color: '#ffffff',
+                align: 'center',
+                stroke: '#000000',
+                strokeThickness: 6
+            }).setOrigin(0.5);
+            
+            if (this.showMenu) {
+                this.createMenuButtons();
+                this.createSettingsPanel();
+            }
+            
+            // Esc/P resumes, matching the keys that pause
+            this.input.keyboard.on('keydown-ESC', this.onResumeKey, this);
+            this.input.keyboard.on('keydown-P', this.onResumeKey, this);
+        } catch (error) {
+            console.error('Error in PauseScene.create:', error);
+        }
+    }
+    
+    /**
+     * Create the pause menu buttons
+     */
+    createMenuButtons() {
+        // Container for all menu items for easier positioning
+        this.menuContainer = this.add.container(CONFIG.GAME_WIDTH / 2, 220);
+        
+        const buttons = [
+            { label: 'Resume', onClick: () => this.resumeGame() },
+            { label: 'Restart', onClick: () => this.restartGame() },
+            { label: 'Settings', onClick: () => this.showSettings(true) },
+            { label: 'Quit to Menu', onClick: () => this.quitToMenu() }
+        ];
+        
+        // A shared multiplayer race can't be restarted by one player
+        const available = this.gameScene && this.gameScene.isMultiplayer ?
+            buttons.filter(button => button.label !== 'Restart') :
+            buttons;
+        
+        available.forEach((button, index) => {
+            this.menuContainer.add(this.createButton(0, index * 80, button.label, button.onClick));
+        });
+    }
+    
+    /**
+     * Create the settings panel (hidden until Settings is chosen)
+     */
+    createSettingsPanel() {
+        this.settingsContainer = this.add.container(CONFIG.GAME_WIDTH / 2, 220);
+        this.settingsContainer.setVisible(false);
+        
+        const [soundButton, soundText] = this.createButton(0, 0, '', () => {
+            const settings = updateSettings({ sound: !getSettings().sound });
+            applySoundSettings(this.sound);
+            soundText.setText(`Sound: ${settings.sound ? 'ON' : 'OFF'}`);
+        });
+        
+        const [musicButton, musicText] = this.createButton(0, 80, '', () => {
+            const settings = updateSettings({ music: !getSettings().music });
+            
+            // Update the gameplay music that is already playing
+            const music = this.sound.get('music-gameplay');
+            if (music) {
+                music.setVolume(getMusicVolume());
+            }
+            
+            musicText.setText(`Music: ${settings.music ? 'ON' : 'OFF'}`);
+        });
+        
+        const backButton = this.createButton(0, 160, 'Back', () => this.showSettings(false));
+        
+        // Show the current values
+        const settings = getSettings();
+        soundText.setText(`Sound: ${settings.sound ? 'ON' : 'OFF'}`);
+        musicText.setText(`Music: ${settings.music ? 'ON' : 'OFF'}`);
+        
+        this.settingsContainer.add([soundButton, soundText, musicButton, musicText, ...backButton]);
+    }
+    
+    /**
+     * Create a single menu button
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {string} label - Button text
+     * @param {Function} onClick - Click handler
+     * @returns {Array<Phaser.GameObjects.GameObject>} The button image and text
+     */
+    createButton(x, y, label, onClick) {
+        const button = this.add.image(x, y, 'button')
+            .setInteractive()
+            .on('pointerdown', () => {
+                if (this.isResuming) return;
+                this.sound.play('sfx-flap', { volume: 0.5 });
+                onClick();
+            });
+        
+        const text = this.add.text(x, y, label, {
+            fontFamily: 'Arial',
+            fontSize: '24px',
+            color: '#ffffff',
+            align: 'center'
+        }).setOrigin(0.5);
+        
+        // Add hover effect
+        button.on('pointerover', () => {
+            this.tweens.add({
+                targets: button,
+                scaleX: 1.1,
+                scaleY: 1.1,
+                duration: 100
+            });
+        });
+        
+        button.on('pointerout', () => {
+            this.tweens.add({
+                targets: button,
+                scaleX: 1,
+                scaleY: 1,
+                duration: 100
+            });
+        });
+        
+        return [button, text];
+    }
+    
+    /**
+     * Switch between the main pause menu and the settings panel
+     * @param {boolean} visible - True to show settings
+     */
+    showSettings(visible) {
+        this.menuContainer.setVisible(!visible);
+        this.settingsContainer.setVisible(visible);
+        this.title.setText(visible ? 'SETTINGS' : 'PAUSED');
+    }
+    
+    /**
+     * Handle the Esc/P key while paused
+     */
+    onResumeKey() {
+        // Esc from the settings panel goes back to the menu first
+        if (this.settingsContainer && this.settingsContainer.visible) {
+            this.showSettings(false);
+            return;
+        }
+        
+        this.resumeGame();
+    }
+    
+    /**
+     * Run the 3-2-1 countdown, then resume the game
+     */
+    resumeGame() {
+        if (this.isResuming) return;
+        this.isResuming = true;
+        
+        try {
+            // Hide the menu while counting down
+            this.title.setVisible(false);
+            this.overlay.setVisible(false);
+            if (this.menuContainer) this.menuContainer.setVisible(false);
+            if (this.settingsContainer) this.settingsContainer.setVisible(false);
+            
+            // The countdown runs in this scene because the game's clock is paused
+            showCountdown(this, () => {
+                if (this.gameScene && typeof this.gameScene.resumeGame === 'function') {
+                    this.gameScene.resumeGame();
+                }
+                
+                this.scene.stop();
+            });
+        } catch (error) {
+            console.error('Error in PauseScene.resumeGame:', error);
+        }
+    }
+    
+    /**
+     * Restart the run with the same settings
+     */
+    restartGame() {
+        try {
+            this.sound.stopAll();
+            this.scene.stop();
+            this.gameScene.scene.restart(this.gameScene.getRestartData());
+        } catch (error) {
+            console.error('Error in PauseScene.restartGame:', error);
+        }
+    }
+    
+    /**
+     * Abandon the run and return to the main menu
+     */
+    quitToMenu() {
+        try {
+            this.scene.stop();
+            this.gameScene.quitToMenu();
+        } catch (error) {
+            console.error('Error in PauseScene.quitToMenu:', error);
+        }
+    }
+}
@@ -0,0 +1,183 @@
+/**
+ * ReplayScene - Plays back a recorded run
+ * Rebuilds the run from its seed and feeds the recorded ticks and inputs
+ * back through the normal GameScene simulation
+ */
+class ReplayScene extends GameScene {
+    constructor() {
+        super('ReplayScene');
+        this.isReplay = true;
+        this.replay = null;
+        this.replayPlayer = null;
+    }
+    
+    /**
+     * Initialize the scene with the replay to play
+     * @param {Object} data - The data passed to the scene
+     * @param {Object} data.replay - Replay produced by ReplayRecorder
+     */
+    init(data) {
+        this.replay = data.replay;
+        this.replayPlayer = new ReplayPlayer(this.replay);
+        
+        // Rebuild the run exactly as it was recorded
+        super.init({
+            characterId: this.replay.characterId,
+            // Replays recorded before difficulties existed were played on the default
+            difficulty: this.replay.difficulty || CONFIG.DEFAULT_DIFFICULTY,
+            seed: this.replay.seed,
+            upgrades: this.replay.upgrades || {},
+            campaignLevel: this.replay.campaignLevel || null
+        });
+        
+        console.log(`Replay initialized: ${this.replay.tickCount} ticks, ${this.replay.inputs.length} inputs`);
+    }
+    
+    create() {
+        super.create();
+        
+        try {
+            this.createReplayUI();
+        } catch (error) {
+            console.error('Error in ReplayScene.create:', error);
+        }
+    }
+    
+    /**
+     * Create the replay banner
+     */
+    createReplayUI() {
+        this.replayText = this.add.text(CONFIG.GAME_WIDTH / 2, 30, 'REPLAY', {
+            fontFamily: 'Arial',
+            fontSize: '28px',
+            color: '#FF4444',
+            stroke: '#000000',
+            strokeThickness: 4
+        }).setOrigin(0.5).setDepth(1000);
+        
+        this.add.text(CONFIG.GAME_WIDTH / 2, 60, 'Press ESC to exit, P to pause', {
+            fontFamily: 'Arial',
+            fontSize: '14px',
+            color: '#FFFFFF',
+            stroke: '#000000',
+            strokeThickness: 2
+        }).setOrigin(0.5).setDepth(1000);
+        
+        // Blink the banner while the replay runs
+        this.tweens.add({
+            targets: this.replayText,
+            alpha: 0.4,
+            duration: 600,
+            yoyo: true,
+            repeat: -1
+        });
+    }
+    
+    /**
+     * Replays only listen for the exit and pause keys, the recording provides all gameplay input
+     */
+    setupInput() {
+        try {
+            this.input.keyboard.on('keydown-ESC', () => {
+                this.exitReplay();
+            });
+            
+            this.input.keyboard.on('keydown-P', () => {
+                this.pauseGame();
+            });
+        } catch (error) {
+            console.error('Error in ReplayScene.setupInput:', error);
+        }
+    }
+    
+    /**
+     * Step with the recorded delta, applying the inputs recorded before this tick
+     * @param {number} delta - The loop's delta in ms
+     * @returns {number} The delta to step the scene with
+     */
+    nextTickDelta(delta) {
+        if (!this.replayPlayer || this.replayPlayer.isFinished()) {
+            // Recording is over, let end-of-run effects play out in real time
+            return quantizeTickDelta(delta);
+        }
+        
+        this.replayPlayer.takeInputs().forEach(action => {
+            this.applyInput(action);
+        });
+        
+        return this.replayPlayer.nextDelta();
+    }
+    
+    /**
+     * Restarting a replay watches it again from the start
+     * @returns {Object} Data for scene.restart
+     */
+    getRestartData() {
+        return { replay: this.replay };
+    }
+    
+    /**
+     * Show the end of replay panel instead of saving a score
+     */
+    reportGameOver() {
+        try {
+            // A mismatch means the simulation is no longer deterministic
+            if (this.score !== this.replay.score || !this.replayPlayer.isFinished()) {
+                console.warn(
+                    `Replay diverged: recorded score ${this.replay.score} at tick ${this.replay.tickCount}, ` +
+                    `replayed score ${this.score} at tick ${this.replayPlayer.tick}`
+                );
+            }
+            
+            this.time.delayedCall(1500, () => {
+                this.showReplayComplete();
+            });
+        } catch (error) {
+            console.error('Error in ReplayScene.reportGameOver:', error);
+        }
+    }
+    
+    /**
+     * Show the replay complete panel with watch again / menu buttons
+     */
+    showReplayComplete() {
+        try {
+            this.add.rectangle(CONFIG.GAME_WIDTH / 2, CONFIG.GAME_HEIGHT / 2, 400, 260, 0x000000, 0.7)
+                .setDepth(1000);
+            
+            this.add.text(CONFIG.GAME_WIDTH / 2, CONFIG.GAME_HEIGHT / 2 - 80, 'REPLAY COMPLETE', {
+                fontFamily: 'Arial',
+                fontSize: '32px',
+                color: '#FFFFFF',
+                stroke: '#000000',
+                strokeThickness: 4
+            }).setOrigin(0.5).setDepth(1001);
+            
+            this.add.text(CONFIG.GAME_WIDTH / 2, CONFIG.GAME_HEIGHT / 2 - 30, `Score: ${this.score}`, {
+                fontFamily: 'Arial',
+                fontSize: '24px',
+                color: '#FFFF00',
+                stroke: '#000000',
+                strokeThickness: 3
+            }).setOrigin(0.5).setDepth(1001);
+            
+            this.createPanelButton(CONFIG.GAME_WIDTH / 2 - 90, CONFIG.GAME_HEIGHT / 2 + 60, 'WATCH AGAIN', () => {
+                this.scene.restart({ replay: this.replay });
+            });
+            
+            this.createPanelButton(CONFIG.GAME_WIDTH / 2 + 90, CONFIG.GAME_HEIGHT / 2 + 60, 'MENU', () => {
+                this.exitReplay();
+            });
+        } catch (error) {
+            console.error('Error in showReplayComplete:', error);
+        }
+    }
+    
+    /**
+     * Leave the replay and return to the main menu
+     */
+    exitReplay() {
+        this.sound.stopAll();
+        this.scene.start('MainMenuScene');
+    }
+}
@@ -0,0 +1,515 @@
+/**
+ * ShopScene
+ * Spend banked coins on characters, trails, skins and upgrades
+ */
+class ShopScene extends Phaser.Scene {
+    constructor() {
+        super('ShopScene');
+        this.currentTab = 'character'; // 'character', 'trail', 'skin', 'upgrade'
+        this.isBusy = false;
+    }
+    
+    create() {
+        this.isBusy = false;
+        
+        // Background
+        this.bg = this.add.tileSprite(0, 0, CONFIG.GAME_WIDTH, CONFIG.GAME_HEIGHT, 'bg-sky')
+            .setOrigin(0, 0)
+            .setScrollFactor(0);
+        
+        // Add parallax effect with slow scrolling
+        this.bgScrollSpeed = 0.2;
+        
+        // Add title
+        this.title = this.add.text(CONFIG.GAME_WIDTH / 2, 60, 'SHOP', {
+            fontFamily: 'Arial',
+            fontSize: '40px',
+            color: '#ffffff',
+            align: 'center',
+            stroke: '#000000',
+            strokeThickness: 6
+        }).setOrigin(0.5);
+        
+        // Coin balance
+        this.coinsText = this.add.text(CONFIG.GAME_WIDTH - 30, 40, '', {
+            fontFamily: 'Arial',
+            fontSize: '22px',
+            color: '#ffff00',
+            stroke: '#000000',
+            strokeThickness: 4
+        }).setOrigin(1, 0.5);
+        
+        // Create tab buttons for each kind of item
+        this.createTabButtons();
+        
+        // Create back button
+        this.createBackButton();
+        
+        // Create container for the item cards
+        this.itemsContainer = this.add.container(0, 0);
+        
+        // Show the wallet once it has loaded (from Firestore for signed-in players)
+        this.loadingText = this.add.text(CONFIG.GAME_WIDTH / 2, 300, 'Loading wallet...', {
+            fontFamily: 'Arial',
+            fontSize: '24px',
+            color: '#ffffff',
+            align: 'center'
+        }).setOrigin(0.5);
+        
+        loadWallet().then(() => {
+            if (!this.sys.isActive()) return;
+            
+            this.loadingText.destroy();
+            this.showItems(this.currentTab);
+        });
+        
+        // Play menu music if not already playing
+        if (!this.sound.get('music-menu')) {
+            this.sound.play('music-menu', {
+                loop: true,
+                volume: getMusicVolume()
+            });
+        }
+    }
+    
+    update() {
+        // Scroll background
+        this.bg.tilePositionX += this.bgScrollSpeed;
+    }
+    
+    /**
+     * Create tab buttons for the kinds of items
+     */
+    createTabButtons() {
+        // Container for tabs
+        this.tabsContainer = this.add.container(CONFIG.GAME_WIDTH / 2, 120);
+        
+        // Tab button dimensions
+        const tabWidth = 160;
+        const tabHeight = 40;
+        const tabSpacing = 10;
+        const tabs = [
+            { id: 'character', label: 'Birds' },
+            { id: 'trail', label: 'Trails' },
+            { id: 'skin', label: 'Skins' },
+            { id: 'upgrade', label: 'Upgrades' }
+        ];
+        const totalWidth = (tabWidth * tabs.length) + (tabSpacing * (tabs.length - 1));
+        const startX = -(totalWidth / 2) + (tabWidth / 2);
+        
+        this.tabs = tabs.map((tab, index) => {
+            return this.createTab(startX + index * (tabWidth + tabSpacing), 0, tabWidth, tabHeight, tab.label, tab.id);
+        });
+        
+        this.tabsContainer.add(this.tabs);
+        
+        this.setActiveTab(this.currentTab);
+    }
+    
+    /**
+     * Create a single tab button
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {number} width - Tab width
+     * @param {number} height - Tab height
+     * @param {string} text - Tab text
+     * @param {string} tabId - Tab identifier (item type)
+     * @returns {Phaser.GameObjects.Container} Tab container
+     */
+    createTab(x, y, width, height, text, tabId) {
+        // Container for tab
+        const tab = this.add.container(x, y);
+        tab.tabId = tabId;
+        
+        // Background
+        const bg = this.add.rectangle(0, 0, width, height, 0x000000, 0.5)
+            .setOrigin(0.5)
+            .setStrokeStyle(2, 0xffffff);
+        
+        // Text
+        const tabText = this.add.text(0, 0, text, {
+            fontFamily: 'Arial',
+            fontSize: '18px',
+            color: '#ffffff',
+            align: 'center'
+        }).setOrigin(0.5);
+        
+        // Add to container
+        tab.add([bg, tabText]);
+        
+        // Store references
+        tab.bg = bg;
+        tab.text = tabText;
+        
+        // Make interactive
+        bg.setInteractive();
+        bg.on('pointerdown', () => {
+            this.setActiveTab(tabId);
+            this.showItems(tabId);
+        });
+        
+        // Add hover effect
+        bg.on('pointerover', () => {
+            if (!tab.isActive) {
+                bg.setFillStyle(0x333333, 0.7);
+            }
+        });
+        
+        bg.on('pointerout', () => {
+            if (!tab.isActive) {
+                bg.setFillStyle(0x000000, 0.5);
+            }
+        });
+        
+        return tab;
+    }
+    
+    /**
+     * Set a tab as active
+     * @param {string} tabId - Tab identifier
+     */
+    setActiveTab(tabId) {
+        this.currentTab = tabId;
+        
+        this.tabs.forEach(tab => {
+            tab.isActive = tab.tabId === tabId;
+            
+            if (tab.isActive) {
+                // Active tab
+                tab.bg.setFillStyle(0x3498db, 0.7);
+                tab.bg.setStrokeStyle(3, 0x2ecc71);
+                tab.text.setFontSize(20);
+            } else {
+                // Inactive tab
+                tab.bg.setFillStyle(0x000000, 0.5);
+                tab.bg.setStrokeStyle(2, 0xffffff);
+                tab.text.setFontSize(18);
+            }
+        });
+    }
+    
+    /**
+     * Show the cards for one kind of item
+     * @param {string} type - 'character', 'trail', 'skin' or 'upgrade'
+     */
+    showItems(type) {
+        // Still waiting for the wallet
+        if (this.loadingText.active) return;
+        
+        this.itemsContainer.removeAll(true);
+        this.coinsText.setText(`Coins: ${getWallet().coins}`);
+        
+        // Grid layout
+        const gridWidth = 3;
+        const cellWidth = 220;
+        const cellHeight = 190;
+        const startX = (CONFIG.GAME_WIDTH - (gridWidth * cellWidth)) / 2 + cellWidth / 2;
+        const startY = 250;
+        
+        const items = type === 'upgrade' ? UPGRADES : getShopItems(type);
+        
+        items.forEach((item, index) => {
+            const x = startX + (index % gridWidth) * cellWidth;
+            const y = startY + Math.floor(index / gridWidth) * cellHeight;
+            
+            if (type === 'upgrade') {
+                this.itemsContainer.add(this.createUpgradeCard(item, x, y));
+            } else {
+                this.itemsContainer.add(this.createItemCard(item, x, y));
+            }
+        });
+    }
+    
+    /**
+     * Create the card of a shop item
+     * @param {Object} item - Shop item
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @returns {Phaser.GameObjects.Container} Card container
+     */
+    createItemCard(item, x, y) {
+        const card = this.add.container(x, y);
+        const unlocked = isItemUnlocked(item.id);
+        const equipped = item.type !== 'character' && getWallet().equipped[item.type] === item.id;
+        
+        // Background panel
+        const bg = this.add.rectangle(0, 0, 200, 170, 0x000000, 0.5)
+            .setOrigin(0.5)
+            .setStrokeStyle(equipped ? 4 : 2, equipped ? 0x2ecc71 : 0xffffff);
+        
+        // Item name
+        const nameText = this.add.text(0, -65, item.name, {
+            fontFamily: 'Arial',
+            fontSize: '18px',
+            color: '#ffffff',
+            align: 'center'
+        }).setOrigin(0.5);
+        
+        // Button showing the price or what clicking does
+        let label = `Buy: ${item.price} coins`;
+        if (unlocked) {
+            if (item.type === 'character') {
+                label = 'Owned';
+            } else {
+                label = equipped ? 'Equipped' : 'Equip';
+            }
+        }
+        
+        const button = this.add.rectangle(0, 55, 160, 36, unlocked ? 0x2ecc71 : 0x3498db, 0.8)
+            .setStrokeStyle(2, 0xffffff)
+            .setInteractive()
+            .on('pointerdown', () => {
+                this.onItemClicked(item);
+            });
+        
+        const buttonText = this.add.text(0, 55, label, {
+            fontFamily: 'Arial',
+            fontSize: '16px',
+            color: '#ffffff',
+            align: 'center'
+        }).setOrigin(0.5);
+        
+        card.add([bg, nameText, ...this.createItemPreview(item), button, buttonText]);
+        
+        return card;
+    }
+    
+    /**
+     * Create the card of an upgrade
+     * @param {Object} upgrade - Upgrade from UPGRADES
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @returns {Phaser.GameObjects.Container} Card container
+     */
+    createUpgradeCard(upgrade, x, y) {
+        const card = this.add.container(x, y);
+        const level = getUpgradeLevel(upgrade.id);
+        const cost = getUpgradeCost(upgrade.id);
+        const available = isUpgradeAvailable(upgrade.id);
+        const maxed = cost === null;
+        
+        // Background panel
+        const bg = this.add.rectangle(0, 0, 200, 170, 0x000000, 0.5)
+            .setOrigin(0.5)
+            .setStrokeStyle(maxed ? 4 : 2, maxed ? 0x2ecc71 : 0xffffff);
+        
+        // Upgrade name
+        const nameText = this.add.text(0, -65, upgrade.name, {
+            fontFamily: 'Arial',
+            fontSize: '18px',
+            color: '#ffffff',
+            align: 'center'
+        }).setOrigin(0.5);
+        
+        // Bought levels as pips
+        const pipSpacing = 18;
+        const pipsX = -((upgrade.costs.length - 1) * pipSpacing) / 2;
+        const pips = upgrade.costs.map((_, index) => {
+            return this.add.rectangle(pipsX + index * pipSpacing, -40, 12, 12, index < level ? 0xffff00 : 0x333333)
+                .setStrokeStyle(1, 0xffffff);
+        });
+        
+        // What a level does, or what has to be bought first
+        let info = upgrade.description;
+        if (!available) {
+            const required = getUpgrade(upgrade.requires.id);
+            info = `Needs ${required.name} level ${upgrade.requires.level}`;
+        }
+        
+        const infoText = this.add.text(0, 0, info, {
+            fontFamily: 'Arial',
+            fontSize: '14px',
+            color: available ? '#ffffff' : '#ff8888',
+            align: 'center',
+            wordWrap: { width: 180 }
+        }).setOrigin(0.5);
+        
+        // Button showing the price of the next level
+        let label = `Buy: ${cost} coins`;
+        if (maxed) {
+            label = 'Maxed';
+        } else if (!available) {
+            label = 'Locked';
+        }
+        
+        const button = this.add.rectangle(0, 55, 160, 36, maxed ? 0x2ecc71 : (available ? 0x3498db : 0x555555), 0.8)
+            .setStrokeStyle(2, 0xffffff)
+            .setInteractive()
+            .on('pointerdown', () => {
+                this.onUpgradeClicked(upgrade);
+            });
+        
+        const buttonText = this.add.text(0, 55, label, {
+            fontFamily: 'Arial',
+            fontSize: '16px',
+            color: '#ffffff',
+            align: 'center'
+        }).setOrigin(0.5);
+        
+        card.add([bg, nameText, ...pips, infoText, button, buttonText]);
+        
+        return card;
+    }
+    
+    /**
+     * Create the preview of a shop item
+     * @param {Object} item - Shop item
+     * @returns {Array<Phaser.GameObjects.GameObject>} Preview objects to add to the card
+     */
+    createItemPreview(item) {
+        switch (item.type) {
+            case 'trail':
+                // A fading line of particles behind a bird
+                const dots = [0, 1, 2, 3, 4].map(i => {
+                    return this.add.image(-10 - i * 14, -5, 'particle')
+                        .setTint(item.color)
+                        .setAlpha(1 - i * 0.18)
+                        .setScale(0.8 - i * 0.12);
+                });
+                return [...dots, this.add.sprite(25, -5, 'bird-blue', 0).setScale(1.5)];
+            
+            case 'skin':
+                return [this.add.sprite(0, -5, 'bird-blue', 0).setScale(2).setTint(item.tint)];
+            
+            default:
+                return [this.add.sprite(0, -5, item.texture, 0).setScale(2)];
+        }
+    }
+    
+    /**
+     * Buy a locked item, or equip/unequip a bought trail or skin
+     * @param {Object} item - Shop item
+     */
+    onItemClicked(item) {
+        if (this.isBusy) return;
+        
+        // Bought birds are picked on the character select screen
+        if (isItemUnlocked(item.id) && item.type === 'character') return;
+        
+        this.isBusy = true;
+        
+        let action;
+        if (!isItemUnlocked(item.id)) {
+            action = purchaseItem(item.id).then(bought => {
+                if (bought) {
+                    this.sound.play('sfx-coin', { volume: 0.7 });
+                    this.showMessage(`${item.name} unlocked!`, '#2ecc71');
+                } else {
+                    this.sound.play('sfx-hit', { volume: 0.5 });
+                    this.showMessage('Not enough coins!', '#ff0000');
+                }
+            });
+        } else {
+            // Clicking the equipped item takes it off
+            const equipped = getWallet().equipped[item.type] === item.id;
+            action = equipItem(item.type, equipped ? null : item.id).then(() => {
+                this.sound.play('sfx-powerup', { volume: 0.5 });
+            });
+        }
+        
+        action.then(() => {
+            this.isBusy = false;
+            
+            if (this.sys.isActive()) {
+                this.showItems(this.currentTab);
+            }
+        });
+    }
+    
+    /**
+     * Buy the next level of an upgrade
+     * @param {Object} upgrade - Upgrade from UPGRADES
+     */
+    onUpgradeClicked(upgrade) {
+        if (this.isBusy) return;
+        
+        // Maxed out or still locked behind another upgrade
+        if (getUpgradeCost(upgrade.id) === null || !isUpgradeAvailable(upgrade.id)) return;
+        
+        this.isBusy = true;
+        
+        purchaseUpgrade(upgrade.id).then(bought => {
+            if (bought) {
+                this.sound.play('sfx-coin', { volume: 0.7 });
+                this.showMessage(`${upgrade.name} level ${getUpgradeLevel(upgrade.id)}!`, '#2ecc71');
+            } else {
+                this.sound.play('sfx-hit', { volume: 0.5 });
+                this.showMessage('Not enough coins!', '#ff0000');
+            }
+            
+            this.isBusy = false;
+            
+            if (this.sys.isActive()) {
+                this.showItems(this.currentTab);
+            }
+        });
+    }
+    
+    /**
+     * Show a short message under the tabs
+     * @param {string} text - Message
+     * @param {string} color - Text color
+     */
+    showMessage(text, color) {
+        const messageText = this.add.text(CONFIG.GAME_WIDTH / 2, 160, text, {
+            fontFamily: 'Arial',
+            fontSize: '22px',
+            color: color,
+            align: 'center',
+            stroke: '#000000',
+            strokeThickness: 4
+        }).setOrigin(0.5);
+        
+        // Fade out and remove
+        this.tweens.add({
+            targets: messageText,
+            alpha: 0,
+            y: '+=10',
+            duration: 500,
+            delay: 1200,
+            onComplete: () => {
+                messageText.destroy();
+            }
+        });
+    }
+    
+    /**
+     * Create back button
+     */
+    createBackButton() {
+        // Button background
+        this.backButton = this.add.image(80, 40, 'button')
+            .setScale(0.6)
+            .setInteractive()
+            .on('pointerdown', () => {
+                this.scene.start('MainMenuScene');
+            });
+        
+        // Button text
+        this.backText = this.add.text(80, 40, 'BACK', {
+            fontFamily: 'Arial',
+            fontSize: '20px',
+            color: '#ffffff',
+            align: 'center'
+        }).setOrigin(0.5);
+        
+        // Add hover effect
+        this.backButton.on('pointerover', () => {
+            this.tweens.add({
+                targets: this.backButton,
+                scaleX: 0.65,
+                scaleY: 0.65,
+                duration: 100
+            });
+        });
+        
+        this.backButton.on('pointerout', () => {
+            this.tweens.add({
+                targets: this.backButton,
+                scaleX: 0.6,
+                scaleY: 0.6,
+                duration: 100
+            });
+        });
+    }
+}
@@ -0,0 +1,291 @@
+/**
+ * WorldMapScene
+ * Campaign world map: pick an unlocked level and see the stars earned on each
+ */
+class WorldMapScene extends Phaser.Scene {
+    constructor() {
+        super('WorldMapScene');
+        this.isStarting = false;
+    }
+    
+    create() {
+        this.isStarting = false;
+        
+        // Background
+        this.bg = this.add.tileSprite(0, 0, CONFIG.GAME_WIDTH, CONFIG.GAME_HEIGHT, 'bg-forest')
+            .setOrigin(0, 0)
+            .setScrollFactor(0);
+        
+        // Add parallax effect with slow scrolling
+        this.bgScrollSpeed = 0.2;
+        
+        // Add title
+        this.title = this.add.text(CONFIG.GAME_WIDTH / 2, 50, 'WORLD MAP', {
+            fontFamily: 'Arial',
+            fontSize: '40px',
+            color: '#ffffff',
+            align: 'center',
+            stroke: '#000000',
+            strokeThickness: 6
+        }).setOrigin(0.5);
+        
+        // Stars earned over the whole campaign
+        this.starsText = this.add.text(CONFIG.GAME_WIDTH - 30, 40, '', {
+            fontFamily: 'Arial',
+            fontSize: '22px',
+            color: '#ffff00',
+            stroke: '#000000',
+            strokeThickness: 4
+        }).setOrigin(1, 0.5);
+        
+        // Hovered level and the bird it will be played with
+        this.infoText = this.add.text(CONFIG.GAME_WIDTH / 2, 530, '', {
+            fontFamily: 'Arial',
+            fontSize: '22px',
+            color: '#ffffff',
+            align: 'center',
+            stroke: '#000000',
+            strokeThickness: 4
+        }).setOrigin(0.5);
+        
+        this.add.text(CONFIG.GAME_WIDTH / 2, 570, `Bird: ${this.getCharacter().name} (change it in Play Game)`, {
+            fontFamily: 'Arial',
+            fontSize: '16px',
+            color: '#dddddd',
+            stroke: '#000000',
+            strokeThickness: 3
+        }).setOrigin(0.5);
+        
+        // Create back button
+        this.createBackButton();
+        
+        // Show the map once the progress has loaded (from Firestore for signed-in players)
+        this.loadingText = this.add.text(CONFIG.GAME_WIDTH / 2, 300, 'Loading progress...', {
+            fontFamily: 'Arial',
+            fontSize: '24px',
+            color: '#ffffff',
+            align: 'center'
+        }).setOrigin(0.5);
+        
+        Promise.all([loadWallet(), loadCampaignProgress()]).then(() => {
+            if (!this.sys.isActive()) return;
+            
+            this.loadingText.destroy();
+            this.createMap();
+        });
+        
+        // Play menu music if not already playing
+        if (!this.sound.get('music-menu')) {
+            this.sound.play('music-menu', {
+                loop: true,
+                volume: getMusicVolume()
+            });
+        }
+    }
+    
+    update() {
+        // Scroll background
+        this.bg.tilePositionX += this.bgScrollSpeed;
+    }
+    
+    /**
+     * Get the bird campaign levels are played with (the last one picked, if it's unlocked)
+     * @returns {Object} Character from CONFIG.CHARACTERS
+     */
+    getCharacter() {
+        const savedId = localStorage.getItem('selectedCharacter');
+        const saved = CONFIG.CHARACTERS.find(c => c.id === savedId);
+        
+        return saved && isItemUnlocked(saved.id) ? saved : CONFIG.CHARACTERS[0];
+    }
+    
+    /**
+     * Create a row of level nodes for every world, joined by a path in play order
+     */
+    createMap() {
+        try {
+            const rowHeight = 180;
+            const firstRowY = 200;
+            const path = this.add.graphics();
+            let previous = null;
+            
+            CAMPAIGN_WORLDS.forEach((world, worldIndex) => {
+                const y = firstRowY + worldIndex * rowHeight;
+                const spacing = CONFIG.GAME_WIDTH / (world.levels.length + 1);
+                
+                this.add.text(40, y - 75, world.name, {
+                    fontFamily: 'Arial',
+                    fontSize: '24px',
+                    color: '#ffffff',
+                    stroke: '#000000',
+                    strokeThickness: 4
+                });
+                
+                world.levels.forEach((level, index) => {
+                    const x = spacing * (index + 1);
+                    
+                    // Path from the previous level, brighter once that level is finished
+                    if (previous) {
+                        const finished = getCampaignStars(previous.level.id) > 0;
+                        path.lineStyle(6, 0xffffff, finished ? 0.9 : 0.3);
+                        path.lineBetween(previous.x, previous.y, x, y);
+                    }
+                    
+                    this.createLevelNode(x, y, level);
+                    previous = { x, y, level };
+                });
+            });
+            
+            const totalLevels = CAMPAIGN_WORLDS.reduce((total, world) => total + world.levels.length, 0);
+            this.starsText.setText(`★ ${getTotalCampaignStars()} / ${totalLevels * 3}`);
+            this.infoText.setText('Select a level');
+        } catch (error) {
+            console.error('Error in createMap:', error);
+        }
+    }
+    
+    /**
+     * Create the node of one level with its best stars
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {Object} level - Campaign level
+     */
+    createLevelNode(x, y, level) {
+        const unlocked = isCampaignLevelUnlocked(level.id);
+        const stars = getCampaignStars(level.id);
+        const color = !unlocked ? 0x555555 : (stars > 0 ? 0x33aa33 : 0x3366cc);
+        
+        const node = this.add.container(x, y);
+        
+        const circle = this.add.circle(0, 0, 32, color)
+            .setStrokeStyle(3, 0xffffff);
+        
+        const label = this.add.text(0, 0, level.id, {
+            fontFamily: 'Arial',
+            fontSize: '20px',
+            color: unlocked ? '#ffffff' : '#aaaaaa',
+            stroke: '#000000',
+            strokeThickness: 3
+        }).setOrigin(0.5);
+        
+        node.add([circle, label]);
+        
+        // Best stars, grey for the ones still to earn
+        if (unlocked) {
+            for (let i = 0; i < 3; i++) {
+                const star = this.add.image((i - 1) * 22, 48, 'star')
+                    .setScale(0.5);
+                
+                if (i >= stars) {
+                    star.setTint(0x444444);
+                }
+                
+                node.add(star);
+            }
+        } else {
+            node.add(this.add.text(0, 48, 'LOCKED', {
+                fontFamily: 'Arial',
+                fontSize: '14px',
+                color: '#aaaaaa',
+                stroke: '#000000',
+                strokeThickness: 3
+            }).setOrigin(0.5));
+        }
+        
+        circle.setInteractive({ useHandCursor: unlocked });
+        
+        circle.on('pointerover', () => {
+            this.infoText.setText(unlocked ? `${level.id}  ${level.name}` : 'Finish the previous level to unlock');
+            
+            if (unlocked) {
+                this.tweens.add({
+                    targets: node,
+                    scaleX: 1.1,
+                    scaleY: 1.1,
+                    duration: 100
+                });
+            }
+        });
+        
+        circle.on('pointerout', () => {
+            this.infoText.setText('Select a level');
+            
+            this.tweens.add({
+                targets: node,
+                scaleX: 1,
+                scaleY: 1,
+                duration: 100
+            });
+        });
+        
+        if (unlocked) {
+            circle.on('pointerdown', () => {
+                this.startLevel(level);
+            });
+        }
+    }
+    
+    /**
+     * Start a campaign level
+     * @param {Object} level - Campaign level
+     */
+    startLevel(level) {
+        if (this.isStarting) return;
+        this.isStarting = true;
+        
+        // Play start sound
+        this.sound.play('sfx-levelup', { volume: 0.7 });
+        
+        this.cameras.main.fade(500, 0, 0, 0, false, (camera, progress) => {
+            if (progress === 1) {
+                // Stop menu music
+                this.sound.stopByKey('music-menu');
+                
+                this.scene.start('GameScene', {
+                    characterId: this.getCharacter().id,
+                    campaignLevel: level.id
+                });
+            }
+        });
+    }
+    
+    /**
+     * Create back button
+     */
+    createBackButton() {
+        // Button background
+        this.backButton = this.add.image(80, 40, 'button')
+            .setScale(0.6)
+            .setInteractive()
+            .on('pointerdown', () => {
+                this.scene.start('MainMenuScene');
+            });
+        
+        // Button text
+        this.backText = this.add.text(80, 40, 'BACK', {
+            fontFamily: 'Arial',
+            fontSize: '20px',
+            color: '#ffffff',
+            align: 'center'
+        }).setOrigin(0.5);
+        
+        // Add hover effect
+        this.backButton.on('pointerover', () => {
+            this.tweens.add({
+                targets: this.backButton,
+                scaleX: 0.65,
+                scaleY: 0.65,
+                duration: 100
+            });
+        });
+        
+        this.backButton.on('pointerout', () => {
+            this.tweens.add({
+                targets: this.backButton,
+                scaleX: 0.6,
+                scaleY: 0.6,
+                duration: 100
+            });
+        });
+    }
+}
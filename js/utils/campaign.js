@@ -0,0 +1,272 @@
+/**
+ * Campaign.js
+ * Campaign levels and the player's progress through them. Like the wallet,
+ * guests keep their progress in local storage and signed-in players on their
+ * Firestore users document
+ */
+
+// Local storage key of the guest progress
+const CAMPAIGN_STORAGE_KEY = 'campaignProgress';
+
+// Last loaded progress and whose it is ('guest' or a user ID)
+let cachedCampaignProgress = null;
+let cachedCampaignOwner = null;
+
+// Whether a signed-in player's progress has been read from Firestore yet
+let isCampaignProgressLoaded = false;
+
+/**
+ * Get every campaign level in play order
+ * @returns {Array<Object>} Levels from CAMPAIGN_WORLDS, each with its world's ID
+ */
+function getCampaignLevels() {
+    return CAMPAIGN_WORLDS.reduce((levels, world) => {
+        return levels.concat(world.levels.map(level => ({ ...level, world: world.id })));
+    }, []);
+}
+
+/**
+ * Get a campaign level by ID
+ * @param {string} levelId - Level ID
+ * @returns {Object|null} The level
+ */
+function getCampaignLevel(levelId) {
+    return getCampaignLevels().find(level => level.id === levelId) || null;
+}
+
+/**
+ * Get the level after the given one
+ * @param {string} levelId - Level ID
+ * @returns {Object|null} The next level, or null after the last one
+ */
+function getNextCampaignLevel(levelId) {
+    const levels = getCampaignLevels();
+    const index = levels.findIndex(level => level.id === levelId);
+    
+    return index >= 0 ? levels[index + 1] || null : null;
+}
+
+/**
+ * Get how many coins a level's coin star needs
+ * @param {Object} level - Campaign level
+ * @returns {number} Coin target
+ */
+function getCampaignCoinTarget(level) {
+    if (level.coinTarget !== undefined) return level.coinTarget;
+    
+    return level.timeline.filter(event => event.type === 'powerup' && event.powerUp === 'coin').length;
+}
+
+/**
+ * Rate a finished level
+ * @param {Object} level - Campaign level
+ * @param {number} coins - Coins picked up
+ * @param {number} livesLost - Lives lost on the way
+ * @returns {number} Stars from 1 to 3
+ */
+function rateCampaignRun(level, coins, livesLost) {
+    let stars = 1;
+    
+    if (coins >= getCampaignCoinTarget(level)) stars++;
+    if (livesLost === 0) stars++;
+    
+    return stars;
+}
+
+/**
+ * Fill in missing progress fields
+ * @param {Object} data - Stored progress
+ * @returns {Object} Complete progress ({ stars: { levelId: best stars } })
+ */
+function normalizeCampaignProgress(data = {}) {
+    return {
+        stars: { ...(data.stars || {}) }
+    };
+}
+
+/**
+ * Get the progress without waiting for Firestore
+ * Signed-in players get empty progress until loadCampaignProgress() has finished once
+ * @returns {Object} The progress
+ */
+function getCampaignProgress() {
+    const owner = getWalletOwner();
+    
+    if (!cachedCampaignProgress || cachedCampaignOwner !== owner) {
+        cachedCampaignProgress = normalizeCampaignProgress();
+        cachedCampaignOwner = owner;
+        isCampaignProgressLoaded = owner === 'guest';
+        
+        if (owner === 'guest') {
+            try {
+                const saved = localStorage.getItem(CAMPAIGN_STORAGE_KEY);
+                cachedCampaignProgress = normalizeCampaignProgress(saved ? JSON.parse(saved) : {});
+            } catch (error) {
+                console.error('Error reading campaign progress:', error);
+            }
+        }
+    }
+    
+    return cachedCampaignProgress;
+}
+
+/**
+ * Load the progress (from Firestore for signed-in players)
+ * @returns {Promise<Object>} The progress
+ */
+function loadCampaignProgress() {
+    const owner = getWalletOwner();
+    
+    if (owner === 'guest' || !window.firebaseFunctions) {
+        return Promise.resolve(getCampaignProgress());
+    }
+    
+    return window.firebaseFunctions.getDocument('users', owner)
+        .then(doc => {
+            const data = doc.exists ? doc.data() : {};
+            cachedCampaignProgress = normalizeCampaignProgress(data.campaign);
+            cachedCampaignOwner = owner;
+            isCampaignProgressLoaded = true;
+            return cachedCampaignProgress;
+        })
+        .catch(error => {
+            console.error('Error loading campaign progress:', error);
+            return getCampaignProgress();
+        });
+}
+
+/**
+ * Store the progress
+ * @param {Object} progress - The progress to store
+ * @returns {Promise<Object>} The progress
+ */
+function saveCampaignProgress(progress) {
+    const owner = getWalletOwner();
+    cachedCampaignProgress = progress;
+    cachedCampaignOwner = owner;
+    
+    if (owner === 'guest') {
+        try {
+            localStorage.setItem(CAMPAIGN_STORAGE_KEY, JSON.stringify(progress));
+        } catch (error) {
+            console.error('Error saving campaign progress:', error);
+        }
+        return Promise.resolve(progress);
+    }
+    
+    // Writing the placeholder progress would wipe the stored one
+    if (!isCampaignProgressLoaded) {
+        console.warn('Campaign progress not loaded yet, not saving');
+        return Promise.resolve(progress);
+    }
+    
+    return window.firebase.firestore().collection('users').doc(owner).set({
+        campaign: progress
+    }, { merge: true })
+        .then(() => progress)
+        .catch(error => {
+            console.error('Error saving campaign progress:', error);
+            return progress;
+        });
+}
+
+/**
+ * Get the best stars earned on a level
+ * @param {string} levelId - Level ID
+ * @returns {number} Stars from 0 (not finished) to 3
+ */
+function getCampaignStars(levelId) {
+    return getCampaignProgress().stars[levelId] || 0;
+}
+
+/**
+ * Get the stars earned over the whole campaign
+ * @returns {number} Total stars
+ */
+function getTotalCampaignStars() {
+    return getCampaignLevels().reduce((total, level) => total + getCampaignStars(level.id), 0);
+}
+
+/**
+ * Check whether a level can be played (the first one, or the one before it is finished)
+ * @param {string} levelId - Level ID
+ * @returns {boolean} True if the level is unlocked
+ */
+function isCampaignLevelUnlocked(levelId) {
+    const levels = getCampaignLevels();
+    const index = levels.findIndex(level => level.id === levelId);
+    
+    if (index < 0) return false;
+    
+    return index === 0 || getCampaignStars(levels[index - 1].id) > 0;
+}
+
+/**
+ * Record a finished level, keeping the best star rating
+ * @param {string} levelId - Level ID
+ * @param {number} stars - Stars earned this run
+ * @returns {Promise<Object>} { stars: best stars, isNewBest }
+ */
+function recordCampaignResult(levelId, stars) {
+    return loadCampaignProgress().then(progress => {
+        const best = progress.stars[levelId] || 0;
+        if (stars <= best) return { stars: best, isNewBest: false };
+        
+        progress.stars[levelId] = stars;
+        
+        return saveCampaignProgress(progress).then(() => ({ stars: stars, isNewBest: true }));
+    });
+}
+
+/**
+ * Read a level from JSON (an exported or hand-written level file)
+ * @param {string} json - Level JSON
+ * @returns {Object} The level, with its timeline sorted by distance
+ * @throws {Error} When the JSON isn't a level
+ */
+function parseCampaignLevel(json) {
+    const data = JSON.parse(json);
+    
+    if (!data || !Array.isArray(data.timeline) || !(data.length > 0)) {
+        throw new Error('Not a level file: it needs a length and a timeline');
+    }
+    
+    const level = {
+        id: String(data.id || 'custom'),
+        name: String(data.name || 'Custom Level'),
+        theme: data.theme || CONFIG.BACKGROUNDS[0].id,
+        level: Math.max(1, Math.floor(data.level) || 1),
+        length: data.length,
+        timeline: data.timeline
+            .filter(event => event && typeof event.at === 'number' && event.type)
+            .sort((a, b) => a.at - b.at)
+    };
+    
+    if (data.coinTarget !== undefined) {
+        level.coinTarget = data.coinTarget;
+    }
+    
+    return level;
+}
+
+/**
+ * Download a level as a JSON file
+ * @param {Object} level - Level to export
+ */
+function exportCampaignLevel(level) {
+    try {
+        const blob = new Blob([JSON.stringify(level, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `bird-level-${level.id}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        console.error('Error exporting level:', error);
+    }
+}
@@ -223,9 +223,10 @@ function signOut() {
 /**
  * Save player score to leaderboard
  * @param {number} score - Player's score
+ * @param {Object} runData - Optional run details stored with the leaderboard entry (seed, characterId, difficulty, ghost)
  * @returns {Promise<number>} Player's high score
  */
-function saveScore(score) {
+function saveScore(score, runData = {}) {
     return new Promise((resolve, reject) => {
         if (!window.firebase || !window.firebase.firestore) {
             console.error("Firebase Firestore not available");
@@ -249,51 +250,52 @@ function saveScore(score) {
         }
         
         const userId = currentUser.uid;
+        const difficulty = runData.difficulty || CONFIG.DEFAULT_DIFFICULTY;
+        const periods = getLeaderboardPeriods(new Date());
         
         try {
-            // First get the user document to check their high score
-            window.firebase.firestore().collection('users').doc(userId).get()
+            const userRef = window.firebase.firestore().collection('users').doc(userId);
+            
+            // First get the user document to check their best scores
+            userRef.get()
                 .then(docSnapshot => {
-                    let highScore = 0;
-                    let userData = {};
+                    const userData = docSnapshot.exists ? docSnapshot.data() : {};
+                    const highScore = Math.max(score, userData.highScore || 0);
                     
-                    if (docSnapshot.exists) {
-                        // Get existing data
-                        userData = docSnapshot.data();
-                        highScore = userData.highScore || 0;
-                        
-                        // Only update if new score is higher
-                        if (score > highScore) {
-                            highScore = score;
-                            
-                            // Update user document with new high score
-                            return window.firebase.firestore().collection('users').doc(userId).update({
-                                highScore: highScore,
-                                lastPlayed: firebase.firestore.FieldValue.serverTimestamp()
-                            }).then(() => {
-                                // Add score to global leaderboard
-                                return addScoreToLeaderboard(score).then(() => highScore);
-                            });
-                        } else {
-                            // Just update lastPlayed
-                            return window.firebase.firestore().collection('users').doc(userId).update({
-                                lastPlayed: firebase.firestore.FieldValue.serverTimestamp()
-                            }).then(() => highScore);
+                    // Scores saved before bests were kept per difficulty were all set on the default one
+                    const bestScores = userData.bestScores || {
+                        [CONFIG.DEFAULT_DIFFICULTY]: { global: userData.highScore || 0 }
+                    };
+                    
+                    // Each board keeps the player's best on its difficulty (for the day or week)
+                    const best = bestScores[difficulty] || {};
+                    const boards = getImprovedBoards(best, score, periods);
+                    
+                    const newBest = { ...best, global: Math.max(score, best.global || 0) };
+                    ['daily', 'weekly'].forEach(board => {
+                        if (boards.includes(board)) {
+                            newBest[board] = { period: periods[board], score: score };
                         }
-                    } else {
-                        // User document doesn't exist, create it
-                        highScore = score;
-                        return window.firebase.firestore().collection('users').doc(userId).set({
-                            displayName: currentUser.displayName,
-                            email: currentUser.email,
-                            photoURL: currentUser.photoURL,
-                            highScore: score,
-                            lastPlayed: firebase.firestore.FieldValue.serverTimestamp()
-                        }).then(() => {
-                            // Add score to global leaderboard
-                            return addScoreToLeaderboard(score).then(() => highScore);
-                        });
+                    });
+                    
+                    const update = {
+                        highScore: highScore,
+                        bestScores: { ...bestScores, [difficulty]: newBest },
+                        lastPlayed: firebase.firestore.FieldValue.serverTimestamp()
+                    };
+                    
+                    // User document doesn't exist yet, create it
+                    if (!docSnapshot.exists) {
+                        update.displayName = currentUser.displayName;
+                        update.email = currentUser.email;
+                        update.photoURL = currentUser.photoURL;
                     }
+                    
+                    return userRef.set(update, { merge: true }).then(() => {
+                        if (boards.length === 0) return highScore;
+                        
+                        return addScoreToLeaderboard(score, runData, boards).then(() => highScore);
+                    });
                 })
                 .then(highScore => {
                     console.log(`Score saved. High score: ${highScore}`);
@@ -312,11 +314,40 @@ function saveScore(score) {
 }
 
 /**
- * Add score to global leaderboard
+ * Find the leaderboards a score improves the player's entry on
+ * @param {Object} best - The player's bests on the run's difficulty ({ global, daily, weekly })
+ * @param {number} score - Player's score
+ * @param {Object} periods - Current period keys from getLeaderboardPeriods
+ * @returns {Array<string>} 'global', 'daily' and/or 'weekly'
+ */
+function getImprovedBoards(best, score, periods) {
+    if (score <= 0) return [];
+    
+    const boards = [];
+    
+    if (score > (best.global || 0)) {
+        boards.push('global');
+    }
+    
+    // A best from an earlier day or week doesn't count on the current board
+    ['daily', 'weekly'].forEach(board => {
+        const entry = best[board];
+        if (!entry || entry.period !== periods[board] || score > entry.score) {
+            boards.push(board);
+        }
+    });
+    
+    return boards;
+}
+
+/**
+ * Add score to the leaderboards
  * @param {number} score - Player's score
+ * @param {Object} runData - Optional run details (seed, characterId, difficulty, ghost)
+ * @param {Array<string>} boards - Boards to add it to ('global', 'daily', 'weekly')
  * @returns {Promise} Promise that resolves when score is added
  */
-function addScoreToLeaderboard(score) {
+function addScoreToLeaderboard(score, runData = {}, boards = ['global', 'daily', 'weekly']) {
     return new Promise((resolve, reject) => {
         if (!isAuthenticated() || !window.firebase) {
             resolve(); // Silently resolve for guests
@@ -329,6 +360,10 @@ function addScoreToLeaderboard(score) {
             const playerName = currentUser.displayName || 'Player';
             const timestamp = firebase.firestore.FieldValue.serverTimestamp();
             
+            // Batch write for efficiency
+            const batch = window.firebase.firestore().batch();
+            const globalRef = window.firebase.firestore().collection('leaderboard').doc();
+            
             // Score data
             const scoreData = {
                 userId: userId,
@@ -337,30 +372,47 @@ function addScoreToLeaderboard(score) {
                 timestamp: timestamp
             };
             
-            // Batch write for efficiency
-            const batch = window.firebase.firestore().batch();
+            // Run details so others can race the same course
+            if (runData.seed) scoreData.seed = runData.seed;
+            if (runData.characterId) scoreData.characterId = runData.characterId;
+            
+            // Tag the difficulty so leaderboards only compare runs on the same preset
+            scoreData.difficulty = runData.difficulty || CONFIG.DEFAULT_DIFFICULTY;
+            
+            // Store the ghost in its own document, keyed by the global entry
+            if (runData.ghost && runData.ghost.frames.length > 0) {
+                const ghostRef = window.firebase.firestore().collection('ghosts').doc(globalRef.id);
+                batch.set(ghostRef, {
+                    ...runData.ghost,
+                    userId: userId,
+                    name: playerName
+                });
+                scoreData.ghostId = globalRef.id;
+            }
+            
+            const periods = getLeaderboardPeriods(now);
             
             // Add to global leaderboard
-            const globalRef = window.firebase.firestore().collection('leaderboard').doc();
-            batch.set(globalRef, scoreData);
+            if (boards.includes('global')) {
+                batch.set(globalRef, scoreData);
+            }
             
             // Add to daily leaderboard
-            const dateStr = now.toISOString().split('T')[0]; // YYYY-MM-DD
-            const dailyRef = window.firebase.firestore().collection(`leaderboard_daily/${dateStr}/scores`).doc();
-            batch.set(dailyRef, scoreData);
+            if (boards.includes('daily')) {
+                const dailyRef = window.firebase.firestore().collection(`leaderboard_daily/${periods.daily}/scores`).doc();
+                batch.set(dailyRef, scoreData);
+            }
             
             // Add to weekly leaderboard
-            // Get ISO week number
-            const weekNum = getWeekNumber(now);
-            const weekStr = `${now.getFullYear()}-W${weekNum}`;
-            
-            const weeklyRef = window.firebase.firestore().collection(`leaderboard_weekly/${weekStr}/scores`).doc();
-            batch.set(weeklyRef, scoreData);
+            if (boards.includes('weekly')) {
+                const weeklyRef = window.firebase.firestore().collection(`leaderboard_weekly/${periods.weekly}/scores`).doc();
+                batch.set(weeklyRef, scoreData);
+            }
             
             // Commit batch
             return batch.commit()
                 .then(() => {
-                    console.log('Score added to all leaderboards');
+                    console.log(`Score added to leaderboards: ${boards.join(', ')}`);
                     resolve();
                 })
                 .catch(error => {
@@ -387,6 +439,18 @@ function getWeekNumber(date) {
     return Math.ceil((((d - yearStart) / 86400000) + 1) / 7);
 }
 
+/**
+ * Get the keys of the current daily and weekly leaderboards
+ * @param {Date} date - Date to get the periods of
+ * @returns {Object} { daily: 'YYYY-MM-DD', weekly: 'YYYY-Wn' }
+ */
+function getLeaderboardPeriods(date) {
+    return {
+        daily: date.toISOString().split('T')[0],
+        weekly: `${date.getFullYear()}-W${getWeekNumber(date)}`
+    };
+}
+
 /**
  * Update player status (for multiplayer)
  * @param {string} status - Player status ('menu', 'playing', 'waiting')
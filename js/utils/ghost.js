@@ -0,0 +1,121 @@
+/**
+ * Ghost.js
+ * Records a timeline of the bird's state during a run and stores the
+ * personal best per character and difficulty so it can be raced as a ghost
+ */
+
+// Sample the bird at the same rate multiplayer positions are synced
+const GHOST_SAMPLE_INTERVAL = 50;
+
+// Values stored per sample: x, y, rotation, scale, tint
+const GHOST_STRIDE = 5;
+
+// Cap the timeline at 10 minutes so it fits in a Firestore document
+const GHOST_MAX_SAMPLES = 12000;
+
+/**
+ * GhostRecorder - Samples the bird's state at a fixed interval of run time
+ */
+class GhostRecorder {
+    /**
+     * Create a new ghost recorder
+     * @param {Object} meta - Run settings stored with the ghost (characterId, seed, ...)
+     */
+    constructor(meta = {}) {
+        this.meta = meta;
+        this.sampleCount = 0;
+        
+        // Flat list of samples (GHOST_STRIDE values each) so it can be stored in Firestore
+        this.frames = [];
+    }
+    
+    /**
+     * Record the bird's state for every sample slot reached by the run clock
+     * @param {number} runTime - Time since the run started in ms
+     * @param {Bird} bird - The player's bird
+     */
+    sample(runTime, bird) {
+        if (!bird || !bird.active || bird.isDead) return;
+        
+        const targetCount = Math.min(Math.floor(runTime / GHOST_SAMPLE_INTERVAL) + 1, GHOST_MAX_SAMPLES);
+        if (this.sampleCount >= targetCount) return;
+        
+        const state = getBirdSyncState(bird);
+        
+        // Fill every slot up to now so sample i always matches time i * interval
+        while (this.sampleCount < targetCount) {
+            this.frames.push(
+                Math.round(state.x),
+                Math.round(state.y),
+                Math.round(state.rotation * 100) / 100,
+                Math.round(state.scale * 100) / 100,
+                state.tint
+            );
+            this.sampleCount++;
+        }
+    }
+    
+    /**
+     * Build the ghost for this run
+     * @param {number} score - Final score of the run
+     * @returns {Object} The ghost timeline
+     */
+    finish(score) {
+        return {
+            ...this.meta,
+            score: score,
+            interval: GHOST_SAMPLE_INTERVAL,
+            stride: GHOST_STRIDE,
+            frames: this.frames
+        };
+    }
+}
+
+/**
+ * Get the local storage key of a personal best ghost
+ * Normal keeps the original per-character key so existing ghosts still load
+ * @param {string} characterId - Character ID
+ * @param {string} difficulty - Difficulty ID
+ * @returns {string} Storage key
+ */
+function getGhostStorageKey(characterId, difficulty = CONFIG.DEFAULT_DIFFICULTY) {
+    return difficulty === CONFIG.DEFAULT_DIFFICULTY ?
+        `ghost_${characterId}` :
+        `ghost_${characterId}_${difficulty}`;
+}
+
+/**
+ * Get the personal best ghost for a character on a difficulty
+ * @param {string} characterId - Character ID
+ * @param {string} difficulty - Difficulty ID
+ * @returns {Object|null} The ghost or null if none is stored
+ */
+function getPersonalGhost(characterId, difficulty) {
+    try {
+        const saved = localStorage.getItem(getGhostStorageKey(characterId, difficulty));
+        return saved ? JSON.parse(saved) : null;
+    } catch (error) {
+        console.error('Error reading personal ghost:', error);
+        return null;
+    }
+}
+
+/**
+ * Store a ghost as the personal best if it beats the current one
+ * @param {Object} ghost - Ghost produced by GhostRecorder
+ * @returns {boolean} True if the ghost is the new personal best
+ */
+function savePersonalGhost(ghost) {
+    try {
+        if (!ghost || ghost.frames.length === 0) return false;
+        
+        const best = getPersonalGhost(ghost.characterId, ghost.difficulty);
+        if (best && best.score >= ghost.score) return false;
+        
+        localStorage.setItem(getGhostStorageKey(ghost.characterId, ghost.difficulty), JSON.stringify(ghost));
+        return true;
+    } catch (error) {
+        console.error('Error saving personal ghost:', error);
+        return false;
+    }
+}
@@ -8,9 +8,10 @@
  * Get top scores from leaderboard
  * @param {number} limit - Maximum number of scores to retrieve 
  * @param {string} timeframe - Time period ('all', 'daily', 'weekly')
+ * @param {string} difficulty - Only include scores set on this difficulty (all difficulties if omitted)
  * @returns {Promise<Array>} Array of score objects sorted by score
  */
-function getTopScores(limit = 10, timeframe = 'all') {
+function getTopScores(limit = 10, timeframe = 'all', difficulty = null) {
     return new Promise((resolve, reject) => {
         ensureFirebaseLoaded(() => {
             if (!window.firebase || !window.firebase.firestore) {
@@ -21,34 +22,43 @@ function getTopScores(limit = 10, timeframe = 'all') {
             
             let collectionPath = 'leaderboard';
             
+            // Today's or this week's board
+            const periods = getLeaderboardPeriods(new Date());
+            
             if (timeframe === 'daily') {
-                // Get today's date
-                const today = new Date().toISOString().split('T')[0];
-                collectionPath = `leaderboard_daily/${today}/scores`;
+                collectionPath = `leaderboard_daily/${periods.daily}/scores`;
             } else if (timeframe === 'weekly') {
-                // Get current week
-                const now = new Date();
-                const weekNum = getWeekNumber(now);
-                const weekStr = `${now.getFullYear()}-W${weekNum}`;
-                collectionPath = `leaderboard_weekly/${weekStr}/scores`;
+                collectionPath = `leaderboard_weekly/${periods.weekly}/scores`;
             }
             
             try {
-                // Get scores sorted by score in descending order
-                window.firebase.firestore()
-                    .collection(collectionPath)
-                    .orderBy('score', 'desc')
-                    .limit(limit)
-                    .get()
-                    .then(snapshot => {
-                        const scores = [];
-                        snapshot.forEach(doc => {
-                            scores.push({
-                                id: doc.id,
-                                ...doc.data()
-                            });
-                        });
-                        
+                const collection = window.firebase.firestore().collection(collectionPath);
+                let request;
+                
+                if (difficulty === CONFIG.DEFAULT_DIFFICULTY) {
+                    // Includes the entries saved before scores were tagged with a difficulty
+                    request = getDefaultDifficultyScores(collection, limit);
+                } else {
+                    let query = collection;
+                    
+                    // Filtering by difficulty needs a (difficulty, score desc) composite index
+                    if (difficulty) {
+                        query = query.where('difficulty', '==', difficulty);
+                    }
+                    
+                    // Get scores sorted by score in descending order
+                    request = query
+                        .orderBy('score', 'desc')
+                        .limit(limit)
+                        .get()
+                        .then(snapshot => snapshot.docs.map(doc => ({
+                            id: doc.id,
+                            ...doc.data()
+                        })));
+                }
+                
+                request
+                    .then(scores => {
                         console.log(`Retrieved ${scores.length} scores from ${collectionPath}`);
                         resolve(scores);
                     })
@@ -70,13 +80,66 @@ function getTopScores(limit = 10, timeframe = 'all') {
     });
 }
 
+/**
+ * Get the top scores set on the default difficulty, counting the untagged entries
+ * saved before scores had a difficulty. Firestore can't query for a missing field,
+ * so pages of all scores are read in order until enough of them match
+ * @param {Object} collection - Firestore collection of the leaderboard
+ * @param {number} limit - Maximum number of scores to retrieve
+ * @returns {Promise<Array>} Array of score objects sorted by score
+ */
+function getDefaultDifficultyScores(collection, limit) {
+    const pageSize = limit * 2;
+    const scores = [];
+    
+    const readPage = after => {
+        let query = collection.orderBy('score', 'desc').limit(pageSize);
+        
+        if (after) {
+            query = query.startAfter(after);
+        }
+        
+        return query.get().then(snapshot => {
+            snapshot.forEach(doc => {
+                const data = doc.data();
+                
+                if (scores.length < limit && getEntryDifficulty(data) === CONFIG.DEFAULT_DIFFICULTY) {
+                    scores.push({
+                        id: doc.id,
+                        ...data
+                    });
+                }
+            });
+            
+            // Stop once the board is full or every score has been read
+            if (scores.length >= limit || snapshot.size < pageSize) {
+                return scores;
+            }
+            
+            return readPage(snapshot.docs[snapshot.docs.length - 1]);
+        });
+    };
+    
+    return readPage(null);
+}
+
+/**
+ * Get the difficulty a leaderboard entry was set on
+ * @param {Object} entry - Leaderboard entry
+ * @returns {string} Difficulty ID (the default one for entries saved before they were tagged)
+ */
+function getEntryDifficulty(entry) {
+    return entry.difficulty || CONFIG.DEFAULT_DIFFICULTY;
+}
+
 /**
  * Get user's ranking on the leaderboard
  * @param {number} score - User's score
  * @param {string} timeframe - Time period ('all', 'daily', 'weekly')
+ * @param {string} difficulty - Only rank against scores set on this difficulty (all difficulties if omitted)
  * @returns {Promise<number>} User's rank (position)
  */
-function getUserRanking(score, timeframe = 'all') {
+function getUserRanking(score, timeframe = 'all', difficulty = null) {
     return new Promise((resolve, reject) => {
         ensureFirebaseLoaded(() => {
             if (!window.firebase || !window.firebase.firestore) {
@@ -98,14 +161,19 @@ function getUserRanking(score, timeframe = 'all') {
             }
             
             try {
-                // Get number of scores higher than the user's score
+                // Get the scores higher than the user's score
                 window.firebase.firestore()
                     .collection(collectionPath)
                     .where('score', '>', score)
                     .get()
                     .then(snapshot => {
+                        // Filtered here so untagged entries count on the default difficulty
+                        const higher = difficulty ?
+                            snapshot.docs.filter(doc => getEntryDifficulty(doc.data()) === difficulty).length :
+                            snapshot.size;
+                        
                         // Return rank (number of players with higher score + 1)
-                        resolve(snapshot.size + 1);
+                        resolve(higher + 1);
                     })
                     .catch(error => {
                         console.error('Error getting user ranking:', error);
@@ -285,6 +353,46 @@ function getLeaderboardStats(timeframe = 'all') {
     });
 }
 
+/**
+ * Get the ghost timeline attached to a leaderboard entry
+ * @param {string} ghostId - Ghost document ID (stored as ghostId on the entry)
+ * @returns {Promise<Object|null>} The ghost or null if not found
+ */
+function getLeaderboardGhost(ghostId) {
+    return new Promise((resolve, reject) => {
+        ensureFirebaseLoaded(() => {
+            if (!window.firebase || !window.firebase.firestore) {
+                console.error("Firebase Firestore not available");
+                resolve(null);
+                return;
+            }
+            
+            if (!ghostId) {
+                console.error('Invalid ghostId');
+                resolve(null);
+                return;
+            }
+            
+            try {
+                window.firebase.firestore()
+                    .collection('ghosts')
+                    .doc(ghostId)
+                    .get()
+                    .then(doc => {
+                        resolve(doc.exists ? doc.data() : null);
+                    })
+                    .catch(error => {
+                        console.error('Error getting leaderboard ghost:', error);
+                        resolve(null);
+                    });
+            } catch (error) {
+                console.error('Exception getting leaderboard ghost:', error);
+                resolve(null);
+            }
+        });
+    });
+}
+
 /**
  * Helper function to get ISO week number from date
  * @param {Date} date - Date to get week number from
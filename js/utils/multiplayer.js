@@ -440,10 +440,12 @@ function startMultiplayerGame() {
                     throw new Error('At least 1 player is required');
                 }
                 
-                // Update room status to playing
+                // Update room status to playing and share one seed so
+                // every player races the same course
                 const updates = {
                     status: 'playing',
-                    startedAt: Date.now()
+                    startedAt: Date.now(),
+                    seed: generateRunSeed()
                 };
                 
                 mpLog("Game starting with updates:", updates);
@@ -531,6 +533,21 @@ function listenToRoomChanges(callback) {
     }
 }
 
+/**
+ * Get the bird state that is synced to other players (and recorded for ghosts)
+ * @param {Phaser.Physics.Arcade.Sprite} bird - Player bird sprite
+ * @returns {Object} Position, rotation, scale and tint of the bird
+ */
+function getBirdSyncState(bird) {
+    return {
+        x: bird.x,
+        y: bird.y,
+        rotation: bird.rotation,
+        scale: bird.scaleX, // Use scaleX since it's a number not an object
+        tint: bird.tintTopLeft || 0xffffff // Store tint for visual effects
+    };
+}
+
 /**
  * Start updating player position in multiplayer game
  * @param {Phaser.Physics.Arcade.Sprite} bird - Player bird sprite
@@ -553,11 +570,7 @@ function startMultiplayerSync(bird) {
     // Send initial position immediately
     try {
         const initialPosition = {
-            x: bird.x,
-            y: bird.y,
-            rotation: bird.rotation,
-            scale: bird.scale,
-            tint: bird.tintTopLeft || 0xffffff,
+            ...getBirdSyncState(bird),
             timestamp: Date.now()
         };
         
@@ -585,11 +598,7 @@ function startMultiplayerSync(bird) {
             // Only update if the bird is still alive
             if (!bird.isDead) {
                 const position = {
-                    x: bird.x,
-                    y: bird.y,
-                    rotation: bird.rotation,
-                    scale: bird.scaleX, // Use scaleX since it's a number not an object
-                    tint: bird.tintTopLeft || 0xffffff, // Store tint for visual effects
+                    ...getBirdSyncState(bird),
                     timestamp: Date.now()
                 };
                 
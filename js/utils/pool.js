@@ -0,0 +1,86 @@
+/**
+ * Pool.js
+ * Object pooling for the physics groups that spawn and despawn all run long
+ *
+ * Instead of destroying a sprite (and making the garbage collector clean up
+ * after it) it is disabled and hidden, and the next spawn takes it back out of
+ * its group. Obstacles, enemies and power-ups implement spawn() and recycle()
+ * themselves; projectiles are plain sprites handled by the helpers below.
+ */
+
+/**
+ * Take a recycled object from a group, or create one when none is free
+ * @param {Phaser.Physics.Arcade.Group} group - Pool group
+ * @param {Function} classType - Class to create (Obstacle, Enemy, PowerUp)
+ * @param {Phaser.Scene} scene - The scene the object belongs to
+ * @param {number} x - X position
+ * @param {number} y - Y position
+ * @param {string} texture - Texture key
+ * @param {Object} config - Configuration passed to the constructor or spawn()
+ * @returns {Phaser.Physics.Arcade.Sprite} The spawned object
+ */
+function spawnFromPool(group, classType, scene, x, y, texture, config = {}) {
+    const pooled = group.getFirstDead(false);
+    
+    if (pooled) {
+        pooled.spawn(x, y, texture, config);
+        return pooled;
+    }
+    
+    const object = new classType(scene, x, y, texture, config);
+    group.add(object);
+    
+    return object;
+}
+
+/**
+ * Take a projectile (fireball or enemy shot) from its group
+ * @param {Phaser.Physics.Arcade.Group} group - Projectile group
+ * @param {number} x - X position
+ * @param {number} y - Y position
+ * @param {string} texture - Texture key
+ * @returns {Phaser.Physics.Arcade.Sprite|null} The projectile
+ */
+function spawnProjectile(group, x, y, texture) {
+    const projectile = group.get(x, y, texture);
+    if (!projectile) return null;
+    
+    // Clear whatever the previous shot left behind
+    projectile.enableBody(true, x, y, true, true);
+    projectile.setAngle(0);
+    projectile.setScale(1);
+    projectile.clearTint();
+    projectile.destroyed = false;
+    
+    return projectile;
+}
+
+/**
+ * Return a projectile to its group
+ * @param {Phaser.Physics.Arcade.Sprite} projectile - The projectile
+ */
+function recycleProjectile(projectile) {
+    if (!projectile || !projectile.active) return;
+    
+    projectile.destroyed = true;
+    
+    // The lifetime timer would otherwise recycle the projectile's next use
+    if (projectile.lifeTimer) {
+        projectile.lifeTimer.remove();
+        projectile.lifeTimer = null;
+    }
+    
+    projectile.scene.tweens.killTweensOf(projectile);
+    projectile.disableBody(true, true);
+}
+
+/**
+ * Describe a pool for the debug overlay
+ * @param {Phaser.GameObjects.Group} group - Pool group
+ * @returns {string} Live and pooled counts ("live/pooled")
+ */
+function getPoolStats(group) {
+    if (!group) return '0/0';
+    
+    return `${group.countActive(true)}/${group.countActive(false)}`;
+}
@@ -0,0 +1,49 @@
+/**
+ * Random.js
+ * Seeded random number generation for deterministic game runs
+ */
+
+/**
+ * Generate a fresh seed for a new run
+ * @returns {string} Seed string
+ */
+function generateRunSeed() {
+    return Date.now().toString(36) + Math.floor(Math.random() * 1000000).toString(36);
+}
+
+/**
+ * RunRandom - Per-run random source built from a single seed
+ * Each system draws from its own named stream so that, for example, the
+ * number of enemy shot rolls made per frame never shifts the obstacle layout
+ */
+class RunRandom {
+    /**
+     * Create a run random source
+     * @param {string|number} seed - The run seed
+     */
+    constructor(seed) {
+        this.seed = String(seed);
+        this.streams = {};
+    }
+    
+    /**
+     * Get (or create) the named random stream
+     * @param {string} name - Stream name (e.g. 'obstacles', 'enemies')
+     * @returns {Phaser.Math.RandomDataGenerator} Seeded generator for the stream
+     */
+    stream(name) {
+        if (!this.streams[name]) {
+            this.streams[name] = new Phaser.Math.RandomDataGenerator([`${this.seed}:${name}`]);
+        }
+        
+        return this.streams[name];
+    }
+    
+    /**
+     * Clean up all streams
+     */
+    destroy() {
+        this.streams = {};
+    }
+}
+
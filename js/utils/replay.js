@@ -0,0 +1,232 @@
+/**
+ * Replay.js
+ * Records a run's ticks and inputs so it can be played back exactly,
+ * plus helpers for storing and exporting replays
+ */
+
+// Replay format version, bump when the recorded data changes meaning
+const REPLAY_VERSION = 16;
+
+// Local storage key and how many recent replays to keep
+const REPLAY_STORAGE_KEY = 'replays';
+const MAX_SAVED_REPLAYS = 3;
+
+// Tick deltas are stored as whole tenths of a millisecond
+const REPLAY_TICK_PRECISION = 10;
+
+/**
+ * Round a frame delta to the precision a replay can store
+ * Both recording and playback step the simulation with this value so the
+ * recorded run and the replayed run see exactly the same deltas
+ * @param {number} delta - Frame delta in ms
+ * @returns {number} Quantized delta in ms
+ */
+function quantizeTickDelta(delta) {
+    return Math.round(delta * REPLAY_TICK_PRECISION) / REPLAY_TICK_PRECISION;
+}
+
+/**
+ * ReplayRecorder - Captures every tick delta and player input of a run
+ */
+class ReplayRecorder {
+    /**
+     * Create a new recorder
+     * @param {Object} meta - Run settings needed to rebuild the run (seed, characterId, ...)
+     */
+    constructor(meta = {}) {
+        this.meta = meta;
+        this.tickCount = 0;
+        this.finished = false;
+        
+        // Run-length encoded tick deltas: [[delta, count], ...]
+        this.ticks = [];
+        
+        // Inputs keyed by the number of ticks completed: [[tick, action], ...]
+        this.inputs = [];
+    }
+    
+    /**
+     * Record one simulation tick
+     * @param {number} delta - Quantized frame delta in ms
+     */
+    recordTick(delta) {
+        if (this.finished) return;
+        
+        const value = Math.round(delta * REPLAY_TICK_PRECISION);
+        const last = this.ticks[this.ticks.length - 1];
+        
+        // Extend the current run if the delta repeats
+        if (last && last[0] === value) {
+            last[1]++;
+        } else {
+            this.ticks.push([value, 1]);
+        }
+        
+        this.tickCount++;
+    }
+    
+    /**
+     * Record a player input at the current tick
+     * @param {string} action - Input action (e.g. 'flap', 'fire')
+     */
+    recordInput(action) {
+        if (this.finished) return;
+        
+        this.inputs.push([this.tickCount, action]);
+    }
+    
+    /**
+     * Stop recording and build the replay object
+     * @param {Object} result - Final run result (score, level)
+     * @returns {Object} The replay
+     */
+    finish(result = {}) {
+        this.finished = true;
+        
+        return {
+            version: REPLAY_VERSION,
+            ...this.meta,
+            score: result.score || 0,
+            level: result.level || 1,
+            recordedAt: new Date().toISOString(),
+            tickCount: this.tickCount,
+            ticks: this.ticks,
+            inputs: this.inputs
+        };
+    }
+}
+
+/**
+ * ReplayPlayer - Steps through a recorded replay tick by tick
+ */
+class ReplayPlayer {
+    /**
+     * Create a new player
+     * @param {Object} replay - Replay produced by ReplayRecorder
+     */
+    constructor(replay) {
+        this.replay = replay;
+        this.tick = 0;
+        
+        // Cursor into the run-length encoded ticks
+        this.runIndex = 0;
+        this.runOffset = 0;
+        
+        // Cursor into the input list
+        this.inputIndex = 0;
+    }
+    
+    /**
+     * Check whether every recorded tick has been played
+     * @returns {boolean} True when the replay is exhausted
+     */
+    isFinished() {
+        return this.tick >= this.replay.tickCount;
+    }
+    
+    /**
+     * Get the inputs recorded before the current tick
+     * @returns {Array<string>} Actions to apply before stepping
+     */
+    takeInputs() {
+        const actions = [];
+        const inputs = this.replay.inputs;
+        
+        while (this.inputIndex < inputs.length && inputs[this.inputIndex][0] <= this.tick) {
+            actions.push(inputs[this.inputIndex][1]);
+            this.inputIndex++;
+        }
+        
+        return actions;
+    }
+    
+    /**
+     * Advance one tick
+     * @returns {number|null} The recorded delta in ms, or null when finished
+     */
+    nextDelta() {
+        if (this.isFinished()) return null;
+        
+        const run = this.replay.ticks[this.runIndex];
+        if (!run) return null;
+        
+        // Move to the next run once this one is used up
+        this.runOffset++;
+        if (this.runOffset >= run[1]) {
+            this.runIndex++;
+            this.runOffset = 0;
+        }
+        
+        this.tick++;
+        return run[0] / REPLAY_TICK_PRECISION;
+    }
+}
+
+/**
+ * Get all replays saved in local storage (newest first)
+ * Replays from an older version can't be played back and are skipped
+ * @returns {Array<Object>} Saved replays
+ */
+function getSavedReplays() {
+    try {
+        const saved = localStorage.getItem(REPLAY_STORAGE_KEY);
+        const replays = saved ? JSON.parse(saved) : [];
+        return replays.filter(replay => replay.version === REPLAY_VERSION);
+    } catch (error) {
+        console.error('Error reading saved replays:', error);
+        return [];
+    }
+}
+
+/**
+ * Get the most recently saved replay
+ * @returns {Object|null} The replay or null if none exist
+ */
+function getLastReplay() {
+    const replays = getSavedReplays();
+    return replays.length > 0 ? replays[0] : null;
+}
+
+/**
+ * Save a replay to local storage, keeping only the most recent ones
+ * @param {Object} replay - Replay to save
+ * @returns {boolean} True if the replay was saved
+ */
+function saveReplay(replay) {
+    let replays = [replay, ...getSavedReplays()].slice(0, MAX_SAVED_REPLAYS);
+    
+    // Drop the oldest replays until everything fits in storage
+    while (replays.length > 0) {
+        try {
+            localStorage.setItem(REPLAY_STORAGE_KEY, JSON.stringify(replays));
+            return true;
+        } catch (error) {
+            console.warn('Replay storage full, dropping oldest replay');
+            replays = replays.slice(0, replays.length - 1);
+        }
+    }
+    
+    return false;
+}
+
+/**
+ * Download a replay as a JSON file
+ * @param {Object} replay - Replay to export
+ */
+function exportReplay(replay) {
+    try {
+        const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `bird-replay-${replay.characterId}-${replay.score}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        console.error('Error exporting replay:', error);
+    }
+}
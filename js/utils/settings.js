@@ -0,0 +1,76 @@
+/**
+ * Settings.js
+ * Player settings (sound, music and difficulty) persisted in local storage
+ */
+
+// Local storage key for settings
+const SETTINGS_STORAGE_KEY = 'settings';
+
+// Volume all music tracks play at when music is enabled
+const MUSIC_VOLUME = 0.7;
+
+// Settings used when nothing has been saved yet
+const DEFAULT_SETTINGS = {
+    sound: true,
+    music: true,
+    difficulty: CONFIG.DEFAULT_DIFFICULTY
+};
+
+/**
+ * Get the player's settings
+ * @returns {Object} Settings object
+ */
+function getSettings() {
+    try {
+        const saved = localStorage.getItem(SETTINGS_STORAGE_KEY);
+        return { ...DEFAULT_SETTINGS, ...(saved ? JSON.parse(saved) : {}) };
+    } catch (error) {
+        console.error('Error reading settings:', error);
+        return { ...DEFAULT_SETTINGS };
+    }
+}
+
+/**
+ * Change and save one or more settings
+ * @param {Object} changes - Settings to change (e.g. { music: false })
+ * @returns {Object} The updated settings
+ */
+function updateSettings(changes) {
+    const settings = { ...getSettings(), ...changes };
+    
+    try {
+        localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.error('Error saving settings:', error);
+    }
+    
+    return settings;
+}
+
+/**
+ * Apply the sound setting to the game's sound manager
+ * @param {Phaser.Sound.BaseSoundManager} soundManager - The game's sound manager
+ */
+function applySoundSettings(soundManager) {
+    if (soundManager) {
+        soundManager.mute = !getSettings().sound;
+    }
+}
+
+/**
+ * Get the volume music should play at
+ * @returns {number} Music volume (0 when music is turned off)
+ */
+function getMusicVolume() {
+    return getSettings().music ? MUSIC_VOLUME : 0;
+}
+
+/**
+ * Get a difficulty preset
+ * @param {string} difficultyId - Difficulty ID (defaults to the player's chosen difficulty)
+ * @returns {Object} The preset, or the default preset if the ID is unknown
+ */
+function getDifficulty(difficultyId = getSettings().difficulty) {
+    return CONFIG.DIFFICULTIES.find(d => d.id === difficultyId) ||
+        CONFIG.DIFFICULTIES.find(d => d.id === CONFIG.DEFAULT_DIFFICULTY);
+}
@@ -0,0 +1,338 @@
+/**
+ * Wallet.js
+ * The player's banked coins and shop unlocks. Guests keep their wallet in local
+ * storage, signed-in players on their Firestore users document
+ */
+
+// Local storage key of the guest wallet
+const WALLET_STORAGE_KEY = 'wallet';
+
+// Wallet used when nothing has been saved yet
+const DEFAULT_WALLET = {
+    coins: 0,
+    unlocks: [],
+    equipped: { trail: null, skin: null },
+    upgrades: {}
+};
+
+// Last loaded wallet and whose it is ('guest' or a user ID)
+let cachedWallet = null;
+let cachedWalletOwner = null;
+
+// Whether a signed-in player's wallet has been read from Firestore yet
+let isWalletLoaded = false;
+
+/**
+ * Get whose wallet is in use
+ * @returns {string} The signed-in user's ID or 'guest'
+ */
+function getWalletOwner() {
+    return isAuthenticated() ? getCurrentUser().uid : 'guest';
+}
+
+/**
+ * Fill in missing wallet fields
+ * @param {Object} data - Stored wallet data
+ * @returns {Object} Complete wallet
+ */
+function normalizeWallet(data = {}) {
+    return {
+        coins: data.coins || 0,
+        unlocks: Array.isArray(data.unlocks) ? data.unlocks : [],
+        equipped: { ...DEFAULT_WALLET.equipped, ...(data.equipped || {}) },
+        upgrades: { ...(data.upgrades || {}) }
+    };
+}
+
+/**
+ * Read the guest wallet from local storage
+ * @returns {Object} The guest wallet
+ */
+function readGuestWallet() {
+    try {
+        const saved = localStorage.getItem(WALLET_STORAGE_KEY);
+        return normalizeWallet(saved ? JSON.parse(saved) : {});
+    } catch (error) {
+        console.error('Error reading wallet:', error);
+        return normalizeWallet();
+    }
+}
+
+/**
+ * Get the wallet without waiting for Firestore
+ * Signed-in players get an empty wallet until loadWallet() has finished once
+ * @returns {Object} The wallet ({ coins, unlocks, equipped, upgrades })
+ */
+function getWallet() {
+    const owner = getWalletOwner();
+    
+    if (!cachedWallet || cachedWalletOwner !== owner) {
+        cachedWallet = owner === 'guest' ? readGuestWallet() : normalizeWallet();
+        cachedWalletOwner = owner;
+        isWalletLoaded = owner === 'guest';
+    }
+    
+    return cachedWallet;
+}
+
+/**
+ * Load the wallet (from Firestore for signed-in players)
+ * @returns {Promise<Object>} The wallet
+ */
+function loadWallet() {
+    const owner = getWalletOwner();
+    
+    if (owner === 'guest' || !window.firebaseFunctions) {
+        return Promise.resolve(getWallet());
+    }
+    
+    return window.firebaseFunctions.getDocument('users', owner)
+        .then(doc => {
+            cachedWallet = normalizeWallet(doc.exists ? doc.data() : {});
+            cachedWalletOwner = owner;
+            isWalletLoaded = true;
+            return cachedWallet;
+        })
+        .catch(error => {
+            console.error('Error loading wallet:', error);
+            return getWallet();
+        });
+}
+
+/**
+ * Store the wallet
+ * @param {Object} wallet - The wallet to store
+ * @returns {Promise<Object>} The wallet
+ */
+function saveWallet(wallet) {
+    const owner = getWalletOwner();
+    cachedWallet = wallet;
+    cachedWalletOwner = owner;
+    
+    if (owner === 'guest') {
+        try {
+            localStorage.setItem(WALLET_STORAGE_KEY, JSON.stringify(wallet));
+        } catch (error) {
+            console.error('Error saving wallet:', error);
+        }
+        return Promise.resolve(wallet);
+    }
+    
+    // Writing the placeholder wallet would wipe the stored one
+    if (!isWalletLoaded) {
+        console.warn('Wallet not loaded yet, not saving');
+        return Promise.resolve(wallet);
+    }
+    
+    return window.firebase.firestore().collection('users').doc(owner).set({
+        coins: wallet.coins,
+        unlocks: wallet.unlocks,
+        equipped: wallet.equipped,
+        upgrades: wallet.upgrades
+    }, { merge: true })
+        .then(() => wallet)
+        .catch(error => {
+            console.error('Error saving wallet:', error);
+            return wallet;
+        });
+}
+
+/**
+ * Bank coins collected during a run
+ * @param {number} amount - Number of coins
+ * @returns {Promise<Object>} The wallet
+ */
+function depositCoins(amount) {
+    const wallet = getWallet();
+    if (amount <= 0) return Promise.resolve(wallet);
+    
+    wallet.coins += amount;
+    
+    if (cachedWalletOwner === 'guest') {
+        return saveWallet(wallet);
+    }
+    
+    // Increment on the server so a wallet that hasn't finished loading can't overwrite the balance
+    return window.firebase.firestore().collection('users').doc(cachedWalletOwner).set({
+        coins: firebase.firestore.FieldValue.increment(amount)
+    }, { merge: true })
+        .then(() => wallet)
+        .catch(error => {
+            console.error('Error depositing coins:', error);
+            return wallet;
+        });
+}
+
+/**
+ * Get everything the shop sells of one type
+ * @param {string} type - 'character', 'trail' or 'skin'
+ * @returns {Array<Object>} Shop items ({ id, type, name, price, ... })
+ */
+function getShopItems(type) {
+    if (type === 'character') {
+        return CONFIG.CHARACTERS.map(character => ({
+            ...character,
+            type: 'character',
+            price: character.price || 0
+        }));
+    }
+    
+    return SHOP_ITEMS.filter(item => item.type === type);
+}
+
+/**
+ * Find a shop item (character, trail or skin) by ID
+ * @param {string} itemId - Item ID
+ * @returns {Object|null} The item or null if the ID is unknown
+ */
+function getShopItem(itemId) {
+    return ['character', 'trail', 'skin']
+        .map(type => getShopItems(type).find(item => item.id === itemId))
+        .find(item => item) || null;
+}
+
+/**
+ * Check whether an item is free or has been bought
+ * @param {string} itemId - Item ID
+ * @returns {boolean} True if the item can be used
+ */
+function isItemUnlocked(itemId) {
+    const item = getShopItem(itemId);
+    if (!item) return false;
+    
+    return item.price === 0 || getWallet().unlocks.includes(itemId);
+}
+
+/**
+ * Buy an item with banked coins (trails and skins are equipped right away)
+ * @param {string} itemId - Item ID
+ * @returns {Promise<boolean>} True if the item was bought
+ */
+function purchaseItem(itemId) {
+    const item = getShopItem(itemId);
+    const wallet = getWallet();
+    
+    if (!item || isItemUnlocked(itemId) || wallet.coins < item.price) {
+        return Promise.resolve(false);
+    }
+    
+    wallet.coins -= item.price;
+    wallet.unlocks.push(itemId);
+    
+    if (item.type !== 'character') {
+        wallet.equipped[item.type] = itemId;
+    }
+    
+    return saveWallet(wallet).then(() => true);
+}
+
+/**
+ * Equip a bought trail or skin
+ * @param {string} type - 'trail' or 'skin'
+ * @param {string|null} itemId - Item ID, or null to go without
+ * @returns {Promise<Object>} The wallet
+ */
+function equipItem(type, itemId) {
+    const wallet = getWallet();
+    
+    if (itemId && !isItemUnlocked(itemId)) {
+        return Promise.resolve(wallet);
+    }
+    
+    wallet.equipped[type] = itemId;
+    return saveWallet(wallet);
+}
+
+/**
+ * Get the equipped trail or skin
+ * @param {string} type - 'trail' or 'skin'
+ * @returns {Object|null} The item or null if none is equipped
+ */
+function getEquippedItem(type) {
+    const itemId = getWallet().equipped[type];
+    return itemId && isItemUnlocked(itemId) ? getShopItem(itemId) : null;
+}
+
+/**
+ * Find an upgrade by ID
+ * @param {string} upgradeId - Upgrade ID
+ * @returns {Object|null} The upgrade or null if the ID is unknown
+ */
+function getUpgrade(upgradeId) {
+    return UPGRADES.find(upgrade => upgrade.id === upgradeId) || null;
+}
+
+/**
+ * Get the bought level of an upgrade
+ * @param {string} upgradeId - Upgrade ID
+ * @param {Object} levels - Upgrade levels to read (defaults to the wallet's)
+ * @returns {number} Level, 0 if not bought
+ */
+function getUpgradeLevel(upgradeId, levels = getWallet().upgrades) {
+    const upgrade = getUpgrade(upgradeId);
+    if (!upgrade || !levels) return 0;
+    
+    return Math.min(levels[upgradeId] || 0, upgrade.costs.length);
+}
+
+/**
+ * Get the total bonus of an upgrade (level times step)
+ * @param {string} upgradeId - Upgrade ID
+ * @param {Object} levels - Upgrade levels to read (defaults to the wallet's)
+ * @returns {number} Bonus, 0 if not bought
+ */
+function getUpgradeBonus(upgradeId, levels = getWallet().upgrades) {
+    const upgrade = getUpgrade(upgradeId);
+    if (!upgrade) return 0;
+    
+    return getUpgradeLevel(upgradeId, levels) * upgrade.step;
+}
+
+/**
+ * Get the cost of an upgrade's next level
+ * @param {string} upgradeId - Upgrade ID
+ * @returns {number|null} Cost in coins, or null if the upgrade is maxed out
+ */
+function getUpgradeCost(upgradeId) {
+    const upgrade = getUpgrade(upgradeId);
+    if (!upgrade) return null;
+    
+    const level = getUpgradeLevel(upgradeId);
+    return level < upgrade.costs.length ? upgrade.costs[level] : null;
+}
+
+/**
+ * Check whether the upgrade an upgrade depends on has been bought far enough
+ * @param {string} upgradeId - Upgrade ID
+ * @returns {boolean} True if the upgrade can be bought (coins aside)
+ */
+function isUpgradeAvailable(upgradeId) {
+    const upgrade = getUpgrade(upgradeId);
+    if (!upgrade) return false;
+    
+    return !upgrade.requires || getUpgradeLevel(upgrade.requires.id) >= upgrade.requires.level;
+}
+
+/**
+ * Buy the next level of an upgrade with banked coins
+ * @param {string} upgradeId - Upgrade ID
+ * @returns {Promise<boolean>} True if the level was bought
+ */
+function purchaseUpgrade(upgradeId) {
+    const cost = getUpgradeCost(upgradeId);
+    const wallet = getWallet();
+    
+    if (cost === null || !isUpgradeAvailable(upgradeId) || wallet.coins < cost) {
+        return Promise.resolve(false);
+    }
+    
+    wallet.coins -= cost;
+    wallet.upgrades[upgradeId] = getUpgradeLevel(upgradeId) + 1;
+    
+    return saveWallet(wallet).then(() => true);
+}
+
+// Fetch a signed-in player's wallet as soon as they sign in
+document.addEventListener('userSignedIn', () => {
+    loadWallet();
+});